@@ -0,0 +1,59 @@
+// Shared helpers for the storage adapters
+
+// Filter operators every adapter must understand
+// ('contains' matches JSONB arrays holding every given element)
+const FILTER_OPERATORS = ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'in', 'is', 'ilike', 'contains'];
+
+// Filters can be given as { column: value } for equality checks
+// or as an array of [column, operator, value] tuples. An entry may also be
+// an { or: [...] } / { and: [...] } group of further entries.
+const isGroup = (entry) => !Array.isArray(entry) && entry !== null && typeof entry === 'object';
+
+const validateFilter = (entry) => {
+  if (isGroup(entry)) {
+    const [kind] = Object.keys(entry);
+    if (!['or', 'and'].includes(kind) || !Array.isArray(entry[kind])) {
+      throw new Error('Filter groups must be { or: [...] } or { and: [...] }');
+    }
+    entry[kind].forEach(validateFilter);
+    return;
+  }
+
+  const [column, op] = entry;
+  if (!FILTER_OPERATORS.includes(op)) {
+    throw new Error(`Unsupported filter operator "${op}" on ${column}`);
+  }
+};
+
+const normalizeFilters = (filters = []) => {
+  const list = Array.isArray(filters)
+    ? filters
+    : Object.entries(filters).map(([column, value]) => [column, value === null ? 'is' : 'eq', value]);
+
+  list.forEach(validateFilter);
+  return list;
+};
+
+// Order can be a column name, { column, ascending, nullsFirst } or an array of either.
+// Without nullsFirst, nulls sort as the database defaults (last ascending, first descending).
+const normalizeOrder = (order) => {
+  if (!order) return [];
+  const list = Array.isArray(order) ? order : [order];
+  return list.map(entry => (typeof entry === 'string' ? { column: entry, ascending: true } : entry));
+};
+
+// Error raised when a single row was requested but none matched.
+// Uses PostgREST's code so callers can treat every backend the same way.
+const notFoundError = (table) => {
+  const error = new Error(`No matching row found in ${table}`);
+  error.code = 'PGRST116';
+  return error;
+};
+
+module.exports = {
+  FILTER_OPERATORS,
+  isGroup,
+  normalizeFilters,
+  normalizeOrder,
+  notFoundError
+};
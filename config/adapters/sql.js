@@ -0,0 +1,268 @@
+const crypto = require('crypto');
+const { migrate } = require('../migrations');
+const { isGroup, normalizeFilters, normalizeOrder, notFoundError } = require('./query');
+
+const IDENTIFIER = /^[a-z_][a-z0-9_]*$/i;
+
+const quoteIdent = (name) => {
+  if (!IDENTIFIER.test(name)) {
+    throw new Error(`Invalid identifier: ${name}`);
+  }
+  return `"${name}"`;
+};
+
+const quoteColumns = (columns = '*') => {
+  if (columns === '*') return '*';
+  return columns.split(',').map(column => quoteIdent(column.trim())).join(', ');
+};
+
+// node-postgres would send JS arrays as Postgres arrays, but our JSON columns expect JSON
+const toParam = (value) => {
+  if (value !== null && typeof value === 'object' && !(value instanceof Date) && !Buffer.isBuffer(value)) {
+    return JSON.stringify(value);
+  }
+  return value;
+};
+
+// Create a pg Pool, or an in-process pg-mem pool when no server is available
+const createPool = ({ connectionString, inMemory = false } = {}) => {
+  if (inMemory) {
+    const { newDb, DataType } = require('pg-mem');
+    // pg-mem rejects any statement with parts its planner does not read, such as the
+    // precision in the schema's DECIMAL(p,s) columns; turn that check off and accept
+    // that those parts are ignored
+    const db = newDb({ noAstCoverageCheck: true });
+
+    db.public.registerFunction({
+      name: 'gen_random_uuid',
+      returns: DataType.uuid,
+      implementation: () => crypto.randomUUID(),
+      impure: true
+    });
+
+    const { Pool } = db.adapters.createPg();
+    return new Pool();
+  }
+
+  const { Pool } = require('pg');
+  return new Pool({ connectionString });
+};
+
+// Storage adapter backed by plain Postgres (or pg-mem) through a pg-compatible pool
+const createSqlAdapter = (options = {}) => {
+  const inMemory = Boolean(options.inMemory);
+  const pool = options.pool || createPool({ connectionString: options.connectionString, inMemory });
+  // Bring the database up to date with migrations/ before the first query
+  const ready = options.migrate === false
+    ? Promise.resolve()
+    : migrate(pool, { dialect: inMemory ? 'memory' : 'postgres' });
+
+  const run = async (text, params = []) => {
+    await ready;
+    const { rows } = await pool.query(text, params);
+    return rows;
+  };
+
+  const buildCondition = (entry, params) => {
+    if (isGroup(entry)) {
+      const [kind] = Object.keys(entry);
+      if (entry[kind].length === 0) return kind === 'and' ? 'TRUE' : 'FALSE';
+      const parts = entry[kind].map(child => buildCondition(child, params));
+      return `(${parts.join(kind === 'and' ? ' AND ' : ' OR ')})`;
+    }
+
+    const [column, op, value] = entry;
+    const col = quoteIdent(column);
+
+    switch (op) {
+      case 'eq': params.push(toParam(value)); return `${col} = $${params.length}`;
+      case 'neq': params.push(toParam(value)); return `${col} <> $${params.length}`;
+      case 'gt': params.push(value); return `${col} > $${params.length}`;
+      case 'gte': params.push(value); return `${col} >= $${params.length}`;
+      case 'lt': params.push(value); return `${col} < $${params.length}`;
+      case 'lte': params.push(value); return `${col} <= $${params.length}`;
+      case 'ilike': params.push(value); return `${col} ILIKE $${params.length}`;
+      case 'is': return `${col} IS ${value === null ? 'NULL' : value ? 'TRUE' : 'FALSE'}`;
+      case 'contains': params.push(JSON.stringify(value)); return `${col} @> $${params.length}::jsonb`;
+      case 'in': {
+        if (!value || value.length === 0) return 'FALSE';
+        const placeholders = value.map(item => {
+          params.push(item);
+          return `$${params.length}`;
+        });
+        return `${col} IN (${placeholders.join(', ')})`;
+      }
+    }
+  };
+
+  const buildWhere = (filters, params) => {
+    const clauses = normalizeFilters(filters).map(entry => buildCondition(entry, params));
+    return clauses.length > 0 ? ` WHERE ${clauses.join(' AND ')}` : '';
+  };
+
+  // Resolve many-to-one embeds with one extra query per relation; a relation's own
+  // embed is resolved on the related rows
+  const attachEmbeds = async (rows, embed = {}) => {
+    for (const [alias, relation] of Object.entries(embed)) {
+      const ids = [...new Set(rows.map(row => row[relation.foreignKey]).filter(Boolean))];
+      let related = [];
+
+      if (ids.length > 0) {
+        const nestedKeys = Object.values(relation.embed || {}).map(nested => nested.foreignKey);
+        const wanted = relation.columns ? relation.columns.split(',').map(column => column.trim()) : null;
+        const columns = wanted ? quoteColumns([...new Set(['id', ...wanted, ...nestedKeys])].join(',')) : '*';
+        const placeholders = ids.map((_, index) => `$${index + 1}`).join(', ');
+        related = await attachEmbeds(await run(`SELECT ${columns} FROM ${quoteIdent(relation.table)} WHERE "id" IN (${placeholders})`, ids), relation.embed);
+      }
+
+      const byId = new Map(related.map(row => [String(row.id), row]));
+      rows.forEach(row => {
+        row[alias] = byId.get(String(row[relation.foreignKey])) || null;
+      });
+    }
+
+    return rows;
+  };
+
+  const expectOne = (rows, table, { single, maybeSingle }) => {
+    if (single && rows.length !== 1) throw notFoundError(table);
+    if (maybeSingle) return rows[0] || null;
+    return single ? rows[0] : rows;
+  };
+
+  return {
+    name: inMemory ? 'memory' : 'postgres',
+    pool,
+    ready,
+
+    async select(table, { columns, embed, filters, order, limit, offset = 0, single, maybeSingle } = {}) {
+      const params = [];
+      let sql = `SELECT ${quoteColumns(columns)} FROM ${quoteIdent(table)}${buildWhere(filters, params)}`;
+
+      const orderBy = normalizeOrder(order)
+        .map(({ column, ascending = true, nullsFirst }) => {
+          const nulls = nullsFirst === undefined ? '' : ` NULLS ${nullsFirst ? 'FIRST' : 'LAST'}`;
+          return `${quoteIdent(column)} ${ascending ? 'ASC' : 'DESC'}${nulls}`;
+        });
+      if (orderBy.length > 0) sql += ` ORDER BY ${orderBy.join(', ')}`;
+
+      if (limit !== undefined) {
+        params.push(limit, offset);
+        sql += ` LIMIT $${params.length - 1} OFFSET $${params.length}`;
+      }
+
+      const rows = await attachEmbeds(await run(sql, params), embed);
+      return expectOne(rows, table, { single, maybeSingle });
+    },
+
+    async count(table, { filters } = {}) {
+      const params = [];
+      const rows = await run(`SELECT COUNT(*) AS count FROM ${quoteIdent(table)}${buildWhere(filters, params)}`, params);
+      return parseInt(rows[0].count, 10);
+    },
+
+    async insert(table, row) {
+      const columns = Object.keys(row);
+      const params = columns.map(column => toParam(row[column]));
+      const placeholders = columns.map((_, index) => `$${index + 1}`);
+
+      const rows = await run(
+        `INSERT INTO ${quoteIdent(table)} (${columns.map(quoteIdent).join(', ')}) VALUES (${placeholders.join(', ')}) RETURNING *`,
+        params
+      );
+      return rows[0];
+    },
+
+    async update(table, filters, updates, { single } = {}) {
+      const params = [];
+      const assignments = Object.keys(updates).map(column => {
+        params.push(toParam(updates[column]));
+        return `${quoteIdent(column)} = $${params.length}`;
+      });
+
+      const rows = await run(
+        `UPDATE ${quoteIdent(table)} SET ${assignments.join(', ')}${buildWhere(filters, params)} RETURNING *`,
+        params
+      );
+      return expectOne(rows, table, { single });
+    },
+
+    async upsert(table, row, { onConflict = 'id' } = {}) {
+      const columns = Object.keys(row);
+      const conflictColumns = onConflict.split(',').map(column => column.trim());
+      const params = columns.map(column => toParam(row[column]));
+      const placeholders = columns.map((_, index) => `$${index + 1}`);
+      const assignments = columns
+        .filter(column => !conflictColumns.includes(column))
+        .map(column => `${quoteIdent(column)} = EXCLUDED.${quoteIdent(column)}`);
+
+      const rows = await run(
+        `INSERT INTO ${quoteIdent(table)} (${columns.map(quoteIdent).join(', ')}) VALUES (${placeholders.join(', ')}) ` +
+        `ON CONFLICT (${conflictColumns.map(quoteIdent).join(', ')}) ` +
+        (assignments.length > 0 ? `DO UPDATE SET ${assignments.join(', ')}` : 'DO NOTHING') +
+        ' RETURNING *',
+        params
+      );
+      return rows[0];
+    },
+
+    // Insert many rows in one statement; every row must have the same columns
+    async insertMany(table, rows) {
+      if (rows.length === 0) return [];
+
+      const columns = Object.keys(rows[0]);
+      const params = [];
+      const values = rows.map(row => {
+        const placeholders = columns.map(column => {
+          params.push(toParam(row[column]));
+          return `$${params.length}`;
+        });
+        return `(${placeholders.join(', ')})`;
+      });
+
+      return run(
+        `INSERT INTO ${quoteIdent(table)} (${columns.map(quoteIdent).join(', ')}) VALUES ${values.join(', ')} RETURNING *`,
+        params
+      );
+    },
+
+    // Insert or update many rows in one statement, so either all of them are written or none.
+    // Every row must have the same columns.
+    async upsertMany(table, rows, { onConflict = 'id' } = {}) {
+      if (rows.length === 0) return [];
+
+      const columns = Object.keys(rows[0]);
+      const conflictColumns = onConflict.split(',').map(column => column.trim());
+      const params = [];
+      const values = rows.map(row => {
+        const placeholders = columns.map(column => {
+          params.push(toParam(row[column]));
+          return `$${params.length}`;
+        });
+        return `(${placeholders.join(', ')})`;
+      });
+      const assignments = columns
+        .filter(column => !conflictColumns.includes(column))
+        .map(column => `${quoteIdent(column)} = EXCLUDED.${quoteIdent(column)}`);
+
+      return run(
+        `INSERT INTO ${quoteIdent(table)} (${columns.map(quoteIdent).join(', ')}) VALUES ${values.join(', ')} ` +
+        `ON CONFLICT (${conflictColumns.map(quoteIdent).join(', ')}) ` +
+        (assignments.length > 0 ? `DO UPDATE SET ${assignments.join(', ')}` : 'DO NOTHING') +
+        ' RETURNING *',
+        params
+      );
+    },
+
+    async remove(table, filters) {
+      const params = [];
+      await run(`DELETE FROM ${quoteIdent(table)}${buildWhere(filters, params)}`, params);
+      return null;
+    }
+  };
+};
+
+module.exports = {
+  createSqlAdapter,
+  createPool
+};
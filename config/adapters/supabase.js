@@ -0,0 +1,160 @@
+const { createClient } = require('@supabase/supabase-js');
+const { isGroup, normalizeFilters, normalizeOrder } = require('./query');
+
+// Build a PostgREST select string, e.g. "*, course:courses(id, name)"; relations can
+// embed their own relations
+const buildSelect = (columns = '*', embed = {}) => {
+  const parts = [columns];
+
+  Object.entries(embed).forEach(([alias, relation]) => {
+    const target = relation.constraint ? `${relation.table}!${relation.constraint}` : relation.table;
+    parts.push(`${alias}:${target}(${buildSelect(relation.columns || '*', relation.embed)})`);
+  });
+
+  return parts.join(', ');
+};
+
+// Quote a value for use inside a PostgREST or()/and() expression
+const quoteValue = (value) => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+// Render a filter entry in PostgREST's logical-operator syntax, e.g. "and(role.eq.admin,id.gt.5)"
+const renderCondition = (entry) => {
+  if (isGroup(entry)) {
+    const [kind] = Object.keys(entry);
+    return `${kind}(${entry[kind].map(renderCondition).join(',')})`;
+  }
+
+  const [column, op, value] = entry;
+  if (op === 'in') return `${column}.in.(${value.map(quoteValue).join(',')})`;
+  if (op === 'is') return `${column}.is.${value}`;
+  if (op === 'contains') return `${column}.cs.${JSON.stringify(value)}`;
+  return `${column}.${op}.${quoteValue(value)}`;
+};
+
+const applyFilters = (query, filters) => {
+  normalizeFilters(filters).forEach(entry => {
+    if (isGroup(entry)) {
+      const [kind] = Object.keys(entry);
+      query = kind === 'or'
+        ? query.or(entry.or.map(renderCondition).join(','))
+        : applyFilters(query, entry.and);
+      return;
+    }
+
+    const [column, op, value] = entry;
+    query = query[op](column, value);
+  });
+  return query;
+};
+
+// Storage adapter backed by a hosted Supabase project
+const createSupabaseAdapter = (options = {}) => {
+  const client = options.client || createClient(options.url, options.serviceKey, {
+    auth: {
+      autoRefreshToken: false,
+      persistSession: false
+    }
+  });
+
+  return {
+    name: 'supabase',
+    client,
+
+    async select(table, { columns, embed, filters, order, limit, offset = 0, single, maybeSingle } = {}) {
+      let query = client.from(table).select(buildSelect(columns, embed));
+      query = applyFilters(query, filters);
+
+      normalizeOrder(order).forEach(({ column, ascending = true, nullsFirst }) => {
+        query = query.order(column, nullsFirst === undefined ? { ascending } : { ascending, nullsFirst });
+      });
+
+      if (limit !== undefined) {
+        query = query.range(offset, offset + limit - 1);
+      }
+
+      if (single) query = query.single();
+      else if (maybeSingle) query = query.maybeSingle();
+
+      const { data, error } = await query;
+
+      if (error) throw error;
+      return data;
+    },
+
+    async count(table, { filters } = {}) {
+      let query = client.from(table).select('*', { count: 'exact', head: true });
+      query = applyFilters(query, filters);
+
+      const { count, error } = await query;
+
+      if (error) throw error;
+      return count;
+    },
+
+    async insert(table, row) {
+      const { data, error } = await client
+        .from(table)
+        .insert(row)
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    },
+
+    async update(table, filters, updates, { single } = {}) {
+      let query = applyFilters(client.from(table).update(updates), filters).select();
+      if (single) query = query.single();
+
+      const { data, error } = await query;
+
+      if (error) throw error;
+      return data;
+    },
+
+    async upsert(table, row, { onConflict } = {}) {
+      const { data, error } = await client
+        .from(table)
+        .upsert(row, onConflict ? { onConflict } : undefined)
+        .select()
+        .single();
+
+      if (error) throw error;
+      return data;
+    },
+
+    async insertMany(table, rows) {
+      if (rows.length === 0) return [];
+
+      const { data, error } = await client.from(table).insert(rows).select();
+
+      if (error) throw error;
+      return data;
+    },
+
+    // Insert or update many rows in one request (a single statement, so all or nothing)
+    async upsertMany(table, rows, { onConflict } = {}) {
+      if (rows.length === 0) return [];
+
+      const { data, error } = await client
+        .from(table)
+        .upsert(rows, onConflict ? { onConflict } : undefined)
+        .select();
+
+      if (error) throw error;
+      return data;
+    },
+
+    async remove(table, filters) {
+      const { data, error } = await applyFilters(client.from(table).delete(), filters);
+
+      if (error) throw error;
+      return data;
+    }
+  };
+};
+
+module.exports = {
+  createSupabaseAdapter,
+  buildSelect
+};
@@ -0,0 +1,144 @@
+// Assessment attempt policies: how many attempts a student gets, how long they
+// wait between attempts, and which attempt's score counts.
+const SCORING_RULES = ['highest', 'latest', 'average', 'first'];
+
+const DEFAULT_POLICY = {
+  maxAttempts: 1,
+  cooldownMinutes: 0,
+  scoringRule: 'highest'
+};
+
+const getAttemptPolicy = (assessment = {}) => ({
+  maxAttempts: parseInt(assessment.max_attempts, 10) || DEFAULT_POLICY.maxAttempts,
+  cooldownMinutes: parseInt(assessment.attempt_cooldown_minutes, 10) || DEFAULT_POLICY.cooldownMinutes,
+  scoringRule: SCORING_RULES.includes(assessment.scoring_rule) ? assessment.scoring_rule : DEFAULT_POLICY.scoringRule
+});
+
+// Validate policy fields submitted with an assessment; returns { isValid, errors }
+const validateAttemptPolicy = ({ max_attempts, attempt_cooldown_minutes, scoring_rule } = {}) => {
+  const errors = [];
+
+  if (max_attempts !== undefined && !(Number.isInteger(Number(max_attempts)) && Number(max_attempts) >= 1)) {
+    errors.push('Maximum attempts must be a whole number of at least 1');
+  }
+  if (attempt_cooldown_minutes !== undefined && !(Number.isInteger(Number(attempt_cooldown_minutes)) && Number(attempt_cooldown_minutes) >= 0)) {
+    errors.push('Cooldown must be a whole number of minutes');
+  }
+  if (scoring_rule !== undefined && !SCORING_RULES.includes(scoring_rule)) {
+    errors.push(`Scoring rule must be one of: ${SCORING_RULES.join(', ')}`);
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+};
+
+// Decide whether a student may start another attempt.
+// attempts are the student's assessment_attempts rows for this assessment.
+const checkAttemptAllowed = (assessment, attempts = [], now = new Date()) => {
+  const policy = getAttemptPolicy(assessment);
+  const inProgress = attempts.find(attempt => attempt.status === 'in_progress');
+
+  if (inProgress) {
+    return { allowed: true, resume: inProgress, policy };
+  }
+
+  if (attempts.length >= policy.maxAttempts) {
+    return {
+      allowed: false,
+      reason: `You have used all ${policy.maxAttempts} attempt(s) for this assessment`,
+      policy
+    };
+  }
+
+  const last = attempts.reduce((latest, attempt) =>
+    (!latest || attempt.attempt_number > latest.attempt_number ? attempt : latest), null);
+
+  if (last && policy.cooldownMinutes > 0) {
+    const availableAt = new Date(new Date(last.submitted_at || last.started_at).getTime() + policy.cooldownMinutes * 60000);
+    if (availableAt > now) {
+      return {
+        allowed: false,
+        reason: `Your next attempt is available at ${availableAt.toISOString()}`,
+        availableAt,
+        policy
+      };
+    }
+  }
+
+  return {
+    allowed: true,
+    attemptNumber: last ? last.attempt_number + 1 : 1,
+    attemptsRemaining: policy.maxAttempts - attempts.length - 1,
+    policy
+  };
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Reduce all of a student's results for one assessment to the score that counts.
+// gradeFor(percentage) letters an average of several attempts; without it that grade is null.
+const scoreAttempts = (results, scoringRule, gradeFor = null) => {
+  const attempts = [...results].sort((a, b) => (a.attempt_number || 1) - (b.attempt_number || 1));
+  if (attempts.length === 0) return null;
+
+  const percentageOf = result => parseFloat(result.percentage || 0);
+
+  switch (scoringRule) {
+    case 'first':
+      return attempts[0];
+    case 'latest':
+      return attempts[attempts.length - 1];
+    case 'average': {
+      const average = (key) => round2(attempts.reduce((sum, result) => sum + parseFloat(result[key] || 0), 0) / attempts.length);
+      const percentage = average('percentage');
+      return {
+        ...attempts[attempts.length - 1],
+        score: average('score'),
+        percentage,
+        grade: attempts.length > 1 ? (gradeFor ? gradeFor(percentage) : null) : attempts[0].grade
+      };
+    }
+    default:
+      return attempts.reduce((best, result) => (percentageOf(result) > percentageOf(best) ? result : best));
+  }
+};
+
+// Replace each listed result (the latest attempt) with the attempt that counts under
+// its assessment's scoring rule. allResults holds every attempt for the same
+// students and assessments; rows gain attempt_count and counted_attempt.
+// gradeFor(row, percentage) letters averaged attempts in the row's course.
+const applyScoringRules = (rows, allResults, policies = {}, gradeFor = null) => {
+  const groups = new Map();
+  allResults.forEach(result => {
+    const key = `${result.student_id}:${result.assessment_id}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(result);
+  });
+
+  return rows.map(row => {
+    const attempts = groups.get(`${row.student_id}:${row.assessment_id}`) || [row];
+    const rule = getAttemptPolicy(policies[row.assessment_id] || row.assessment).scoringRule;
+    const counted = scoreAttempts(attempts, rule, gradeFor && (percentage => gradeFor(row, percentage)));
+
+    return {
+      ...row,
+      score: counted.score,
+      percentage: counted.percentage,
+      grade: counted.grade,
+      attempt_count: attempts.length,
+      counted_attempt: rule === 'average' ? null : counted.attempt_number || 1,
+      scoring_rule: rule
+    };
+  });
+};
+
+module.exports = {
+  SCORING_RULES,
+  getAttemptPolicy,
+  validateAttemptPolicy,
+  checkAttemptAllowed,
+  scoreAttempts,
+  applyScoringRules
+};
@@ -0,0 +1,288 @@
+// Attendance registers.
+//
+// Staff open a register (attendance session) for a class meeting of a course and mark
+// each actively enrolled student present, absent, late or excused, or open it for a few
+// minutes of self check-in with a short code. A student's attendance rate counts the
+// registers held since they enrolled: present and late attend, excused registers are
+// left out, and a student without a mark is absent once check-in has closed.
+const crypto = require('crypto');
+const { dbHelpers } = require('./database');
+const settings = require('./settings');
+const calendar = require('./calendar');
+
+const STATUSES = ['present', 'absent', 'late', 'excused'];
+const ATTENDED = ['present', 'late'];
+
+// Check-in codes avoid look-alike characters (0/O, 1/I/L) so they can be read off a screen
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 6;
+const MAX_CHECK_IN_MINUTES = 120;
+
+// Checking in this long after the register's start time counts as late
+const LATE_AFTER_MINUTES = 10;
+
+// Rates over fewer registers than this are too noisy to raise an alert
+const MIN_REGISTERS_FOR_ALERT = 3;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)(:[0-5]\d)?$/;
+
+// Register with its DATE column as 'YYYY-MM-DD' and TIME as 'HH:MM'
+const formatSession = (session) => ({
+  ...session,
+  held_on: calendar.dateOnly(session.held_on),
+  starts_at: session.starts_at ? String(session.starts_at).slice(0, 5) : null
+});
+
+// A new register, or changes to one; course_session_id must be a timetabled session of the course
+const validateAttendanceSession = async (courseId, { held_on, starts_at, title, course_session_id } = {}) => {
+  const errors = [];
+  const values = {
+    held_on: calendar.dateOnly(held_on),
+    starts_at: starts_at ? String(starts_at).slice(0, 5) : null,
+    title: title ? String(title).trim().slice(0, 200) : null,
+    course_session_id: course_session_id || null
+  };
+
+  if (!calendar.isDate(values.held_on)) errors.push('Date must be YYYY-MM-DD');
+  if (values.starts_at && !TIME_PATTERN.test(values.starts_at)) errors.push('Start time must be HH:MM');
+  if (values.course_session_id) {
+    const courseSession = await dbHelpers.getSessionById(values.course_session_id);
+    if (!courseSession || courseSession.course_id !== courseId) {
+      errors.push('Unknown timetabled session for this course');
+    } else if (!values.starts_at) {
+      values.starts_at = String(courseSession.starts_at).slice(0, 5);
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    values
+  };
+};
+
+const generateCheckInCode = () => Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]).join('');
+
+// Open self check-in for `minutes` (the check_in_minutes setting by default); a new
+// code replaces any earlier one. Codes are unique among the registers open right now.
+const openCheckIn = async (attendanceSession, minutes = null, now = new Date()) => {
+  const duration = minutes || await settings.get('check_in_minutes');
+  let code;
+  do {
+    code = generateCheckInCode();
+  } while (await dbHelpers.getOpenAttendanceSessionByCode(code, now));
+
+  return dbHelpers.updateAttendanceSession(attendanceSession.id, {
+    check_in_code: code,
+    check_in_expires_at: new Date(now.getTime() + duration * 60 * 1000).toISOString()
+  });
+};
+
+const closeCheckIn = (attendanceSession) => dbHelpers.updateAttendanceSession(attendanceSession.id, {
+  check_in_code: null,
+  check_in_expires_at: null
+});
+
+const isCheckInOpen = (attendanceSession, now = new Date()) => Boolean(
+  attendanceSession.check_in_code &&
+  attendanceSession.check_in_expires_at &&
+  new Date(attendanceSession.check_in_expires_at) > now
+);
+
+const parseCheckInMinutes = (value) => {
+  if (value === undefined || value === null || value === '') return { value: null };
+  const minutes = parseInt(value, 10);
+  if (!(minutes >= 1 && minutes <= MAX_CHECK_IN_MINUTES)) {
+    return { error: `Check-in must stay open for 1 to ${MAX_CHECK_IN_MINUTES} minutes` };
+  }
+  return { value: minutes };
+};
+
+// The register's roster: every actively enrolled student with their mark, if any
+const buildRoster = async (attendanceSession) => {
+  const [enrollments, records] = await Promise.all([
+    dbHelpers.getCourseEnrollments(attendanceSession.course_id),
+    dbHelpers.getAttendanceRecords([attendanceSession.id])
+  ]);
+  const recordsByStudent = new Map(records.map(record => [record.student_id, record]));
+
+  return enrollments
+    .map(enrollment => {
+      const record = recordsByStudent.get(enrollment.student_id);
+      return {
+        student: enrollment.student,
+        student_id: enrollment.student_id,
+        status: record ? record.status : null,
+        method: record ? record.method : null,
+        note: record ? record.note : null,
+        marked_at: record ? record.marked_at : null
+      };
+    })
+    .sort((a, b) => `${a.student?.last_name} ${a.student?.first_name}`.localeCompare(`${b.student?.last_name} ${b.student?.first_name}`));
+};
+
+// Staff marks for a register: [{ student_id, status, note }] for students on its roster
+const validateMarks = (marks, roster) => {
+  const errors = [];
+  const onRoster = new Set(roster.map(entry => entry.student_id));
+
+  if (!Array.isArray(marks) || marks.length === 0) {
+    return { isValid: false, errors: ['Send at least one mark'], values: [] };
+  }
+
+  const values = marks.map(({ student_id, status, note }, index) => {
+    if (!onRoster.has(student_id)) errors.push(`Mark ${index + 1}: student is not enrolled in this course`);
+    if (!STATUSES.includes(status)) errors.push(`Mark ${index + 1}: status must be one of ${STATUSES.join(', ')}`);
+    return { student_id, status, note: note ? String(note).trim() : null };
+  });
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    values
+  };
+};
+
+const saveMarks = (attendanceSession, marks, markedBy, now = new Date()) => dbHelpers.saveAttendanceRecords(marks.map(mark => ({
+  attendance_session_id: attendanceSession.id,
+  student_id: mark.student_id,
+  status: mark.status,
+  method: 'manual',
+  note: mark.note,
+  marked_by: markedBy,
+  marked_at: now.toISOString()
+})));
+
+// A student entering a register's code. Resolves to { allowed, reason } like
+// requestEnrollment, with the student's mark when allowed.
+const checkIn = async (studentId, attendanceSession, now = new Date()) => {
+  const [enrollment, existing] = await Promise.all([
+    dbHelpers.getEnrollment(studentId, attendanceSession.course_id),
+    dbHelpers.getAttendanceRecord(attendanceSession.id, studentId)
+  ]);
+
+  if (!enrollment || enrollment.status !== 'active') {
+    return { allowed: false, reason: 'You are not enrolled in this course' };
+  }
+  if (existing) {
+    return { allowed: false, reason: `You are already marked ${existing.status} for this class` };
+  }
+
+  const { held_on: heldOn, starts_at: startsAt } = formatSession(attendanceSession);
+  const lateFrom = startsAt ? new Date(`${heldOn}T${startsAt}:00`).getTime() + LATE_AFTER_MINUTES * 60 * 1000 : null;
+  const [record] = await dbHelpers.saveAttendanceRecords([{
+    attendance_session_id: attendanceSession.id,
+    student_id: studentId,
+    status: lateFrom && now.getTime() > lateFrom ? 'late' : 'present',
+    method: 'code',
+    marked_by: studentId,
+    marked_at: now.toISOString()
+  }]);
+  return { allowed: true, record };
+};
+
+const percentage = (attended, counted) => (counted > 0 ? Math.round((attended / counted) * 1000) / 10 : null);
+
+// Attendance per student and course for registers held up to today. Limit to one
+// student with { studentId }. Returns one entry per active enrollment.
+const attendanceRates = async (courseIds, { studentId = null, now = new Date() } = {}) => {
+  const [registers, enrollments] = await Promise.all([
+    dbHelpers.getAttendanceSessionsHeldBy(courseIds, now.toISOString().slice(0, 10)),
+    dbHelpers.getActiveEnrollmentDates(courseIds)
+  ]);
+  const records = await dbHelpers.getAttendanceRecords(registers.map(register => register.id));
+  const marks = new Map(records.map(record => [`${record.attendance_session_id}:${record.student_id}`, record.status]));
+
+  return enrollments
+    .filter(enrollment => !studentId || enrollment.student_id === studentId)
+    .map(enrollment => {
+      const since = calendar.dateOnly(enrollment.enrollment_date);
+      const counts = { present: 0, absent: 0, late: 0, excused: 0, unmarked: 0 };
+
+      registers
+        .filter(register => register.course_id === enrollment.course_id)
+        .forEach(register => {
+          const status = marks.get(`${register.id}:${enrollment.student_id}`);
+          if (status) {
+            counts[status] += 1;
+          } else if (calendar.dateOnly(register.held_on) >= since && !isCheckInOpen(register, now)) {
+            counts.unmarked += 1;
+          }
+        });
+
+      // Excused registers are left out of the rate
+      const attended = ATTENDED.reduce((sum, status) => sum + counts[status], 0);
+      const counted = attended + counts.absent + counts.unmarked;
+      return {
+        course_id: enrollment.course_id,
+        student_id: enrollment.student_id,
+        ...counts,
+        counted,
+        attended,
+        percentage: percentage(attended, counted)
+      };
+    });
+};
+
+// Rates below the attendance_threshold setting, once enough registers have been held
+const belowThreshold = async (rates) => {
+  const threshold = await settings.get('attendance_threshold');
+  return {
+    threshold,
+    alerts: rates.filter(rate => rate.counted >= MIN_REGISTERS_FOR_ALERT && rate.percentage !== null && rate.percentage < threshold)
+  };
+};
+
+// Dashboard notifications (see GET /api/notifications): students see their own courses
+// below the threshold, staff one entry per course they teach with students below it
+const thresholdNotifications = async (user) => {
+  if (user.role === 'student') {
+    const enrollments = await dbHelpers.getStudentEnrollments(user.id);
+    const { threshold, alerts } = await belowThreshold(await attendanceRates(enrollments.map(enrollment => enrollment.course_id), { studentId: user.id }));
+    const codes = new Map(enrollments.map(enrollment => [enrollment.course_id, enrollment.course ? enrollment.course.code : '']));
+
+    return alerts.map(alert => ({
+      type: 'error',
+      title: 'Low Attendance',
+      message: `Your attendance in ${codes.get(alert.course_id)} is ${alert.percentage}% (minimum ${threshold}%)`,
+      link: '/student/courses',
+      count: 1
+    }));
+  }
+
+  const courseIds = await dbHelpers.getTaughtCourseIds(user.id);
+  if (courseIds.length === 0) return [];
+  const [{ threshold, alerts }, courses] = await Promise.all([
+    attendanceRates(courseIds).then(belowThreshold),
+    dbHelpers.getCoursesByIds(courseIds)
+  ]);
+
+  return courses
+    .map(course => ({ course, count: alerts.filter(alert => alert.course_id === course.id).length }))
+    .filter(({ count }) => count > 0)
+    .map(({ course, count }) => ({
+      type: 'warning',
+      title: 'Low Attendance',
+      message: `${count} student(s) in ${course.code} are below ${threshold}% attendance`,
+      link: `/lecturer/attendance?course=${course.id}`,
+      count
+    }));
+};
+
+module.exports = {
+  STATUSES,
+  ATTENDED,
+  formatSession,
+  validateAttendanceSession,
+  openCheckIn,
+  closeCheckIn,
+  isCheckInOpen,
+  parseCheckInMinutes,
+  buildRoster,
+  validateMarks,
+  saveMarks,
+  checkIn,
+  attendanceRates,
+  belowThreshold,
+  thresholdNotifications
+};
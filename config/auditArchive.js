@@ -0,0 +1,247 @@
+// Audit log retention and archival.
+//
+// Each entry belongs to a category by its action, and each category keeps entries for
+// the days in its audit_retention_*_days setting (0 keeps them for good).
+// archiveExpiredEntries(), run from scripts/archive-audit-log.js, writes the expired
+// entries to a gzipped JSON Lines file in AUDIT_ARCHIVE_DIR with a manifest beside it,
+// records the archive and each chained entry's seq and hashes (which keep the chain in
+// config/auditChain.js whole), and only then deletes the rows. restoreArchive() puts an
+// archive's entries back for an investigation; restored entries are not archived again
+// until removeRestored() takes them out.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { storage } = require('./database');
+const settings = require('./settings');
+const { hashEntry, searchTextOf } = require('./auditChain');
+const { logAuditEvent } = require('../middleware/audit');
+
+const ARCHIVE_DIR = process.env.AUDIT_ARCHIVE_DIR || path.join(__dirname, '..', 'audit-archives');
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SCAN_BATCH_SIZE = 1000;
+const WRITE_BATCH_SIZE = 500;
+
+// Per run; the next run picks up whatever is left
+const MAX_ARCHIVE_ENTRIES = 100000;
+
+// Checked in order; the first match wins
+const CATEGORIES = {
+  auth: { label: 'Authentication', setting: 'audit_retention_auth_days', matches: action => action.startsWith('AUTH_') },
+  export: { label: 'Exports', setting: 'audit_retention_export_days', matches: action => action.startsWith('EXPORT_') },
+  change: { label: 'Data changes', setting: 'audit_retention_change_days', matches: action => action.startsWith('RECORD_') || action === 'SETTING_UPDATED' },
+  activity: { label: 'Other activity', setting: 'audit_retention_activity_days', matches: () => true }
+};
+
+const categoryOf = (entry) => Object.keys(CATEGORIES).find(key => CATEGORIES[key].matches(entry.action || ''));
+
+// { category: Date entries older than which have expired, or null when kept for good }
+const getCutoffs = async (now) => {
+  const values = await settings.getAll();
+  return Object.fromEntries(Object.entries(CATEGORIES).map(([key, { setting }]) => [
+    key,
+    values[setting] > 0 ? new Date(now.getTime() - values[setting] * DAY_MS) : null
+  ]));
+};
+
+const inBatches = async (items, write) => {
+  for (let start = 0; start < items.length; start += WRITE_BATCH_SIZE) {
+    await write(items.slice(start, start + WRITE_BATCH_SIZE));
+  }
+};
+
+// Entries as they are stored in an archive: without the derived and restore-only columns
+const toArchived = (entry) => {
+  const archived = { ...entry };
+  delete archived.search_text;
+  delete archived.restored_from;
+  return archived;
+};
+
+const sha256Of = (filePath) => crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+
+const manifestPathOf = (fileName) => path.join(ARCHIVE_DIR, fileName.replace(/\.jsonl\.gz$/, '.manifest.json'));
+
+// Archive every expired entry (up to MAX_ARCHIVE_ENTRIES). Resolves to the audit_archives
+// row, or null when nothing has expired.
+const archiveExpiredEntries = async ({ now = new Date(), userId = null } = {}) => {
+  const cutoffs = await getCutoffs(now);
+  const latestCutoff = Object.values(cutoffs).filter(Boolean).sort((a, b) => b - a)[0];
+  if (!latestCutoff) return null;
+
+  const ids = [];
+  const links = [];
+  const categories = {};
+  let firstCreatedAt = null;
+  let lastCreatedAt = null;
+
+  // Entries from before the hash chain first, then chained entries in seq order
+  const scans = [
+    { key: 'id', filters: [['seq', 'is', null]] },
+    { key: 'seq', filters: [['seq', 'gt', 0]] }
+  ];
+
+  async function* expiredLines() {
+    for (const scan of scans) {
+      let after = null;
+      while (ids.length < MAX_ARCHIVE_ENTRIES) {
+        const batch = await storage.select('audit_logs', {
+          filters: [
+            ...scan.filters,
+            ['created_at', 'lt', latestCutoff.toISOString()],
+            ['restored_from', 'is', null],
+            ...(after === null ? [] : [[scan.key, 'gt', after]])
+          ],
+          order: { column: scan.key, ascending: true },
+          limit: SCAN_BATCH_SIZE
+        });
+
+        for (const entry of batch) {
+          const category = categoryOf(entry);
+          const createdAt = new Date(entry.created_at);
+          if (!cutoffs[category] || createdAt >= cutoffs[category] || ids.length >= MAX_ARCHIVE_ENTRIES) continue;
+
+          ids.push(entry.id);
+          if (entry.seq !== null && entry.seq !== undefined) {
+            links.push({ seq: entry.seq, prev_hash: entry.prev_hash, hash: entry.hash });
+          }
+          categories[category] = (categories[category] || 0) + 1;
+          if (!firstCreatedAt || createdAt < firstCreatedAt) firstCreatedAt = createdAt;
+          if (!lastCreatedAt || createdAt > lastCreatedAt) lastCreatedAt = createdAt;
+          yield `${JSON.stringify(toArchived(entry))}\n`;
+        }
+
+        if (batch.length < SCAN_BATCH_SIZE) break;
+        after = batch[batch.length - 1][scan.key];
+      }
+    }
+  }
+
+  const fileName = `audit-${now.toISOString().replace(/[:.]/g, '-')}.jsonl.gz`;
+  const filePath = path.join(ARCHIVE_DIR, fileName);
+  fs.mkdirSync(ARCHIVE_DIR, { recursive: true });
+  await pipeline(Readable.from(expiredLines()), zlib.createGzip(), fs.createWriteStream(filePath, { flags: 'wx' }));
+
+  if (ids.length === 0) {
+    fs.unlinkSync(filePath);
+    return null;
+  }
+
+  const manifest = {
+    file: fileName,
+    sha256: sha256Of(filePath),
+    size_bytes: fs.statSync(filePath).size,
+    entry_count: ids.length,
+    categories,
+    first_created_at: firstCreatedAt.toISOString(),
+    last_created_at: lastCreatedAt.toISOString(),
+    seq: links.length > 0 ? { first: Number(links[0].seq), last: Number(links[links.length - 1].seq) } : null,
+    retention_days: Object.fromEntries(Object.keys(CATEGORIES).map(key => [key, cutoffs[key] ? Math.round((now - cutoffs[key]) / DAY_MS) : 0])),
+    created_at: now.toISOString()
+  };
+  fs.writeFileSync(manifestPathOf(fileName), `${JSON.stringify(manifest, null, 2)}\n`);
+
+  const archive = await storage.insert('audit_archives', {
+    file_name: fileName,
+    sha256: manifest.sha256,
+    size_bytes: manifest.size_bytes,
+    entry_count: manifest.entry_count,
+    categories,
+    first_created_at: manifest.first_created_at,
+    last_created_at: manifest.last_created_at,
+    created_by: userId
+  });
+  await inBatches(links, batch => storage.insertMany('audit_archived_entries', batch.map(link => ({ ...link, archive_id: archive.id }))));
+  await inBatches(ids, batch => storage.remove('audit_logs', [['id', 'in', batch]]));
+
+  await logAuditEvent(userId, 'AUDIT_ARCHIVED', 'audit_archives', archive.id, null, { file: fileName, entries: ids.length, categories });
+  return archive;
+};
+
+const listArchives = () => storage.select('audit_archives', {
+  embed: {
+    creator: { table: 'users', foreignKey: 'created_by', columns: 'first_name, last_name, email' },
+    restorer: { table: 'users', foreignKey: 'restored_by', columns: 'first_name, last_name, email' }
+  },
+  order: { column: 'created_at', ascending: false }
+});
+
+const getArchive = (archiveId) => storage.select('audit_archives', { filters: { id: archiveId }, maybeSingle: true });
+
+// The archive's entries, or null when its file is missing or differs from what was recorded
+const readArchive = (archive) => {
+  const filePath = path.join(ARCHIVE_DIR, archive.file_name);
+  if (!fs.existsSync(filePath) || sha256Of(filePath) !== archive.sha256) return null;
+
+  return zlib.gunzipSync(fs.readFileSync(filePath))
+    .toString('utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => JSON.parse(line));
+};
+
+// Check the file against the recorded checksum and every chained entry against its own
+// hash and the links kept for it. Resolves to { ok, problems: [message] }.
+const checkArchive = async (archive) => {
+  const entries = readArchive(archive);
+  if (!entries) {
+    return { ok: false, problems: [`${archive.file_name} is missing or does not match its recorded checksum`] };
+  }
+
+  const problems = [];
+  if (entries.length !== archive.entry_count) {
+    problems.push(`The file holds ${entries.length} entries, but ${archive.entry_count} were archived`);
+  }
+
+  const rows = await storage.select('audit_archived_entries', { columns: 'seq, prev_hash, hash', filters: { archive_id: archive.id } });
+  const links = new Map(rows.map(link => [Number(link.seq), link]));
+
+  entries.forEach(entry => {
+    if (entry.seq === null || entry.seq === undefined) return;
+    const link = links.get(Number(entry.seq));
+    if (hashEntry(entry) !== entry.hash) {
+      problems.push(`Entry ${entry.seq} was changed after it was written`);
+    } else if (!link || link.hash !== entry.hash || link.prev_hash !== entry.prev_hash) {
+      problems.push(`Entry ${entry.seq} does not match the chain`);
+    }
+  });
+
+  return { ok: problems.length === 0, problems: problems.slice(0, 100) };
+};
+
+// Put an archive's entries back into audit_logs; null when they already are
+const restoreArchive = async (archive, userId) => {
+  if (archive.restored_at) return null;
+
+  const entries = readArchive(archive);
+  await inBatches(entries, batch => storage.insertMany('audit_logs', batch.map(entry => ({
+    ...entry,
+    search_text: searchTextOf(entry),
+    restored_from: archive.id
+  }))));
+
+  return storage.update('audit_archives', { id: archive.id }, { restored_at: new Date().toISOString(), restored_by: userId }, { single: true });
+};
+
+// Delete the restored copies again; the archive file still has them. Null when none are restored.
+const removeRestored = async (archive) => {
+  if (!archive.restored_at) return null;
+
+  await storage.remove('audit_logs', [['restored_from', 'eq', archive.id]]);
+  return storage.update('audit_archives', { id: archive.id }, { restored_at: null, restored_by: null }, { single: true });
+};
+
+module.exports = {
+  ARCHIVE_DIR,
+  CATEGORIES,
+  MAX_ARCHIVE_ENTRIES,
+  archiveExpiredEntries,
+  listArchives,
+  getArchive,
+  readArchive,
+  checkArchive,
+  restoreArchive,
+  removeRestored
+};
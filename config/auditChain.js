@@ -0,0 +1,294 @@
+// Tamper-evident audit log.
+//
+// Every audit_logs row is written through appendEntries(), which gives it the next seq,
+// the previous row's hash as prev_hash and a SHA-256 hash of its own content plus
+// prev_hash. Editing, deleting or reordering rows then breaks the chain at that point.
+// Anyone with database access could rebuild the whole chain, so writeCheckpoint() (run
+// from scripts/audit-checkpoint.js) appends the latest seq and hash, signed with an HMAC
+// key the database never sees, to AUDIT_CHECKPOINT_FILE. verifyChain() checks the rows
+// against each other and against every checkpoint. Rows written before the chain
+// existed have no seq and are reported as unchained. search_text, the entry's JSON
+// values as text for the explorer's free-text search, is derived and left out of the hash.
+// Entries moved out by retention (config/auditArchive.js) leave their seq, prev_hash and
+// hash in audit_archived_entries, which stands in for them in the chain.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { storage } = require('./database');
+
+const GENESIS_HASH = '0'.repeat(64);
+const CHECKPOINT_FILE = process.env.AUDIT_CHECKPOINT_FILE || path.join(__dirname, '..', 'audit-checkpoints.jsonl');
+const VERIFY_BATCH_SIZE = 500;
+const MAX_REPORTED_PROBLEMS = 100;
+
+// Another process took the seq we were about to use; read the new head and try again
+const MAX_APPEND_ATTEMPTS = 5;
+
+const CHAINED_FIELDS = ['seq', 'user_id', 'action', 'table_name', 'record_id', 'old_values', 'new_values', 'changes', 'ip_address', 'user_agent', 'created_at', 'prev_hash'];
+
+const getSigningKey = () => {
+  const secret = process.env.AUDIT_CHECKPOINT_SECRET || process.env.SESSION_SECRET;
+  if (!secret) {
+    throw new Error('AUDIT_CHECKPOINT_SECRET or SESSION_SECRET must be set to sign audit checkpoints');
+  }
+  return secret;
+};
+
+// The database hands back IPv6 addresses in its own notation; hash one spelling of each
+const normalizeIp = (ip) => {
+  if (!ip) return null;
+  const address = String(ip);
+  if (!address.includes(':')) return address;
+  try {
+    return new URL(`http://[${address}]`).hostname.slice(1, -1);
+  } catch (error) {
+    return address.toLowerCase();
+  }
+};
+
+// JSON with sorted keys, so JSONB's key order does not change the hash
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+// Values as they read back from the database: dates as ISO strings, JSON round-tripped
+const chainedContent = (entry) => {
+  const content = {};
+  CHAINED_FIELDS.forEach(field => {
+    const value = entry[field];
+    if (value === undefined || value === null) content[field] = null;
+    else if (field === 'seq') content[field] = Number(value);
+    else if (field === 'created_at') content[field] = new Date(value).toISOString();
+    else if (field === 'ip_address') content[field] = normalizeIp(value);
+    else content[field] = JSON.parse(JSON.stringify(value));
+  });
+  return canonicalJson(content);
+};
+
+const searchTextOf = (entry) => ['old_values', 'new_values', 'changes']
+  .map(field => (entry[field] ? JSON.stringify(entry[field]) : ''))
+  .join(' ');
+
+const hashEntry = (entry) => crypto.createHash('sha256').update(chainedContent(entry)).digest('hex');
+
+// The last entry written, which may since have been archived
+const getHead = async () => {
+  const [live, archived] = await Promise.all(['audit_logs', 'audit_archived_entries'].map(table => storage.select(table, {
+    columns: 'seq, hash',
+    filters: [['seq', 'gt', 0]],
+    order: { column: 'seq', ascending: false },
+    limit: 1,
+    maybeSingle: true
+  })));
+  if (!live || !archived) return live || archived;
+  return Number(live.seq) >= Number(archived.seq) ? live : archived;
+};
+
+// Writes from this process are chained one batch at a time
+let appending = Promise.resolve();
+
+const chainEntries = async (entries) => {
+  for (let attempt = 1; ; attempt += 1) {
+    const head = await getHead();
+    let seq = head ? Number(head.seq) : 0;
+    let prevHash = head ? head.hash : GENESIS_HASH;
+    const createdAt = new Date().toISOString();
+
+    const rows = entries.map(entry => {
+      seq += 1;
+      const row = { ...entry, ip_address: normalizeIp(entry.ip_address), created_at: createdAt, seq, prev_hash: prevHash };
+      row.hash = hashEntry(row);
+      row.search_text = searchTextOf(row);
+      prevHash = row.hash;
+      return row;
+    });
+
+    try {
+      return await storage.insertMany('audit_logs', rows);
+    } catch (error) {
+      if (error.code !== '23505' || attempt >= MAX_APPEND_ATTEMPTS) throw error;
+    }
+  }
+};
+
+// Append audit entries (audit_logs rows without seq, hashes or created_at) in order
+const appendEntries = (entries) => {
+  if (entries.length === 0) return Promise.resolve([]);
+  const run = appending.then(() => chainEntries(entries));
+  appending = run.catch(() => {});
+  return run;
+};
+
+const signCheckpoint = ({ seq, hash, created_at: createdAt }) => crypto
+  .createHmac('sha256', getSigningKey())
+  .update(`${seq}:${hash}:${createdAt}`)
+  .digest('hex');
+
+const readCheckpoints = () => {
+  if (!fs.existsSync(CHECKPOINT_FILE)) return [];
+  return fs.readFileSync(CHECKPOINT_FILE, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map((line, index) => {
+      try {
+        return { line: index + 1, ...JSON.parse(line) };
+      } catch (error) {
+        return { line: index + 1, unreadable: true };
+      }
+    });
+};
+
+// Record the current head of the chain; null when nothing was written since the last checkpoint
+const writeCheckpoint = async (now = new Date()) => {
+  const head = await getHead();
+  if (!head) return null;
+
+  const latest = readCheckpoints().filter(checkpoint => !checkpoint.unreadable).pop();
+  if (latest && Number(latest.seq) === Number(head.seq) && latest.hash === head.hash) return null;
+
+  const checkpoint = { seq: Number(head.seq), hash: head.hash, created_at: now.toISOString() };
+  checkpoint.signature = signCheckpoint(checkpoint);
+  fs.mkdirSync(path.dirname(CHECKPOINT_FILE), { recursive: true });
+  fs.appendFileSync(CHECKPOINT_FILE, `${JSON.stringify(checkpoint)}\n`);
+  return checkpoint;
+};
+
+// Rows of a seq-numbered table in seq order, read a batch at a time
+const seqCursor = (table, columns) => {
+  let rows = [];
+  let index = 0;
+  let nextSeq = 1;
+  let exhausted = false;
+
+  return {
+    async peek() {
+      if (index >= rows.length && !exhausted) {
+        rows = await storage.select(table, {
+          columns,
+          filters: [['seq', 'gte', nextSeq]],
+          order: { column: 'seq', ascending: true },
+          limit: VERIFY_BATCH_SIZE
+        });
+        index = 0;
+        exhausted = rows.length < VERIFY_BATCH_SIZE;
+        if (rows.length > 0) nextSeq = Number(rows[rows.length - 1].seq) + 1;
+      }
+      return rows[index] || null;
+    },
+    skip() {
+      index += 1;
+    }
+  };
+};
+
+const safeEqual = (a, b) => typeof a === 'string' && a.length === b.length && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+// Walk the chain in seq order. Archived entries are checked by their links only; their
+// content is checked against the archive file when it is verified or re-imported.
+// Resolves to { ok, checked, archived, unchained, head, problems, checkpoints }, where
+// problems are { type, seq, id, message } with type one of gap, edited, broken_link,
+// unchained, checkpoint_signature, checkpoint_mismatch, truncated.
+const verifyChain = async () => {
+  const problems = [];
+  const report = (problem) => {
+    if (problems.length < MAX_REPORTED_PROBLEMS) problems.push(problem);
+  };
+  const checkpoints = readCheckpoints();
+  const checkpointSeqs = new Set(checkpoints.map(checkpoint => Number(checkpoint.seq)));
+  const hashesAt = new Map();
+  const live = seqCursor('audit_logs');
+  const archived = seqCursor('audit_archived_entries', 'seq, prev_hash, hash');
+  let checked = 0;
+  let archivedCount = 0;
+  let expectedSeq = 1;
+  let prevHash = GENESIS_HASH;
+  let firstCreatedAt = null;
+
+  for (;;) {
+    const liveEntry = await live.peek();
+    const archivedEntry = await archived.peek();
+    if (!liveEntry && !archivedEntry) break;
+
+    // A re-imported entry is both live and archived
+    const seq = Math.min(...[liveEntry, archivedEntry].filter(Boolean).map(row => Number(row.seq)));
+    const entry = liveEntry && Number(liveEntry.seq) === seq ? liveEntry : null;
+    const stub = archivedEntry && Number(archivedEntry.seq) === seq ? archivedEntry : null;
+    if (entry) live.skip();
+    if (stub) archived.skip();
+    const link = entry || stub;
+
+    if (seq !== expectedSeq) {
+      report({ type: 'gap', seq: expectedSeq, message: seq - expectedSeq === 1 ? `Entry ${expectedSeq} is missing` : `Entries ${expectedSeq} to ${seq - 1} are missing` });
+    } else if (link.prev_hash !== prevHash) {
+      report({ type: 'broken_link', seq, id: entry ? entry.id : undefined, message: `Entry ${seq} does not follow entry ${seq - 1}` });
+    }
+    if (entry) {
+      if (firstCreatedAt === null) firstCreatedAt = entry.created_at;
+      if (hashEntry(entry) !== entry.hash) {
+        report({ type: 'edited', seq, id: entry.id, message: `Entry ${seq} was changed after it was written` });
+      } else if (stub && stub.hash !== entry.hash) {
+        report({ type: 'edited', seq, id: entry.id, message: `Entry ${seq} differs from its archived copy` });
+      }
+    } else {
+      archivedCount += 1;
+    }
+
+    if (checkpointSeqs.has(seq)) hashesAt.set(seq, link.hash);
+    prevHash = link.hash;
+    expectedSeq = seq + 1;
+    checked += 1;
+  }
+
+  const headSeq = expectedSeq - 1;
+
+  // Rows without a seq next to chained ones were written around appendEntries
+  const unchained = await storage.count('audit_logs', { filters: [['seq', 'is', null]] });
+  const unchainedSinceStart = firstCreatedAt
+    ? await storage.count('audit_logs', { filters: [['seq', 'is', null], ['created_at', 'gte', new Date(firstCreatedAt).toISOString()]] })
+    : 0;
+  if (unchainedSinceStart > 0) {
+    report({ type: 'unchained', message: `${unchainedSinceStart} entr${unchainedSinceStart === 1 ? 'y was' : 'ies were'} written outside the chain` });
+  }
+
+  let verifiedCheckpoints = 0;
+  checkpoints.forEach(checkpoint => {
+    const seq = Number(checkpoint.seq);
+    if (checkpoint.unreadable || !safeEqual(checkpoint.signature, signCheckpoint(checkpoint))) {
+      report({ type: 'checkpoint_signature', seq: checkpoint.unreadable ? null : seq, message: `Checkpoint on line ${checkpoint.line} has a bad signature` });
+    } else if (seq > headSeq) {
+      report({ type: 'truncated', seq, message: `Checkpoint of ${checkpoint.created_at} covers entry ${seq}, but the log ends at ${headSeq}` });
+    } else if (hashesAt.has(seq) && hashesAt.get(seq) !== checkpoint.hash) {
+      report({ type: 'checkpoint_mismatch', seq, message: `Entry ${seq} differs from the checkpoint of ${checkpoint.created_at}` });
+    } else if (hashesAt.has(seq)) {
+      verifiedCheckpoints += 1;
+    }
+  });
+
+  return {
+    ok: problems.length === 0,
+    checked,
+    archived: archivedCount,
+    unchained,
+    head: headSeq > 0 ? { seq: headSeq, hash: prevHash } : null,
+    problems,
+    checkpoints: {
+      total: checkpoints.length,
+      verified: verifiedCheckpoints,
+      latest: checkpoints.filter(checkpoint => !checkpoint.unreadable).pop() || null
+    }
+  };
+};
+
+module.exports = {
+  CHECKPOINT_FILE,
+  hashEntry,
+  searchTextOf,
+  appendEntries,
+  readCheckpoints,
+  writeCheckpoint,
+  verifyChain
+};
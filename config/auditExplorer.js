@@ -0,0 +1,132 @@
+// Audit log explorer.
+//
+// The admin logs page filters entries by user (email or id), action, table, record, IP,
+// date range and free text in the entries' JSON values. parseAuditFilters() turns those
+// query parameters into getAuditLogs filters; admins can save a set of them under a
+// name. Exports are CSV or JSON Lines, capped at MAX_EXPORT_ROWS entries.
+const net = require('net');
+const { dbHelpers } = require('./database');
+const calendar = require('./calendar');
+const { getAuditLogs } = require('../middleware/audit');
+
+const FILTER_PARAMS = ['user', 'action', 'table', 'record', 'ip', 'from', 'to', 'q'];
+const EXPORT_FORMATS = ['csv', 'jsonl'];
+const MAX_EXPORT_ROWS = 50000;
+const EXPORT_BATCH_SIZE = 1000;
+const MAX_SAVED_FILTERS = 50;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// The explorer's own parameters from a query string or saved filter, trimmed and non-empty
+const pickFilterParams = (query = {}) => Object.fromEntries(FILTER_PARAMS
+  .filter(param => typeof query[param] === 'string' && query[param].trim())
+  .map(param => [param, query[param].trim()]));
+
+const parseAuditFilters = async (query) => {
+  const params = pickFilterParams(query);
+  const errors = [];
+  const values = {};
+
+  if (params.user) {
+    if (UUID_PATTERN.test(params.user)) {
+      values.userId = params.user;
+    } else {
+      const user = await dbHelpers.getUserByEmail(params.user);
+      if (user) values.userId = user.id;
+      else errors.push(`No user with email ${params.user}`);
+    }
+  }
+  if (params.action) values.action = params.action;
+  if (params.table) values.tableName = params.table;
+  if (params.record) {
+    if (UUID_PATTERN.test(params.record)) values.recordId = params.record;
+    else errors.push('Record must be an id');
+  }
+  if (params.ip) {
+    if (net.isIP(params.ip)) values.ipAddress = params.ip;
+    else errors.push('IP must be an IPv4 or IPv6 address');
+  }
+  ['from', 'to'].forEach(param => {
+    if (params[param] && !calendar.isDate(params[param])) errors.push(`${param === 'from' ? 'From' : 'To'} must be YYYY-MM-DD`);
+  });
+  if (params.from && calendar.isDate(params.from)) values.startDate = `${params.from}T00:00:00.000Z`;
+  if (params.to && calendar.isDate(params.to)) values.endDate = `${params.to}T23:59:59.999Z`;
+  if (params.from && params.to && params.from > params.to) errors.push('From must not be after To');
+  if (params.q) values.search = params.q.slice(0, 200);
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    params,
+    values
+  };
+};
+
+// A named set of explorer parameters
+const validateSavedFilter = ({ name, filters } = {}) => {
+  const errors = [];
+  const trimmedName = typeof name === 'string' ? name.trim() : '';
+  if (!trimmedName || trimmedName.length > 100) errors.push('Name must be 1 to 100 characters');
+  const params = pickFilterParams(filters && typeof filters === 'object' ? filters : {});
+  if (Object.keys(params).length === 0) errors.push('Set at least one filter to save');
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    values: { name: trimmedName, filters: params }
+  };
+};
+
+// Every entry matching the filters, newest first, up to MAX_EXPORT_ROWS
+const collectForExport = async (filters) => {
+  const entries = [];
+  for (let page = 1; entries.length < MAX_EXPORT_ROWS; page += 1) {
+    const { data } = await getAuditLogs(page, EXPORT_BATCH_SIZE, filters);
+    entries.push(...data);
+    if (data.length < EXPORT_BATCH_SIZE) break;
+  }
+  return entries.slice(0, MAX_EXPORT_ROWS);
+};
+
+const EXPORT_COLUMNS = [
+  ['created_at', entry => new Date(entry.created_at).toISOString()],
+  ['seq', entry => entry.seq],
+  ['user_email', entry => (entry.user ? entry.user.email : '')],
+  ['action', entry => entry.action],
+  ['table_name', entry => entry.table_name],
+  ['record_id', entry => entry.record_id],
+  ['ip_address', entry => entry.ip_address],
+  ['user_agent', entry => entry.user_agent],
+  ['changes', entry => entry.changes],
+  ['old_values', entry => entry.old_values],
+  ['new_values', entry => entry.new_values],
+  ['hash', entry => entry.hash]
+];
+
+// Quote cells that need it, and defuse ones a spreadsheet would run as a formula
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (entries) => [
+  EXPORT_COLUMNS.map(([column]) => column).join(','),
+  ...entries.map(entry => EXPORT_COLUMNS.map(([, value]) => csvCell(value(entry))).join(','))
+].join('\r\n');
+
+const toJsonl = (entries) => entries
+  .map(entry => JSON.stringify(Object.fromEntries(EXPORT_COLUMNS.map(([column, value]) => [column, value(entry) ?? null]))))
+  .join('\n');
+
+module.exports = {
+  EXPORT_FORMATS,
+  MAX_EXPORT_ROWS,
+  MAX_SAVED_FILTERS,
+  parseAuditFilters,
+  validateSavedFilter,
+  collectForExport,
+  toCsv,
+  toJsonl
+};
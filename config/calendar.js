@@ -0,0 +1,331 @@
+// Academic terms and the personal calendar.
+//
+// A term has its teaching weeks (counted from starts_on), an exam period and dated
+// term events such as holidays. A user's calendar joins the terms overlapping a date
+// range with the due dates of assessments in the courses they study or teach, and
+// can be subscribed to from calendar apps as an iCalendar (.ics) feed. Feed URLs
+// carry a random token; only its HMAC is kept (see passwordReset.js).
+const crypto = require('crypto');
+const { dbHelpers } = require('./database');
+const permissions = require('./permissions');
+
+const EVENT_KINDS = ['holiday', 'reading_week', 'registration', 'event'];
+const ACADEMIC_YEAR_PATTERN = /^\d{4}\/\d{2}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Calendar ranges default to a month back and six months ahead, and are capped at two years
+const DEFAULT_PAST_DAYS = 30;
+const DEFAULT_FUTURE_DAYS = 180;
+const MAX_RANGE_DAYS = 730;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// DATE columns come back as 'YYYY-MM-DD' strings (Supabase) or local-midnight Dates (pg)
+const dateOnly = (value) => {
+  if (!value) return null;
+  if (value instanceof Date) return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+  return String(value).slice(0, 10);
+};
+
+// A term or term event with its DATE columns as 'YYYY-MM-DD', whichever backend read it
+const DATE_FIELDS = ['starts_on', 'ends_on', 'exam_starts_on', 'exam_ends_on'];
+const withDates = (row) => {
+  const formatted = { ...row };
+  DATE_FIELDS.forEach(field => {
+    if (field in formatted) formatted[field] = dateOnly(formatted[field]);
+  });
+  return formatted;
+};
+
+const isDate = (value) => DATE_PATTERN.test(String(value || '')) && !isNaN(new Date(`${value}T00:00:00Z`).getTime());
+
+const addDays = (date, days) => new Date(new Date(`${dateOnly(date)}T00:00:00Z`).getTime() + days * DAY_MS).toISOString().slice(0, 10);
+
+const today = (now = new Date()) => now.toISOString().slice(0, 10);
+
+// Last day of teaching, or null when the term does not count teaching weeks
+const teachingEndsOn = (term) => (term.teaching_weeks ? addDays(term.starts_on, term.teaching_weeks * 7 - 1) : null);
+
+// 1-based teaching week of a date within the term, or null outside teaching
+const teachingWeekOf = (term, date) => {
+  const day = dateOnly(date);
+  const start = dateOnly(term.starts_on);
+  const end = teachingEndsOn(term) || dateOnly(term.ends_on);
+  if (day < start || day > end) return null;
+  return Math.floor((new Date(`${day}T00:00:00Z`) - new Date(`${start}T00:00:00Z`)) / (7 * DAY_MS)) + 1;
+};
+
+const validateTerm = ({ name, code, academic_year, semester, starts_on, ends_on, teaching_weeks, exam_starts_on, exam_ends_on } = {}) => {
+  const errors = [];
+  const values = {
+    name: String(name || '').trim(),
+    code: String(code || '').trim().toUpperCase(),
+    academic_year: String(academic_year || '').trim(),
+    semester: String(semester || '').trim(),
+    starts_on: dateOnly(starts_on),
+    ends_on: dateOnly(ends_on),
+    teaching_weeks: teaching_weeks === undefined || teaching_weeks === null || teaching_weeks === '' ? null : parseInt(teaching_weeks, 10),
+    exam_starts_on: dateOnly(exam_starts_on),
+    exam_ends_on: dateOnly(exam_ends_on)
+  };
+
+  if (!values.name) errors.push('Term name is required');
+  if (!/^[A-Z0-9_-]{2,20}$/.test(values.code)) errors.push('Term code must be 2-20 letters, numbers, dashes or underscores');
+  if (!ACADEMIC_YEAR_PATTERN.test(values.academic_year)) errors.push('Academic year must look like 2026/27');
+  if (!values.semester) errors.push('Semester is required');
+
+  DATE_FIELDS.forEach(field => {
+    if (values[field] && !isDate(values[field])) errors.push(`${field.replace(/_/g, ' ')} must be a date (YYYY-MM-DD)`);
+  });
+  if (!values.starts_on || !values.ends_on) {
+    errors.push('Start and end dates are required');
+  } else if (values.starts_on >= values.ends_on) {
+    errors.push('The term must start before it ends');
+  }
+
+  if (values.teaching_weeks !== null) {
+    if (!(values.teaching_weeks > 0)) {
+      errors.push('Teaching weeks must be a positive whole number');
+    } else if (values.starts_on && values.ends_on && teachingEndsOn(values) > values.ends_on) {
+      errors.push('Teaching weeks run past the end of the term');
+    }
+  }
+
+  if (Boolean(values.exam_starts_on) !== Boolean(values.exam_ends_on)) {
+    errors.push('The exam period needs both a start and an end date');
+  } else if (values.exam_starts_on) {
+    if (values.exam_starts_on > values.exam_ends_on) errors.push('The exam period must start before it ends');
+    if (values.exam_starts_on < values.starts_on || values.exam_ends_on > values.ends_on) errors.push('The exam period must fall within the term');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    values
+  };
+};
+
+const validateTermEvent = (term, { title, kind, starts_on, ends_on, description } = {}) => {
+  const errors = [];
+  const values = {
+    title: String(title || '').trim(),
+    kind: kind || 'event',
+    starts_on: dateOnly(starts_on),
+    ends_on: dateOnly(ends_on || starts_on),
+    description: description ? String(description).trim() : null
+  };
+
+  if (!values.title) errors.push('Event title is required');
+  if (!EVENT_KINDS.includes(values.kind)) errors.push(`Event kind must be one of ${EVENT_KINDS.join(', ')}`);
+  if (!isDate(values.starts_on) || !isDate(values.ends_on)) {
+    errors.push('Event dates must be dates (YYYY-MM-DD)');
+  } else {
+    if (values.starts_on > values.ends_on) errors.push('The event must start before it ends');
+    if (values.starts_on < dateOnly(term.starts_on) || values.ends_on > dateOnly(term.ends_on)) errors.push('The event must fall within the term');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    values
+  };
+};
+
+// { from, to } as YYYY-MM-DD from the query string, with defaults around today
+const parseRange = ({ from, to } = {}, now = new Date()) => {
+  const errors = [];
+  const range = {
+    from: from || addDays(today(now), -DEFAULT_PAST_DAYS),
+    to: to || addDays(today(now), DEFAULT_FUTURE_DAYS)
+  };
+
+  if (!isDate(range.from) || !isDate(range.to)) {
+    errors.push('from and to must be dates (YYYY-MM-DD)');
+  } else if (range.from > range.to) {
+    errors.push('from must not be after to');
+  } else if (new Date(range.to) - new Date(range.from) > MAX_RANGE_DAYS * DAY_MS) {
+    errors.push(`The calendar range cannot exceed ${MAX_RANGE_DAYS} days`);
+  }
+
+  return { isValid: errors.length === 0, errors, ...range };
+};
+
+const overlaps = (start, end, range) => start <= range.to && end >= range.from;
+
+// All-day entries for a term: teaching, exams and its events
+const termEntries = (term, events, range) => {
+  const entries = [];
+  const add = (id, kind, title, start, end, description = null) => {
+    if (overlaps(start, end, range)) {
+      entries.push({ id, kind, title, start, end, allDay: true, description, term_id: term.id });
+    }
+  };
+
+  const teachingEnd = teachingEndsOn(term);
+  add(`term-${term.id}`, 'term', term.name, dateOnly(term.starts_on), dateOnly(term.ends_on));
+  if (teachingEnd) {
+    add(`teaching-${term.id}`, 'teaching', `${term.name}: teaching (${term.teaching_weeks} weeks)`, dateOnly(term.starts_on), teachingEnd);
+  }
+  if (term.exam_starts_on) {
+    add(`exams-${term.id}`, 'exam_period', `${term.name}: exams`, dateOnly(term.exam_starts_on), dateOnly(term.exam_ends_on));
+  }
+  events.forEach(event => {
+    add(`event-${event.id}`, event.kind, event.title, dateOnly(event.starts_on), dateOnly(event.ends_on), event.description);
+  });
+
+  return entries;
+};
+
+// Courses whose deadlines belong on the user's calendar
+const calendarCourseIds = async (user) => {
+  if (user.role === 'student') {
+    const enrollments = await dbHelpers.getStudentEnrollments(user.id);
+    return enrollments.map(enrollment => enrollment.course_id);
+  }
+  if (await permissions.scopeOf(user, 'courses:view')) {
+    return dbHelpers.getTaughtCourseIds(user.id);
+  }
+  return [];
+};
+
+// Term dates and assessment deadlines between range.from and range.to (inclusive), by start
+const buildCalendar = async (user, range) => {
+  const [terms, courseIds] = await Promise.all([
+    dbHelpers.getTermsBetween(range.from, range.to),
+    calendarCourseIds(user)
+  ]);
+  const events = await dbHelpers.getTermEvents(terms.map(term => term.id));
+  const assessments = await dbHelpers.getAssessmentsDueBetween(
+    courseIds,
+    new Date(`${range.from}T00:00:00Z`).toISOString(),
+    new Date(`${addDays(range.to, 1)}T00:00:00Z`).toISOString(),
+    { publishedOnly: user.role === 'student' }
+  );
+
+  const entries = terms.flatMap(term => termEntries(term, events.filter(event => event.term_id === term.id), range));
+  assessments.forEach(assessment => {
+    const course = assessment.course || {};
+    entries.push({
+      id: `assessment-${assessment.id}`,
+      kind: 'assessment',
+      title: `${course.code ? `${course.code}: ` : ''}${assessment.title} due`,
+      start: new Date(assessment.due_date).toISOString(),
+      end: new Date(assessment.due_date).toISOString(),
+      allDay: false,
+      description: `${assessment.type} for ${course.name || 'your course'}`,
+      assessment_id: assessment.id,
+      course_id: assessment.course_id
+    });
+  });
+
+  return entries.sort((a, b) => a.start.localeCompare(b.start) || a.title.localeCompare(b.title));
+};
+
+// iCalendar (RFC 5545) text
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets continue on the next line after a space
+const foldLine = (line) => {
+  const chunks = [];
+  let current = '';
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (chunks.length === 0 ? 75 : 74)) {
+      chunks.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+};
+
+const icsDate = (date) => date.replace(/-/g, '');
+const icsTimestamp = (value) => new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+// 'YYYY-MM-DDTHH:MM' wall-clock time, shown as is in the subscriber's time zone
+const icsLocalTime = (value) => `${value.replace(/[-:]/g, '').slice(0, 13)}00`;
+
+const toICalendar = (entries, { name, now = new Date() } = {}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Student Assessment Tracker//Calendar//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name || 'Academic Calendar')}`
+  ];
+
+  entries.forEach(entry => {
+    lines.push('BEGIN:VEVENT', `UID:${entry.id}@student-tracker`, `DTSTAMP:${icsTimestamp(now)}`);
+    if (entry.allDay) {
+      // All-day DTEND is exclusive
+      lines.push(`DTSTART;VALUE=DATE:${icsDate(entry.start)}`, `DTEND;VALUE=DATE:${icsDate(addDays(entry.end, 1))}`);
+    } else if (entry.floating) {
+      lines.push(`DTSTART:${icsLocalTime(entry.start)}`, `DTEND:${icsLocalTime(entry.end)}`);
+    } else {
+      lines.push(`DTSTART:${icsTimestamp(entry.start)}`, `DTEND:${icsTimestamp(entry.end)}`);
+    }
+    lines.push(`SUMMARY:${escapeText(entry.title)}`, `CATEGORIES:${escapeText(entry.kind.toUpperCase())}`);
+    if (entry.location) lines.push(`LOCATION:${escapeText(entry.location)}`);
+    if (entry.description) lines.push(`DESCRIPTION:${escapeText(entry.description)}`);
+    if (entry.allDay) lines.push('TRANSP:TRANSPARENT');
+    lines.push('END:VEVENT');
+  });
+
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+// Subscription feeds
+const getSigningKey = () => {
+  const secret = process.env.CALENDAR_FEED_SECRET || process.env.SESSION_SECRET;
+  if (!secret) {
+    throw new Error('CALENDAR_FEED_SECRET or SESSION_SECRET must be set to issue calendar feeds');
+  }
+  return secret;
+};
+
+const hashFeedToken = (token) => crypto.createHmac('sha256', getSigningKey()).update(String(token)).digest('hex');
+
+// A new feed token for the user; any earlier feed URL stops working
+const issueFeedToken = async (userId) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  await dbHelpers.updateUser(userId, { calendar_token_hash: hashFeedToken(token) });
+  return token;
+};
+
+const revokeFeedToken = (userId) => dbHelpers.updateUser(userId, { calendar_token_hash: null });
+
+// The active user a feed token belongs to, or null
+const findFeedUser = async (token) => {
+  if (!token) return null;
+  const user = await dbHelpers.getUserByCalendarToken(hashFeedToken(token));
+  return user && user.is_active ? user : null;
+};
+
+// Feeds cover the past three months and the coming year
+const feedRange = (now = new Date()) => ({ from: addDays(today(now), -90), to: addDays(today(now), 365) });
+
+module.exports = {
+  EVENT_KINDS,
+  dateOnly,
+  isDate,
+  withDates,
+  addDays,
+  teachingEndsOn,
+  teachingWeekOf,
+  validateTerm,
+  validateTermEvent,
+  parseRange,
+  buildCalendar,
+  toICalendar,
+  issueFeedToken,
+  revokeFeedToken,
+  findFeedUser,
+  feedRange
+};
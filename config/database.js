@@ -1,560 +1,1173 @@
 const { createClient } = require('@supabase/supabase-js');
+const { createSupabaseAdapter } = require('./adapters/supabase');
+const { createSqlAdapter } = require('./adapters/sql');
+const { runListQuery } = require('./pagination');
+const { applyScoringRules } = require('./attempts');
 require('dotenv').config();
 
+// Storage backend: 'supabase' (default), 'postgres' (DATABASE_URL) or 'memory' (in-process pg-mem)
+const adapterName = process.env.DB_ADAPTER || 'supabase';
+
 // Supabase configuration
 const supabaseUrl = process.env.SUPABASE_URL;
 const supabaseKey = process.env.SUPABASE_ANON_KEY;
 const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
 
-// Create Supabase client for general operations
-const supabase = createClient(supabaseUrl, supabaseKey, {
-  auth: {
-    autoRefreshToken: true,
-    persistSession: true,
-    detectSessionInUrl: false
+let supabase = null;
+let supabaseAdmin = null;
+let storage;
+
+if (adapterName === 'supabase') {
+  // Create Supabase client for general operations
+  supabase = createClient(supabaseUrl, supabaseKey, {
+    auth: {
+      autoRefreshToken: true,
+      persistSession: true,
+      detectSessionInUrl: false
+    }
+  });
+
+  // Create admin client for administrative operations
+  supabaseAdmin = createClient(supabaseUrl, supabaseServiceKey, {
+    auth: {
+      autoRefreshToken: false,
+      persistSession: false
+    }
+  });
+
+  storage = createSupabaseAdapter({ client: supabaseAdmin });
+} else if (adapterName === 'postgres' || adapterName === 'memory') {
+  storage = createSqlAdapter({
+    connectionString: process.env.DATABASE_URL,
+    inMemory: adapterName === 'memory'
+  });
+} else {
+  throw new Error(`Unknown DB_ADAPTER "${adapterName}" (expected supabase, postgres or memory)`);
+}
+
+// Related records embedded into query results
+const embeds = {
+  course: { table: 'courses', foreignKey: 'course_id', columns: 'id, name, code, grading_scheme_id' },
+  courseDetails: { table: 'courses', foreignKey: 'course_id', columns: 'id, name, code, description' },
+  courseTerm: { table: 'courses', foreignKey: 'course_id', columns: 'id, name, code, credit_hours, semester, academic_year' },
+  courseLecturer: { table: 'users', foreignKey: 'lecturer_id', constraint: 'courses_lecturer_id_fkey', columns: 'id, first_name, last_name, email' },
+  assessment: { table: 'assessments', foreignKey: 'assessment_id', columns: 'id, title, total_marks, type, scoring_rule, max_attempts' },
+  assessmentLecturer: { table: 'users', foreignKey: 'lecturer_id', constraint: 'assessments_lecturer_id_fkey', columns: 'id, first_name, last_name' },
+  resultStudent: { table: 'users', foreignKey: 'student_id', constraint: 'results_student_id_fkey', columns: 'id, first_name, last_name, student_id' },
+  enrollmentStudent: { table: 'users', foreignKey: 'student_id', constraint: 'enrollments_student_id_fkey', columns: 'id, first_name, last_name, student_id, email' },
+  enrollmentCourse: {
+    table: 'courses',
+    foreignKey: 'course_id',
+    columns: 'id, name, code, description, lecturer_id',
+    embed: { lecturer: { table: 'users', foreignKey: 'lecturer_id', constraint: 'courses_lecturer_id_fkey', columns: 'id, first_name, last_name' } }
+  },
+  staffUser: { table: 'users', foreignKey: 'user_id', constraint: 'course_staff_user_id_fkey', columns: 'id, first_name, last_name, email, role' },
+  prerequisite: { table: 'courses', foreignKey: 'prerequisite_id', constraint: 'course_prerequisites_prerequisite_id_fkey', columns: 'id, name, code' },
+  sessionCourse: { table: 'courses', foreignKey: 'course_id', constraint: 'course_sessions_course_id_fkey', columns: 'id, name, code, lecturer_id, term_id' },
+  sessionRoom: { table: 'rooms', foreignKey: 'room_id', constraint: 'course_sessions_room_id_fkey', columns: 'id, code, name, building, capacity' },
+  sessionLecturer: { table: 'users', foreignKey: 'lecturer_id', constraint: 'course_sessions_lecturer_id_fkey', columns: 'id, first_name, last_name' },
+  attendanceCourse: { table: 'courses', foreignKey: 'course_id', constraint: 'attendance_sessions_course_id_fkey', columns: 'id, name, code' },
+  attendanceSession: { table: 'attendance_sessions', foreignKey: 'attendance_session_id', constraint: 'attendance_records_attendance_session_id_fkey', columns: 'id, course_id, held_on, starts_at, title' }
+};
+
+const newestFirst = { column: 'created_at', ascending: false };
+
+// Columns the list helpers let callers sort, search and filter on
+const listOptions = {
+  users: {
+    sortable: ['created_at', 'first_name', 'last_name', 'email', 'role', 'approval_status', 'last_login'],
+    searchable: ['first_name', 'last_name', 'email', 'student_id'],
+    filterable: ['role', 'approval_status', 'is_active']
+  },
+  courses: {
+    sortable: ['created_at', 'name', 'code', 'credit_hours', 'semester', 'academic_year'],
+    searchable: ['name', 'code', 'description'],
+    filterable: ['lecturer_id', 'is_active', 'semester', 'academic_year', 'term_id']
+  },
+  assessments: {
+    sortable: ['created_at', 'title', 'type', 'due_date', 'total_marks'],
+    searchable: ['title', 'description'],
+    filterable: ['course_id', 'lecturer_id', 'type', 'is_published']
+  },
+  results: {
+    sortable: ['created_at', 'score', 'percentage', 'grade', 'submitted_at', 'graded_at'],
+    searchable: ['grade', 'feedback'],
+    filterable: ['course_id', 'assessment_id', 'student_id', 'grade', 'is_late']
+  },
+  enrollments: {
+    sortable: ['created_at', 'enrollment_date', 'status', 'grade'],
+    searchable: ['grade'],
+    filterable: ['course_id', 'student_id', 'status']
+  },
+  questions: {
+    sortable: ['created_at', 'type', 'difficulty', 'points'],
+    searchable: ['text'],
+    filterable: ['type', 'difficulty', 'created_by']
+  },
+  notifications: {
+    sortable: ['created_at'],
+    searchable: [],
+    filterable: ['is_read']
+  },
+  mail_outbox: {
+    sortable: ['created_at', 'next_attempt_at', 'attempts', 'sent_at'],
+    searchable: ['to_address', 'subject'],
+    filterable: ['status', 'template']
   }
-});
+};
 
-// Create admin client for administrative operations
-const supabaseAdmin = createClient(supabaseUrl, supabaseServiceKey, {
-  auth: {
-    autoRefreshToken: false,
-    persistSession: false
+// List helpers return every matching row when called without a query spec,
+// or a { data, pagination } page when given one (see config/pagination.js)
+const list = (table, { embed, filters, order } = {}, query) => {
+  if (!query) {
+    return storage.select(table, { embed, filters, order });
   }
-});
 
-// Database helper functions - Use service role for server operations
+  return runListQuery(storage, table, query, {
+    ...listOptions[table],
+    embed,
+    baseFilters: filters,
+    defaultSort: order
+  });
+};
+
+// Results are listed one row per student and assessment (the latest attempt);
+// swap in the score that counts under each assessment's scoring rule
+const withScoringRules = async (rows) => {
+  const multiAttempt = rows.filter(row => row.attempt_number > 1);
+  if (multiAttempt.length === 0) {
+    return applyScoringRules(rows, rows);
+  }
+
+  const attempts = await storage.select('results', {
+    columns: 'id, student_id, assessment_id, attempt_number, score, percentage, grade',
+    filters: [
+      ['student_id', 'in', [...new Set(multiAttempt.map(row => row.student_id))]],
+      ['assessment_id', 'in', [...new Set(multiAttempt.map(row => row.assessment_id))]]
+    ]
+  });
+
+  // Averages of several attempts are lettered with the course's scheme. Required here
+  // rather than at the top because config/grading.js requires this module.
+  const grading = require('./grading');
+  const courseIds = [...new Set(multiAttempt.map(row => row.course_id))];
+  const schemes = new Map(await Promise.all(courseIds.map(async courseId => [courseId, await grading.getSchemeForCourse(courseId)])));
+
+  const byId = new Map([...rows, ...attempts].map(result => [result.id, result]));
+  return applyScoringRules(rows, [...byId.values()], {}, (row, percentage) => grading.gradeForPercentage(percentage, schemes.get(row.course_id)));
+};
+
+const listResults = async (spec, query) => {
+  const results = await list('results', {
+    ...spec,
+    filters: { ...spec.filters, is_latest_attempt: true }
+  }, query);
+
+  if (Array.isArray(results)) {
+    return withScoringRules(results);
+  }
+  return { ...results, data: await withScoringRules(results.data) };
+};
+
+// Change capture. updateUser, updateCourse, updateAssessment, updateResult and
+// deleteCourse read the row before writing and pass { table, action, recordId, before,
+// after } to the recorder middleware/audit.js registers, which stores the diff.
+let changeRecorder = null;
+
+const recordChangesWith = (recorder) => {
+  changeRecorder = recorder;
+};
+
+const captureChange = async (table, action, recordId, write) => {
+  if (!changeRecorder) return write();
+
+  const before = await storage.select(table, { filters: { id: recordId }, maybeSingle: true });
+  const result = await write();
+  if (before) {
+    await changeRecorder({ table, action, recordId, before, after: action === 'delete' ? null : result });
+  }
+  return result;
+};
+
+// Database helper functions - delegate to the configured storage adapter
 const dbHelpers = {
-  // User operations - Using service role to bypass RLS
+  // User operations
   async createUser(userData) {
-    const { data, error } = await supabaseAdmin
-      .from('users')
-      .insert(userData)
-      .select()
-      .single();
-    
-    if (error) throw error;
-    return data;
+    return storage.insert('users', userData);
   },
 
   async getUserById(userId) {
-    const { data, error } = await supabaseAdmin
-      .from('users')
-      .select('*')
-      .eq('id', userId)
-      .single();
-    
-    if (error) throw error;
-    return data;
+    return storage.select('users', { filters: { id: userId }, single: true });
   },
 
   async getUserByEmail(email) {
-    console.log('Looking up user by email:', email);
-    const { data, error } = await supabaseAdmin
-      .from('users')
-      .select('*')
-      .eq('email', email)
-      .single();
-    
-    console.log('getUserByEmail result:', { data, error });
-    
-    if (error && error.code !== 'PGRST116') {
-      console.error('Error in getUserByEmail:', error);
-      throw error;
-    }
-    return data;
+    return storage.select('users', { filters: { email }, maybeSingle: true });
   },
 
   async updateUser(userId, updates) {
-    const { data, error } = await supabaseAdmin
-      .from('users')
-      .update(updates)
-      .eq('id', userId)
-      .select()
-      .single();
-    
-    if (error) throw error;
-    return data;
-  },
-
-  async getAllUsers() {
-    console.log('Querying users table...');
-    const { data, error } = await supabaseAdmin
-      .from('users')
-      .select('*');
-    
-    if (error) {
-      console.error('Error querying users:', error);
-      throw error;
-    }
-    
-    console.log('Raw query result:', { data, error });
-    return data || [];
+    return captureChange('users', 'update', userId, () => storage.update('users', { id: userId }, updates, { single: true }));
+  },
+
+  // Just enough of a user to tell whether a signed-in session is still valid
+  async getUserSessionVersion(userId) {
+    return storage.select('users', { columns: 'id, session_version', filters: { id: userId }, maybeSingle: true });
+  },
+
+  async getAllUsers(query) {
+    return list('users', { order: newestFirst }, query);
   },
 
   // User approval operations
-  async getPendingUsers() {
-    const { data, error } = await supabaseAdmin
-      .from('users')
-      .select('*')
-      .eq('approval_status', 'pending')
-      .order('created_at', { ascending: false });
-    
-    if (error) throw error;
-    return data;
+  async getPendingUsers(query) {
+    return list('users', {
+      filters: { approval_status: 'pending' },
+      order: newestFirst
+    }, query);
   },
 
   async approveUser(userId, approvedBy) {
-    const { data, error } = await supabaseAdmin
-      .from('users')
-      .update({
-        approval_status: 'approved',
-        approved_by: approvedBy,
-        approved_at: new Date().toISOString()
-      })
-      .eq('id', userId)
-      .select()
-      .single();
-    
-    if (error) throw error;
-    return data;
+    return storage.update('users', { id: userId }, {
+      approval_status: 'approved',
+      approved_by: approvedBy,
+      approved_at: new Date().toISOString()
+    }, { single: true });
   },
 
   async rejectUser(userId, rejectionReason, rejectedBy) {
-    const { data, error } = await supabaseAdmin
-      .from('users')
-      .update({
-        approval_status: 'rejected',
-        approved_by: rejectedBy,
-        approved_at: new Date().toISOString(),
-        rejection_reason: rejectionReason
-      })
-      .eq('id', userId)
-      .select()
-      .single();
-    
-    if (error) throw error;
-    return data;
-  },
-
-  async getUsersByRole(role) {
-    const { data, error } = await supabaseAdmin
-      .from('users')
-      .select('*')
-      .eq('role', role)
-      .order('created_at', { ascending: false });
-    
-    if (error) throw error;
-    return data;
-  },
-
-  async getApprovedUsersByRole(role) {
-    const { data, error } = await supabaseAdmin
-      .from('users')
-      .select('*')
-      .eq('role', role)
-      .eq('approval_status', 'approved')
-      .order('created_at', { ascending: false });
-    
-    if (error) throw error;
-    return data;
+    return storage.update('users', { id: userId }, {
+      approval_status: 'rejected',
+      approved_by: rejectedBy,
+      approved_at: new Date().toISOString(),
+      rejection_reason: rejectionReason
+    }, { single: true });
+  },
+
+  async getUsersByRole(role, query) {
+    return list('users', {
+      filters: { role },
+      order: newestFirst
+    }, query);
+  },
+
+  async getApprovedUsersByRole(role, query) {
+    return list('users', {
+      filters: { role, approval_status: 'approved' },
+      order: newestFirst
+    }, query);
+  },
+
+  // Password reset operations
+  async createPasswordResetToken(tokenData) {
+    return storage.insert('password_reset_tokens', tokenData);
+  },
+
+  async getPasswordResetToken(tokenHash) {
+    return storage.select('password_reset_tokens', { filters: { token_hash: tokenHash }, maybeSingle: true });
+  },
+
+  // Mark a token used, only if nobody redeemed it first; null when the race was lost
+  async claimPasswordResetToken(tokenId) {
+    const claimed = await storage.update('password_reset_tokens',
+      [['id', 'eq', tokenId], ['used_at', 'is', null]],
+      { used_at: new Date().toISOString() });
+    return claimed[0] || null;
+  },
+
+  // Retire every outstanding token for a user
+  async revokePasswordResetTokens(userId) {
+    return storage.update('password_reset_tokens',
+      [['user_id', 'eq', userId], ['used_at', 'is', null]],
+      { used_at: new Date().toISOString() });
+  },
+
+  // Two-factor operations
+  // Record the time step of an accepted TOTP code; null when that step (or a later one) was already used
+  async recordTotpStep(userId, step) {
+    const updated = await storage.update('users', [
+      ['id', 'eq', userId],
+      { or: [['totp_last_step', 'is', null], ['totp_last_step', 'lt', step]] }
+    ], { totp_last_step: step });
+    return updated[0] || null;
+  },
+
+  // Swap a user's recovery codes for a new set of hashes
+  async replaceRecoveryCodes(userId, codeHashes) {
+    await storage.remove('two_factor_recovery_codes', { user_id: userId });
+    return storage.insertMany('two_factor_recovery_codes', codeHashes.map(codeHash => ({ user_id: userId, code_hash: codeHash })));
+  },
+
+  // Use up a recovery code; null when it does not exist or was already used
+  async claimRecoveryCode(userId, codeHash) {
+    const claimed = await storage.update('two_factor_recovery_codes',
+      [['user_id', 'eq', userId], ['code_hash', 'eq', codeHash], ['used_at', 'is', null]],
+      { used_at: new Date().toISOString() });
+    return claimed[0] || null;
+  },
+
+  async countUnusedRecoveryCodes(userId) {
+    return storage.count('two_factor_recovery_codes', { filters: { user_id: userId, used_at: null } });
+  },
+
+  async clearRecoveryCodes(userId) {
+    return storage.remove('two_factor_recovery_codes', { user_id: userId });
+  },
+
+  // Role operations
+  async getRoles() {
+    return storage.select('roles', { order: { column: 'label', ascending: true } });
+  },
+
+  async getRoleByName(name) {
+    return storage.select('roles', { filters: { name }, maybeSingle: true });
+  },
+
+  async createRole(roleData) {
+    return storage.insert('roles', roleData);
+  },
+
+  async updateRole(name, updates) {
+    return storage.update('roles', { name }, updates, { single: true });
+  },
+
+  async deleteRole(name) {
+    return storage.remove('roles', { name });
+  },
+
+  async countUsersWithRole(name) {
+    return storage.count('users', { filters: { role_name: name } });
   },
 
   // Course operations
   async createCourse(courseData) {
-    const { data, error } = await supabaseAdmin
-      .from('courses')
-      .insert(courseData)
-      .select()
-      .single();
-    
-    if (error) throw error;
-    return data;
-  },
-
-  async getAllCourses() {
-    const { data, error } = await supabaseAdmin
-      .from('courses')
-      .select(`
-        *,
-        lecturer:users!courses_lecturer_id_fkey(id, first_name, last_name, email)
-      `)
-      .order('created_at', { ascending: false });
-    
-    if (error) throw error;
-    return data;
+    return storage.insert('courses', courseData);
+  },
+
+  async getAllCourses(query) {
+    return list('courses', {
+      embed: { lecturer: embeds.courseLecturer },
+      order: newestFirst
+    }, query);
   },
 
   async getCourseById(courseId) {
-    const { data, error } = await supabaseAdmin
-      .from('courses')
-      .select(`
-        *,
-        lecturer:users!courses_lecturer_id_fkey(id, first_name, last_name, email)
-      `)
-      .eq('id', courseId)
-      .single();
-    
-    if (error) throw error;
-    return data;
+    return storage.select('courses', {
+      embed: { lecturer: embeds.courseLecturer },
+      filters: { id: courseId },
+      single: true
+    });
+  },
+
+  async getCoursesByIds(courseIds) {
+    return storage.select('courses', { columns: 'id, name, code, lecturer_id, term_id', filters: [['id', 'in', courseIds]] });
   },
 
   async updateCourse(courseId, updates) {
-    const { data, error } = await supabaseAdmin
-      .from('courses')
-      .update(updates)
-      .eq('id', courseId)
-      .select()
-      .single();
-    
-    if (error) throw error;
-    return data;
+    return captureChange('courses', 'update', courseId, () => storage.update('courses', { id: courseId }, updates, { single: true }));
   },
 
   async deleteCourse(courseId) {
-    const { data, error } = await supabaseAdmin
-      .from('courses')
-      .delete()
-      .eq('id', courseId);
-    
-    if (error) throw error;
-    return data;
+    return captureChange('courses', 'delete', courseId, () => storage.remove('courses', { id: courseId }));
+  },
+
+  // Course staff operations
+  async getCourseStaff(courseId) {
+    return storage.select('course_staff', {
+      embed: { user: embeds.staffUser },
+      filters: { course_id: courseId },
+      order: { column: 'created_at', ascending: true }
+    });
+  },
+
+  async getCourseStaffMember(courseId, userId) {
+    return storage.select('course_staff', { filters: { course_id: courseId, user_id: userId }, maybeSingle: true });
+  },
+
+  async addCourseStaff(staffData) {
+    return storage.upsert('course_staff', staffData, { onConflict: 'course_id,user_id' });
+  },
+
+  async removeCourseStaff(courseId, userId) {
+    return storage.remove('course_staff', { course_id: courseId, user_id: userId });
+  },
+
+  // Courses a user teaches: their own (courses.lecturer_id) and those they are staff on
+  async getTaughtCourseIds(userId) {
+    const [owned, staffed] = await Promise.all([
+      storage.select('courses', { columns: 'id', filters: { lecturer_id: userId } }),
+      storage.select('course_staff', { columns: 'course_id', filters: { user_id: userId } })
+    ]);
+    return [...new Set([...(owned || []).map(course => course.id), ...(staffed || []).map(staff => staff.course_id)])];
+  },
+
+  async getActiveCourseIds() {
+    return storage.select('courses', { columns: 'id, code', filters: { is_active: true } });
   },
 
   // Assessment operations
   async createAssessment(assessmentData) {
-    const { data, error } = await supabaseAdmin
-      .from('assessments')
-      .insert(assessmentData)
-      .select()
-      .single();
-    
-    if (error) throw error;
-    return data;
-  },
-
-  async getAssessmentsByLecturer(lecturerId) {
-    const { data, error } = await supabaseAdmin
-      .from('assessments')
-      .select(`
-        *,
-        course:courses(id, name, code),
-        lecturer:users!assessments_lecturer_id_fkey(id, first_name, last_name)
-      `)
-      .eq('lecturer_id', lecturerId)
-      .order('created_at', { ascending: false });
-    
-    if (error) throw error;
-    return data;
+    return storage.insert('assessments', assessmentData);
+  },
+
+  // Assessments a lecturer set, plus every assessment in the courses they teach
+  async getAssessmentsByLecturer(lecturerId, query) {
+    const courseIds = await dbHelpers.getTaughtCourseIds(lecturerId);
+    return list('assessments', {
+      embed: { course: embeds.course, lecturer: embeds.assessmentLecturer },
+      filters: [{ or: [['lecturer_id', 'eq', lecturerId], ['course_id', 'in', courseIds]] }],
+      order: newestFirst
+    }, query);
   },
 
   async getAssessmentById(assessmentId) {
-    const { data, error } = await supabaseAdmin
-      .from('assessments')
-      .select(`
-        *,
-        course:courses(id, name, code),
-        lecturer:users!assessments_lecturer_id_fkey(id, first_name, last_name)
-      `)
-      .eq('id', assessmentId)
-      .single();
-    
-    if (error) throw error;
-    return data;
+    return storage.select('assessments', {
+      embed: { course: embeds.course, lecturer: embeds.assessmentLecturer },
+      filters: { id: assessmentId },
+      single: true
+    });
+  },
+
+  async getPublishedCourseAssessments(courseId) {
+    return storage.select('assessments', { filters: { course_id: courseId, is_published: true } });
   },
 
   async updateAssessment(assessmentId, updates) {
-    const { data, error } = await supabaseAdmin
-      .from('assessments')
-      .update(updates)
-      .eq('id', assessmentId)
-      .select()
-      .single();
-    
-    if (error) throw error;
-    return data;
+    return captureChange('assessments', 'update', assessmentId, () => storage.update('assessments', { id: assessmentId }, updates, { single: true }));
   },
 
   // Result operations
   async createResult(resultData) {
-    const { data, error } = await supabaseAdmin
-      .from('results')
-      .insert(resultData)
-      .select()
-      .single();
-    
-    if (error) throw error;
-    return data;
-  },
-
-  async getResultsByStudent(studentId) {
-    const { data, error } = await supabaseAdmin
-      .from('results')
-      .select(`
-        *,
-        assessment:assessments(id, title, total_marks, type),
-        course:courses(id, name, code),
-        student:users!results_student_id_fkey(id, first_name, last_name, student_id)
-      `)
-      .eq('student_id', studentId)
-      .order('created_at', { ascending: false });
-    
-    if (error) throw error;
-    return data;
-  },
-
-  async getResultsByAssessment(assessmentId) {
-    const { data, error } = await supabaseAdmin
-      .from('results')
-      .select(`
-        *,
-        student:users!results_student_id_fkey(id, first_name, last_name, student_id),
-        assessment:assessments(id, title, total_marks, type)
-      `)
-      .eq('assessment_id', assessmentId)
-      .order('score', { ascending: false });
-    
-    if (error) throw error;
-    return data;
+    const result = await storage.insert('results', resultData);
+
+    // Earlier attempts stay on record but are no longer the listed row
+    if (result.attempt_number > 1) {
+      await storage.update('results', [
+        ['student_id', 'eq', result.student_id],
+        ['assessment_id', 'eq', result.assessment_id],
+        ['attempt_number', 'lt', result.attempt_number]
+      ], { is_latest_attempt: false });
+    }
+
+    await storage.update('assessment_attempts', {
+      student_id: result.student_id,
+      assessment_id: result.assessment_id,
+      attempt_number: result.attempt_number || 1,
+      status: 'in_progress'
+    }, { status: 'submitted', submitted_at: result.submitted_at || new Date().toISOString() });
+
+    return result;
+  },
+
+  async getResultsByStudent(studentId, query) {
+    return listResults({
+      embed: { assessment: embeds.assessment, course: embeds.course, student: embeds.resultStudent },
+      filters: { student_id: studentId },
+      order: newestFirst
+    }, query);
+  },
+
+  async getResultsByAssessment(assessmentId, query) {
+    return listResults({
+      embed: { student: embeds.resultStudent, assessment: embeds.assessment, course: embeds.course },
+      filters: { assessment_id: assessmentId },
+      order: { column: 'score', ascending: false }
+    }, query);
+  },
+
+  // Every student's counted result per assessment in a course
+  async getCountedCourseResults(courseId) {
+    return listResults({ embed: { assessment: embeds.assessment }, filters: { course_id: courseId } });
+  },
+
+  // Latest-attempt rows for an assessment, as stored (no scoring rules applied)
+  async getLatestAssessmentResults(assessmentId) {
+    return storage.select('results', { filters: { assessment_id: assessmentId, is_latest_attempt: true } });
+  },
+
+  // Write many full result rows (new ones carry a generated id) in a single statement
+  async saveResults(rows) {
+    return storage.upsertMany('results', rows, { onConflict: 'id' });
   },
 
   async updateResult(resultId, updates) {
-    const { data, error } = await supabaseAdmin
-      .from('results')
-      .update(updates)
-      .eq('id', resultId)
-      .select()
-      .single();
-    
-    if (error) throw error;
-    return data;
+    return captureChange('results', 'update', resultId, () => storage.update('results', { id: resultId }, updates, { single: true }));
+  },
+
+  // Attempt operations
+  async getAttempts(studentId, assessmentId) {
+    return storage.select('assessment_attempts', {
+      filters: { student_id: studentId, assessment_id: assessmentId },
+      order: { column: 'attempt_number', ascending: true }
+    });
+  },
+
+  async createAttempt(attemptData) {
+    return storage.insert('assessment_attempts', attemptData);
+  },
+
+  async getResultAttempts(studentId, assessmentId) {
+    return storage.select('results', {
+      filters: { student_id: studentId, assessment_id: assessmentId },
+      order: { column: 'attempt_number', ascending: true }
+    });
+  },
+
+  async getAttemptById(attemptId) {
+    return storage.select('assessment_attempts', { filters: { id: attemptId }, single: true });
+  },
+
+  async updateAttempt(attemptId, updates) {
+    return storage.update('assessment_attempts', { id: attemptId }, updates, { single: true });
+  },
+
+  // Question bank operations
+  async createQuestion(questionData) {
+    return storage.insert('questions', questionData);
+  },
+
+  async getQuestionById(questionId) {
+    return storage.select('questions', { filters: { id: questionId }, single: true });
+  },
+
+  async updateQuestion(questionId, updates) {
+    return storage.update('questions', { id: questionId }, updates, { single: true });
+  },
+
+  // Active questions in a course's bank, optionally limited to those carrying every tag
+  async getCourseQuestions(courseId, query, { tags = [] } = {}) {
+    const filters = [['course_id', 'eq', courseId], ['is_active', 'eq', true]];
+    if (tags.length > 0) {
+      filters.push(['tags', 'contains', tags]);
+    }
+    return list('questions', { filters, order: newestFirst }, query);
+  },
+
+  // Questions on an assessment in position order, with per-assessment point overrides applied
+  async getAssessmentQuestions(assessmentId) {
+    const links = await storage.select('assessment_questions', {
+      filters: { assessment_id: assessmentId },
+      order: { column: 'position', ascending: true }
+    });
+
+    const questions = await storage.select('questions', {
+      filters: [['id', 'in', links.map(link => link.question_id)]]
+    });
+    const byId = new Map(questions.map(question => [question.id, question]));
+
+    return links
+      .filter(link => byId.has(link.question_id))
+      .map(link => {
+        const question = byId.get(link.question_id);
+        return { ...question, points: link.points || question.points };
+      });
+  },
+
+  // Replace an assessment's question list with [{ question_id, points }] in order
+  async setAssessmentQuestions(assessmentId, links) {
+    await storage.remove('assessment_questions', { assessment_id: assessmentId });
+    for (const [position, link] of links.entries()) {
+      await storage.insert('assessment_questions', {
+        assessment_id: assessmentId,
+        question_id: link.question_id,
+        points: link.points || null,
+        position
+      });
+    }
+  },
+
+  // Grading scheme operations
+  async getGradingSchemes() {
+    return storage.select('grading_schemes', { order: { column: 'name', ascending: true } });
+  },
+
+  async getGradingSchemeById(schemeId) {
+    return storage.select('grading_schemes', { filters: { id: schemeId }, single: true });
+  },
+
+  async createGradingScheme(schemeData) {
+    return storage.insert('grading_schemes', schemeData);
+  },
+
+  async updateGradingScheme(schemeId, updates) {
+    return storage.update('grading_schemes', { id: schemeId }, updates, { single: true });
+  },
+
+  async deleteGradingScheme(schemeId) {
+    return storage.remove('grading_schemes', { id: schemeId });
+  },
+
+  // Make one scheme the default; the others lose the flag
+  async setDefaultGradingScheme(schemeId) {
+    await storage.update('grading_schemes', [['id', 'neq', schemeId], ['is_default', 'eq', true]], { is_default: false });
+    return storage.update('grading_schemes', { id: schemeId }, { is_default: true }, { single: true });
+  },
+
+  async countCoursesUsingScheme(schemeId) {
+    return storage.count('courses', { filters: { grading_scheme_id: schemeId } });
+  },
+
+  // Room operations
+  async getRooms({ activeOnly = false } = {}) {
+    return storage.select('rooms', {
+      filters: activeOnly ? { is_active: true } : {},
+      order: { column: 'code', ascending: true }
+    });
+  },
+
+  async getRoomById(roomId) {
+    return storage.select('rooms', { filters: { id: roomId }, maybeSingle: true });
+  },
+
+  async getRoomByCode(code) {
+    return storage.select('rooms', { filters: { code }, maybeSingle: true });
+  },
+
+  async createRoom(roomData) {
+    return storage.insert('rooms', roomData);
+  },
+
+  async updateRoom(roomId, updates) {
+    return storage.update('rooms', { id: roomId }, updates, { single: true });
+  },
+
+  async deleteRoom(roomId) {
+    return storage.remove('rooms', { id: roomId });
+  },
+
+  async countSessionsInRoom(roomId) {
+    return storage.count('course_sessions', { filters: { room_id: roomId } });
+  },
+
+  // Course session (timetable) operations
+  async getSessionsForCourses(courseIds) {
+    if (courseIds.length === 0) return [];
+    return storage.select('course_sessions', {
+      embed: { course: embeds.sessionCourse, room: embeds.sessionRoom, lecturer: embeds.sessionLecturer },
+      filters: [['course_id', 'in', courseIds]],
+      order: [{ column: 'day_of_week', ascending: true }, { column: 'starts_at', ascending: true }]
+    });
+  },
+
+  // Sessions someone other than the course lecturer was put down to teach
+  async getSessionsLedBy(userId) {
+    return storage.select('course_sessions', {
+      embed: { course: embeds.sessionCourse, room: embeds.sessionRoom, lecturer: embeds.sessionLecturer },
+      filters: { lecturer_id: userId }
+    });
+  },
+
+  // Every session on the given days, for clash checks
+  async getSessionsOnDays(days) {
+    if (days.length === 0) return [];
+    return storage.select('course_sessions', {
+      embed: { course: embeds.sessionCourse, room: embeds.sessionRoom },
+      filters: [['day_of_week', 'in', days]]
+    });
+  },
+
+  async getSessionById(sessionId) {
+    return storage.select('course_sessions', {
+      embed: { course: embeds.sessionCourse, room: embeds.sessionRoom, lecturer: embeds.sessionLecturer },
+      filters: { id: sessionId },
+      maybeSingle: true
+    });
+  },
+
+  async createSession(sessionData) {
+    return storage.insert('course_sessions', sessionData);
+  },
+
+  async updateSession(sessionId, updates) {
+    return storage.update('course_sessions', { id: sessionId }, updates, { single: true });
+  },
+
+  async deleteSession(sessionId) {
+    return storage.remove('course_sessions', { id: sessionId });
+  },
+
+  async getCourseIdsInTerm(termId) {
+    const rows = await storage.select('courses', { columns: 'id', filters: { term_id: termId } });
+    return rows.map(row => row.id);
+  },
+
+  // { student_id, course_id } of every active enrollment in the given courses
+  async getActiveEnrollmentsForCourses(courseIds) {
+    if (courseIds.length === 0) return [];
+    return storage.select('enrollments', { columns: 'student_id, course_id', filters: [['course_id', 'in', courseIds], ['status', 'eq', 'active']] });
+  },
+
+  // Attendance operations
+  async getAttendanceSessions(courseId) {
+    return storage.select('attendance_sessions', {
+      filters: { course_id: courseId },
+      order: [{ column: 'held_on', ascending: false }, { column: 'starts_at', ascending: false }]
+    });
+  },
+
+  // Registers of the given courses held on or before a date, for attendance rates
+  async getAttendanceSessionsHeldBy(courseIds, date) {
+    if (courseIds.length === 0) return [];
+    return storage.select('attendance_sessions', {
+      columns: 'id, course_id, held_on, check_in_code, check_in_expires_at',
+      filters: [['course_id', 'in', courseIds], ['held_on', 'lte', date]]
+    });
+  },
+
+  async getAttendanceSessionById(attendanceSessionId) {
+    return storage.select('attendance_sessions', {
+      embed: { course: embeds.attendanceCourse },
+      filters: { id: attendanceSessionId },
+      maybeSingle: true
+    });
+  },
+
+  // The register a check-in code is open for, if the code has not expired
+  async getOpenAttendanceSessionByCode(code, now = new Date()) {
+    const rows = await storage.select('attendance_sessions', {
+      embed: { course: embeds.attendanceCourse },
+      filters: [['check_in_code', 'eq', code], ['check_in_expires_at', 'gt', now.toISOString()]]
+    });
+    return rows[0] || null;
+  },
+
+  async createAttendanceSession(sessionData) {
+    return storage.insert('attendance_sessions', sessionData);
+  },
+
+  async updateAttendanceSession(attendanceSessionId, updates) {
+    return storage.update('attendance_sessions', { id: attendanceSessionId }, updates, { single: true });
+  },
+
+  async deleteAttendanceSession(attendanceSessionId) {
+    return storage.remove('attendance_sessions', { id: attendanceSessionId });
+  },
+
+  async getAttendanceRecords(attendanceSessionIds) {
+    if (attendanceSessionIds.length === 0) return [];
+    return storage.select('attendance_records', {
+      filters: [['attendance_session_id', 'in', attendanceSessionIds]]
+    });
+  },
+
+  async getAttendanceRecord(attendanceSessionId, studentId) {
+    return storage.select('attendance_records', {
+      filters: { attendance_session_id: attendanceSessionId, student_id: studentId },
+      maybeSingle: true
+    });
+  },
+
+  async getStudentAttendanceRecords(studentId) {
+    return storage.select('attendance_records', {
+      embed: { session: embeds.attendanceSession },
+      filters: { student_id: studentId }
+    });
+  },
+
+  // One mark per student and register; marking again replaces the earlier mark
+  async saveAttendanceRecords(rows) {
+    if (rows.length === 0) return [];
+    return storage.upsertMany('attendance_records', rows, { onConflict: 'attendance_session_id,student_id' });
+  },
+
+  // Active enrollments with their start dates, for who a register counts against
+  async getActiveEnrollmentDates(courseIds) {
+    if (courseIds.length === 0) return [];
+    return storage.select('enrollments', {
+      columns: 'student_id, course_id, enrollment_date',
+      filters: [['course_id', 'in', courseIds], ['status', 'eq', 'active']]
+    });
+  },
+
+  // Academic term operations
+  async getTerms() {
+    return storage.select('academic_terms', { order: { column: 'starts_on', ascending: false } });
+  },
+
+  async getTermById(termId) {
+    return storage.select('academic_terms', { filters: { id: termId }, maybeSingle: true });
+  },
+
+  async getTermByCode(code) {
+    return storage.select('academic_terms', { filters: { code }, maybeSingle: true });
+  },
+
+  // Terms that overlap a date range (YYYY-MM-DD)
+  async getTermsBetween(from, to) {
+    return storage.select('academic_terms', {
+      filters: [['starts_on', 'lte', to], ['ends_on', 'gte', from]],
+      order: { column: 'starts_on', ascending: true }
+    });
+  },
+
+  async createTerm(termData) {
+    return storage.insert('academic_terms', termData);
+  },
+
+  async updateTerm(termId, updates) {
+    return storage.update('academic_terms', { id: termId }, updates, { single: true });
+  },
+
+  async deleteTerm(termId) {
+    return storage.remove('academic_terms', { id: termId });
+  },
+
+  async countCoursesInTerm(termId) {
+    return storage.count('courses', { filters: { term_id: termId } });
+  },
+
+  // Keep the term labels on courses in step with the term
+  async relabelTermCourses(termId, { semester, academic_year }) {
+    return storage.update('courses', { term_id: termId }, { semester, academic_year });
+  },
+
+  async getTermEvents(termIds) {
+    if (termIds.length === 0) return [];
+    return storage.select('term_events', {
+      filters: [['term_id', 'in', termIds]],
+      order: { column: 'starts_on', ascending: true }
+    });
+  },
+
+  async getTermEventById(eventId) {
+    return storage.select('term_events', { filters: { id: eventId }, maybeSingle: true });
+  },
+
+  async createTermEvent(eventData) {
+    return storage.insert('term_events', eventData);
+  },
+
+  async updateTermEvent(eventId, updates) {
+    return storage.update('term_events', { id: eventId }, updates, { single: true });
+  },
+
+  async deleteTermEvent(eventId) {
+    return storage.remove('term_events', { id: eventId });
+  },
+
+  // Assessments of the given courses due within [from, to)
+  async getAssessmentsDueBetween(courseIds, from, to, { publishedOnly = false } = {}) {
+    if (courseIds.length === 0) return [];
+    const filters = [['course_id', 'in', courseIds], ['due_date', 'gte', from], ['due_date', 'lt', to]];
+    if (publishedOnly) filters.push(['is_published', 'eq', true]);
+    return storage.select('assessments', {
+      columns: 'id, title, type, due_date, course_id, is_published',
+      embed: { course: embeds.course },
+      filters,
+      order: { column: 'due_date', ascending: true }
+    });
+  },
+
+  async getUserByCalendarToken(tokenHash) {
+    return storage.select('users', { filters: { calendar_token_hash: tokenHash }, maybeSingle: true });
   },
 
   // Enrollment operations
   async enrollStudent(enrollmentData) {
-    const { data, error } = await supabaseAdmin
-      .from('enrollments')
-      .insert(enrollmentData)
-      .select()
-      .single();
-    
-    if (error) throw error;
-    return data;
-  },
-
-  async getStudentEnrollments(studentId) {
-    const { data, error } = await supabaseAdmin
-      .from('enrollments')
-      .select(`
-        *,
-        course:courses(id, name, code, description),
-        lecturer:users!courses_lecturer_id_fkey(id, first_name, last_name)
-      `)
-      .eq('student_id', studentId)
-      .eq('status', 'active');
-    
-    if (error) throw error;
-    return data;
-  },
-
-  async getCourseEnrollments(courseId) {
-    const { data, error } = await supabaseAdmin
-      .from('enrollments')
-      .select(`
-        *,
-        student:users!enrollments_student_id_fkey(id, first_name, last_name, student_id, email)
-      `)
-      .eq('course_id', courseId)
-      .eq('status', 'active');
-    
-    if (error) throw error;
-    return data;
-  },
-
-  
+    return storage.insert('enrollments', enrollmentData);
+  },
+
+  async getStudentEnrollments(studentId, query) {
+    return list('enrollments', {
+      embed: { course: embeds.enrollmentCourse },
+      filters: { student_id: studentId, status: 'active' }
+    }, query);
+  },
+
+  async getCourseEnrollments(courseId, query) {
+    return list('enrollments', {
+      embed: { student: embeds.enrollmentStudent },
+      filters: { course_id: courseId, status: 'active' }
+    }, query);
+  },
+
+  // Enrollments that receive a final grade (not dropped)
+  async getGradableEnrollments(courseId) {
+    return storage.select('enrollments', {
+      filters: [['course_id', 'eq', courseId], ['status', 'in', ['active', 'completed']]]
+    });
+  },
+
+  // A student's courses with credit hours and term, for GPA
+  async getStudentTranscript(studentId) {
+    return storage.select('enrollments', {
+      embed: { course: embeds.courseTerm },
+      filters: [['student_id', 'eq', studentId], ['status', 'in', ['active', 'completed']]]
+    });
+  },
+
+  async updateEnrollment(enrollmentId, updates) {
+    return storage.update('enrollments', { id: enrollmentId }, updates, { single: true });
+  },
+
+  // A student's enrollment row for a course, whatever its status
+  async getEnrollment(studentId, courseId) {
+    return storage.select('enrollments', { filters: { student_id: studentId, course_id: courseId }, maybeSingle: true });
+  },
+
+  async getEnrollmentById(enrollmentId) {
+    return storage.select('enrollments', { filters: { id: enrollmentId }, maybeSingle: true });
+  },
+
+  // Every request a student has made that is still of interest (not dropped)
+  async getStudentEnrollmentRequests(studentId) {
+    return storage.select('enrollments', {
+      embed: { course: embeds.courseDetails },
+      filters: [['student_id', 'eq', studentId], ['status', 'in', ['pending', 'waitlisted', 'active', 'rejected']]],
+      order: { column: 'requested_at', ascending: false }
+    });
+  },
+
+  async countActiveEnrollments(courseId) {
+    return storage.count('enrollments', { filters: { course_id: courseId, status: 'active' } });
+  },
+
+  // course_id of every active enrollment in the given courses, for seat counts
+  async getActiveEnrollmentCourseIds(courseIds) {
+    return storage.select('enrollments', { columns: 'course_id', filters: [['course_id', 'in', courseIds], ['status', 'eq', 'active']] });
+  },
+
+  // Pending and waitlisted requests, longest waiting first
+  async getEnrollmentRequests(courseId, statuses = ['pending', 'waitlisted']) {
+    return storage.select('enrollments', {
+      embed: { student: embeds.enrollmentStudent },
+      filters: [['course_id', 'eq', courseId], ['status', 'in', statuses]],
+      order: { column: 'requested_at', ascending: true }
+    });
+  },
+
+  // Move a waitlisted enrollment into a seat; null if it left the waitlist meanwhile
+  async promoteEnrollment(enrollmentId) {
+    const rows = await storage.update('enrollments', { id: enrollmentId, status: 'waitlisted' }, {
+      status: 'active',
+      enrollment_date: new Date().toISOString()
+    });
+    return rows[0] || null;
+  },
+
+  async getCompletedCourseIds(studentId) {
+    const rows = await storage.select('enrollments', { columns: 'course_id', filters: { student_id: studentId, status: 'completed' } });
+    return rows.map(row => row.course_id);
+  },
+
+  // Active courses students can browse and request, filtered by term
+  async getCatalogueCourses(query) {
+    return list('courses', {
+      embed: { lecturer: embeds.courseLecturer },
+      filters: { is_active: true },
+      order: { column: 'code', ascending: true }
+    }, query);
+  },
+
+  async getCoursePrerequisites(courseIds) {
+    return storage.select('course_prerequisites', {
+      embed: { prerequisite: embeds.prerequisite },
+      filters: [['course_id', 'in', courseIds]]
+    });
+  },
+
+  async setCoursePrerequisites(courseId, prerequisiteIds) {
+    await storage.remove('course_prerequisites', { course_id: courseId });
+    return storage.insertMany('course_prerequisites', prerequisiteIds.map(prerequisiteId => ({
+      course_id: courseId,
+      prerequisite_id: prerequisiteId
+    })));
+  },
+
   // Notification operations
-  async createNotification(notificationData) {
-    const { data, error } = await supabaseAdmin
-      .from("notifications")
-      .insert(notificationData)
-      .select()
-      .single();
-    
-    if (error) throw error;
-    return data;
-  },
-
-  async getNotificationsByUserId(userId) {
-    const { data, error } = await supabaseAdmin
-      .from("notifications")
-      .select("*")
-      .eq("user_id", userId)
-      .order("created_at", { ascending: false });
-    
-    if (error) throw error;
-    return data;
-  },
-
-  async getAdminNotifications() {
-    const { data, error } = await supabaseAdmin
-      .from("notifications")
-      .select("*")
-      .is("user_id", null) // Notifications for all admins
-      .order("created_at", { ascending: false });
-    
-    if (error) throw error;
-    return data;
-  },
-
-  async markNotificationAsRead(notificationId) {
-    const { data, error } = await supabaseAdmin
-      .from("notifications")
-      .update({ is_read: true })
-      .eq("id", notificationId)
-      .select()
-      .single();
-    
-    if (error) throw error;
-    return data;
-  },
-
-  async deleteNotification(notificationId) {
-    const { data, error } = await supabaseAdmin
-      .from("notifications")
-      .delete()
-      .eq("id", notificationId);
-    
-    if (error) throw error;
-    return data;
+  async createNotifications(rows) {
+    if (rows.length === 0) return [];
+    return storage.insertMany('notifications', rows);
+  },
+
+  async getNotificationsByUserId(userId, query) {
+    return list('notifications', {
+      filters: { user_id: userId },
+      order: newestFirst
+    }, query);
+  },
+
+  async getUnreadNotifications(userId, limit) {
+    return storage.select('notifications', {
+      filters: { user_id: userId, is_read: false },
+      order: newestFirst,
+      limit
+    });
+  },
+
+  // Which of the given users already have a notification with this dedupe key
+  async getNotifiedUserIds(userIds, dedupeKey) {
+    if (userIds.length === 0) return [];
+    const rows = await storage.select('notifications', {
+      columns: 'user_id',
+      filters: [['user_id', 'in', userIds], ['dedupe_key', 'eq', dedupeKey]]
+    });
+    return rows.map(row => row.user_id);
+  },
+
+  async markNotificationAsRead(userId, notificationId) {
+    return storage.update('notifications', { id: notificationId, user_id: userId }, {
+      is_read: true,
+      read_at: new Date().toISOString()
+    }, { single: true });
+  },
+
+  async markAllNotificationsAsRead(userId) {
+    return storage.update('notifications', { user_id: userId, is_read: false }, {
+      is_read: true,
+      read_at: new Date().toISOString()
+    });
+  },
+
+  async getNotificationPreferences(userId) {
+    return storage.select('notification_preferences', { filters: { user_id: userId } });
+  },
+
+  // The saved preferences of the given users for one event
+  async getEventPreferences(userIds, eventType) {
+    if (userIds.length === 0) return [];
+    return storage.select('notification_preferences', {
+      columns: 'user_id, in_app, email',
+      filters: [['user_id', 'in', userIds], ['event_type', 'eq', eventType]]
+    });
+  },
+
+  async saveNotificationPreferences(rows) {
+    return storage.upsertMany('notification_preferences', rows, { onConflict: 'user_id,event_type' });
+  },
+
+  // Mail outbox operations
+  async queueMailMessage(message) {
+    return storage.insert('mail_outbox', message);
+  },
+
+  async getMailMessageById(messageId) {
+    return storage.select('mail_outbox', { filters: { id: messageId }, maybeSingle: true });
+  },
+
+  // Queued messages whose next attempt is due, oldest first
+  async getDueMailMessages(now, limit) {
+    return storage.select('mail_outbox', {
+      filters: [['status', 'eq', 'queued'], ['next_attempt_at', 'lte', now]],
+      order: { column: 'next_attempt_at', ascending: true },
+      limit
+    });
+  },
+
+  // Move a message from one status to another; resolves to null when another worker changed it first
+  async transitionMailMessage(messageId, fromStatus, updates) {
+    const [message] = await storage.update('mail_outbox', { id: messageId, status: fromStatus }, updates);
+    return message || null;
+  },
+
+  // Put back messages left in 'sending' by a worker that stopped before finishing
+  async requeueStalledMailMessages(before) {
+    return storage.update('mail_outbox', [['status', 'eq', 'sending'], ['updated_at', 'lt', before]], { status: 'queued' });
+  },
+
+  async getMailMessages(query) {
+    return list('mail_outbox', { order: newestFirst }, query);
+  },
+
+  async countMailMessages(status) {
+    return storage.count('mail_outbox', { filters: { status } });
+  },
+
+  async getUsersByIds(userIds) {
+    if (userIds.length === 0) return [];
+    return storage.select('users', { columns: 'id, email, first_name, last_name, role', filters: [['id', 'in', userIds]] });
+  },
+
+  // Published assessments due within [from, to), across all courses
+  async getPublishedAssessmentsDueBetween(from, to) {
+    return storage.select('assessments', {
+      columns: 'id, title, due_date, course_id',
+      embed: { course: embeds.course },
+      filters: [['is_published', 'eq', true], ['due_date', 'gte', from], ['due_date', 'lt', to]],
+      order: { column: 'due_date', ascending: true }
+    });
   },
 
   // Additional missing functions
-  async getAllAssessments() {
-    const { data, error } = await supabaseAdmin
-      .from('assessments')
-      .select(`
-        *,
-        course:courses(id, name, code),
-        lecturer:users!assessments_lecturer_id_fkey(id, first_name, last_name)
-      `)
-      .order('created_at', { ascending: false });
-    
-    if (error) throw error;
-    return data;
-  },
-
-  async getAllResults() {
-    const { data, error } = await supabaseAdmin
-      .from('results')
-      .select(`
-        *,
-        student:users!results_student_id_fkey(id, first_name, last_name, student_id),
-        assessment:assessments(id, title, total_marks, type),
-        course:courses(id, name, code)
-      `)
-      .order('created_at', { ascending: false });
-    
-    if (error) throw error;
-    return data;
+  async getAllAssessments(query) {
+    return list('assessments', {
+      embed: { course: embeds.course, lecturer: embeds.assessmentLecturer },
+      order: newestFirst
+    }, query);
+  },
+
+  async getAllResults(query) {
+    return listResults({
+      embed: { student: embeds.resultStudent, assessment: embeds.assessment, course: embeds.course },
+      order: newestFirst
+    }, query);
   },
 
   async getResultById(resultId) {
-    const { data, error } = await supabaseAdmin
-      .from('results')
-      .select(`
-        *,
-        student:users!results_student_id_fkey(id, first_name, last_name, student_id),
-        assessment:assessments(id, title, total_marks, type),
-        course:courses(id, name, code)
-      `)
-      .eq('id', resultId)
-      .single();
-    
-    if (error) throw error;
-    return data;
-  },
-
-  async getStudentsByLecturer(lecturerId) {
-    // First get courses taught by the lecturer
-    const { data: courses, error: coursesError } = await supabaseAdmin
-      .from('courses')
-      .select('id')
-      .eq('lecturer_id', lecturerId);
-    
-    if (coursesError) throw coursesError;
-    
-    if (!courses || courses.length === 0) {
-      return [];
-    }
-    
-    const courseIds = courses.map(course => course.id);
-    
-    // Then get enrollments for those courses
-    const { data, error } = await supabaseAdmin
-      .from('enrollments')
-      .select(`*,
-        student:users!enrollments_student_id_fkey(id, first_name, last_name, student_id, email),
-        course:courses(id, name, code)`
-        
-      )
-      .in('course_id', courseIds)
-      .eq('status', 'active');
-    
-    if (error) throw error;
-    return data;
+    return storage.select('results', {
+      embed: { student: embeds.resultStudent, assessment: embeds.assessment, course: embeds.course },
+      filters: { id: resultId },
+      single: true
+    });
+  },
+
+  async getStudentsByLecturer(lecturerId, query) {
+    // First get courses taught by the lecturer, alone or as course staff
+    const courseIds = await dbHelpers.getTaughtCourseIds(lecturerId);
+    // Then get enrollments for those courses (an empty id list matches nothing)
+    return list('enrollments', {
+      embed: { student: embeds.enrollmentStudent, course: embeds.course },
+      filters: [['course_id', 'in', courseIds], ['status', 'eq', 'active']]
+    }, query);
   },
 
   async getAllSystemSettings() {
-    const { data, error } = await supabaseAdmin
-      .from('system_settings')
-      .select('*');
-    
-    if (error) throw error;
-    return data;
+    return storage.select('system_settings');
   },
 
   async updateSystemSetting(key, value) {
-    const { data, error } = await supabaseAdmin
-      .from('system_settings')
-      .upsert({
-        setting_key: key,
-        setting_value: value,
-        updated_at: new Date().toISOString()
-      })
-      .select()
-      .single();
-    
-    if (error) throw error;
-    return data;
+    return storage.upsert('system_settings', {
+      setting_key: key,
+      setting_value: value,
+      updated_at: new Date().toISOString()
+    }, { onConflict: 'setting_key' });
   },
 
   async getAuditLogsCount(user, action, table) {
-    let query = supabaseAdmin
-      .from('audit_logs')
-      .select('*', { count: 'exact', head: true });
+    const filters = {};
 
     if (user) {
-      query = query.eq('user_id', user);
+      filters.user_id = user;
     }
     if (action) {
-      query = query.eq('action', action);
+      filters.action = action;
     }
     if (table) {
-      query = query.eq('table_name', table);
+      filters.table_name = table;
     }
 
-    const { count, error } = await query;
-    
-    if (error) throw error;
-    return count;
+    return storage.count('audit_logs', { filters });
+  },
+
+  // Saved audit explorer filters
+  async getSavedAuditFilters(userId) {
+    return storage.select('audit_saved_filters', { filters: { user_id: userId }, order: { column: 'name', ascending: true } });
+  },
+
+  async saveAuditFilter(row) {
+    return storage.upsert('audit_saved_filters', row, { onConflict: 'user_id,name' });
+  },
+
+  // Resolves to the removed filter, or null if the user has none with that id
+  async deleteSavedAuditFilter(userId, filterId) {
+    const existing = await storage.select('audit_saved_filters', { filters: { id: filterId, user_id: userId }, maybeSingle: true });
+    if (existing) await storage.remove('audit_saved_filters', { id: filterId });
+    return existing;
   },
 };
 
 module.exports = {
+  supabase,
   supabaseAdmin,
-  supabaseAdmin,
-  dbHelpers
+  storage,
+  dbHelpers,
+  recordChangesWith
 };
-
-
-
@@ -0,0 +1,268 @@
+// Self-service enrollment.
+//
+// Students request courses from the catalogue. A request becomes
+//   - 'pending' when the course asks its lecturer to approve requests,
+//   - 'waitlisted' when every seat (courses.capacity) is taken,
+//   - 'active' otherwise.
+// Requests are only taken between enrollment_opens_at and enrollment_closes_at (when
+// set) and once every prerequisite course is completed. When an active student drops
+// (status 'dropped') or capacity grows, the longest-waiting waitlisted students get
+// the free seats. Only active enrollments give access to a course (see checkEnrollment).
+const { dbHelpers } = require('./database');
+
+// Statuses that hold (or queue for) a place in the course
+const OPEN_STATUSES = ['pending', 'waitlisted', 'active'];
+
+const isFull = (course, activeCount) => Boolean(course.capacity) && activeCount >= course.capacity;
+
+// 'not_open', 'open' or 'closed'
+const windowState = (course, now = new Date()) => {
+  if (course.enrollment_opens_at && new Date(course.enrollment_opens_at) > now) return 'not_open';
+  if (course.enrollment_closes_at && new Date(course.enrollment_closes_at) <= now) return 'closed';
+  return 'open';
+};
+
+// Decide whether a student may request a course.
+// existing is their enrollment row for it, prerequisites the prerequisite courses.
+const checkEnrollmentAllowed = (course, { existing = null, prerequisites = [], completedCourseIds = [], now = new Date() } = {}) => {
+  if (!course.is_active) {
+    return { allowed: false, reason: 'This course is not open for enrollment' };
+  }
+
+  if (existing && OPEN_STATUSES.includes(existing.status)) {
+    const reasons = {
+      active: 'You are already enrolled in this course',
+      pending: 'Your request is waiting for approval',
+      waitlisted: 'You are already on the waitlist for this course'
+    };
+    return { allowed: false, reason: reasons[existing.status] };
+  }
+  if (existing && existing.status === 'completed') {
+    return { allowed: false, reason: 'You have already completed this course' };
+  }
+
+  const window = windowState(course, now);
+  if (window === 'not_open') {
+    return { allowed: false, reason: `Enrollment opens at ${new Date(course.enrollment_opens_at).toISOString()}` };
+  }
+  if (window === 'closed') {
+    return { allowed: false, reason: 'Enrollment for this course has closed' };
+  }
+
+  const missing = prerequisites.filter(prerequisite => !completedCourseIds.includes(prerequisite.id));
+  if (missing.length > 0) {
+    return { allowed: false, reason: `Complete ${missing.map(prerequisite => prerequisite.code).join(', ')} first`, missing };
+  }
+
+  return { allowed: true };
+};
+
+const prerequisitesByCourse = async (courseIds) => {
+  const byCourse = new Map(courseIds.map(id => [id, []]));
+  if (courseIds.length === 0) return byCourse;
+
+  (await dbHelpers.getCoursePrerequisites(courseIds)).forEach(link => {
+    if (link.prerequisite) byCourse.get(link.course_id).push(link.prerequisite);
+  });
+  return byCourse;
+};
+
+// Give free seats to waitlisted students in the order they asked; resolves to those promoted
+const promoteWaitlist = async (course) => {
+  const waitlist = await dbHelpers.getEnrollmentRequests(course.id, ['waitlisted']);
+  let active = await dbHelpers.countActiveEnrollments(course.id);
+  const promoted = [];
+
+  for (const entry of waitlist) {
+    if (isFull(course, active)) break;
+    const enrollment = await dbHelpers.promoteEnrollment(entry.id);
+    if (enrollment) {
+      promoted.push(enrollment);
+      active++;
+    }
+  }
+  return promoted;
+};
+
+// Seat an enrollment, or waitlist it when the course is (or just became) full.
+// Counting after the write keeps two simultaneous requests from both taking the last seat.
+const seat = async (course, enrollment) => {
+  let updated = await dbHelpers.updateEnrollment(enrollment.id, { status: 'active', enrollment_date: new Date().toISOString() });
+  if (isFull(course, (await dbHelpers.countActiveEnrollments(course.id)) - 1)) {
+    updated = await dbHelpers.updateEnrollment(enrollment.id, { status: 'waitlisted' });
+    await promoteWaitlist(course);
+  }
+  return updated;
+};
+
+// A student asks to join a course. Resolves to { allowed, reason } like
+// checkEnrollmentAllowed, with the resulting enrollment when allowed.
+const requestEnrollment = async (studentId, course, now = new Date()) => {
+  const [existing, prerequisites, completedCourseIds] = await Promise.all([
+    dbHelpers.getEnrollment(studentId, course.id),
+    prerequisitesByCourse([course.id]).then(byCourse => byCourse.get(course.id)),
+    dbHelpers.getCompletedCourseIds(studentId)
+  ]);
+
+  const check = checkEnrollmentAllowed(course, { existing, prerequisites, completedCourseIds, now });
+  if (!check.allowed) {
+    return check;
+  }
+
+  // A dropped or rejected student asks again on the same row (one per student and course)
+  const request = {
+    status: course.requires_approval ? 'pending' : 'waitlisted',
+    requested_at: now.toISOString(),
+    decided_by: null,
+    decided_at: null,
+    decision_note: null
+  };
+  let enrollment = existing
+    ? await dbHelpers.updateEnrollment(existing.id, { ...request, grade: null, gpa: null, final_percentage: null, grade_computed_at: null })
+    : await dbHelpers.enrollStudent({ student_id: studentId, course_id: course.id, ...request });
+
+  if (!course.requires_approval && !isFull(course, await dbHelpers.countActiveEnrollments(course.id))) {
+    enrollment = await seat(course, enrollment);
+  }
+  return { allowed: true, enrollment };
+};
+
+// Lecturer approval of a pending request; it waits for a seat if the course filled up meanwhile
+const approveRequest = async (course, enrollment, decidedBy) => {
+  const decided = await dbHelpers.updateEnrollment(enrollment.id, {
+    status: 'waitlisted',
+    decided_by: decidedBy,
+    decided_at: new Date().toISOString()
+  });
+  if (isFull(course, await dbHelpers.countActiveEnrollments(course.id))) {
+    return decided;
+  }
+  return seat(course, decided);
+};
+
+const rejectRequest = async (enrollment, decidedBy, note = null) => {
+  return dbHelpers.updateEnrollment(enrollment.id, {
+    status: 'rejected',
+    decided_by: decidedBy,
+    decided_at: new Date().toISOString(),
+    decision_note: note
+  });
+};
+
+// Leave a course (or withdraw a request); a freed seat goes to the waitlist
+const dropEnrollment = async (course, enrollment) => {
+  const dropped = await dbHelpers.updateEnrollment(enrollment.id, { status: 'dropped' });
+  const promoted = enrollment.status === 'active' ? await promoteWaitlist(course) : [];
+  return { enrollment: dropped, promoted };
+};
+
+// 1-based places of waitlisted enrollments, keyed by enrollment id
+const waitlistPositions = async (courseIds) => {
+  const positions = new Map();
+  for (const courseId of courseIds) {
+    (await dbHelpers.getEnrollmentRequests(courseId, ['waitlisted'])).forEach((entry, index) => {
+      positions.set(entry.id, index + 1);
+    });
+  }
+  return positions;
+};
+
+// The catalogue page: courses with seats, prerequisites and the student's own standing
+const getCatalogue = async (studentId, query) => {
+  const page = await dbHelpers.getCatalogueCourses(query);
+  const courseIds = page.data.map(course => course.id);
+  if (courseIds.length === 0) {
+    return page;
+  }
+
+  const [activeRows, prerequisites, requests, completedCourseIds] = await Promise.all([
+    dbHelpers.getActiveEnrollmentCourseIds(courseIds),
+    prerequisitesByCourse(courseIds),
+    dbHelpers.getStudentEnrollmentRequests(studentId),
+    dbHelpers.getCompletedCourseIds(studentId)
+  ]);
+  const seatsTaken = activeRows.reduce((counts, row) => counts.set(row.course_id, (counts.get(row.course_id) || 0) + 1), new Map());
+  const mine = new Map(requests.map(request => [request.course_id, request]));
+  const positions = await waitlistPositions(requests.filter(request => request.status === 'waitlisted').map(request => request.course_id));
+
+  const data = page.data.map(course => {
+    const taken = seatsTaken.get(course.id) || 0;
+    const existing = mine.get(course.id) || (completedCourseIds.includes(course.id) ? { status: 'completed' } : null);
+    const { allowed, reason } = checkEnrollmentAllowed(course, { existing, prerequisites: prerequisites.get(course.id), completedCourseIds });
+    return {
+      ...course,
+      seats_taken: taken,
+      seats_left: course.capacity ? Math.max(course.capacity - taken, 0) : null,
+      prerequisites: prerequisites.get(course.id),
+      enrollment_window: windowState(course),
+      enrollment: existing ? { id: existing.id || null, status: existing.status, waitlist_position: positions.get(existing.id) || null } : null,
+      can_request: allowed,
+      reason: reason || null
+    };
+  });
+
+  return { ...page, data };
+};
+
+// A student's requests and enrollments with their place on any waitlist
+const getStudentRequests = async (studentId) => {
+  const requests = await dbHelpers.getStudentEnrollmentRequests(studentId);
+  const positions = await waitlistPositions(requests.filter(request => request.status === 'waitlisted').map(request => request.course_id));
+  return requests.map(request => ({ ...request, waitlist_position: positions.get(request.id) || null }));
+};
+
+const validateEnrollmentSettings = (courseId, { capacity, enrollment_opens_at, enrollment_closes_at, requires_approval, prerequisite_ids } = {}) => {
+  const errors = [];
+  const values = {};
+
+  if (capacity !== undefined) {
+    values.capacity = capacity === null || capacity === '' ? null : parseInt(capacity, 10);
+    if (values.capacity !== null && !(values.capacity > 0)) errors.push('Capacity must be a positive whole number, or empty for no limit');
+  }
+
+  const dates = { enrollment_opens_at, enrollment_closes_at };
+  Object.entries(dates).forEach(([field, value]) => {
+    if (value === undefined) return;
+    const date = value ? new Date(value) : null;
+    if (date && isNaN(date.getTime())) {
+      errors.push(`${field.replace(/_/g, ' ')} is not a valid date`);
+      return;
+    }
+    values[field] = date ? date.toISOString() : null;
+  });
+  if (values.enrollment_opens_at && values.enrollment_closes_at && values.enrollment_opens_at >= values.enrollment_closes_at) {
+    errors.push('Enrollment must open before it closes');
+  }
+
+  if (requires_approval !== undefined) {
+    values.requires_approval = Boolean(requires_approval) && requires_approval !== 'false';
+  }
+
+  let prerequisiteIds;
+  if (prerequisite_ids !== undefined) {
+    prerequisiteIds = Array.isArray(prerequisite_ids) ? [...new Set(prerequisite_ids.map(String))] : null;
+    if (!prerequisiteIds) errors.push('Prerequisites must be a list of course ids');
+    else if (prerequisiteIds.includes(courseId)) errors.push('A course cannot be its own prerequisite');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    values,
+    prerequisiteIds
+  };
+};
+
+module.exports = {
+  OPEN_STATUSES,
+  windowState,
+  checkEnrollmentAllowed,
+  requestEnrollment,
+  approveRequest,
+  rejectRequest,
+  dropEnrollment,
+  promoteWaitlist,
+  getCatalogue,
+  getStudentRequests,
+  validateEnrollmentSettings
+};
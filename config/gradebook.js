@@ -0,0 +1,227 @@
+// Final course grades and GPA.
+//
+// A course's grade_weighting splits assessments into components by type, e.g.
+//   [{ name: 'CA', types: ['CA', 'quiz'], weight: 30, drop_lowest: 1 },
+//    { name: 'Exam', types: ['exam'], weight: 70 }]
+// Each component averages the student's counted percentages after dropping the lowest
+// drop_lowest of them; the final percentage is the weighted mean of the components.
+// Work past its due date with no result counts as 0; work not yet due is left out, and
+// components with nothing counted yet hand their weight to the others.
+//
+// enrollments.grade / gpa receive the letter and grade points from the course's
+// grading scheme. Term and cumulative GPA weight those points by credit hours.
+const { dbHelpers } = require('./database');
+const grading = require('./grading');
+
+const DEFAULT_CREDIT_HOURS = 3;
+
+// Used when a course has no grade_weighting: every assessment counts equally
+const DEFAULT_WEIGHTING = [{ name: 'Overall', types: null, weight: 100, drop_lowest: 0 }];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const toComponent = (component) => ({
+  name: String(component.name || '').trim(),
+  types: Array.isArray(component.types) ? component.types.map(type => String(type).trim()).filter(Boolean) : [],
+  weight: parseFloat(component.weight),
+  drop_lowest: parseInt(component.drop_lowest, 10) || 0
+});
+
+const validateWeighting = (components) => {
+  const errors = [];
+  const normalized = Array.isArray(components) ? components.map(toComponent) : [];
+
+  if (normalized.length === 0) {
+    errors.push('Add at least one grade component');
+  }
+  if (normalized.some(component => !component.name)) {
+    errors.push('Every component needs a name');
+  }
+  if (normalized.some(component => component.types.length === 0)) {
+    errors.push('Every component needs at least one assessment type');
+  }
+  if (normalized.some(component => !(component.weight > 0 && component.weight <= 100))) {
+    errors.push('Component weights must be between 0 and 100');
+  }
+  if (normalized.some(component => component.drop_lowest < 0)) {
+    errors.push('Drop lowest must be zero or more');
+  }
+
+  const types = normalized.flatMap(component => component.types);
+  if (new Set(types).size !== types.length) {
+    errors.push('Each assessment type can only belong to one component');
+  }
+
+  const total = round2(normalized.reduce((sum, component) => sum + (component.weight || 0), 0));
+  if (normalized.length > 0 && total !== 100) {
+    errors.push(`Component weights must add up to 100 (currently ${total})`);
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    components: normalized
+  };
+};
+
+const getWeighting = (course = {}) => {
+  return Array.isArray(course.grade_weighting) && course.grade_weighting.length > 0
+    ? course.grade_weighting.map(toComponent)
+    : DEFAULT_WEIGHTING;
+};
+
+// Percentages that count towards one component for one student
+const componentScores = (component, assessments, resultsByAssessment, now) => {
+  return assessments
+    .filter(assessment => !component.types || component.types.includes(assessment.type))
+    .map(assessment => {
+      const result = resultsByAssessment.get(assessment.id);
+      if (result) {
+        return result.needs_grading ? null : parseFloat(result.percentage) || 0;
+      }
+      return assessment.due_date && new Date(assessment.due_date) < now ? 0 : null;
+    })
+    .filter(score => score !== null);
+};
+
+// One student's grade in a course, or null when nothing counts yet.
+// results are the student's counted results (one per assessment)
+const computeCourseGrade = ({ course, assessments, results, scheme = grading.FALLBACK_SCHEME, now = new Date() }) => {
+  const resultsByAssessment = new Map(results.map(result => [result.assessment_id, result]));
+
+  const components = getWeighting(course).map(component => {
+    const scores = componentScores(component, assessments, resultsByAssessment, now).sort((a, b) => a - b);
+    const dropped = Math.min(component.drop_lowest, Math.max(scores.length - 1, 0));
+    const counted = scores.slice(dropped);
+
+    return {
+      name: component.name,
+      weight: component.weight,
+      counted: counted.length,
+      dropped,
+      average: counted.length > 0 ? round2(counted.reduce((sum, score) => sum + score, 0) / counted.length) : null
+    };
+  });
+
+  const graded = components.filter(component => component.average !== null);
+  const totalWeight = graded.reduce((sum, component) => sum + component.weight, 0);
+  if (totalWeight === 0) {
+    return null;
+  }
+
+  const finalPercentage = round2(graded.reduce((sum, component) => sum + component.average * component.weight, 0) / totalWeight);
+  const band = grading.bandForPercentage(finalPercentage, scheme);
+
+  return {
+    final_percentage: finalPercentage,
+    grade: band.letter,
+    gpa: band.points,
+    passed: grading.isPassing(finalPercentage, scheme),
+    components
+  };
+};
+
+const creditHoursOf = (course = {}) => {
+  const hours = parseInt(course.credit_hours, 10);
+  return Number.isFinite(hours) && hours >= 0 ? hours : DEFAULT_CREDIT_HOURS;
+};
+
+const weightedGpa = (enrollments) => {
+  const creditHours = enrollments.reduce((sum, enrollment) => sum + creditHoursOf(enrollment.course), 0);
+  const points = enrollments.reduce((sum, enrollment) => sum + parseFloat(enrollment.gpa) * creditHoursOf(enrollment.course), 0);
+  return {
+    gpa: creditHours > 0 ? round2(points / creditHours) : null,
+    creditHours
+  };
+};
+
+// Term and cumulative GPA from a student's enrollments (each with an embedded course);
+// dropped courses and courses without a computed grade are left out
+const calculateGpa = (enrollments) => {
+  const graded = enrollments.filter(enrollment => enrollment.status !== 'dropped' && enrollment.gpa !== null && enrollment.gpa !== undefined);
+
+  const terms = new Map();
+  graded.forEach(enrollment => {
+    const course = enrollment.course || {};
+    const key = `${course.academic_year || ''}|${course.semester || ''}`;
+    if (!terms.has(key)) {
+      terms.set(key, { academicYear: course.academic_year || null, semester: course.semester || null, enrollments: [] });
+    }
+    terms.get(key).enrollments.push(enrollment);
+  });
+
+  return {
+    cumulative: weightedGpa(graded),
+    terms: [...terms.values()]
+      .sort((a, b) => String(a.academicYear).localeCompare(String(b.academicYear)) || String(a.semester).localeCompare(String(b.semester)))
+      .map(term => ({
+        academicYear: term.academicYear,
+        semester: term.semester,
+        ...weightedGpa(term.enrollments),
+        courses: term.enrollments.map(enrollment => ({
+          courseId: enrollment.course_id,
+          code: enrollment.course?.code,
+          name: enrollment.course?.name,
+          creditHours: creditHoursOf(enrollment.course),
+          finalPercentage: enrollment.final_percentage === null || enrollment.final_percentage === undefined ? null : parseFloat(enrollment.final_percentage),
+          grade: enrollment.grade,
+          gradePoints: parseFloat(enrollment.gpa)
+        }))
+      }))
+  };
+};
+
+// Job: recompute and store the grade of every active or completed enrollment in a course
+const computeCourseGrades = async (courseId, { now = new Date() } = {}) => {
+  const [course, assessments, results, enrollments, scheme] = await Promise.all([
+    dbHelpers.getCourseById(courseId),
+    dbHelpers.getPublishedCourseAssessments(courseId),
+    dbHelpers.getCountedCourseResults(courseId),
+    dbHelpers.getGradableEnrollments(courseId),
+    grading.getSchemeForCourse(courseId)
+  ]);
+
+  const updated = [];
+  for (const enrollment of enrollments) {
+    const courseGrade = computeCourseGrade({
+      course,
+      assessments,
+      results: results.filter(result => result.student_id === enrollment.student_id),
+      scheme,
+      now
+    });
+
+    updated.push(await dbHelpers.updateEnrollment(enrollment.id, {
+      final_percentage: courseGrade ? courseGrade.final_percentage : null,
+      grade: courseGrade ? courseGrade.grade : null,
+      gpa: courseGrade ? courseGrade.gpa : null,
+      grade_computed_at: now.toISOString()
+    }));
+  }
+
+  return updated;
+};
+
+// Job: recompute grades for every active course; returns { courses, enrollments } counts
+const computeAllCourseGrades = async ({ now = new Date(), log = () => {} } = {}) => {
+  const courses = await dbHelpers.getActiveCourseIds();
+  let enrollments = 0;
+
+  for (const course of courses) {
+    const updated = await computeCourseGrades(course.id, { now });
+    enrollments += updated.length;
+    log(`${course.code}: ${updated.length} enrollment(s) graded`);
+  }
+
+  return { courses: courses.length, enrollments };
+};
+
+module.exports = {
+  DEFAULT_WEIGHTING,
+  validateWeighting,
+  getWeighting,
+  computeCourseGrade,
+  calculateGpa,
+  computeCourseGrades,
+  computeAllCourseGrades
+};
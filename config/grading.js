@@ -0,0 +1,136 @@
+// Grading schemes: letter bands (minimum percentage and grade points) and a pass mark.
+// Schemes live in the grading_schemes table; a course uses its own scheme or the default.
+// The browser gets the same definitions from /api/grading-schemes (see ST.grading).
+const { dbHelpers } = require('./database');
+
+// Used until the table has been read, and if it is empty
+const FALLBACK_SCHEME = {
+  id: null,
+  name: 'Standard A-F',
+  pass_percentage: 50,
+  bands: [
+    { letter: 'A', min: 90, points: 4.0 },
+    { letter: 'B', min: 80, points: 3.0 },
+    { letter: 'C', min: 70, points: 2.0 },
+    { letter: 'D', min: 60, points: 1.0 },
+    { letter: 'F', min: 0, points: 0 }
+  ]
+};
+
+const CACHE_TTL_MS = (parseInt(process.env.SETTINGS_CACHE_TTL, 10) || 60) * 1000;
+
+let cache = null;
+let cacheLoadedAt = 0;
+
+// Bands ordered from the highest minimum down
+const sortBands = (bands = []) => [...bands]
+  .map(band => ({ letter: band.letter, min: parseFloat(band.min), points: parseFloat(band.points) }))
+  .sort((a, b) => b.min - a.min);
+
+const bandForPercentage = (percentage, scheme = FALLBACK_SCHEME) => {
+  const value = parseFloat(percentage) || 0;
+  const bands = sortBands(scheme.bands);
+  return bands.find(band => value >= band.min) || bands[bands.length - 1];
+};
+
+const gradeForPercentage = (percentage, scheme = FALLBACK_SCHEME) => {
+  return bandForPercentage(percentage, scheme).letter;
+};
+
+const gradePointsFor = (percentage, scheme = FALLBACK_SCHEME) => {
+  return bandForPercentage(percentage, scheme).points;
+};
+
+const isPassing = (percentage, scheme = FALLBACK_SCHEME) => {
+  return (parseFloat(percentage) || 0) >= parseFloat(scheme.pass_percentage);
+};
+
+// Count of percentages per letter, in band order
+const gradeDistribution = (percentages, scheme = FALLBACK_SCHEME) => {
+  const distribution = {};
+  sortBands(scheme.bands).forEach(band => {
+    distribution[band.letter] = 0;
+  });
+  percentages.forEach(percentage => {
+    distribution[gradeForPercentage(percentage, scheme)]++;
+  });
+  return distribution;
+};
+
+const validateScheme = ({ name, bands, pass_percentage } = {}) => {
+  const errors = [];
+  const sorted = Array.isArray(bands) ? sortBands(bands) : [];
+
+  if (!name || !String(name).trim()) errors.push('Scheme name is required');
+  if (sorted.length < 2) errors.push('A scheme needs at least two grade bands');
+  if (sorted.some(band => !band.letter || String(band.letter).length > 5)) errors.push('Every band needs a letter of at most 5 characters');
+  if (new Set(sorted.map(band => band.letter)).size !== sorted.length) errors.push('Band letters must be unique');
+  if (new Set(sorted.map(band => band.min)).size !== sorted.length) errors.push('Band minimums must be unique');
+  if (sorted.some(band => !(band.min >= 0 && band.min <= 100))) errors.push('Band minimums must be between 0 and 100');
+  if (sorted.some(band => !(band.points >= 0 && band.points <= 10))) errors.push('Grade points must be between 0 and 10');
+  if (sorted.length > 0 && sorted[sorted.length - 1].min !== 0) errors.push('The lowest band must start at 0%');
+
+  const pass = parseFloat(pass_percentage);
+  if (!(pass >= 0 && pass <= 100)) errors.push('Pass mark must be between 0 and 100');
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    bands: sorted
+  };
+};
+
+const load = async () => {
+  const schemes = (await dbHelpers.getGradingSchemes()).map(scheme => ({ ...scheme, bands: sortBands(scheme.bands) }));
+  return {
+    schemes,
+    byId: new Map(schemes.map(scheme => [scheme.id, scheme])),
+    defaultScheme: schemes.find(scheme => scheme.is_default) || FALLBACK_SCHEME
+  };
+};
+
+const getCache = async () => {
+  if (!cache || Date.now() - cacheLoadedAt > CACHE_TTL_MS) {
+    cache = await load();
+    cacheLoadedAt = Date.now();
+  }
+  return cache;
+};
+
+// Drop cached schemes after they are edited
+const invalidate = () => {
+  cache = null;
+  cacheLoadedAt = 0;
+};
+
+const getSchemes = async () => (await getCache()).schemes;
+
+const getDefaultScheme = async () => (await getCache()).defaultScheme;
+
+const getSchemeById = async (schemeId) => {
+  const { byId, defaultScheme } = await getCache();
+  return (schemeId && byId.get(schemeId)) || defaultScheme;
+};
+
+// The scheme that grades a course's work
+const getSchemeForCourse = async (courseId) => {
+  if (!courseId) return getDefaultScheme();
+  const course = await dbHelpers.getCourseById(courseId).catch(() => null);
+  return getSchemeById(course ? course.grading_scheme_id : null);
+};
+
+module.exports = {
+  FALLBACK_SCHEME,
+  sortBands,
+  bandForPercentage,
+  gradeForPercentage,
+  gradePointsFor,
+  isPassing,
+  gradeDistribution,
+  validateScheme,
+  getSchemes,
+  getDefaultScheme,
+  getSchemeById,
+  getSchemeForCourse,
+  invalidate
+};
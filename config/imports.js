@@ -0,0 +1,151 @@
+// Bulk result import from CSV or XLSX gradebooks.
+//
+// The first sheet (or the CSV) needs a header row with student_id and score columns;
+// feedback is optional. Rows are matched to the assessment's course enrollments by the
+// student's student_id. planResultImport is a dry run: it sorts rows into creates,
+// updates, unchanged and errors without writing anything.
+const crypto = require('crypto');
+const path = require('path');
+const XLSX = require('xlsx');
+const { withPenalty, percentageOf } = require('./penalties');
+
+const IMPORT_EXTENSIONS = ['.csv', '.xlsx', '.xls'];
+const MAX_IMPORT_ROWS = 2000;
+
+// "Student ID" / "student id" / "STUDENT_ID" all become student_id
+const normalizeHeader = (header) => String(header).trim().toLowerCase().replace(/[\s-]+/g, '_');
+
+// Read a gradebook into [{ line, student_id, score, feedback }]; line is the spreadsheet row number
+const parseGradebook = (buffer, filename) => {
+  const extension = path.extname(filename || '').toLowerCase();
+  if (!IMPORT_EXTENSIONS.includes(extension)) {
+    throw new Error(`Upload a ${IMPORT_EXTENSIONS.join(', ')} file`);
+  }
+
+  // raw keeps CSV cells as text, so student numbers like 00123 keep their zeros
+  const workbook = XLSX.read(buffer, { type: 'buffer', raw: extension === '.csv' });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  if (!sheet) {
+    throw new Error('The file has no sheets');
+  }
+
+  const rows = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '', raw: false, blankrows: true });
+  const headers = (rows[0] || []).map(normalizeHeader);
+  if (!headers.includes('student_id') || !headers.includes('score')) {
+    throw new Error('The header row must include student_id and score columns');
+  }
+
+  const column = (cells, name) => {
+    const index = headers.indexOf(name);
+    return index === -1 ? '' : String(cells[index] === undefined ? '' : cells[index]).trim();
+  };
+
+  const entries = rows.slice(1)
+    .map((cells, index) => ({
+      line: index + 2,
+      student_id: column(cells, 'student_id'),
+      score: column(cells, 'score'),
+      feedback: column(cells, 'feedback')
+    }))
+    .filter(entry => entry.student_id || entry.score || entry.feedback);
+
+  if (entries.length > MAX_IMPORT_ROWS) {
+    throw new Error(`Imports are limited to ${MAX_IMPORT_ROWS} rows`);
+  }
+  return entries;
+};
+
+// Full results row for a mark; existing results keep their attempt, lateness and deduction
+const toResultRow = ({ assessment, student, existing, score, feedback, scheme, gradedBy, now }) => {
+  const totalMarks = assessment.total_marks || 100;
+  const penaltyPercent = existing ? parseFloat(existing.late_penalty_percent) || 0 : 0;
+  const scored = withPenalty({ rawScore: score, rawPercentage: percentageOf(score, totalMarks) }, penaltyPercent, scheme);
+
+  return {
+    id: existing ? existing.id : crypto.randomUUID(),
+    student_id: student.id,
+    assessment_id: assessment.id,
+    course_id: assessment.course_id,
+    attempt_number: existing ? existing.attempt_number : 1,
+    is_latest_attempt: true,
+    ...scored,
+    is_late: existing ? Boolean(existing.is_late) : false,
+    feedback: feedback || (existing ? existing.feedback : null) || null,
+    needs_grading: false,
+    submitted_at: existing && existing.submitted_at ? existing.submitted_at : now.toISOString(),
+    graded_at: now.toISOString(),
+    graded_by: gradedBy
+  };
+};
+
+// Dry run of an import for one assessment.
+// enrollments carry an embedded student; latestResults are the assessment's latest-attempt rows.
+const planResultImport = ({ entries, assessment, enrollments, latestResults, scheme, gradedBy, now = new Date() }) => {
+  const totalMarks = assessment.total_marks || 100;
+  const studentsByNumber = new Map(enrollments
+    .filter(enrollment => enrollment.student && enrollment.student.student_id)
+    .map(enrollment => [String(enrollment.student.student_id).toLowerCase(), enrollment.student]));
+  const resultsByStudent = new Map(latestResults.map(result => [result.student_id, result]));
+
+  const plan = { creates: [], updates: [], unchanged: [], errors: [] };
+  const seen = new Set();
+
+  entries.forEach(entry => {
+    const fail = (message) => plan.errors.push({ line: entry.line, student_id: entry.student_id, message });
+    const student = studentsByNumber.get(entry.student_id.toLowerCase());
+    const score = entry.score === '' ? NaN : Number(entry.score);
+
+    if (!entry.student_id) return fail('Missing student_id');
+    if (!student) return fail('Not an enrolled student in this course');
+    if (seen.has(student.id)) return fail('Student appears more than once');
+    seen.add(student.id);
+    if (!Number.isFinite(score) || score < 0 || score > totalMarks) return fail(`Score must be between 0 and ${totalMarks}`);
+
+    const existing = resultsByStudent.get(student.id);
+    const row = toResultRow({ assessment, student, existing, score, feedback: entry.feedback, scheme, gradedBy, now });
+    const change = {
+      line: entry.line,
+      student_id: student.student_id,
+      student_name: `${student.first_name} ${student.last_name}`,
+      old_score: existing ? parseFloat(existing.raw_score ?? existing.score) : null,
+      new_score: score,
+      grade: row.grade,
+      row
+    };
+
+    if (!existing) {
+      plan.creates.push(change);
+    } else if (!existing.needs_grading && change.old_score === score && (!entry.feedback || entry.feedback === existing.feedback)) {
+      plan.unchanged.push(change);
+    } else {
+      plan.updates.push({ ...change, previous: existing });
+    }
+  });
+
+  return plan;
+};
+
+// What the preview shows: every change without the full rows
+const summarizePlan = (plan) => {
+  const strip = ({ row, previous, ...change }) => change;
+  return {
+    summary: {
+      creates: plan.creates.length,
+      updates: plan.updates.length,
+      unchanged: plan.unchanged.length,
+      errors: plan.errors.length
+    },
+    creates: plan.creates.map(strip),
+    updates: plan.updates.map(strip),
+    unchanged: plan.unchanged.map(strip),
+    errors: plan.errors
+  };
+};
+
+module.exports = {
+  IMPORT_EXTENSIONS,
+  MAX_IMPORT_ROWS,
+  parseGradebook,
+  planResultImport,
+  summarizePlan
+};
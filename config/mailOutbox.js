@@ -0,0 +1,167 @@
+// Queued outgoing mail.
+//
+// queueMail(template, to, data) renders one of TEMPLATES from views/emails (an .html.ejs
+// and a .text.ejs part) and stores the message in mail_outbox. processOutbox() delivers
+// due messages through config/mailer.js; it runs in the background after each queueMail
+// and from scripts/process-mail-outbox.js (e.g. every minute from cron), which also
+// sends retries. A failed attempt is retried RETRY_BASE_MINUTES later, doubling each
+// time; after MAX_ATTEMPTS, or straight away when the server rejects the message
+// outright (SMTP 5xx), the message is dead-lettered and waits for an admin to retry it.
+const ejs = require('ejs');
+const path = require('path');
+const { dbHelpers } = require('./database');
+const settings = require('./settings');
+const { sendMail } = require('./mailer');
+
+const TEMPLATE_DIR = path.join(__dirname, '..', 'views', 'emails');
+const MAX_ATTEMPTS = parseInt(process.env.MAIL_MAX_ATTEMPTS, 10) || 5;
+const RETRY_BASE_MINUTES = 2;
+const BATCH_SIZE = 50;
+
+// A message still 'sending' after this long belongs to a worker that stopped mid-send
+const STALLED_MINUTES = 10;
+
+// retry: false dead-letters on the first failure (a test email should report, not retry)
+const TEMPLATES = {
+  account_approved: { file: 'account-approved', subject: ({ appName }) => `Your ${appName} account is approved` },
+  account_rejected: { file: 'account-rejected', subject: ({ appName }) => `Your ${appName} registration` },
+  password_reset: { file: 'password-reset', subject: ({ appName }) => `Reset your ${appName} password` },
+  new_result: { file: 'new-result', subject: ({ assessment }) => `New result: ${assessment}` },
+  deadline_reminder: { file: 'deadline-reminder', subject: ({ assessment }) => `Due soon: ${assessment}` },
+  test: { file: 'test', subject: ({ appName }) => `${appName} test email`, retry: false }
+};
+
+// Links in mail sent outside a request (reminders, queued events) are built from APP_URL
+const appUrl = () => (process.env.APP_URL || 'http://localhost:3000').replace(/\/+$/, '');
+
+const renderMail = async (template, data) => {
+  const definition = TEMPLATES[template];
+  const locals = { appName: await settings.get('app_name'), appUrl: appUrl(), ...data };
+  locals.subject = definition.subject(locals);
+
+  const [html, text] = await Promise.all(['html', 'text'].map(part =>
+    ejs.renderFile(path.join(TEMPLATE_DIR, `${definition.file}.${part}.ejs`), locals)
+  ));
+  return { subject: locals.subject, html, text: text.trim() };
+};
+
+const retryDelayMs = (attempts) => RETRY_BASE_MINUTES * 2 ** (attempts - 1) * 60 * 1000;
+
+// One delivery attempt. Resolves to the message as it stands afterwards; a send error
+// is recorded on the message rather than thrown.
+const deliver = async (message, now = new Date()) => {
+  const claimed = await dbHelpers.transitionMailMessage(message.id, 'queued', { status: 'sending', attempts: message.attempts + 1 });
+  if (!claimed) {
+    return dbHelpers.getMailMessageById(message.id);
+  }
+
+  try {
+    const info = await sendMail({ to: claimed.to_address, subject: claimed.subject, text: claimed.text_body, html: claimed.html_body || undefined });
+    return await dbHelpers.transitionMailMessage(claimed.id, 'sending', {
+      status: 'sent',
+      message_id: info.messageId || null,
+      sent_at: new Date().toISOString(),
+      last_error: null
+    });
+  } catch (error) {
+    const rejected = error.responseCode >= 500 && error.responseCode < 600;
+    const giveUp = rejected || claimed.attempts >= MAX_ATTEMPTS || TEMPLATES[claimed.template]?.retry === false;
+    return dbHelpers.transitionMailMessage(claimed.id, 'sending', {
+      status: giveUp ? 'dead' : 'queued',
+      last_error: String(error.message || error).slice(0, 1000),
+      next_attempt_at: giveUp ? null : new Date(now.getTime() + retryDelayMs(claimed.attempts)).toISOString()
+    });
+  }
+};
+
+// Deliver every queued message that is due. Resolves to { sent, retrying, dead }.
+const processOutbox = async ({ now = new Date() } = {}) => {
+  await dbHelpers.requeueStalledMailMessages(new Date(now.getTime() - STALLED_MINUTES * 60 * 1000).toISOString());
+
+  const outcome = { sent: 0, retrying: 0, dead: 0 };
+  let batch;
+  do {
+    batch = await dbHelpers.getDueMailMessages(now.toISOString(), BATCH_SIZE);
+    for (const message of batch) {
+      const delivered = await deliver(message, now);
+      if (delivered?.status === 'sent') outcome.sent += 1;
+      else if (delivered?.status === 'dead') outcome.dead += 1;
+      else if (delivered?.status === 'queued') outcome.retrying += 1;
+    }
+  } while (batch.length === BATCH_SIZE);
+
+  return outcome;
+};
+
+// Work through the outbox in the background; a call while a pass is running asks for another
+let draining = false;
+let drainAgain = false;
+
+const drainSoon = () => {
+  if (draining) {
+    drainAgain = true;
+    return;
+  }
+
+  draining = true;
+  setImmediate(async () => {
+    try {
+      do {
+        drainAgain = false;
+        await processOutbox();
+      } while (drainAgain);
+    } catch (error) {
+      console.error('Error delivering queued mail:', error);
+    } finally {
+      draining = false;
+    }
+  });
+};
+
+// Render and queue a message. With { immediate: true } the first attempt happens before
+// this resolves (for mail the user is waiting on); otherwise it is sent in the background.
+const queueMail = async (template, to, data = {}, { immediate = false } = {}) => {
+  const { subject, html, text } = await renderMail(template, data);
+  const message = await dbHelpers.queueMailMessage({
+    template,
+    to_address: to,
+    subject,
+    text_body: text,
+    html_body: html
+  });
+
+  if (immediate) {
+    return deliver(message);
+  }
+  drainSoon();
+  return message;
+};
+
+// Give a dead-lettered message a fresh set of attempts; null unless it was dead
+const retryMail = async (messageId) => {
+  const message = await dbHelpers.transitionMailMessage(messageId, 'dead', {
+    status: 'queued',
+    attempts: 0,
+    next_attempt_at: new Date().toISOString(),
+    last_error: null
+  });
+  if (message) drainSoon();
+  return message;
+};
+
+const outboxCounts = async () => {
+  const statuses = ['queued', 'sending', 'sent', 'dead'];
+  const counts = await Promise.all(statuses.map(status => dbHelpers.countMailMessages(status)));
+  return Object.fromEntries(statuses.map((status, index) => [status, counts[index]]));
+};
+
+module.exports = {
+  TEMPLATES,
+  MAX_ATTEMPTS,
+  appUrl,
+  renderMail,
+  queueMail,
+  processOutbox,
+  retryMail,
+  outboxCounts
+};
@@ -0,0 +1,92 @@
+// Outgoing mail transport.
+//
+// With smtp_host set in system settings, messages go out through nodemailer over SMTP;
+// a local catcher such as Mailpit (smtp_host localhost, smtp_port 1025) works too.
+// Otherwise, or with MAIL_TRANSPORT=file, they are written as .eml files to
+// MAIL_OUTBOX_DIR (default outbox/), which any mail client can open; handy in
+// development and on servers without a relay. Most mail is sent through the queue in
+// config/mailOutbox.js rather than by calling sendMail directly.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const settings = require('./settings');
+
+const OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'outbox');
+
+// Keep header values on one line so a crafted subject or address cannot add headers
+const headerValue = (value) => String(value || '').replace(/[\r\n]+/g, ' ').trim();
+
+const smtpTransport = (values) => {
+  const nodemailer = require('nodemailer');
+  return nodemailer.createTransport({
+    host: values.smtp_host,
+    port: values.smtp_port,
+    secure: values.smtp_port === 465,
+    auth: values.smtp_user ? { user: values.smtp_user, pass: values.smtp_pass } : undefined
+  });
+};
+
+const writeToOutbox = async (message) => {
+  const messageId = `<${crypto.randomUUID()}@outbox.local>`;
+  const headers = [
+    `Message-ID: ${messageId}`,
+    `Date: ${new Date().toUTCString()}`,
+    `From: ${headerValue(message.from)}`,
+    `To: ${headerValue(message.to)}`,
+    `Subject: ${headerValue(message.subject)}`,
+    'MIME-Version: 1.0'
+  ];
+
+  let body;
+  if (message.html) {
+    const boundary = `alt-${crypto.randomBytes(8).toString('hex')}`;
+    body = [
+      `Content-Type: multipart/alternative; boundary="${boundary}"`,
+      '',
+      `--${boundary}`,
+      'Content-Type: text/plain; charset=utf-8',
+      '',
+      message.text || '',
+      `--${boundary}`,
+      'Content-Type: text/html; charset=utf-8',
+      '',
+      message.html,
+      `--${boundary}--`
+    ];
+  } else {
+    body = ['Content-Type: text/plain; charset=utf-8', '', message.text || ''];
+  }
+
+  await fs.promises.mkdir(OUTBOX_DIR, { recursive: true });
+  const file = path.join(OUTBOX_DIR, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`);
+  await fs.promises.writeFile(file, [...headers, ...body].join('\r\n'));
+  return { messageId, file };
+};
+
+// 'smtp' or 'file', from MAIL_TRANSPORT or else whether an SMTP host is configured
+const transportFor = (values) => {
+  if (process.env.MAIL_TRANSPORT === 'file' || process.env.MAIL_TRANSPORT === 'smtp') {
+    return process.env.MAIL_TRANSPORT;
+  }
+  return values.smtp_host ? 'smtp' : 'file';
+};
+
+// Send { to, subject, text[, html] }; resolves to { messageId[, file] }
+const sendMail = async (message) => {
+  const values = await settings.getAll();
+  const from = process.env.MAIL_FROM || values.smtp_user || `no-reply@${values.smtp_host || 'localhost'}`;
+  const mail = { from: `${values.app_name} <${from}>`, ...message };
+
+  if (transportFor(values) === 'file') {
+    return writeToOutbox(mail);
+  }
+
+  const info = await smtpTransport(values).sendMail(mail);
+  return { messageId: info.messageId };
+};
+
+module.exports = {
+  OUTBOX_DIR,
+  transportFor,
+  sendMail
+};
@@ -0,0 +1,279 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+// Migration files are named NNNN_description.up.sql / NNNN_description.down.sql
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.(up|down)\.sql$/;
+
+// Statements that only make sense on a hosted Supabase project (auth.uid() etc.)
+const SUPABASE_ONLY = [/ENABLE ROW LEVEL SECURITY/i, /^CREATE POLICY/i, /^DROP POLICY/i];
+
+// pg-mem has no plpgsql, so functions and triggers are left out in memory
+const PLPGSQL_ONLY = [/^CREATE (OR REPLACE )?FUNCTION/i, /^DROP FUNCTION/i, /^(CREATE|DROP) TRIGGER/i];
+
+// pg-mem treats NULL as failing a CHECK constraint, so column checks are dropped in memory
+const CHECK_CONSTRAINT = /\s*CHECK \((?:[^()]|\([^()]*\))*\)/gi;
+
+// ...along with statements that only replace a named CHECK constraint
+const CHECK_ONLY = [/^ALTER TABLE \w+ DROP CONSTRAINT/i, /^ALTER TABLE \w+ ADD CONSTRAINT \w+ CHECK/i];
+
+const CREATE_MIGRATIONS_TABLE = `
+  CREATE TABLE IF NOT EXISTS schema_migrations (
+    version VARCHAR(20) PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    checksum VARCHAR(64) NOT NULL,
+    applied_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+  )
+`;
+
+const checksum = (content) => crypto.createHash('sha256').update(content).digest('hex');
+
+// Split a SQL script on semicolons, leaving $$-quoted bodies and comments intact
+const splitStatements = (script) => {
+  const statements = [];
+  let current = '';
+  let inDollarQuote = false;
+
+  for (let i = 0; i < script.length; i++) {
+    if (script.startsWith('$$', i)) {
+      inDollarQuote = !inDollarQuote;
+      current += '$$';
+      i++;
+      continue;
+    }
+
+    if (!inDollarQuote && script.startsWith('--', i)) {
+      const lineEnd = script.indexOf('\n', i);
+      i = lineEnd === -1 ? script.length : lineEnd;
+      current += '\n';
+      continue;
+    }
+
+    if (!inDollarQuote && script[i] === ';') {
+      if (current.trim()) statements.push(current.trim());
+      current = '';
+      continue;
+    }
+
+    current += script[i];
+  }
+
+  if (current.trim()) statements.push(current.trim());
+  return statements;
+};
+
+// Adapt a migration script to the target: 'supabase', 'postgres' or 'memory'
+const prepareStatements = (script, dialect = 'supabase') => {
+  let skip = [];
+  if (dialect !== 'supabase') skip = skip.concat(SUPABASE_ONLY);
+  if (dialect === 'memory') skip = skip.concat(PLPGSQL_ONLY, CHECK_ONLY);
+
+  return splitStatements(script)
+    .filter(statement => !skip.some(pattern => pattern.test(statement)))
+    .map(statement => (dialect === 'memory' ? statement.replace(CHECK_CONSTRAINT, '') : statement));
+};
+
+// Read the migrations directory, ordered by version
+const loadMigrations = (dir = MIGRATIONS_DIR) => {
+  const migrations = new Map();
+
+  fs.readdirSync(dir).forEach(file => {
+    const match = file.match(MIGRATION_FILE);
+    if (!match) return;
+
+    const [, version, name, direction] = match;
+    const migration = migrations.get(version) || { version, name };
+    if (migration.name !== name) {
+      throw new Error(`Migration ${version} has mismatched file names (${migration.name} / ${name})`);
+    }
+
+    migration[direction] = fs.readFileSync(path.join(dir, file), 'utf8');
+    migrations.set(version, migration);
+  });
+
+  return [...migrations.values()]
+    .map(migration => {
+      if (!migration.up) {
+        throw new Error(`Migration ${migration.version}_${migration.name} has no .up.sql file`);
+      }
+      return { ...migration, checksum: checksum(migration.up) };
+    })
+    .sort((a, b) => a.version.localeCompare(b.version, undefined, { numeric: true }));
+};
+
+const getApplied = async (pool) => {
+  await pool.query(CREATE_MIGRATIONS_TABLE);
+  const { rows } = await pool.query('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version');
+  return rows;
+};
+
+// Refuse to run when an applied migration was edited or removed afterwards
+const verifyApplied = (migrations, applied) => {
+  const byVersion = new Map(migrations.map(migration => [migration.version, migration]));
+
+  applied.forEach(row => {
+    const migration = byVersion.get(row.version);
+    if (!migration) {
+      throw new Error(`Applied migration ${row.version}_${row.name} is missing from the migrations directory`);
+    }
+    if (migration.checksum !== row.checksum) {
+      throw new Error(`Migration ${row.version}_${row.name} was modified after it was applied (checksum mismatch)`);
+    }
+  });
+};
+
+// Run a migration's statements and its bookkeeping in one transaction
+const runInTransaction = async (pool, statements, bookkeeping) => {
+  const client = pool.connect ? await pool.connect() : pool;
+
+  try {
+    await client.query('BEGIN');
+    for (const statement of statements) {
+      await client.query(statement);
+    }
+    await bookkeeping(client);
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    if (client.release) client.release();
+  }
+};
+
+// Any fixed number will do, as long as nothing else takes the same advisory lock
+const MIGRATION_LOCK_KEY = 4207310321;
+
+// Run fn while holding a session-level advisory lock, so that processes starting
+// together migrate one after another; the later ones then find nothing pending.
+// pg-mem has no advisory locks, and an in-memory database has only one process anyway.
+const withMigrationLock = async (pool, dialect, fn) => {
+  if (dialect === 'memory') return fn();
+
+  const client = pool.connect ? await pool.connect() : pool;
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+    try {
+      return await fn();
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]);
+    }
+  } finally {
+    if (client.release) client.release();
+  }
+};
+
+// Apply every pending migration (or up to options.to) in order
+const migrate = async (pool, { dialect = 'postgres', dir, to, log = () => {} } = {}) => {
+  const migrations = loadMigrations(dir);
+
+  return withMigrationLock(pool, dialect, async () => {
+    const applied = await getApplied(pool);
+    verifyApplied(migrations, applied);
+
+    const appliedVersions = new Set(applied.map(row => row.version));
+    const pending = migrations.filter(migration =>
+      !appliedVersions.has(migration.version) &&
+      (to === undefined || migration.version.localeCompare(String(to), undefined, { numeric: true }) <= 0)
+    );
+
+    for (const migration of pending) {
+      log(`Applying ${migration.version}_${migration.name}`);
+      await runInTransaction(pool, prepareStatements(migration.up, dialect), client =>
+        client.query(
+          'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+          [migration.version, migration.name, migration.checksum]
+        )
+      );
+    }
+
+    return pending.map(migration => `${migration.version}_${migration.name}`);
+  });
+};
+
+// Revert the most recently applied migrations
+const rollback = async (pool, { dialect = 'postgres', dir, steps = 1, log = () => {} } = {}) => {
+  const migrations = loadMigrations(dir);
+
+  return withMigrationLock(pool, dialect, async () => {
+    const applied = await getApplied(pool);
+    verifyApplied(migrations, applied);
+
+    const byVersion = new Map(migrations.map(migration => [migration.version, migration]));
+    const targets = applied.slice(-steps).reverse();
+
+    for (const row of targets) {
+      const migration = byVersion.get(row.version);
+      if (!migration.down) {
+        throw new Error(`Migration ${row.version}_${row.name} has no .down.sql file and cannot be rolled back`);
+      }
+
+      log(`Reverting ${migration.version}_${migration.name}`);
+      await runInTransaction(pool, prepareStatements(migration.down, dialect), client =>
+        client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version])
+      );
+    }
+
+    return targets.map(row => `${row.version}_${row.name}`);
+  });
+};
+
+// Record migrations up to a version as applied without running them.
+// Used once on deployments that were created from the old database_schema.sql.
+const baseline = async (pool, { dir, to = '0001' } = {}) => {
+  const migrations = loadMigrations(dir);
+  const applied = await getApplied(pool);
+  const appliedVersions = new Set(applied.map(row => row.version));
+
+  const marked = migrations.filter(migration =>
+    !appliedVersions.has(migration.version) &&
+    migration.version.localeCompare(String(to), undefined, { numeric: true }) <= 0
+  );
+
+  for (const migration of marked) {
+    await pool.query(
+      'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+      [migration.version, migration.name, migration.checksum]
+    );
+  }
+
+  return marked.map(migration => `${migration.version}_${migration.name}`);
+};
+
+// Describe every migration as applied, pending or modified
+const status = async (pool, { dir } = {}) => {
+  const migrations = loadMigrations(dir);
+  const applied = new Map((await getApplied(pool)).map(row => [row.version, row]));
+
+  const rows = migrations.map(migration => {
+    const row = applied.get(migration.version);
+    applied.delete(migration.version);
+
+    return {
+      version: migration.version,
+      name: migration.name,
+      state: !row ? 'pending' : row.checksum === migration.checksum ? 'applied' : 'modified',
+      appliedAt: row ? row.applied_at : null
+    };
+  });
+
+  // Applied versions whose files are gone
+  applied.forEach(row => {
+    rows.push({ version: row.version, name: row.name, state: 'missing', appliedAt: row.applied_at });
+  });
+
+  return rows;
+};
+
+module.exports = {
+  MIGRATIONS_DIR,
+  splitStatements,
+  prepareStatements,
+  loadMigrations,
+  migrate,
+  rollback,
+  baseline,
+  status
+};
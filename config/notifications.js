@@ -0,0 +1,241 @@
+// Stored notifications.
+//
+// EVENTS is the registry of domain events users can be notified about. publish(event, data)
+// builds one notification per recipient and drops anyone already holding a notification
+// with the same dedupe_key. The rest get it in their notification list unless they
+// turned in_app off, and by email (through the mail queue) unless they turned email off
+// or the event has no email template. Stored notifications are also pushed to the
+// user's open event streams, and events with a `live` entry push a dashboard update to
+// everyone affected whatever their preferences. GET /api/notifications lists unread
+// stored notifications after the live summaries (pending approvals, draft assessments,
+// low attendance) that are computed on each request.
+const { dbHelpers } = require('./database');
+const { queueMail, appUrl } = require('./mailOutbox');
+const realtime = require('./realtime');
+
+const DUE_SOON_HOURS = 24;
+const UNREAD_LIMIT = 20;
+
+const formatPercentage = (value) => `${Math.round((parseFloat(value) || 0) * 10) / 10}%`;
+const markOf = (result) => `${formatPercentage(result.percentage)}${result.grade ? ` (${result.grade})` : ''}`;
+
+// The student's results and the assessment owner's overview both change
+const resultUpdate = (result, assessment) => ({
+  event: 'result',
+  userIds: [result.student_id, assessment.lecturer_id].filter(Boolean),
+  data: { assessment_id: assessment.id, result_id: result.id }
+});
+
+// A stored notification as listed by GET /api/notifications and pushed to streams
+const toListItem = (notification) => ({
+  id: notification.id,
+  event: notification.event_type,
+  type: notification.type,
+  title: notification.title,
+  message: notification.message,
+  link: notification.link,
+  created_at: notification.created_at
+});
+
+// Each event lists the roles that may turn it off in their preferences, the mail
+// template it sends (if any) and builds the notifications for one occurrence:
+// [{ user_id, title, message, link, dedupe_key, mail }], where mail holds the extra
+// template data. live(data) names the stream event and users whose dashboards should
+// refresh. user_approved is always sent: nobody can sign in to turn it off before it
+// happens.
+const EVENTS = {
+  result_published: {
+    label: 'A new mark of mine is available',
+    roles: ['student'],
+    type: 'success',
+    email: 'new_result',
+    live: ({ result, assessment }) => resultUpdate(result, assessment),
+    build: ({ result, assessment }) => [{
+      user_id: result.student_id,
+      title: 'New Result',
+      message: `Your result for ${assessment.title} is ${markOf(result)}`,
+      link: '/student/results',
+      mail: { assessment: assessment.title, mark: markOf(result) }
+    }]
+  },
+  grade_changed: {
+    label: 'One of my marks is changed',
+    roles: ['student'],
+    type: 'info',
+    live: ({ result, assessment }) => resultUpdate(result, assessment),
+    build: ({ result, assessment, previous }) => {
+      if (parseFloat(previous.percentage) === parseFloat(result.percentage) && previous.grade === result.grade) return [];
+      return [{
+        user_id: result.student_id,
+        title: 'Mark Changed',
+        message: `Your mark for ${assessment.title} changed from ${markOf(previous)} to ${markOf(result)}`,
+        link: '/student/results'
+      }];
+    }
+  },
+  assessment_due_soon: {
+    label: 'An assessment I have not handed in is due soon',
+    roles: ['student'],
+    type: 'warning',
+    email: 'deadline_reminder',
+    build: ({ assessment, studentIds }) => {
+      const course = assessment.course ? assessment.course.code : null;
+      const dueAt = new Date(assessment.due_date).toLocaleString('en-GB', { dateStyle: 'medium', timeStyle: 'short' });
+      return studentIds.map(studentId => ({
+        user_id: studentId,
+        title: 'Due Soon',
+        message: `${assessment.title}${course ? ` (${course})` : ''} is due ${dueAt}`,
+        link: '/student/dashboard',
+        dedupe_key: `assessment_due_soon:${assessment.id}`,
+        mail: { assessment: assessment.title, course, dueAt }
+      }));
+    }
+  },
+  user_approved: {
+    label: 'My registration is approved',
+    roles: [],
+    type: 'success',
+    email: 'account_approved',
+    build: ({ user }) => [{
+      user_id: user.id,
+      title: 'Account Approved',
+      message: `Welcome, ${user.first_name}. Your account has been approved.`,
+      link: `/${user.role}/dashboard`,
+      dedupe_key: 'user_approved',
+      mail: { loginUrl: `${appUrl()}/auth/login` }
+    }]
+  }
+};
+
+// Store and email the notifications for an event; data is one occurrence or an array
+// of them. Like audit logging, a failure here is logged and never fails the change
+// that caused it.
+const publish = async (event, data) => {
+  try {
+    const definition = EVENTS[event];
+    const occurrences = [].concat(data);
+    const built = occurrences.flatMap(definition.build);
+    if (definition.live) {
+      occurrences.map(definition.live).forEach(update => realtime.push(update.userIds, update.event, update.data));
+    }
+    if (built.length === 0) return [];
+
+    const alreadySent = new Set();
+    for (const key of new Set(built.map(item => item.dedupe_key).filter(Boolean))) {
+      const userIds = built.filter(item => item.dedupe_key === key).map(item => item.user_id);
+      (await dbHelpers.getNotifiedUserIds(userIds, key)).forEach(userId => alreadySent.add(`${userId}:${key}`));
+    }
+    const fresh = built.filter(item => !item.dedupe_key || !alreadySent.has(`${item.user_id}:${item.dedupe_key}`));
+
+    const userIds = [...new Set(fresh.map(item => item.user_id))];
+    const [preferences, users] = await Promise.all([
+      dbHelpers.getEventPreferences(userIds, event),
+      definition.email ? dbHelpers.getUsersByIds(userIds) : []
+    ]);
+    const preferenceOf = new Map(preferences.map(row => [row.user_id, row]));
+    const wants = (userId, channel) => preferenceOf.get(userId)?.[channel] !== false;
+
+    const stored = await dbHelpers.createNotifications(fresh
+      .filter(item => wants(item.user_id, 'in_app'))
+      .map(item => ({
+        user_id: item.user_id,
+        event_type: event,
+        type: definition.type,
+        title: item.title,
+        message: item.message,
+        link: item.link || null,
+        dedupe_key: item.dedupe_key || null
+      })));
+    stored.forEach(notification => realtime.push(notification.user_id, 'notification', toListItem(notification)));
+
+    const usersById = new Map(users.map(user => [user.id, user]));
+    for (const item of fresh.filter(entry => usersById.has(entry.user_id) && wants(entry.user_id, 'email'))) {
+      const user = usersById.get(item.user_id);
+      await queueMail(definition.email, user.email, {
+        user,
+        link: `${appUrl()}${item.link}`,
+        settingsUrl: `${appUrl()}/${user.role}/settings`,
+        ...item.mail
+      });
+    }
+
+    return stored;
+  } catch (error) {
+    console.error(`Error publishing ${event} notifications:`, error);
+    return [];
+  }
+};
+
+// Remind students of published assessments due within `hours` that they have not
+// handed in. Run from scripts/notify-due-assessments.js; dedupe_key makes repeat runs
+// harmless. Returns how many notifications were stored.
+const notifyDueAssessments = async ({ hours = DUE_SOON_HOURS, now = new Date() } = {}) => {
+  const assessments = await dbHelpers.getPublishedAssessmentsDueBetween(now.toISOString(), new Date(now.getTime() + hours * 60 * 60 * 1000).toISOString());
+  let stored = 0;
+
+  for (const assessment of assessments) {
+    const [enrollments, results] = await Promise.all([
+      dbHelpers.getActiveEnrollmentsForCourses([assessment.course_id]),
+      dbHelpers.getLatestAssessmentResults(assessment.id)
+    ]);
+    const handedIn = new Set(results.map(result => result.student_id));
+    const studentIds = enrollments.map(enrollment => enrollment.student_id).filter(studentId => !handedIn.has(studentId));
+
+    stored += (await publish('assessment_due_soon', { assessment, studentIds })).length;
+  }
+
+  return stored;
+};
+
+// Unread stored notifications, shaped like the live ones in GET /api/notifications
+const unreadFor = async (userId) => (await dbHelpers.getUnreadNotifications(userId, UNREAD_LIMIT)).map(toListItem);
+
+const eventsFor = (user) => Object.keys(EVENTS).filter(event => EVENTS[event].roles.includes(user.role));
+
+// The user's settings for each event their role may turn off; email is null for
+// events that send no mail
+const preferencesFor = async (user) => {
+  const saved = new Map((await dbHelpers.getNotificationPreferences(user.id)).map(row => [row.event_type, row]));
+  return eventsFor(user).map(event => ({
+    event,
+    label: EVENTS[event].label,
+    in_app: saved.get(event)?.in_app ?? true,
+    email: EVENTS[event].email ? (saved.get(event)?.email ?? true) : null
+  }));
+};
+
+// { event: { in_app, email } } for events the user's role may turn off
+const validatePreferences = (user, preferences) => {
+  const errors = [];
+  const allowed = eventsFor(user);
+
+  if (!preferences || typeof preferences !== 'object' || Array.isArray(preferences)) {
+    return { isValid: false, errors: ['Preferences must map events to their in_app and email choices'], values: [] };
+  }
+
+  const values = Object.entries(preferences).map(([event, choice]) => {
+    const { in_app: inApp, email } = choice || {};
+    if (!allowed.includes(event)) {
+      errors.push(`Unknown notification: ${event}`);
+    } else if (typeof inApp !== 'boolean' || (EVENTS[event].email && typeof email !== 'boolean')) {
+      errors.push(`${event} needs in_app${EVENTS[event].email ? ' and email' : ''} set to true or false`);
+    }
+    return { user_id: user.id, event_type: event, in_app: inApp, email: typeof email === 'boolean' ? email : true };
+  });
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    values
+  };
+};
+
+module.exports = {
+  EVENTS,
+  DUE_SOON_HOURS,
+  publish,
+  notifyDueAssessments,
+  unreadFor,
+  preferencesFor,
+  validatePreferences
+};
@@ -0,0 +1,135 @@
+const { normalizeFilters, normalizeOrder } = require('./adapters/query');
+
+// Uniform list query spec accepted by the dbHelpers list functions:
+//   { filters: { column: value }, search, sort: '-created_at', page, limit, cursor }
+// Pass either page (offset paging) or the nextCursor of a previous page (keyset paging).
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+
+// Query string keys that are not column filters
+const RESERVED_KEYS = ['page', 'limit', 'sort', 'cursor', 'search', 'q'];
+
+const encodeCursor = (row, column) => {
+  return Buffer.from(JSON.stringify({ value: row[column], id: row.id })).toString('base64url');
+};
+
+const decodeCursor = (cursor) => {
+  try {
+    return JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error('Invalid pagination cursor');
+  }
+};
+
+// '-created_at' sorts descending, 'name' ascending; unknown columns fall back to the default
+const parseSort = (sort, sortable, fallback) => {
+  if (typeof sort === 'string' && sort) {
+    const ascending = !sort.startsWith('-');
+    const column = ascending ? sort : sort.slice(1);
+    if (sortable.includes(column)) {
+      return { column, ascending };
+    }
+  }
+  return normalizeOrder(fallback)[0] || { column: 'created_at', ascending: false };
+};
+
+// Keep only whitelisted equality filters; '' and 'all' mean "no filter"
+const pickFilters = (filters = {}, filterable) => {
+  return Object.entries(filters)
+    .filter(([column, value]) => filterable.includes(column) && value !== '' && value !== 'all' && value !== undefined)
+    .map(([column, value]) => [column, 'eq', value]);
+};
+
+const escapeLike = (term) => String(term).replace(/[\\%_]/g, match => `\\${match}`);
+
+// Rows strictly after the cursor row in the current sort order (id breaks ties). List
+// queries sort nulls last in either direction, so after a null come only other nulls.
+const keysetFilter = (sort, cursor) => {
+  const op = sort.ascending ? 'gt' : 'lt';
+  if (sort.column === 'id') {
+    return ['id', op, cursor.id];
+  }
+  if (cursor.value === null || cursor.value === undefined) {
+    return { and: [[sort.column, 'is', null], ['id', op, cursor.id]] };
+  }
+  return {
+    or: [
+      [sort.column, op, cursor.value],
+      { and: [[sort.column, 'eq', cursor.value], ['id', op, cursor.id]] },
+      [sort.column, 'is', null]
+    ]
+  };
+};
+
+// Run a list query against the storage adapter and return one page of rows
+const runListQuery = async (storage, table, spec = {}, options = {}) => {
+  const { sortable = [], searchable = [], filterable = [], embed, baseFilters, defaultSort } = options;
+
+  const limit = Math.min(Math.max(parseInt(spec.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const sort = parseSort(spec.sort, sortable, defaultSort);
+  const filters = [...normalizeFilters(baseFilters), ...pickFilters(spec.filters, filterable)];
+
+  if (spec.search && searchable.length > 0) {
+    const pattern = `%${escapeLike(spec.search)}%`;
+    filters.push({ or: searchable.map(column => [column, 'ilike', pattern]) });
+  }
+
+  const order = [{ ...sort, nullsFirst: false }, { column: 'id', ascending: sort.ascending }];
+  let page = null;
+  let rows;
+
+  if (spec.cursor) {
+    rows = await storage.select(table, {
+      embed,
+      filters: [...filters, keysetFilter(sort, decodeCursor(spec.cursor))],
+      order,
+      limit
+    });
+  } else {
+    page = Math.max(parseInt(spec.page, 10) || 1, 1);
+    rows = await storage.select(table, { embed, filters, order, limit, offset: (page - 1) * limit });
+  }
+
+  const total = await storage.count(table, { filters });
+  const last = rows[rows.length - 1];
+
+  return {
+    data: rows,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+      sort: `${sort.ascending ? '' : '-'}${sort.column}`,
+      nextCursor: rows.length === limit && last ? encodeCursor(last, sort.column) : null
+    }
+  };
+};
+
+// Build a list query spec from an Express req.query object
+const parseListQuery = (query = {}) => {
+  const filters = {};
+
+  Object.keys(query).forEach(key => {
+    if (!RESERVED_KEYS.includes(key)) {
+      filters[key] = query[key];
+    }
+  });
+
+  return {
+    filters,
+    search: query.search || query.q || '',
+    sort: query.sort,
+    page: query.page,
+    limit: query.limit,
+    cursor: query.cursor
+  };
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  escapeLike,
+  runListQuery,
+  parseListQuery
+};
@@ -0,0 +1,93 @@
+// Password reset tokens.
+//
+// A reset link carries a random token; the database only keeps an HMAC of it, so a
+// leaked table cannot be turned back into working links. Tokens expire after
+// PASSWORD_RESET_TTL_MINUTES (default 60) and work once: redeeming one, or asking for
+// a new one, retires the user's other outstanding tokens. Completing a reset bumps
+// users.session_version, which signs out every existing session (see requireAuth).
+const crypto = require('crypto');
+const { dbHelpers } = require('./database');
+const { queueMail } = require('./mailOutbox');
+const { hashPassword } = require('../middleware/auth');
+
+const TOKEN_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60;
+
+const getSigningKey = () => {
+  const secret = process.env.PASSWORD_RESET_SECRET || process.env.SESSION_SECRET;
+  if (!secret) {
+    throw new Error('PASSWORD_RESET_SECRET or SESSION_SECRET must be set to issue reset tokens');
+  }
+  return secret;
+};
+
+const hashToken = (token) => crypto.createHmac('sha256', getSigningKey()).update(String(token)).digest('hex');
+
+// Issue a token for an active account and email the link; resolves to whether a mail
+// was queued. Callers must not reveal the answer, or the form becomes an account lookup.
+const requestPasswordReset = async ({ email, ip, baseUrl }) => {
+  const user = await dbHelpers.getUserByEmail(String(email).trim());
+  if (!user || !user.is_active) {
+    return false;
+  }
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + TOKEN_TTL_MINUTES * 60 * 1000);
+
+  await dbHelpers.revokePasswordResetTokens(user.id);
+  await dbHelpers.createPasswordResetToken({
+    user_id: user.id,
+    token_hash: hashToken(token),
+    expires_at: expiresAt.toISOString(),
+    requested_ip: ip || null
+  });
+
+  // Sent straight away; if the mail server is down the message waits in the outbox for a retry
+  await queueMail('password_reset', user.email, {
+    user,
+    link: `${baseUrl}/auth/reset-password/${token}`,
+    ttlMinutes: TOKEN_TTL_MINUTES
+  }, { immediate: true });
+
+  return true;
+};
+
+// The stored token row for a link, or null when it is unknown, used or expired
+const findValidToken = async (token) => {
+  if (!token) {
+    return null;
+  }
+
+  const record = await dbHelpers.getPasswordResetToken(hashToken(token));
+  if (!record || record.used_at || new Date(record.expires_at) <= new Date()) {
+    return null;
+  }
+  return record;
+};
+
+// Redeem a token and set the new password; resolves to the user, or null when the
+// token is no longer valid (including when a concurrent request redeemed it first)
+const resetPassword = async (token, newPassword) => {
+  const record = await findValidToken(token);
+  if (!record || !(await dbHelpers.claimPasswordResetToken(record.id))) {
+    return null;
+  }
+
+  const user = await dbHelpers.getUserById(record.user_id);
+  const updated = await dbHelpers.updateUser(user.id, {
+    password_hash: await hashPassword(newPassword),
+    login_attempts: 0,
+    locked_until: null,
+    session_version: (user.session_version || 0) + 1
+  });
+  await dbHelpers.revokePasswordResetTokens(user.id);
+
+  return updated;
+};
+
+module.exports = {
+  TOKEN_TTL_MINUTES,
+  hashToken,
+  requestPasswordReset,
+  findValidToken,
+  resetPassword
+};
@@ -0,0 +1,122 @@
+// Late-submission rules per assessment.
+//
+//   flat     late_penalty_percent is deducted once for any late submission
+//   per_day  late_penalty_percent is deducted for every started day past the due date
+//   capped   as per_day, but never more than late_penalty_cap_percent in total
+//
+// late_grace_minutes after the due date still count as on time. Deductions are a
+// percentage of the awarded score, so 20% off a score of 80 leaves 64.
+const { gradeForPercentage, FALLBACK_SCHEME } = require('./grading');
+
+const PENALTY_SCHEMES = ['flat', 'per_day', 'capped'];
+
+const MINUTES_PER_DAY = 24 * 60;
+
+const getLatePolicy = (assessment = {}) => ({
+  allowLate: Boolean(assessment.allow_late_submission),
+  scheme: PENALTY_SCHEMES.includes(assessment.late_penalty_scheme) ? assessment.late_penalty_scheme : 'flat',
+  percent: parseFloat(assessment.late_penalty_percent) || 0,
+  capPercent: assessment.late_penalty_cap_percent === null || assessment.late_penalty_cap_percent === undefined
+    ? null
+    : parseFloat(assessment.late_penalty_cap_percent),
+  graceMinutes: parseInt(assessment.late_grace_minutes, 10) || 0
+});
+
+const validateLatePolicy = ({ late_penalty_scheme, late_penalty_percent, late_penalty_cap_percent, late_grace_minutes } = {}) => {
+  const errors = [];
+  const inRange = value => Number.isFinite(Number(value)) && Number(value) >= 0 && Number(value) <= 100;
+
+  if (late_penalty_scheme !== undefined && !PENALTY_SCHEMES.includes(late_penalty_scheme)) {
+    errors.push(`Late penalty scheme must be one of: ${PENALTY_SCHEMES.join(', ')}`);
+  }
+  if (late_penalty_percent !== undefined && late_penalty_percent !== null && !inRange(late_penalty_percent)) {
+    errors.push('Late penalty must be between 0 and 100 percent');
+  }
+  if (late_penalty_cap_percent !== undefined && late_penalty_cap_percent !== null && !inRange(late_penalty_cap_percent)) {
+    errors.push('Late penalty cap must be between 0 and 100 percent');
+  }
+  if (late_grace_minutes !== undefined && !(Number.isInteger(Number(late_grace_minutes)) && Number(late_grace_minutes) >= 0)) {
+    errors.push('Grace period must be a whole number of minutes');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+};
+
+// The latest time a submission still counts as on time (null when there is no due date)
+const getOnTimeDeadline = (assessment) => {
+  if (!assessment.due_date) return null;
+  return new Date(new Date(assessment.due_date).getTime() + getLatePolicy(assessment).graceMinutes * 60000);
+};
+
+// { isLate, allowed, minutesLate, daysLate } for a submission time
+const assessLateness = (assessment, submittedAt = new Date()) => {
+  const deadline = getOnTimeDeadline(assessment);
+  if (!deadline || new Date(submittedAt) <= deadline) {
+    return { isLate: false, allowed: true, minutesLate: 0, daysLate: 0 };
+  }
+
+  const minutesLate = Math.ceil((new Date(submittedAt) - deadline) / 60000);
+  return {
+    isLate: true,
+    allowed: getLatePolicy(assessment).allowLate,
+    minutesLate,
+    daysLate: Math.ceil(minutesLate / MINUTES_PER_DAY)
+  };
+};
+
+// Percentage of the score to deduct for a submission this many days late
+const calculatePenaltyPercent = (policy, daysLate) => {
+  if (daysLate <= 0 || policy.percent <= 0) return 0;
+
+  let penalty = policy.scheme === 'flat' ? policy.percent : policy.percent * daysLate;
+  if (policy.scheme === 'capped' && policy.capPercent !== null) {
+    penalty = Math.min(penalty, policy.capPercent);
+  }
+  return Math.min(penalty, 100);
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// A mark as a percentage of the assessment's total, to two places as results store it
+const percentageOf = (score, totalMarks) => round2((score / totalMarks) * 100);
+
+// Penalised score fields for a result, given its raw score and the deduction to apply
+const withPenalty = ({ rawScore, rawPercentage }, penaltyPercent, scheme = FALLBACK_SCHEME) => {
+  const factor = 1 - penaltyPercent / 100;
+  const percentage = round2(rawPercentage * factor);
+
+  return {
+    raw_score: rawScore,
+    raw_percentage: rawPercentage,
+    late_penalty_percent: penaltyPercent,
+    score: round2(rawScore * factor),
+    percentage,
+    grade: gradeForPercentage(percentage, scheme)
+  };
+};
+
+// Result fields for a graded submission: lateness, raw and penalised score
+const applyLatePenalty = (assessment, { score, percentage }, submittedAt = new Date(), scheme = FALLBACK_SCHEME) => {
+  const lateness = assessLateness(assessment, submittedAt);
+  const penaltyPercent = lateness.isLate ? calculatePenaltyPercent(getLatePolicy(assessment), lateness.daysLate) : 0;
+
+  return {
+    is_late: lateness.isLate,
+    ...withPenalty({ rawScore: parseFloat(score) || 0, rawPercentage: parseFloat(percentage) || 0 }, penaltyPercent, scheme)
+  };
+};
+
+module.exports = {
+  PENALTY_SCHEMES,
+  getLatePolicy,
+  validateLatePolicy,
+  getOnTimeDeadline,
+  assessLateness,
+  calculatePenaltyPercent,
+  percentageOf,
+  withPenalty,
+  applyLatePenalty
+};
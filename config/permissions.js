@@ -0,0 +1,178 @@
+// Permissions and roles.
+//
+// PERMISSIONS is the registry of everything a role can be allowed to do. Roles live in
+// the roles table and bundle grants: a permission key on its own applies everywhere,
+// and for scoped permissions "<key>:own" limits it to the courses the user teaches.
+// Within a course, the user's STAFF_ROLES entry narrows that further: a TA with
+// results:grade:own can mark work in their courses but not edit the assessments.
+// A user's role is users.role_name when set, otherwise users.role (the system roles
+// admin, lecturer and student). users.role stays the portal a user signs in to, so a
+// custom role is always based on one of the system roles.
+const { dbHelpers } = require('./database');
+
+const PERMISSIONS = {
+  'users:view': { label: 'View users and user statistics', group: 'Users' },
+  'users:approve': { label: 'Approve or reject registrations', group: 'Users' },
+  'users:manage': { label: 'Change user roles and reset two-factor authentication', group: 'Users' },
+  'roles:manage': { label: 'Edit roles and their permissions', group: 'System' },
+  'settings:manage': { label: 'Change system settings, grading schemes and academic terms', group: 'System' },
+  'courses:view': { label: 'View courses, enrollments and course statistics', group: 'Courses', scoped: true },
+  'courses:edit': { label: 'Change grading schemes and grade weighting of courses', group: 'Courses', scoped: true },
+  'questions:manage': { label: 'Manage question banks', group: 'Courses', scoped: true },
+  'assessments:edit': { label: 'Create and edit assessments', group: 'Assessments', scoped: true },
+  'assessments:attempt': { label: 'Enroll in courses, take assessments and see own results', group: 'Assessments' },
+  'results:view': { label: 'View results, result summaries and attendance', group: 'Results', scoped: true },
+  'results:grade': { label: 'Enter and adjust marks, late penalties and attendance', group: 'Results', scoped: true },
+  'results:import': { label: 'Import marks from gradebook files', group: 'Results', scoped: true },
+  'grades:compute': { label: 'Compute final course grades', group: 'Results', scoped: true }
+};
+
+const BASE_ROLES = ['admin', 'lecturer', 'student'];
+const OWN_SUFFIX = ':own';
+
+// What each kind of course staff may do in that course. courses.lecturer_id counts as
+// an owner; only owners (and holders of unscoped courses:edit) manage the staff list.
+const COURSE_PERMISSIONS = ['courses:view', 'courses:edit', 'questions:manage', 'assessments:edit', 'results:view', 'results:grade', 'results:import', 'grades:compute'];
+const STAFF_ROLES = {
+  owner: { label: 'Owner', permissions: COURSE_PERMISSIONS },
+  co_lecturer: { label: 'Co-lecturer', permissions: COURSE_PERMISSIONS },
+  ta: { label: 'Teaching Assistant', permissions: ['courses:view', 'questions:manage', 'results:view', 'results:grade'] },
+  grader: { label: 'Grader', permissions: ['courses:view', 'results:view', 'results:grade'] }
+};
+
+const CACHE_TTL_MS = (parseInt(process.env.SETTINGS_CACHE_TTL, 10) || 60) * 1000;
+
+let cache = null;
+let cacheLoadedAt = 0;
+
+const load = async () => {
+  const roles = (await dbHelpers.getRoles()).map(role => ({
+    ...role,
+    permissions: Array.isArray(role.permissions) ? role.permissions : []
+  }));
+  return new Map(roles.map(role => [role.name, role]));
+};
+
+const getCache = async () => {
+  if (!cache || Date.now() - cacheLoadedAt > CACHE_TTL_MS) {
+    cache = await load();
+    cacheLoadedAt = Date.now();
+  }
+  return cache;
+};
+
+// Drop cached roles after they are edited
+const invalidate = () => {
+  cache = null;
+  cacheLoadedAt = 0;
+};
+
+const getRoles = async () => [...(await getCache()).values()];
+
+const getRole = async (name) => (await getCache()).get(name) || null;
+
+const roleNameOf = (user) => user.role_name || user.role;
+
+// Whether a grant string names a registered permission (and a scope it supports)
+const isValidGrant = (grant) => {
+  const key = String(grant).endsWith(OWN_SUFFIX) ? String(grant).slice(0, -OWN_SUFFIX.length) : String(grant);
+  const permission = PERMISSIONS[key];
+  return Boolean(permission) && (key === grant || Boolean(permission.scoped));
+};
+
+// How far a user holds a permission: 'any', 'own' (courses they teach) or null
+const scopeOf = async (user, permission) => {
+  if (!user) return null;
+  const role = await getRole(roleNameOf(user));
+  const grants = role ? role.permissions : [];
+  if (grants.includes(permission)) return 'any';
+  if (grants.includes(`${permission}${OWN_SUFFIX}`)) return 'own';
+  return null;
+};
+
+// Resolve { course | courseId | assessment | assessmentId } to the course and assessment it concerns
+const resolveResource = async ({ course, courseId, assessment, assessmentId } = {}) => {
+  const found = assessment || (assessmentId ? await dbHelpers.getAssessmentById(assessmentId).catch(() => null) : null);
+  const id = course ? course.id : (courseId || (found && found.course_id));
+  const owner = course || (id ? await dbHelpers.getCourseById(id).catch(() => null) : null);
+  return { course: owner, assessment: found };
+};
+
+// The user's place on a course's staff ('owner', 'co_lecturer', 'ta', 'grader') or null
+const staffRoleOf = async (user, course) => {
+  if (!course) return null;
+  if (course.lecturer_id === user.id) return 'owner';
+  const membership = await dbHelpers.getCourseStaffMember(course.id, user.id);
+  return membership ? membership.staff_role : null;
+};
+
+// The "own" scope: the user is on the course's staff in a role that covers the permission
+const teaches = async (user, permission, { course }) => {
+  const staffRole = await staffRoleOf(user, course);
+  return Boolean(staffRole) && STAFF_ROLES[staffRole].permissions.includes(permission);
+};
+
+// Whether the user may use a permission on a resource (see resolveResource);
+// without a resource only an unscoped grant counts
+const can = async (user, permission, resource) => {
+  const scope = await scopeOf(user, permission);
+  if (scope === 'any') return true;
+  if (scope !== 'own' || !resource) return false;
+  return teaches(user, permission, await resolveResource(resource));
+};
+
+// Adding and removing course staff: course owners, and whoever may edit every course
+const canManageStaff = async (user, course) => {
+  const scope = await scopeOf(user, 'courses:edit');
+  if (scope === 'any') return true;
+  return scope === 'own' && await staffRoleOf(user, course) === 'owner';
+};
+
+const validateRole = ({ name, label, base_role, permissions } = {}, { isNew = true } = {}) => {
+  const errors = [];
+
+  if (isNew) {
+    if (!/^[a-z][a-z0-9_]{1,49}$/.test(String(name || ''))) {
+      errors.push('Role name must be 2-50 lowercase letters, numbers or underscores, starting with a letter');
+    }
+    if (!BASE_ROLES.includes(base_role)) errors.push(`Base role must be one of ${BASE_ROLES.join(', ')}`);
+  }
+  if (!label || !String(label).trim()) errors.push('Role label is required');
+  if (!Array.isArray(permissions)) {
+    errors.push('Permissions must be a list');
+  } else {
+    const unknown = permissions.filter(grant => !isValidGrant(grant));
+    if (unknown.length > 0) errors.push(`Unknown permissions: ${unknown.join(', ')}`);
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    permissions: Array.isArray(permissions) ? [...new Set(permissions.map(String))].sort() : []
+  };
+};
+
+// The registry as a list for the role editor
+const listPermissions = () => Object.entries(PERMISSIONS).map(([key, permission]) => ({
+  key,
+  label: permission.label,
+  group: permission.group,
+  scoped: Boolean(permission.scoped)
+}));
+
+module.exports = {
+  PERMISSIONS,
+  BASE_ROLES,
+  STAFF_ROLES,
+  getRoles,
+  getRole,
+  roleNameOf,
+  isValidGrant,
+  scopeOf,
+  can,
+  staffRoleOf,
+  canManageStaff,
+  validateRole,
+  listPermissions,
+  invalidate
+};
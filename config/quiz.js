@@ -0,0 +1,182 @@
+// Question bank validation and quiz grading.
+// Multiple choice, true/false and exact-match short answers are graded automatically;
+// essays and non-matching short answers are left for the lecturer.
+const { gradeForPercentage, FALLBACK_SCHEME } = require('./grading');
+const { getOnTimeDeadline } = require('./penalties');
+
+const QUESTION_TYPES = ['multiple_choice', 'true_false', 'short_answer', 'essay'];
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+// Seconds allowed after the deadline for the final submit request to arrive
+const SUBMIT_GRACE_SECONDS = 30;
+
+const parseTags = (tags) => {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  return [...new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+};
+
+// Build a questions row from form or API input
+const toQuestionRow = (input = {}) => {
+  const row = {
+    type: input.type,
+    text: typeof input.text === 'string' ? input.text.trim() : input.text,
+    points: parseInt(input.points, 10) || 1,
+    tags: parseTags(input.tags),
+    difficulty: input.difficulty || 'medium',
+    options: null,
+    correct_answer: null,
+    sample_answer: null,
+    rubric: null
+  };
+
+  switch (input.type) {
+    case 'multiple_choice':
+      row.options = (input.options || []).map(option => ({
+        text: String(option.text || '').trim(),
+        is_correct: option.is_correct === true || option.is_correct === 'true'
+      }));
+      break;
+    case 'true_false':
+      row.correct_answer = input.correct_answer === undefined || input.correct_answer === null ? null : String(input.correct_answer);
+      break;
+    case 'short_answer':
+      row.sample_answer = input.sample_answer || '';
+      break;
+    case 'essay':
+      row.rubric = input.rubric || '';
+      break;
+  }
+
+  return row;
+};
+
+const validateQuestion = (question) => {
+  const errors = [];
+
+  if (!QUESTION_TYPES.includes(question.type)) {
+    errors.push(`Question type must be one of: ${QUESTION_TYPES.join(', ')}`);
+  }
+  if (!question.text) {
+    errors.push('Question text is required');
+  }
+  if (!(question.points >= 1 && question.points <= 100)) {
+    errors.push('Points must be between 1 and 100');
+  }
+  if (!DIFFICULTIES.includes(question.difficulty)) {
+    errors.push(`Difficulty must be one of: ${DIFFICULTIES.join(', ')}`);
+  }
+
+  if (question.type === 'multiple_choice') {
+    const options = question.options || [];
+    if (options.length < 2) errors.push('Multiple choice questions need at least 2 options');
+    if (options.some(option => !option.text)) errors.push('Options cannot be empty');
+    if (options.filter(option => option.is_correct).length !== 1) errors.push('Mark exactly one option as correct');
+  }
+
+  if (question.type === 'true_false' && !['true', 'false'].includes(question.correct_answer)) {
+    errors.push('Select the correct answer (true or false)');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+};
+
+// What a student sees while taking the quiz: no answers, rubrics or correct flags
+const toStudentQuestion = (question) => ({
+  id: question.id,
+  type: question.type,
+  text: question.text,
+  points: question.points,
+  options: question.type === 'multiple_choice'
+    ? (question.options || []).map((option, index) => ({ index, text: option.text }))
+    : undefined
+});
+
+const normalizeText = (value) => String(value || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+// Grade one answer; autoGraded is false when a lecturer has to mark it
+const gradeQuestion = (question, answer) => {
+  const points = question.points;
+  const answered = answer !== undefined && answer !== null && answer !== '';
+
+  switch (question.type) {
+    case 'multiple_choice': {
+      const correctIndex = (question.options || []).findIndex(option => option.is_correct);
+      const correct = answered && parseInt(answer, 10) === correctIndex;
+      return { points, awarded: correct ? points : 0, autoGraded: true, correct };
+    }
+    case 'true_false': {
+      const correct = answered && String(answer) === question.correct_answer;
+      return { points, awarded: correct ? points : 0, autoGraded: true, correct };
+    }
+    case 'short_answer': {
+      if (!answered) {
+        return { points, awarded: 0, autoGraded: true, correct: false };
+      }
+      if (question.sample_answer && normalizeText(answer) === normalizeText(question.sample_answer)) {
+        return { points, awarded: points, autoGraded: true, correct: true };
+      }
+      return { points, awarded: 0, autoGraded: false, correct: null };
+    }
+    default:
+      return { points, awarded: 0, autoGraded: !answered, correct: answered ? null : false };
+  }
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Grade a whole submission against the assessment's total_marks, lettered by the course's scheme
+const gradeSubmission = (questions, answers = {}, totalMarks = 100, scheme = FALLBACK_SCHEME) => {
+  const breakdown = questions.map(question => ({
+    question_id: question.id,
+    answer: answers[question.id] === undefined ? null : answers[question.id],
+    ...gradeQuestion(question, answers[question.id])
+  }));
+
+  const possible = breakdown.reduce((sum, item) => sum + item.points, 0);
+  const earned = breakdown.reduce((sum, item) => sum + item.awarded, 0);
+  const percentage = possible > 0 ? round2((earned / possible) * 100) : 0;
+
+  return {
+    earned,
+    possible,
+    percentage,
+    score: round2((percentage / 100) * (totalMarks || 100)),
+    grade: gradeForPercentage(percentage, scheme),
+    needsGrading: breakdown.some(item => !item.autoGraded),
+    breakdown
+  };
+};
+
+// When a timed attempt ends: duration_minutes after it started, and no later than
+// the due date (plus grace period) when late submissions are not accepted
+const getAttemptDeadline = (assessment, startedAt = new Date()) => {
+  const deadlines = [];
+  if (assessment.duration_minutes) {
+    deadlines.push(new Date(new Date(startedAt).getTime() + assessment.duration_minutes * 60000));
+  }
+  if (assessment.due_date && !assessment.allow_late_submission) {
+    deadlines.push(getOnTimeDeadline(assessment));
+  }
+  return deadlines.length > 0 ? new Date(Math.min(...deadlines)) : null;
+};
+
+const isPastDeadline = (attempt, now = new Date(), graceSeconds = 0) => {
+  return Boolean(attempt.expires_at) && now.getTime() > new Date(attempt.expires_at).getTime() + graceSeconds * 1000;
+};
+
+module.exports = {
+  QUESTION_TYPES,
+  DIFFICULTIES,
+  SUBMIT_GRACE_SECONDS,
+  parseTags,
+  toQuestionRow,
+  validateQuestion,
+  toStudentQuestion,
+  gradeQuestion,
+  gradeSubmission,
+  getAttemptDeadline,
+  isPastDeadline
+};
@@ -0,0 +1,100 @@
+// Server-sent events.
+//
+// GET /api/events keeps a text/event-stream response open for each signed-in tab, tied
+// to the session user that opened it. push(userIds, event, data) writes an event to
+// every stream those users have open; broadcast(test, event, data) to the streams whose
+// user passes an (async) test, e.g. a permission check. Streams live in memory, so each
+// app process only reaches the tabs connected to it; pages poll instead whenever their
+// stream is down (see StudentTracker.live in public/js/common.js).
+const { dbHelpers } = require('./database');
+const permissions = require('./permissions');
+
+// Comment lines keep proxies from timing out an idle stream
+const HEARTBEAT_MS = 25 * 1000;
+
+// How long the browser waits before reconnecting a dropped stream
+const RETRY_MS = 5 * 1000;
+
+const streams = new Map(); // user id -> Set of { user, res }
+let heartbeat = null;
+
+const write = (stream, event, data) => {
+  stream.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+const startHeartbeat = () => {
+  if (heartbeat) return;
+  heartbeat = setInterval(() => {
+    for (const userStreams of streams.values()) {
+      userStreams.forEach(stream => stream.res.write(': ping\n\n'));
+    }
+  }, HEARTBEAT_MS);
+  heartbeat.unref();
+};
+
+const stopHeartbeatIfIdle = () => {
+  if (heartbeat && streams.size === 0) {
+    clearInterval(heartbeat);
+    heartbeat = null;
+  }
+};
+
+// Turn the response into an event stream for `user` until the client goes away
+const subscribe = (user, req, res) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  const stream = { user, res };
+  if (!streams.has(user.id)) streams.set(user.id, new Set());
+  streams.get(user.id).add(stream);
+  startHeartbeat();
+  write(stream, 'ready', { user_id: user.id });
+
+  req.on('close', () => {
+    const userStreams = streams.get(user.id);
+    if (userStreams) {
+      userStreams.delete(stream);
+      if (userStreams.size === 0) streams.delete(user.id);
+    }
+    stopHeartbeatIfIdle();
+  });
+};
+
+const push = (userIds, event, data) => {
+  for (const userId of new Set([].concat(userIds))) {
+    (streams.get(userId) || []).forEach(stream => write(stream, event, data));
+  }
+};
+
+const broadcast = async (test, event, data) => {
+  for (const userStreams of [...streams.values()]) {
+    const [{ user }] = userStreams;
+    if (await test(user)) {
+      userStreams.forEach(stream => write(stream, event, data));
+    }
+  }
+};
+
+// Tell everyone who approves registrations how many are waiting. Like publishing
+// notifications, a failure is logged and never fails the change that caused it.
+const pushPendingApprovals = async () => {
+  try {
+    if (streams.size === 0) return;
+    const pending = await dbHelpers.getPendingUsers();
+    await broadcast(user => permissions.can(user, 'users:approve'), 'pending_approvals', { count: pending.length });
+  } catch (error) {
+    console.error('Error pushing pending approvals:', error);
+  }
+};
+
+module.exports = {
+  subscribe,
+  push,
+  broadcast,
+  pushPendingApprovals
+};
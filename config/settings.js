@@ -0,0 +1,235 @@
+const crypto = require('crypto');
+const { dbHelpers } = require('./database');
+const { logAuditEvent } = require('../middleware/audit');
+
+// Known system settings, stored as text in the system_settings table
+const SETTINGS_SCHEMA = {
+  app_name: { type: 'string', default: 'Student Assessment Tracker', maxLength: 100, required: true },
+  academic_year: { type: 'string', default: '2026/27', pattern: /^\d{4}\/\d{2}$/ },
+  semester: { type: 'string', default: 'First Semester', maxLength: 50 },
+  registration_open: { type: 'boolean', default: true },
+  max_login_attempts: { type: 'integer', default: 5, min: 1, max: 20 },
+  lockout_duration: { type: 'integer', default: 15, min: 1, max: 1440 }, // minutes
+  passing_grade: { type: 'number', default: 50, min: 0, max: 100 },
+  allow_late_submissions: { type: 'boolean', default: true },
+  attendance_threshold: { type: 'number', default: 75, min: 0, max: 100 }, // percent; lower rates raise alerts
+  check_in_minutes: { type: 'integer', default: 10, min: 1, max: 120 },
+  require_2fa_admin: { type: 'boolean', default: false },
+  require_2fa_lecturer: { type: 'boolean', default: false },
+  smtp_host: { type: 'string', default: '', maxLength: 255 },
+  smtp_port: { type: 'integer', default: 587, min: 1, max: 65535 },
+  smtp_user: { type: 'string', default: '', maxLength: 255 },
+  smtp_pass: { type: 'string', default: '', secret: true },
+  // Days audit entries are kept before scripts/archive-audit-log.js archives them; 0 keeps them
+  audit_retention_auth_days: { type: 'integer', default: 365, min: 0, max: 36500 },
+  audit_retention_export_days: { type: 'integer', default: 730, min: 0, max: 36500 },
+  audit_retention_change_days: { type: 'integer', default: 2555, min: 0, max: 36500 },
+  audit_retention_activity_days: { type: 'integer', default: 180, min: 0, max: 36500 }
+};
+
+// How long cached values are trusted before re-reading the table (other processes may write)
+const CACHE_TTL_MS = (parseInt(process.env.SETTINGS_CACHE_TTL, 10) || 60) * 1000;
+
+const ENCRYPTED_PREFIX = 'enc:v1:';
+const REDACTED = '[REDACTED]';
+
+let cache = null;
+let cacheLoadedAt = 0;
+
+// AES-256-GCM key derived from SETTINGS_SECRET_KEY (also used for other secrets at rest, e.g. TOTP keys)
+const getEncryptionKey = () => {
+  const secret = process.env.SETTINGS_SECRET_KEY;
+  if (!secret) {
+    throw new Error('SETTINGS_SECRET_KEY must be set to store secret settings');
+  }
+  return crypto.scryptSync(secret, 'system_settings', 32);
+};
+
+const encrypt = (plainText) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(plainText, 'utf8'), cipher.final()]);
+  return ENCRYPTED_PREFIX + [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':');
+};
+
+const decrypt = (stored) => {
+  if (!stored || !stored.startsWith(ENCRYPTED_PREFIX)) {
+    return stored; // Written before encryption was introduced
+  }
+
+  const [iv, tag, encrypted] = stored.slice(ENCRYPTED_PREFIX.length).split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+// Convert a stored text value to its typed form
+const parseValue = (definition, raw) => {
+  if (raw === null || raw === undefined || raw === '') {
+    return definition.type === 'string' ? (raw === '' ? '' : definition.default) : definition.default;
+  }
+
+  switch (definition.type) {
+    case 'boolean': return raw === true || raw === 'true';
+    case 'integer': return parseInt(raw, 10);
+    case 'number': return parseFloat(raw);
+    default: return String(raw);
+  }
+};
+
+// Validate a single value; returns { value } or { error }
+const validateValue = (key, input) => {
+  const definition = SETTINGS_SCHEMA[key];
+  if (!definition) {
+    return { error: `Unknown setting "${key}"` };
+  }
+
+  let value = input;
+
+  if (definition.type === 'boolean') {
+    if (typeof value === 'string') value = ['true', 'on', '1'].includes(value.toLowerCase());
+    if (typeof value !== 'boolean') return { error: `${key} must be true or false` };
+  } else if (definition.type === 'integer' || definition.type === 'number') {
+    value = definition.type === 'integer' ? Number(value) : parseFloat(value);
+    if (value === '' || !Number.isFinite(value) || (definition.type === 'integer' && !Number.isInteger(value))) {
+      return { error: `${key} must be a${definition.type === 'integer' ? 'n integer' : ' number'}` };
+    }
+    if (definition.min !== undefined && value < definition.min) return { error: `${key} must be at least ${definition.min}` };
+    if (definition.max !== undefined && value > definition.max) return { error: `${key} must be at most ${definition.max}` };
+  } else {
+    value = value === null || value === undefined ? '' : String(value).trim();
+    if (definition.required && !value) return { error: `${key} is required` };
+    if (definition.maxLength && value.length > definition.maxLength) return { error: `${key} must be at most ${definition.maxLength} characters` };
+    if (definition.pattern && value && !definition.pattern.test(value)) return { error: `${key} has an invalid format` };
+  }
+
+  return { value };
+};
+
+// Validate a set of changes: { isValid, errors, values }
+const validate = (changes) => {
+  const errors = [];
+  const values = {};
+
+  Object.entries(changes).forEach(([key, input]) => {
+    const result = validateValue(key, input);
+    if (result.error) errors.push(result.error);
+    else values[key] = result.value;
+  });
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    values
+  };
+};
+
+const load = async () => {
+  const rows = await dbHelpers.getAllSystemSettings();
+  const values = {};
+  const ids = {};
+
+  Object.entries(SETTINGS_SCHEMA).forEach(([key, definition]) => {
+    values[key] = definition.default;
+  });
+
+  (rows || []).forEach(row => {
+    const definition = SETTINGS_SCHEMA[row.setting_key];
+    if (!definition) return;
+
+    ids[row.setting_key] = row.id;
+    try {
+      const raw = definition.secret ? decrypt(row.setting_value) : row.setting_value;
+      values[row.setting_key] = parseValue(definition, raw);
+    } catch (error) {
+      console.error(`Error reading setting ${row.setting_key}:`, error.message);
+    }
+  });
+
+  return { values, ids };
+};
+
+// Drop cached values so the next read goes to the database
+const invalidate = () => {
+  cache = null;
+  cacheLoadedAt = 0;
+};
+
+const getAll = async () => {
+  if (!cache || Date.now() - cacheLoadedAt > CACHE_TTL_MS) {
+    cache = await load();
+    cacheLoadedAt = Date.now();
+  }
+  return { ...cache.values };
+};
+
+const get = async (key) => {
+  if (!SETTINGS_SCHEMA[key]) {
+    throw new Error(`Unknown setting "${key}"`);
+  }
+  const values = await getAll();
+  return values[key];
+};
+
+// Settings safe to send to the browser: secrets are replaced by whether they are set
+const getPublic = async () => {
+  const values = await getAll();
+  const result = {};
+
+  Object.entries(values).forEach(([key, value]) => {
+    if (SETTINGS_SCHEMA[key].secret) {
+      result[`${key}_set`] = Boolean(value);
+    } else {
+      result[key] = value;
+    }
+  });
+
+  return result;
+};
+
+// Persist validated changes and write one audit entry per changed setting
+const update = async (changes, { userId = null, req = null } = {}) => {
+  const { isValid, errors, values } = validate(changes);
+  if (!isValid) {
+    const error = new Error(errors.join(', '));
+    error.errors = errors;
+    throw error;
+  }
+
+  const current = await getAll();
+  const changed = [];
+
+  for (const [key, value] of Object.entries(values)) {
+    if (current[key] === value) continue;
+
+    const definition = SETTINGS_SCHEMA[key];
+    const stored = definition.secret && value ? encrypt(value) : String(value);
+    const row = await dbHelpers.updateSystemSetting(key, stored);
+
+    await logAuditEvent(
+      userId,
+      'SETTING_UPDATED',
+      'system_settings',
+      row ? row.id : null,
+      { [key]: definition.secret ? REDACTED : current[key] },
+      { [key]: definition.secret ? REDACTED : value },
+      req
+    );
+    changed.push(key);
+  }
+
+  invalidate();
+  return changed;
+};
+
+module.exports = {
+  SETTINGS_SCHEMA,
+  validate,
+  get,
+  getAll,
+  getPublic,
+  update,
+  invalidate,
+  encrypt,
+  decrypt
+};
@@ -0,0 +1,418 @@
+// Class timetable.
+//
+// A course session meets weekly on day_of_week (1 = Monday) between starts_at and
+// ends_at, in the teaching weeks of its course's term (see calendar.js): every week,
+// odd or even weeks, or once, optionally narrowed to first_week..last_week.
+//
+// Two sessions clash when they share a day, their times overlap, they run in at least
+// one common week and their courses are in the same term. Room and lecturer clashes
+// block a change; students enrolled in both courses, or a room too small for the
+// class, only produce warnings, since some students take optional overlapping classes.
+const { dbHelpers } = require('./database');
+const calendar = require('./calendar');
+
+const SESSION_TYPES = ['lecture', 'tutorial', 'lab', 'seminar', 'workshop'];
+const RECURRENCES = ['weekly', 'odd_weeks', 'even_weeks', 'once'];
+const DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+// Weeks assumed for courses without a term, or terms that do not count teaching weeks
+const DEFAULT_WEEKS = 15;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)(:[0-5]\d)?$/;
+
+// TIME columns come back as 'HH:MM:SS'; the timetable works in 'HH:MM'
+const toTime = (value) => (value ? String(value).slice(0, 5) : null);
+
+const toMinutes = (time) => {
+  const [hours, minutes] = toTime(time).split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const optionalWeek = (value) => (value === undefined || value === null || value === '' ? null : parseInt(value, 10));
+
+const validateSession = ({ session_type, day_of_week, starts_at, ends_at, room_id, lecturer_id, recurrence, first_week, last_week, notes } = {}) => {
+  const errors = [];
+  const values = {
+    session_type: session_type || 'lecture',
+    day_of_week: parseInt(day_of_week, 10),
+    starts_at: toTime(starts_at),
+    ends_at: toTime(ends_at),
+    room_id: room_id || null,
+    lecturer_id: lecturer_id || null,
+    recurrence: recurrence || 'weekly',
+    first_week: optionalWeek(first_week),
+    last_week: optionalWeek(last_week),
+    notes: notes ? String(notes).trim() : null
+  };
+
+  if (!SESSION_TYPES.includes(values.session_type)) errors.push(`Session type must be one of ${SESSION_TYPES.join(', ')}`);
+  if (!(values.day_of_week >= 1 && values.day_of_week <= 7)) errors.push('Day must be 1 (Monday) to 7 (Sunday)');
+  if (!TIME_PATTERN.test(values.starts_at || '') || !TIME_PATTERN.test(values.ends_at || '')) {
+    errors.push('Start and end times must be HH:MM');
+  } else if (toMinutes(values.starts_at) >= toMinutes(values.ends_at)) {
+    errors.push('The session must start before it ends');
+  }
+  if (!RECURRENCES.includes(values.recurrence)) errors.push(`Recurrence must be one of ${RECURRENCES.join(', ')}`);
+
+  ['first_week', 'last_week'].forEach(field => {
+    if (values[field] !== null && !(values[field] > 0)) errors.push(`${field.replace('_', ' ')} must be a positive whole number`);
+  });
+  if (values.recurrence === 'once' && values.first_week === null) {
+    errors.push('A one-off session needs the week it meets in (first_week)');
+  }
+  if (values.first_week && values.last_week && values.first_week > values.last_week) {
+    errors.push('first week must not be after last week');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    values
+  };
+};
+
+// The teaching weeks a session meets in
+const weeksOf = (session, term) => {
+  const total = (term && term.teaching_weeks) || DEFAULT_WEEKS;
+  const first = session.first_week || 1;
+  if (session.recurrence === 'once') return [first];
+
+  const last = Math.min(session.last_week || total, total);
+  const weeks = [];
+  for (let week = first; week <= last; week++) {
+    if (session.recurrence === 'odd_weeks' && week % 2 === 0) continue;
+    if (session.recurrence === 'even_weeks' && week % 2 === 1) continue;
+    weeks.push(week);
+  }
+  return weeks;
+};
+
+const describeWeeks = (session) => {
+  const range = session.first_week || session.last_week
+    ? ` ${session.first_week || 1}-${session.last_week || 'end'}`
+    : '';
+  return {
+    weekly: `Weeks${range || ' 1-end'}`,
+    odd_weeks: `Odd weeks${range}`,
+    even_weeks: `Even weeks${range}`,
+    once: `Week ${session.first_week}`
+  }[session.recurrence];
+};
+
+// Who teaches a session: its own lecturer, otherwise the course lecturer
+const leaderOf = (session) => session.lecturer_id || (session.course && session.course.lecturer_id) || null;
+
+const termIdOf = (session) => (session.course && session.course.term_id) || null;
+
+const sessionsOverlap = (a, b, termsById) => {
+  if (a.day_of_week !== b.day_of_week || termIdOf(a) !== termIdOf(b)) return false;
+  if (toMinutes(a.starts_at) >= toMinutes(b.ends_at) || toMinutes(b.starts_at) >= toMinutes(a.ends_at)) return false;
+
+  const term = termsById.get(termIdOf(a)) || null;
+  const weeks = new Set(weeksOf(a, term));
+  return weeksOf(b, term).some(week => weeks.has(week));
+};
+
+// Clashes of a session against others. candidate needs course ({ lecturer_id, term_id }).
+// studentsByCourse maps course ids to Sets of active student ids; the candidate
+// course's set is also its class size for the room capacity check.
+const findClashes = (candidate, others, { termsById, studentsByCourse, room = null }) => {
+  const blocking = [];
+  const warnings = [];
+  const classmates = studentsByCourse.get(candidate.course_id) || new Set();
+
+  others
+    .filter(other => other.id !== candidate.id && sessionsOverlap(candidate, other, termsById))
+    .forEach(other => {
+      const summary = { session_id: other.id || null, course: other.course ? other.course.code : null, day_of_week: other.day_of_week, starts_at: toTime(other.starts_at), ends_at: toTime(other.ends_at) };
+
+      if (candidate.room_id && other.room_id === candidate.room_id) {
+        blocking.push({ type: 'room', message: `Room is already booked for ${summary.course} at ${summary.starts_at}`, ...summary });
+      }
+      if (leaderOf(candidate) && leaderOf(other) === leaderOf(candidate)) {
+        blocking.push({ type: 'lecturer', message: `Lecturer is already teaching ${summary.course} at ${summary.starts_at}`, ...summary });
+      }
+      if (other.course_id !== candidate.course_id) {
+        const otherStudents = studentsByCourse.get(other.course_id) || new Set();
+        const shared = [...classmates].filter(studentId => otherStudents.has(studentId)).length;
+        if (shared > 0) {
+          warnings.push({ type: 'students', message: `${shared} student(s) also take ${summary.course} at ${summary.starts_at}`, students: shared, ...summary });
+        }
+      }
+    });
+
+  if (room && room.capacity && classmates.size > room.capacity) {
+    warnings.push({ type: 'capacity', message: `${classmates.size} students are enrolled but ${room.code} seats ${room.capacity}` });
+  }
+
+  return { blocking, warnings };
+};
+
+// Everything findClashes needs for a set of candidate sessions
+const loadClashContext = async (candidates) => {
+  const days = [...new Set(candidates.map(session => session.day_of_week))];
+  const existing = await dbHelpers.getSessionsOnDays(days);
+  const courseIds = [...new Set([...existing, ...candidates].map(session => session.course_id))];
+  const [enrollments, terms, rooms] = await Promise.all([
+    dbHelpers.getActiveEnrollmentsForCourses(courseIds),
+    dbHelpers.getTerms(),
+    dbHelpers.getRooms()
+  ]);
+
+  const studentsByCourse = new Map();
+  enrollments.forEach(({ student_id: studentId, course_id: courseId }) => {
+    if (!studentsByCourse.has(courseId)) studentsByCourse.set(courseId, new Set());
+    studentsByCourse.get(courseId).add(studentId);
+  });
+
+  return {
+    existing,
+    termsById: new Map(terms.map(term => [term.id, term])),
+    roomsById: new Map(rooms.map(room => [room.id, room])),
+    studentsByCourse
+  };
+};
+
+// Rooms must exist and be in use, and a session's own lecturer must be teaching staff
+const checkReferences = async (sessions, roomsById) => {
+  const lecturerIds = [...new Set(sessions.map(session => session.lecturer_id).filter(Boolean))];
+  const lecturers = await Promise.all(lecturerIds.map(userId => dbHelpers.getUserById(userId).catch(() => null)));
+  const staff = new Set(lecturers.filter(user => user && ['lecturer', 'admin'].includes(user.role)).map(user => user.id));
+
+  return sessions.map(session => {
+    const errors = [];
+    const room = session.room_id ? roomsById.get(session.room_id) : null;
+    if (session.room_id && !room) errors.push('Unknown room');
+    if (room && !room.is_active) errors.push(`Room ${room.code} is not in use`);
+    if (session.lecturer_id && !staff.has(session.lecturer_id)) errors.push('The session lecturer must be a lecturer');
+    return errors;
+  });
+};
+
+// Reference and clash check for one new or changed session of a course
+const checkSession = async (course, values, sessionId = null) => {
+  const candidate = { ...values, id: sessionId, course_id: course.id, course };
+  const context = await loadClashContext([candidate]);
+  const [errors] = await checkReferences([candidate], context.roomsById);
+  return {
+    errors,
+    ...findClashes(candidate, context.existing, { ...context, room: context.roomsById.get(candidate.room_id) })
+  };
+};
+
+// Bulk editor dry run. rows are { line, id?, course_id, delete?, ...session fields }.
+// Each row is checked against the timetable as it would be after the whole batch.
+const planTimetable = async (rows) => {
+  const errors = [];
+  const changes = [];
+  const deletes = [];
+
+  const courseIds = [...new Set(rows.map(row => row.course_id).filter(Boolean))];
+  const [courses, current] = await Promise.all([
+    courseIds.length > 0 ? dbHelpers.getCoursesByIds(courseIds) : [],
+    dbHelpers.getSessionsForCourses(courseIds)
+  ]);
+  const coursesById = new Map(courses.map(course => [course.id, course]));
+  const currentById = new Map(current.map(session => [session.id, session]));
+
+  for (const row of rows) {
+    const existing = row.id ? currentById.get(row.id) : null;
+    if (row.id && (!existing || existing.course_id !== row.course_id)) {
+      errors.push({ line: row.line, errors: ['Unknown session for this course'] });
+      continue;
+    }
+    if (row.delete) {
+      if (existing) deletes.push({ line: row.line, id: existing.id, previous: existing });
+      continue;
+    }
+
+    const course = coursesById.get(row.course_id);
+    const validation = validateSession(row);
+    if (!course) validation.errors.unshift('Unknown course');
+    if (!course || !validation.isValid) {
+      errors.push({ line: row.line, errors: validation.errors });
+      continue;
+    }
+
+    changes.push({ line: row.line, id: existing ? existing.id : null, course, values: validation.values, previous: existing || null });
+  }
+
+  // The timetable after the batch, with the batch's own rows in place of what they replace
+  const candidates = changes.map((change, index) => ({
+    ...change.values,
+    id: change.id || `new-${index}`,
+    course_id: change.course.id,
+    course: change.course
+  }));
+  const context = await loadClashContext(candidates);
+  const referenceErrors = await checkReferences(candidates, context.roomsById);
+  const replaced = new Set([...changes.map(change => change.id), ...deletes.map(change => change.id)].filter(Boolean));
+  const timetable = [...context.existing.filter(session => !replaced.has(session.id)), ...candidates];
+
+  const clashes = [];
+  candidates.forEach((candidate, index) => {
+    if (referenceErrors[index].length > 0) {
+      errors.push({ line: changes[index].line, errors: referenceErrors[index] });
+      return;
+    }
+    const result = findClashes(candidate, timetable, { ...context, room: context.roomsById.get(candidate.room_id) });
+    if (result.blocking.length > 0 || result.warnings.length > 0) {
+      clashes.push({ line: changes[index].line, ...result });
+    }
+  });
+
+  const valid = changes.filter((change, index) => referenceErrors[index].length === 0);
+  return {
+    creates: valid.filter(change => !change.id),
+    updates: valid.filter(change => change.id),
+    deletes,
+    errors: errors.sort((a, b) => a.line - b.line),
+    clashes
+  };
+};
+
+const summarizePlan = (plan) => ({
+  summary: {
+    creates: plan.creates.length,
+    updates: plan.updates.length,
+    deletes: plan.deletes.length,
+    errors: plan.errors.length,
+    blocking: plan.clashes.filter(clash => clash.blocking.length > 0).length,
+    warnings: plan.clashes.filter(clash => clash.warnings.length > 0).length
+  },
+  errors: plan.errors,
+  clashes: plan.clashes
+});
+
+// Courses whose sessions belong on the user's timetable, and sessions they lead elsewhere
+const timetableSessions = async (user) => {
+  if (user.role === 'student') {
+    const enrollments = await dbHelpers.getStudentEnrollments(user.id);
+    return dbHelpers.getSessionsForCourses(enrollments.map(enrollment => enrollment.course_id));
+  }
+
+  const [taught, led] = await Promise.all([
+    dbHelpers.getTaughtCourseIds(user.id).then(courseIds => dbHelpers.getSessionsForCourses(courseIds)),
+    dbHelpers.getSessionsLedBy(user.id)
+  ]);
+  const seen = new Set(taught.map(session => session.id));
+  return [...taught, ...led.filter(session => !seen.has(session.id))];
+};
+
+const toTimetableEntry = (session) => ({
+  id: session.id,
+  course_id: session.course_id,
+  course: session.course ? { code: session.course.code, name: session.course.name, term_id: session.course.term_id } : null,
+  session_type: session.session_type,
+  day_of_week: session.day_of_week,
+  day: DAYS[session.day_of_week - 1],
+  starts_at: toTime(session.starts_at),
+  ends_at: toTime(session.ends_at),
+  room_id: session.room_id,
+  room: session.room || null,
+  lecturer_id: session.lecturer_id,
+  lecturer: session.lecturer || null,
+  recurrence: session.recurrence,
+  first_week: session.first_week,
+  last_week: session.last_week,
+  weeks: describeWeeks(session),
+  notes: session.notes
+});
+
+// The user's weekly timetable, optionally for one term
+const buildTimetable = async (user, { termId = null } = {}) => {
+  const sessions = (await timetableSessions(user))
+    .filter(session => !termId || termIdOf(session) === termId)
+    .sort((a, b) => a.day_of_week - b.day_of_week || toMinutes(a.starts_at) - toMinutes(b.starts_at));
+  return sessions.map(toTimetableEntry);
+};
+
+// Every session of the courses in a term, for the bulk editor
+const buildTermTimetable = async (termId) => {
+  const courseIds = await dbHelpers.getCourseIdsInTerm(termId);
+  return (await dbHelpers.getSessionsForCourses(courseIds)).map(toTimetableEntry);
+};
+
+// Dated occurrences of the user's sessions for the .ics export. Sessions meet in their
+// term's teaching weeks and skip holidays and reading weeks; courses without a term
+// have no dates to place them on and are left out.
+const buildTimetableEntries = async (user) => {
+  const sessions = await timetableSessions(user);
+  const termIds = [...new Set(sessions.map(termIdOf).filter(Boolean))];
+  const [terms, events] = await Promise.all([
+    Promise.all(termIds.map(termId => dbHelpers.getTermById(termId))),
+    dbHelpers.getTermEvents(termIds)
+  ]);
+  const termsById = new Map(terms.filter(Boolean).map(term => [term.id, calendar.withDates(term)]));
+  const breaks = events
+    .filter(event => ['holiday', 'reading_week'].includes(event.kind))
+    .map(calendar.withDates);
+
+  const entries = [];
+  sessions.forEach(session => {
+    const term = termsById.get(termIdOf(session));
+    if (!term) return;
+
+    // Week 1 runs from the Monday of the week the term starts in
+    const startDay = new Date(`${term.starts_on}T00:00:00Z`).getUTCDay() || 7;
+    const monday = calendar.addDays(term.starts_on, 1 - startDay);
+
+    weeksOf(session, term).forEach(week => {
+      const date = calendar.addDays(monday, (week - 1) * 7 + session.day_of_week - 1);
+      if (date < term.starts_on || date > term.ends_on) return;
+      if (breaks.some(event => event.term_id === term.id && date >= event.starts_on && date <= event.ends_on)) return;
+
+      const course = session.course || {};
+      entries.push({
+        id: `session-${session.id}-${date}`,
+        kind: 'class',
+        title: `${course.code || ''} ${session.session_type}`.trim(),
+        start: `${date}T${toTime(session.starts_at)}`,
+        end: `${date}T${toTime(session.ends_at)}`,
+        floating: true,
+        location: session.room ? [session.room.code, session.room.name, session.room.building].filter(Boolean).join(', ') : null,
+        description: [course.name, session.notes].filter(Boolean).join('\n') || null
+      });
+    });
+  });
+
+  return entries.sort((a, b) => a.start.localeCompare(b.start));
+};
+
+const validateRoom = ({ code, name, building, capacity, is_active } = {}) => {
+  const errors = [];
+  const values = {
+    code: String(code || '').trim().toUpperCase(),
+    name: String(name || '').trim(),
+    building: building ? String(building).trim() : null,
+    capacity: capacity === undefined || capacity === null || capacity === '' ? null : parseInt(capacity, 10),
+    is_active: is_active === undefined ? true : Boolean(is_active) && is_active !== 'false'
+  };
+
+  if (!/^[A-Z0-9._-]{1,20}$/.test(values.code)) errors.push('Room code must be 1-20 letters, numbers, dots, dashes or underscores');
+  if (!values.name) errors.push('Room name is required');
+  if (values.capacity !== null && !(values.capacity > 0)) errors.push('Capacity must be a positive whole number');
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    values
+  };
+};
+
+module.exports = {
+  SESSION_TYPES,
+  RECURRENCES,
+  DAYS,
+  validateSession,
+  validateRoom,
+  weeksOf,
+  findClashes,
+  checkSession,
+  planTimetable,
+  summarizePlan,
+  toTimetableEntry,
+  buildTimetable,
+  buildTermTimetable,
+  buildTimetableEntries
+};
@@ -0,0 +1,187 @@
+// Two-factor authentication: TOTP (RFC 6238) codes from an authenticator app, with
+// one-time recovery codes as the fallback.
+//
+// Secrets are generated here and only stored once the user proves their app works by
+// entering a code. Stored secrets are encrypted with the settings key; recovery codes
+// are kept as HMACs. Admins can require 2FA per role through the require_2fa_<role>
+// settings; users in such a role must enrol before their first session starts.
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const { dbHelpers } = require('./database');
+const settings = require('./settings');
+
+const TWO_FACTOR_ROLES = ['admin', 'lecturer'];
+const STEP_SECONDS = 30;
+const CODE_DIGITS = 6;
+const RECOVERY_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  buffer.forEach(byte => { bits += byte.toString(2).padStart(8, '0'); });
+  return (bits.match(/.{1,5}/g) || []).map(chunk => BASE32_ALPHABET[parseInt(chunk.padEnd(5, '0'), 2)]).join('');
+};
+
+const base32Decode = (text) => {
+  const bits = String(text).toUpperCase().replace(/[^A-Z2-7]/g, '').split('')
+    .map(char => BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0'))
+    .join('');
+  return Buffer.from((bits.match(/.{8}/g) || []).map(byte => parseInt(byte, 2)));
+};
+
+// HOTP (RFC 4226) for one counter value
+const hotp = (key, counter) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const digest = crypto.createHmac('sha1', key).update(message).digest();
+  const offset = digest[digest.length - 1] & 0x0f;
+  const value = digest.readUInt32BE(offset) & 0x7fffffff;
+  return String(value % 10 ** CODE_DIGITS).padStart(CODE_DIGITS, '0');
+};
+
+const timeStep = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS);
+
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// The code an authenticator app shows right now (used in tests and for support)
+const currentCode = (secret, now = Date.now()) => hotp(base32Decode(secret), timeStep(now));
+
+// The time step a code belongs to, allowing `window` steps of clock drift either way; null if it matches none
+const matchTotp = (secret, code, { now = Date.now(), window = 1 } = {}) => {
+  const candidate = String(code || '').replace(/\s+/g, '');
+  if (!new RegExp(`^\\d{${CODE_DIGITS}}$`).test(candidate)) {
+    return null;
+  }
+
+  const key = base32Decode(secret);
+  const current = timeStep(now);
+  for (let step = current - window; step <= current + window; step++) {
+    const expected = hotp(key, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+const otpauthUrl = ({ secret, email, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${email}`);
+  const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: String(CODE_DIGITS), period: String(STEP_SECONDS) });
+  return `otpauth://totp/${label}?${params}`;
+};
+
+const getSigningKey = () => {
+  const secret = process.env.TWO_FACTOR_SECRET || process.env.SESSION_SECRET;
+  if (!secret) {
+    throw new Error('TWO_FACTOR_SECRET or SESSION_SECRET must be set to use two-factor authentication');
+  }
+  return secret;
+};
+
+// Codes are shown as xxxxx-xxxxx; case, spaces and dashes do not matter when typed back
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const hashRecoveryCode = (code) => crypto.createHmac('sha256', getSigningKey()).update(normalizeRecoveryCode(code)).digest('hex');
+
+const generateRecoveryCodes = () => Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+  const code = crypto.randomBytes(8).toString('hex').slice(0, 10);
+  return `${code.slice(0, 5)}-${code.slice(5)}`;
+});
+
+// Whether the admin policy requires 2FA for a role
+const isRequiredFor = async (role) => {
+  if (!TWO_FACTOR_ROLES.includes(role)) {
+    return false;
+  }
+  return Boolean(await settings.get(`require_2fa_${role}`));
+};
+
+// A secret (fresh unless one is being set up already) with its provisioning URL
+// and a QR code (PNG data URL) for the user to scan
+const createSetup = async (user, secret = generateSecret()) => {
+  const issuer = await settings.get('app_name');
+  const url = otpauthUrl({ secret, email: user.email, issuer });
+  return { secret, otpauthUrl: url, qrCode: await QRCode.toDataURL(url) };
+};
+
+const issueRecoveryCodes = async (userId) => {
+  const codes = generateRecoveryCodes();
+  await dbHelpers.replaceRecoveryCodes(userId, codes.map(hashRecoveryCode));
+  return codes;
+};
+
+// Turn 2FA on once the user has entered a valid code for the new secret.
+// Resolves to the plain recovery codes (shown once), or null when the code is wrong.
+const enable = async (userId, secret, code) => {
+  const step = matchTotp(secret, code);
+  if (step === null) {
+    return null;
+  }
+
+  await dbHelpers.updateUser(userId, {
+    two_factor_enabled: true,
+    two_factor_enabled_at: new Date().toISOString(),
+    totp_secret: settings.encrypt(secret),
+    totp_last_step: step
+  });
+  return issueRecoveryCodes(userId);
+};
+
+// Check a TOTP code for an enrolled user; each code is accepted once
+const verifyTotp = async (user, code) => {
+  if (!user.two_factor_enabled || !user.totp_secret) {
+    return false;
+  }
+
+  const step = matchTotp(settings.decrypt(user.totp_secret), code);
+  return step !== null && Boolean(await dbHelpers.recordTotpStep(user.id, step));
+};
+
+// Second login step. Accepts an authenticator code or a recovery code;
+// resolves to 'totp', 'recovery_code' or null
+const verifyLoginCode = async (user, code) => {
+  if (await verifyTotp(user, code)) {
+    return 'totp';
+  }
+  if (normalizeRecoveryCode(code).length === 10 && await dbHelpers.claimRecoveryCode(user.id, hashRecoveryCode(code))) {
+    return 'recovery_code';
+  }
+  return null;
+};
+
+// Remove 2FA from an account (user opt-out or an admin reset)
+const disable = async (userId) => {
+  await dbHelpers.clearRecoveryCodes(userId);
+  return dbHelpers.updateUser(userId, {
+    two_factor_enabled: false,
+    two_factor_enabled_at: null,
+    totp_secret: null,
+    totp_last_step: null
+  });
+};
+
+const getStatus = async (user) => ({
+  enabled: Boolean(user.two_factor_enabled),
+  enabledAt: user.two_factor_enabled_at || null,
+  required: await isRequiredFor(user.role),
+  available: TWO_FACTOR_ROLES.includes(user.role),
+  recoveryCodesRemaining: user.two_factor_enabled ? await dbHelpers.countUnusedRecoveryCodes(user.id) : 0
+});
+
+module.exports = {
+  TWO_FACTOR_ROLES,
+  RECOVERY_CODE_COUNT,
+  generateSecret,
+  currentCode,
+  matchTotp,
+  otpauthUrl,
+  isRequiredFor,
+  createSetup,
+  enable,
+  issueRecoveryCodes,
+  verifyTotp,
+  verifyLoginCode,
+  disable,
+  getStatus
+};
@@ -1,4 +1,47 @@
-const { supabase } = require('../config/database');
+const { AsyncLocalStorage } = require('async_hooks');
+const { storage, recordChangesWith } = require('../config/database');
+const { appendEntries } = require('../config/auditChain');
+const { escapeLike } = require('../config/pagination');
+
+// Columns whose values never reach the audit log; a change to one shows as redacted
+const SECRET_FIELD = /password|secret|token|hash/i;
+const REDACTED = '[redacted]';
+
+// Bookkeeping columns left out of diffs, so e.g. a login alone records no change
+const IGNORED_FIELDS = ['updated_at', 'last_login', 'login_attempts'];
+
+// The request being handled, so entries written deep inside dbHelpers know who made
+// the change and from where. Routers mount auditContext ahead of their routes.
+const requestContext = new AsyncLocalStorage();
+
+const auditContext = (req, res, next) => {
+  requestContext.run({ req }, next);
+};
+
+const redact = (values) => {
+  if (!values || typeof values !== 'object' || Array.isArray(values)) return values;
+  return Object.fromEntries(Object.entries(values).map(([key, value]) => [key, SECRET_FIELD.test(key) ? REDACTED : value]));
+};
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// { column: { from, to } } for each column that differs between two rows
+const diffRecords = (before, after) => {
+  const changes = {};
+  const columns = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  columns.forEach(column => {
+    if (IGNORED_FIELDS.includes(column)) return;
+    const from = before ? before[column] : undefined;
+    const to = after ? after[column] : undefined;
+    if (sameValue(from, to)) return;
+    changes[column] = SECRET_FIELD.test(column)
+      ? { from: REDACTED, to: REDACTED }
+      : { from: from ?? null, to: to ?? null };
+  });
+
+  return changes;
+};
 
 // Audit logger middleware
 const auditLogger = (req, res, next) => {
@@ -42,22 +85,21 @@ const logActivity = async (req, res) => {
       return;
     }
 
+    // What was sent; the rows it changed are recorded by change capture (recordChange)
     const logData = {
       user_id: req.session?.user?.id || null,
       action: `${req.method} ${req.path}`,
       table_name: extractTableName(req.path),
       record_id: extractRecordId(req),
-      old_values: req.body && Object.keys(req.body).length > 0 ? req.body : null,
-      new_values: null, // This would need to be set by individual routes
+      old_values: null,
+      new_values: req.body && Object.keys(req.body).length > 0 ? { request: redact(req.body) } : null,
       ip_address: getClientIP(req),
       user_agent: req.get('User-Agent') || null
     };
 
     // Only log significant actions
     if (shouldLogAction(req, res)) {
-      await supabase
-        .from('audit_logs')
-        .insert(logData);
+      await appendEntries([logData]);
     }
   } catch (error) {
     console.error('Error logging audit activity:', error);
@@ -121,27 +163,58 @@ const extractRecordId = (req) => {
   if (req.params.assessmentId) return req.params.assessmentId;
   if (req.params.resultId) return req.params.resultId;
 
-  // Try to get ID from request body
-  if (req.body.id) return req.body.id;
-  if (req.body.userId) return req.body.userId;
-  if (req.body.courseId) return req.body.courseId;
-  if (req.body.assessmentId) return req.body.assessmentId;
-  if (req.body.resultId) return req.body.resultId;
+  // Try to get ID from request body (Express 5 leaves req.body unset without one)
+  const body = req.body || {};
+  if (body.id) return body.id;
+  if (body.userId) return body.userId;
+  if (body.courseId) return body.courseId;
+  if (body.assessmentId) return body.assessmentId;
+  if (body.resultId) return body.resultId;
 
   return null;
 };
 
 // Get client IP address
 const getClientIP = (req) => {
-  return req.ip || 
+  const ip = req.ip || 
          req.connection.remoteAddress || 
          req.socket.remoteAddress ||
          (req.connection.socket ? req.connection.socket.remoteAddress : null) ||
          req.headers['x-forwarded-for']?.split(',')[0] ||
          req.headers['x-real-ip'] ||
          '127.0.0.1';
+
+  // IPv4 clients of a dual-stack server show up as ::ffff:a.b.c.d
+  return ip.replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, '');
+};
+
+// Change capture recorder (see captureChange in config/database.js): one entry per
+// changed row with the redacted row before and after and, for updates, the field-level
+// diff. A deleted row keeps only its before values.
+const recordChange = async ({ table, action, recordId, before, after }) => {
+  try {
+    const changes = action === 'update' ? diffRecords(before, after) : null;
+    if (changes && Object.keys(changes).length === 0) return;
+
+    const req = requestContext.getStore()?.req || null;
+    await appendEntries([{
+      user_id: req?.session?.user?.id || null,
+      action: action === 'delete' ? 'RECORD_DELETED' : 'RECORD_UPDATED',
+      table_name: table,
+      record_id: recordId,
+      old_values: redact(before),
+      new_values: redact(after),
+      changes,
+      ip_address: req ? getClientIP(req) : null,
+      user_agent: req ? req.get('User-Agent') || null : null
+    }]);
+  } catch (error) {
+    console.error('Error recording audited change:', error);
+  }
 };
 
+recordChangesWith(recordChange);
+
 // Manual audit logging function for specific actions
 const logAuditEvent = async (userId, action, tableName = null, recordId = null, oldValues = null, newValues = null, req = null) => {
   try {
@@ -156,14 +229,31 @@ const logAuditEvent = async (userId, action, tableName = null, recordId = null,
       user_agent: req ? req.get('User-Agent') : null
     };
 
-    await supabase
-      .from('audit_logs')
-      .insert(logData);
+    await appendEntries([logData]);
   } catch (error) {
     console.error('Error logging manual audit event:', error);
   }
 };
 
+// Log several audit events in one write, e.g. one per row changed by a bulk import.
+// entries are { action, tableName, recordId, oldValues, newValues }
+const logAuditEvents = async (userId, entries, req = null) => {
+  try {
+    await appendEntries(entries.map(entry => ({
+      user_id: userId,
+      action: entry.action,
+      table_name: entry.tableName || null,
+      record_id: entry.recordId || null,
+      old_values: entry.oldValues || null,
+      new_values: entry.newValues || null,
+      ip_address: req ? getClientIP(req) : null,
+      user_agent: req ? req.get('User-Agent') : null
+    })));
+  } catch (error) {
+    console.error('Error logging audit events:', error);
+  }
+};
+
 // Log authentication events
 const logAuthEvent = async (email, action, success, req, reason = null) => {
   try {
@@ -178,9 +268,7 @@ const logAuthEvent = async (email, action, success, req, reason = null) => {
       user_agent: req.get('User-Agent') || null
     };
 
-    await supabase
-      .from('audit_logs')
-      .insert(logData);
+    await appendEntries([logData]);
   } catch (error) {
     console.error('Error logging auth event:', error);
   }
@@ -200,9 +288,7 @@ const logExportEvent = async (userId, exportType, filters, req) => {
       user_agent: req.get('User-Agent') || null
     };
 
-    await supabase
-      .from('audit_logs')
-      .insert(logData);
+    await appendEntries([logData]);
   } catch (error) {
     console.error('Error logging export event:', error);
   }
@@ -211,42 +297,54 @@ const logExportEvent = async (userId, exportType, filters, req) => {
 // Get audit logs with pagination
 const getAuditLogs = async (page = 1, limit = 50, filters = {}) => {
   try {
-    let query = supabase
-      .from('audit_logs')
-      .select(`
-        *,
-        user:users(first_name, last_name, email, role)
-      `)
-      .order('created_at', { ascending: false });
+    const conditions = [];
 
     // Apply filters
     if (filters.userId) {
-      query = query.eq('user_id', filters.userId);
+      conditions.push(['user_id', 'eq', filters.userId]);
     }
 
     if (filters.action) {
-      query = query.ilike('action', `%${filters.action}%`);
+      conditions.push(['action', 'ilike', `%${escapeLike(filters.action)}%`]);
     }
 
     if (filters.tableName) {
-      query = query.eq('table_name', filters.tableName);
+      conditions.push(['table_name', 'eq', filters.tableName]);
+    }
+
+    if (filters.recordId) {
+      conditions.push(['record_id', 'eq', filters.recordId]);
+    }
+
+    if (filters.ipAddress) {
+      conditions.push(['ip_address', 'eq', filters.ipAddress]);
+    }
+
+    // Free text in the entry's JSON values (see search_text in config/auditChain.js)
+    if (filters.search) {
+      conditions.push(['search_text', 'ilike', `%${escapeLike(filters.search)}%`]);
     }
 
     if (filters.startDate) {
-      query = query.gte('created_at', filters.startDate);
+      conditions.push(['created_at', 'gte', filters.startDate]);
     }
 
     if (filters.endDate) {
-      query = query.lte('created_at', filters.endDate);
+      conditions.push(['created_at', 'lte', filters.endDate]);
     }
 
     // Pagination
     const offset = (page - 1) * limit;
-    query = query.range(offset, offset + limit - 1);
-
-    const { data, error, count } = await query;
-
-    if (error) throw error;
+    const [data, count] = await Promise.all([
+      storage.select('audit_logs', {
+        embed: { user: { table: 'users', foreignKey: 'user_id', columns: 'first_name, last_name, email, role' } },
+        filters: conditions,
+        order: { column: 'created_at', ascending: false },
+        limit,
+        offset
+      }),
+      storage.count('audit_logs', { filters: conditions })
+    ]);
 
     return {
       data,
@@ -265,7 +363,9 @@ const getAuditLogs = async (page = 1, limit = 50, filters = {}) => {
 
 module.exports = {
   auditLogger,
+  auditContext,
   logAuditEvent,
+  logAuditEvents,
   logAuthEvent,
   logExportEvent,
   getAuditLogs
@@ -1,8 +1,17 @@
 const bcrypt = require('bcryptjs');
 const { dbHelpers } = require('../config/database');
+const settings = require('../config/settings');
+const permissions = require('../config/permissions');
+
+// A session is stale once the user's password has been reset (or the account removed)
+// since it signed in; sessions from before session_version existed count as version 0
+const isSessionStale = async (sessionUser) => {
+  const user = await dbHelpers.getUserSessionVersion(sessionUser.id);
+  return !user || (user.session_version || 0) !== (sessionUser.session_version || 0);
+};
 
 // Authentication middleware
-const requireAuth = (req, res, next) => {
+const requireAuth = async (req, res, next) => {
   if (!req.session.user) {
     if (req.xhr || req.headers.accept?.indexOf('json') > -1) {
       return res.status(401).json({ error: 'Authentication required' });
@@ -11,6 +20,20 @@ const requireAuth = (req, res, next) => {
     return res.redirect('/auth/login');
   }
 
+  try {
+    if (await isSessionStale(req.session.user)) {
+      delete req.session.user;
+      if (req.xhr || req.headers.accept?.indexOf('json') > -1) {
+        return res.status(401).json({ error: 'Session expired, please log in again' });
+      }
+      req.flash('error', 'Your session has expired. Please log in again.');
+      return res.redirect('/auth/login');
+    }
+  } catch (error) {
+    console.error('Error checking session:', error);
+    return next(error);
+  }
+
   // Check if user is approved (except for admins who are auto-approved)
   if (req.session.user.role !== 'admin' && req.session.user.approval_status !== 'approved') {
     if (req.xhr || req.headers.accept?.indexOf('json') > -1) {
@@ -55,6 +78,47 @@ const requireRole = (roles) => {
   };
 };
 
+// Permission-based authorization middleware (see config/permissions.js). With a
+// resource(req) resolver, e.g. req => ({ courseId: req.params.courseId }), a grant
+// limited to the user's own courses counts only for theirs. Without one, such a grant
+// is enough to pass and the handler narrows what it returns; { global: true } needs
+// the unscoped grant.
+const requirePermission = (permission, { resource, global = false } = {}) => {
+  return async (req, res, next) => {
+    if (!req.session.user) {
+      if (req.xhr || req.headers.accept?.indexOf('json') > -1) {
+        return res.status(401).json({ error: 'Authentication required' });
+      }
+      req.flash('error', 'Please log in to access this page');
+      return res.redirect('/auth/login');
+    }
+
+    try {
+      const user = req.session.user;
+      let allowed;
+      if (resource) {
+        allowed = await permissions.can(user, permission, await resource(req));
+      } else {
+        const scope = await permissions.scopeOf(user, permission);
+        allowed = global ? scope === 'any' : Boolean(scope);
+      }
+
+      if (!allowed) {
+        if (req.xhr || req.headers.accept?.indexOf('json') > -1) {
+          return res.status(403).json({ error: 'Access denied' });
+        }
+        req.flash('error', 'You do not have permission to access this page');
+        return res.redirect('/');
+      }
+
+      next();
+    } catch (error) {
+      console.error('Error checking permission:', error);
+      next(error);
+    }
+  };
+};
+
 // Check if user is guest (not logged in)
 const requireGuest = (req, res, next) => {
   if (req.session.user) {
@@ -135,8 +199,8 @@ const checkAccountLockout = async (req, res, next) => {
 // Handle failed login attempts
 const handleFailedLogin = async (userId) => {
   try {
-    const maxAttempts = parseInt(process.env.MAX_LOGIN_ATTEMPTS) || 5;
-    const lockoutTime = parseInt(process.env.LOCKOUT_TIME) || 15; // minutes
+    const maxAttempts = await settings.get('max_login_attempts');
+    const lockoutTime = await settings.get('lockout_duration'); // minutes
 
     const user = await dbHelpers.getUserById(userId);
     const loginAttempts = (user.login_attempts || 0) + 1;
@@ -183,7 +247,7 @@ const generateStudentId = () => {
 
 // Sanitize user data for session
 const sanitizeUserForSession = (user) => {
-  const { password_hash, login_attempts, locked_until, ...sanitizedUser } = user;
+  const { password_hash, login_attempts, locked_until, totp_secret, totp_last_step, calendar_token_hash, ...sanitizedUser } = user;
   return sanitizedUser;
 };
 
@@ -212,25 +276,15 @@ const checkResourceOwnership = (resourceUserId) => {
   };
 };
 
-// Middleware to check if lecturer owns course
+// Middleware to check if the user may edit a course (courses:edit, or courses:edit:own for the courses they teach)
 const checkCourseOwnership = async (req, res, next) => {
   try {
     const courseId = req.params.courseId || req.body.courseId;
-    const userId = req.session.user.id;
-    const userRole = req.session.user.role;
 
-    // Admins can access any course
-    if (userRole === 'admin') {
+    if (await permissions.can(req.session.user, 'courses:edit', { courseId })) {
       return next();
     }
 
-    if (userRole === 'lecturer') {
-      const course = await dbHelpers.getCourseById(courseId);
-      if (course && course.lecturer_id === userId) {
-        return next();
-      }
-    }
-
     if (req.xhr || req.headers.accept?.indexOf('json') > -1) {
       return res.status(403).json({ error: 'Access denied' });
     }
@@ -255,22 +309,26 @@ const checkEnrollment = async (req, res, next) => {
       return next();
     }
 
+    // Pending and waitlisted requests do not give access yet
+    let message = 'You must be enrolled in this course to access it';
     if (userRole === 'student') {
-      const enrollments = await dbHelpers.getStudentEnrollments(userId);
-      const isEnrolled = enrollments.some(enrollment => 
-        enrollment.course_id === courseId && enrollment.status === 'active'
-      );
+      const enrollment = await dbHelpers.getEnrollment(userId, courseId);
 
-      if (isEnrolled) {
+      if (enrollment && enrollment.status === 'active') {
         return next();
       }
+      if (enrollment && enrollment.status === 'pending') {
+        message = 'Your enrollment request for this course is awaiting approval';
+      } else if (enrollment && enrollment.status === 'waitlisted') {
+        message = 'You are on the waitlist for this course';
+      }
     }
 
     if (req.xhr || req.headers.accept?.indexOf('json') > -1) {
-      return res.status(403).json({ error: 'Access denied' });
+      return res.status(403).json({ error: 'Access denied', message });
     }
 
-    req.flash('error', 'You must be enrolled in this course to access it');
+    req.flash('error', message);
     return res.redirect('/');
   } catch (error) {
     console.error('Error checking enrollment:', error);
@@ -281,6 +339,7 @@ const checkEnrollment = async (req, res, next) => {
 module.exports = {
   requireAuth,
   requireRole,
+  requirePermission,
   requireGuest,
   validatePassword,
   hashPassword,
@@ -0,0 +1,41 @@
+// In-process fixed-window rate limiting.
+//
+// Counts live in memory, so each app process keeps its own; that is enough to slow
+// down guessing and mail flooding from a single client, not a distributed quota.
+
+// A limiter allowing `max` hits per key in each `windowMs`
+const createRateLimiter = ({ windowMs, max }) => {
+  const windows = new Map();
+
+  const sweep = (now) => {
+    for (const [key, entry] of windows) {
+      if (entry.resetAt <= now) windows.delete(key);
+    }
+  };
+
+  // Record a hit; returns { allowed, remaining, retryAfterMs }
+  const hit = (key, now = Date.now()) => {
+    if (windows.size > 10000) sweep(now);
+
+    let entry = windows.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      windows.set(key, entry);
+    }
+    entry.count += 1;
+
+    return {
+      allowed: entry.count <= max,
+      remaining: Math.max(max - entry.count, 0),
+      retryAfterMs: entry.resetAt - now
+    };
+  };
+
+  const reset = (key) => windows.delete(key);
+
+  return { hit, reset };
+};
+
+module.exports = {
+  createRateLimiter
+};
@@ -0,0 +1,38 @@
+const settings = require('../config/settings');
+
+// Expose display settings to every rendered view (header/footer use appName)
+const settingsLocals = async (req, res, next) => {
+  try {
+    const values = await settings.getAll();
+    res.locals.appName = values.app_name;
+    res.locals.academicYear = values.academic_year;
+    res.locals.semester = values.semester;
+    res.locals.registrationOpen = values.registration_open;
+  } catch (error) {
+    console.error('Error loading settings for views:', error);
+    res.locals.appName = settings.SETTINGS_SCHEMA.app_name.default;
+  }
+  next();
+};
+
+// Block sign-up routes while registration is closed
+const requireRegistrationOpen = async (req, res, next) => {
+  try {
+    if (await settings.get('registration_open')) {
+      return next();
+    }
+  } catch (error) {
+    console.error('Error checking registration setting:', error);
+  }
+
+  if (req.xhr || req.headers.accept?.indexOf('json') > -1) {
+    return res.status(403).json({ error: 'Registration is currently closed' });
+  }
+  req.flash('error', 'Registration is currently closed');
+  return res.redirect('/auth/login');
+};
+
+module.exports = {
+  settingsLocals,
+  requireRegistrationOpen
+};
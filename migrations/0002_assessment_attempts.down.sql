@@ -0,0 +1,8 @@
+DROP TABLE IF EXISTS assessment_attempts CASCADE;
+
+DROP INDEX IF EXISTS idx_results_latest_attempt;
+ALTER TABLE results DROP COLUMN IF EXISTS is_latest_attempt;
+
+ALTER TABLE assessments DROP COLUMN IF EXISTS scoring_rule;
+ALTER TABLE assessments DROP COLUMN IF EXISTS attempt_cooldown_minutes;
+ALTER TABLE assessments DROP COLUMN IF EXISTS max_attempts;
@@ -0,0 +1,32 @@
+-- Attempt policies per assessment and a record of every started attempt
+
+ALTER TABLE assessments ADD COLUMN IF NOT EXISTS max_attempts INTEGER NOT NULL DEFAULT 1 CHECK (max_attempts >= 1);
+ALTER TABLE assessments ADD COLUMN IF NOT EXISTS attempt_cooldown_minutes INTEGER NOT NULL DEFAULT 0 CHECK (attempt_cooldown_minutes >= 0);
+ALTER TABLE assessments ADD COLUMN IF NOT EXISTS scoring_rule VARCHAR(20) NOT NULL DEFAULT 'highest' CHECK (scoring_rule IN ('highest', 'latest', 'average', 'first'));
+
+-- Only the newest result per student and assessment is listed; older attempts feed the scoring rule
+ALTER TABLE results ADD COLUMN IF NOT EXISTS is_latest_attempt BOOLEAN NOT NULL DEFAULT true;
+
+CREATE TABLE IF NOT EXISTS assessment_attempts (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    assessment_id UUID REFERENCES assessments(id) ON DELETE CASCADE,
+    student_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    attempt_number INTEGER NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'in_progress' CHECK (status IN ('in_progress', 'submitted')),
+    started_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    submitted_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(student_id, assessment_id, attempt_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_assessment_attempts_student_assessment ON assessment_attempts(student_id, assessment_id);
+CREATE INDEX IF NOT EXISTS idx_results_latest_attempt ON results(student_id, assessment_id, is_latest_attempt);
+
+CREATE TRIGGER update_assessment_attempts_updated_at BEFORE UPDATE ON assessment_attempts FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE assessment_attempts ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Students can view their own attempts" ON assessment_attempts FOR SELECT USING (student_id::text = auth.uid()::text);
+CREATE POLICY "Lecturers can view attempts for their assessments" ON assessment_attempts FOR SELECT USING (EXISTS (SELECT 1 FROM assessments WHERE id = assessment_id AND lecturer_id::text = auth.uid()::text));
+CREATE POLICY "Admins can view all attempts" ON assessment_attempts FOR SELECT USING (EXISTS (SELECT 1 FROM users WHERE id::text = auth.uid()::text AND role = 'admin'));
@@ -0,0 +1,10 @@
+DROP TABLE IF EXISTS assessment_questions CASCADE;
+DROP TABLE IF EXISTS questions CASCADE;
+
+ALTER TABLE results DROP COLUMN IF EXISTS answers;
+ALTER TABLE results DROP COLUMN IF EXISTS needs_grading;
+ALTER TABLE assessment_attempts DROP COLUMN IF EXISTS expires_at;
+ALTER TABLE assessment_attempts DROP COLUMN IF EXISTS answers;
+
+ALTER TABLE assessments DROP CONSTRAINT IF EXISTS assessments_type_check;
+ALTER TABLE assessments ADD CONSTRAINT assessments_type_check CHECK (type IN ('CA', 'assignment', 'exam', 'project', 'presentation'));
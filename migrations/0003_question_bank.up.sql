@@ -0,0 +1,54 @@
+-- Course question bank, questions used by each assessment, and saved quiz answers
+
+-- The assessment form offers quiz and homework as types
+ALTER TABLE assessments DROP CONSTRAINT IF EXISTS assessments_type_check;
+ALTER TABLE assessments ADD CONSTRAINT assessments_type_check CHECK (type IN ('CA', 'assignment', 'exam', 'project', 'presentation', 'quiz', 'homework'));
+
+CREATE TABLE IF NOT EXISTS questions (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    course_id UUID REFERENCES courses(id) ON DELETE CASCADE,
+    created_by UUID REFERENCES users(id),
+    type VARCHAR(20) NOT NULL CHECK (type IN ('multiple_choice', 'true_false', 'short_answer', 'essay')),
+    text TEXT NOT NULL,
+    points INTEGER NOT NULL DEFAULT 1 CHECK (points > 0),
+    options JSONB, -- multiple_choice: [{ "text": "...", "is_correct": true }]
+    correct_answer TEXT, -- true_false: 'true' / 'false'
+    sample_answer TEXT, -- short_answer: an exact match is auto-graded, anything else is left for the lecturer
+    rubric TEXT, -- essay
+    tags JSONB DEFAULT '[]',
+    difficulty VARCHAR(10) NOT NULL DEFAULT 'medium' CHECK (difficulty IN ('easy', 'medium', 'hard')),
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS assessment_questions (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    assessment_id UUID REFERENCES assessments(id) ON DELETE CASCADE,
+    question_id UUID REFERENCES questions(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL DEFAULT 0,
+    points INTEGER, -- overrides questions.points when set
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(assessment_id, question_id)
+);
+
+-- Answers are saved as the student works so a timed-out attempt can still be graded
+ALTER TABLE assessment_attempts ADD COLUMN IF NOT EXISTS answers JSONB DEFAULT '{}';
+ALTER TABLE assessment_attempts ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP WITH TIME ZONE;
+
+-- Set when a quiz has short-answer or essay questions the lecturer still has to mark
+ALTER TABLE results ADD COLUMN IF NOT EXISTS needs_grading BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE results ADD COLUMN IF NOT EXISTS answers JSONB;
+
+CREATE INDEX IF NOT EXISTS idx_questions_course_id ON questions(course_id);
+CREATE INDEX IF NOT EXISTS idx_assessment_questions_assessment_id ON assessment_questions(assessment_id);
+
+CREATE TRIGGER update_questions_updated_at BEFORE UPDATE ON questions FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE questions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE assessment_questions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Lecturers can manage questions for their courses" ON questions FOR ALL USING (EXISTS (SELECT 1 FROM courses WHERE id = course_id AND lecturer_id::text = auth.uid()::text));
+CREATE POLICY "Admins can manage all questions" ON questions FOR ALL USING (EXISTS (SELECT 1 FROM users WHERE id::text = auth.uid()::text AND role = 'admin'));
+CREATE POLICY "Lecturers can manage questions on their assessments" ON assessment_questions FOR ALL USING (EXISTS (SELECT 1 FROM assessments WHERE id = assessment_id AND lecturer_id::text = auth.uid()::text));
+CREATE POLICY "Admins can manage all assessment questions" ON assessment_questions FOR ALL USING (EXISTS (SELECT 1 FROM users WHERE id::text = auth.uid()::text AND role = 'admin'));
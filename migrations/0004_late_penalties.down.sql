@@ -0,0 +1,9 @@
+ALTER TABLE results DROP COLUMN IF EXISTS penalty_override_reason;
+ALTER TABLE results DROP COLUMN IF EXISTS penalty_overridden_by;
+ALTER TABLE results DROP COLUMN IF EXISTS late_penalty_percent;
+ALTER TABLE results DROP COLUMN IF EXISTS raw_percentage;
+ALTER TABLE results DROP COLUMN IF EXISTS raw_score;
+
+ALTER TABLE assessments DROP COLUMN IF EXISTS late_grace_minutes;
+ALTER TABLE assessments DROP COLUMN IF EXISTS late_penalty_cap_percent;
+ALTER TABLE assessments DROP COLUMN IF EXISTS late_penalty_scheme;
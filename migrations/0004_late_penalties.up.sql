@@ -0,0 +1,14 @@
+-- Late-submission penalty schemes, and raw vs penalised scores on results
+
+ALTER TABLE assessments ADD COLUMN IF NOT EXISTS late_penalty_scheme VARCHAR(20) NOT NULL DEFAULT 'flat' CHECK (late_penalty_scheme IN ('flat', 'per_day', 'capped'));
+ALTER TABLE assessments ADD COLUMN IF NOT EXISTS late_penalty_cap_percent DECIMAL(5,2);
+ALTER TABLE assessments ADD COLUMN IF NOT EXISTS late_grace_minutes INTEGER NOT NULL DEFAULT 0 CHECK (late_grace_minutes >= 0);
+
+-- score / percentage hold the penalised values; raw_* what the work itself earned
+ALTER TABLE results ADD COLUMN IF NOT EXISTS raw_score DECIMAL(5,2);
+ALTER TABLE results ADD COLUMN IF NOT EXISTS raw_percentage DECIMAL(5,2);
+ALTER TABLE results ADD COLUMN IF NOT EXISTS late_penalty_percent DECIMAL(5,2) NOT NULL DEFAULT 0;
+ALTER TABLE results ADD COLUMN IF NOT EXISTS penalty_overridden_by UUID REFERENCES users(id);
+ALTER TABLE results ADD COLUMN IF NOT EXISTS penalty_override_reason TEXT;
+
+UPDATE results SET raw_score = score, raw_percentage = percentage WHERE raw_score IS NULL;
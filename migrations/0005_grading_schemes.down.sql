@@ -0,0 +1,6 @@
+ALTER TABLE courses DROP COLUMN IF EXISTS grading_scheme_id;
+DROP TABLE IF EXISTS grading_schemes CASCADE;
+
+INSERT INTO system_settings (setting_key, setting_value, description) VALUES
+('grade_scale', 'A,B,C,D', 'Grading scale')
+ON CONFLICT (setting_key) DO NOTHING;
@@ -0,0 +1,30 @@
+-- Grading scales: letter bands with minimum percentage and grade points.
+-- The default scheme applies to every course that does not name its own.
+
+CREATE TABLE IF NOT EXISTS grading_schemes (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    name VARCHAR(100) UNIQUE NOT NULL,
+    description TEXT,
+    bands JSONB NOT NULL, -- [{ "letter": "A", "min": 90, "points": 4.0 }, ...] highest first
+    pass_percentage DECIMAL(5,2) NOT NULL DEFAULT 50,
+    is_default BOOLEAN DEFAULT false,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE courses ADD COLUMN IF NOT EXISTS grading_scheme_id UUID REFERENCES grading_schemes(id) ON DELETE SET NULL;
+
+CREATE TRIGGER update_grading_schemes_updated_at BEFORE UPDATE ON grading_schemes FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE grading_schemes ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Everyone can view grading schemes" ON grading_schemes FOR SELECT USING (true);
+CREATE POLICY "Admins can manage grading schemes" ON grading_schemes FOR ALL USING (EXISTS (SELECT 1 FROM users WHERE id::text = auth.uid()::text AND role = 'admin'));
+
+-- The thresholds previously hard-coded in the API and client
+INSERT INTO grading_schemes (name, description, bands, pass_percentage, is_default) VALUES
+('Standard A-F', 'Letter grades in 10-point bands', '[{"letter":"A","min":90,"points":4.0},{"letter":"B","min":80,"points":3.0},{"letter":"C","min":70,"points":2.0},{"letter":"D","min":60,"points":1.0},{"letter":"F","min":0,"points":0}]', 50, true),
+('Plus/Minus 4.0', 'Letter grades with plus and minus steps', '[{"letter":"A","min":93,"points":4.0},{"letter":"A-","min":90,"points":3.7},{"letter":"B+","min":87,"points":3.3},{"letter":"B","min":83,"points":3.0},{"letter":"B-","min":80,"points":2.7},{"letter":"C+","min":77,"points":2.3},{"letter":"C","min":73,"points":2.0},{"letter":"C-","min":70,"points":1.7},{"letter":"D+","min":67,"points":1.3},{"letter":"D","min":63,"points":1.0},{"letter":"D-","min":60,"points":0.7},{"letter":"F","min":0,"points":0}]', 60, false)
+ON CONFLICT (name) DO NOTHING;
+
+DELETE FROM system_settings WHERE setting_key = 'grade_scale';
@@ -0,0 +1,5 @@
+ALTER TABLE enrollments ALTER COLUMN gpa TYPE DECIMAL(3,2);
+ALTER TABLE enrollments DROP COLUMN IF EXISTS grade_computed_at;
+ALTER TABLE enrollments DROP COLUMN IF EXISTS final_percentage;
+
+ALTER TABLE courses DROP COLUMN IF EXISTS grade_weighting;
@@ -0,0 +1,9 @@
+-- Weighted final course grades and grade points on enrollments
+
+-- [{ "name": "CA", "types": ["CA", "quiz"], "weight": 30, "drop_lowest": 1 }, ...]; NULL averages every assessment
+ALTER TABLE courses ADD COLUMN IF NOT EXISTS grade_weighting JSONB;
+
+-- grade / gpa hold the letter and grade points for the course; final_percentage the weighted score
+ALTER TABLE enrollments ADD COLUMN IF NOT EXISTS final_percentage DECIMAL(5,2);
+ALTER TABLE enrollments ADD COLUMN IF NOT EXISTS grade_computed_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE enrollments ALTER COLUMN gpa TYPE DECIMAL(4,2);
@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS password_reset_tokens CASCADE;
+
+ALTER TABLE users DROP COLUMN IF EXISTS session_version;
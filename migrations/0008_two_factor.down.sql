@@ -0,0 +1,8 @@
+DROP TABLE IF EXISTS two_factor_recovery_codes CASCADE;
+
+ALTER TABLE users DROP COLUMN IF EXISTS totp_last_step;
+ALTER TABLE users DROP COLUMN IF EXISTS totp_secret;
+ALTER TABLE users DROP COLUMN IF EXISTS two_factor_enabled_at;
+ALTER TABLE users DROP COLUMN IF EXISTS two_factor_enabled;
+
+DELETE FROM system_settings WHERE setting_key IN ('require_2fa_admin', 'require_2fa_lecturer');
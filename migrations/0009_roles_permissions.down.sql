@@ -0,0 +1,3 @@
+DROP INDEX IF EXISTS idx_users_role_name;
+ALTER TABLE users DROP COLUMN IF EXISTS role_name;
+DROP TABLE IF EXISTS roles CASCADE;
@@ -0,0 +1,37 @@
+-- Roles as named bundles of permissions (see config/permissions.js for the registry).
+--
+-- A grant is a permission key ("results:grade") or a key limited to the courses the user
+-- teaches ("results:grade:own"). base_role is the portal the role signs in to, and is
+-- what users.role holds; users.role_name names the role when it is not a system role.
+
+CREATE TABLE IF NOT EXISTS roles (
+    name VARCHAR(50) PRIMARY KEY,
+    label VARCHAR(100) NOT NULL,
+    description TEXT,
+    base_role VARCHAR(20) NOT NULL CHECK (base_role IN ('admin', 'lecturer', 'student')),
+    permissions JSONB NOT NULL DEFAULT '[]',
+    is_system BOOLEAN NOT NULL DEFAULT false,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS role_name VARCHAR(50) REFERENCES roles(name);
+
+CREATE INDEX IF NOT EXISTS idx_users_role_name ON users(role_name);
+
+CREATE TRIGGER update_roles_updated_at BEFORE UPDATE ON roles FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE roles ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Everyone can view roles" ON roles FOR SELECT USING (true);
+CREATE POLICY "Admins can manage roles" ON roles FOR ALL USING (EXISTS (SELECT 1 FROM users WHERE id::text = auth.uid()::text AND role = 'admin'));
+
+-- The system roles grant what the hard-coded role checks allowed
+INSERT INTO roles (name, label, description, base_role, permissions, is_system) VALUES
+('admin', 'Administrator', 'Full access to users, courses, results and settings', 'admin', '["users:view","users:approve","users:manage","roles:manage","settings:manage","courses:view","courses:edit","questions:manage","assessments:edit","results:view","results:grade","results:import","grades:compute"]', true),
+('lecturer', 'Lecturer', 'Runs their own courses and assessments', 'lecturer', '["courses:view:own","courses:edit:own","questions:manage:own","assessments:edit:own","results:view:own","results:grade:own","results:import:own","grades:compute:own"]', true),
+('student', 'Student', 'Takes assessments and sees their own results', 'student', '["assessments:attempt"]', true),
+('teaching_assistant', 'Teaching Assistant', 'Marks work and maintains question banks for the courses they teach', 'lecturer', '["courses:view:own","questions:manage:own","results:view:own","results:grade:own"]', false),
+('moderator', 'Moderator', 'Reviews and adjusts marks across all courses', 'lecturer', '["courses:view","results:view","results:grade"]', false),
+('registrar', 'Registrar', 'Manages registrations and final grades', 'admin', '["users:view","users:approve","courses:view","results:view","grades:compute"]', false)
+ON CONFLICT (name) DO NOTHING;
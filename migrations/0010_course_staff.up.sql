@@ -0,0 +1,34 @@
+-- Course staff: everyone who teaches a course, with what they may do there
+-- (see STAFF_ROLES in config/permissions.js). courses.lecturer_id stays the course's
+-- main lecturer and always counts as an owner.
+
+CREATE TABLE IF NOT EXISTS course_staff (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    course_id UUID REFERENCES courses(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    staff_role VARCHAR(20) NOT NULL CHECK (staff_role IN ('owner', 'co_lecturer', 'ta', 'grader')),
+    added_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(course_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_course_staff_course_id ON course_staff(course_id);
+CREATE INDEX IF NOT EXISTS idx_course_staff_user_id ON course_staff(user_id);
+
+CREATE TRIGGER update_course_staff_updated_at BEFORE UPDATE ON course_staff FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE course_staff ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Staff can view their own memberships" ON course_staff FOR SELECT USING (user_id::text = auth.uid()::text);
+CREATE POLICY "Admins can manage course staff" ON course_staff FOR ALL USING (EXISTS (SELECT 1 FROM users WHERE id::text = auth.uid()::text AND role = 'admin'));
+
+-- Existing lecturers own their courses, and whoever set an assessment on someone
+-- else's course keeps working on it as a co-lecturer
+INSERT INTO course_staff (course_id, user_id, staff_role)
+SELECT id, lecturer_id, 'owner' FROM courses WHERE lecturer_id IS NOT NULL
+ON CONFLICT (course_id, user_id) DO NOTHING;
+
+INSERT INTO course_staff (course_id, user_id, staff_role)
+SELECT DISTINCT course_id, lecturer_id, 'co_lecturer' FROM assessments WHERE course_id IS NOT NULL AND lecturer_id IS NOT NULL
+ON CONFLICT (course_id, user_id) DO NOTHING;
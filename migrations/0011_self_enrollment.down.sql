@@ -0,0 +1,17 @@
+DROP TABLE IF EXISTS course_prerequisites CASCADE;
+
+DROP INDEX IF EXISTS idx_enrollments_course_status;
+ALTER TABLE enrollments DROP COLUMN IF EXISTS decision_note;
+ALTER TABLE enrollments DROP COLUMN IF EXISTS decided_at;
+ALTER TABLE enrollments DROP COLUMN IF EXISTS decided_by;
+ALTER TABLE enrollments DROP COLUMN IF EXISTS requested_at;
+
+-- Requests that never became enrollments have no place in the old statuses
+DELETE FROM enrollments WHERE status IN ('pending', 'waitlisted', 'rejected');
+ALTER TABLE enrollments DROP CONSTRAINT IF EXISTS enrollments_status_check;
+ALTER TABLE enrollments ADD CONSTRAINT enrollments_status_check CHECK (status IN ('active', 'dropped', 'completed'));
+
+ALTER TABLE courses DROP COLUMN IF EXISTS requires_approval;
+ALTER TABLE courses DROP COLUMN IF EXISTS enrollment_closes_at;
+ALTER TABLE courses DROP COLUMN IF EXISTS enrollment_opens_at;
+ALTER TABLE courses DROP COLUMN IF EXISTS capacity;
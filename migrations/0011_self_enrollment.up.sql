@@ -0,0 +1,35 @@
+-- Self-service enrollment: students request courses from a catalogue. Each course can
+-- cap its seats, limit when requests are taken, require prerequisites and ask the
+-- lecturer to approve requests. Requests beyond capacity wait in requested_at order.
+
+ALTER TABLE courses ADD COLUMN IF NOT EXISTS capacity INTEGER CHECK (capacity IS NULL OR capacity > 0);
+ALTER TABLE courses ADD COLUMN IF NOT EXISTS enrollment_opens_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE courses ADD COLUMN IF NOT EXISTS enrollment_closes_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE courses ADD COLUMN IF NOT EXISTS requires_approval BOOLEAN NOT NULL DEFAULT false;
+
+-- pending: waiting for the lecturer; waitlisted: approved (or no approval needed) but the course is full
+ALTER TABLE enrollments DROP CONSTRAINT IF EXISTS enrollments_status_check;
+ALTER TABLE enrollments ADD CONSTRAINT enrollments_status_check CHECK (status IN ('pending', 'waitlisted', 'active', 'dropped', 'completed', 'rejected'));
+
+ALTER TABLE enrollments ADD COLUMN IF NOT EXISTS requested_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+ALTER TABLE enrollments ADD COLUMN IF NOT EXISTS decided_by UUID REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE enrollments ADD COLUMN IF NOT EXISTS decided_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE enrollments ADD COLUMN IF NOT EXISTS decision_note TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_enrollments_course_status ON enrollments(course_id, status);
+
+-- A student needs a completed enrollment in every prerequisite course
+CREATE TABLE IF NOT EXISTS course_prerequisites (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    course_id UUID REFERENCES courses(id) ON DELETE CASCADE,
+    prerequisite_id UUID REFERENCES courses(id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(course_id, prerequisite_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_course_prerequisites_course_id ON course_prerequisites(course_id);
+
+ALTER TABLE course_prerequisites ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Everyone can view course prerequisites" ON course_prerequisites FOR SELECT USING (true);
+CREATE POLICY "Admins can manage course prerequisites" ON course_prerequisites FOR ALL USING (EXISTS (SELECT 1 FROM users WHERE id::text = auth.uid()::text AND role = 'admin'));
@@ -0,0 +1,7 @@
+ALTER TABLE users DROP COLUMN IF EXISTS calendar_token_hash;
+
+DROP INDEX IF EXISTS idx_courses_term_id;
+ALTER TABLE courses DROP COLUMN IF EXISTS term_id;
+
+DROP TABLE IF EXISTS term_events CASCADE;
+DROP TABLE IF EXISTS academic_terms CASCADE;
@@ -0,0 +1,52 @@
+-- Academic terms and the calendar
+--
+-- A term runs from starts_on to ends_on and is taught for teaching_weeks weeks from
+-- starts_on, followed by its exam period. Holidays, reading weeks and other dates are
+-- term events. courses.semester and academic_year stay as the term's labels so course
+-- lists keep filtering on them.
+CREATE TABLE IF NOT EXISTS academic_terms (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    code VARCHAR(20) UNIQUE NOT NULL,
+    academic_year VARCHAR(20) NOT NULL,
+    semester VARCHAR(50) NOT NULL,
+    starts_on DATE NOT NULL,
+    ends_on DATE NOT NULL,
+    teaching_weeks INTEGER CHECK (teaching_weeks IS NULL OR teaching_weeks > 0),
+    exam_starts_on DATE,
+    exam_ends_on DATE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS term_events (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    term_id UUID REFERENCES academic_terms(id) ON DELETE CASCADE,
+    title VARCHAR(200) NOT NULL,
+    kind VARCHAR(20) NOT NULL DEFAULT 'event' CHECK (kind IN ('holiday', 'reading_week', 'registration', 'event')),
+    starts_on DATE NOT NULL,
+    ends_on DATE NOT NULL,
+    description TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE courses ADD COLUMN IF NOT EXISTS term_id UUID REFERENCES academic_terms(id) ON DELETE SET NULL;
+
+-- Calendar subscription feeds (.ics) authenticate with a token in the URL; only its HMAC is stored
+ALTER TABLE users ADD COLUMN IF NOT EXISTS calendar_token_hash VARCHAR(64) UNIQUE;
+
+CREATE INDEX IF NOT EXISTS idx_academic_terms_dates ON academic_terms(starts_on, ends_on);
+CREATE INDEX IF NOT EXISTS idx_term_events_term_id ON term_events(term_id);
+CREATE INDEX IF NOT EXISTS idx_courses_term_id ON courses(term_id);
+
+CREATE TRIGGER update_academic_terms_updated_at BEFORE UPDATE ON academic_terms FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_term_events_updated_at BEFORE UPDATE ON term_events FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE academic_terms ENABLE ROW LEVEL SECURITY;
+ALTER TABLE term_events ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Everyone can view academic terms" ON academic_terms FOR SELECT USING (true);
+CREATE POLICY "Admins can manage academic terms" ON academic_terms FOR ALL USING (EXISTS (SELECT 1 FROM users WHERE id::text = auth.uid()::text AND role = 'admin'));
+CREATE POLICY "Everyone can view term events" ON term_events FOR SELECT USING (true);
+CREATE POLICY "Admins can manage term events" ON term_events FOR ALL USING (EXISTS (SELECT 1 FROM users WHERE id::text = auth.uid()::text AND role = 'admin'));
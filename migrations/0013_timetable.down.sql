@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS course_sessions CASCADE;
+DROP TABLE IF EXISTS rooms CASCADE;
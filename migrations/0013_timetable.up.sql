@@ -0,0 +1,48 @@
+-- Class timetable: rooms and the weekly sessions of each course
+--
+-- A session meets on day_of_week (1 = Monday .. 7 = Sunday) from starts_at to ends_at
+-- in the teaching weeks of its course's term: every week, odd or even weeks only, or a
+-- single week. first_week and last_week narrow the weeks; NULL means the whole term.
+CREATE TABLE IF NOT EXISTS rooms (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    code VARCHAR(20) UNIQUE NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    building VARCHAR(100),
+    capacity INTEGER CHECK (capacity IS NULL OR capacity > 0),
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS course_sessions (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    course_id UUID REFERENCES courses(id) ON DELETE CASCADE,
+    session_type VARCHAR(20) NOT NULL DEFAULT 'lecture' CHECK (session_type IN ('lecture', 'tutorial', 'lab', 'seminar', 'workshop')),
+    day_of_week INTEGER NOT NULL CHECK (day_of_week BETWEEN 1 AND 7),
+    starts_at TIME NOT NULL,
+    ends_at TIME NOT NULL,
+    room_id UUID REFERENCES rooms(id) ON DELETE SET NULL,
+    lecturer_id UUID REFERENCES users(id) ON DELETE SET NULL, -- who teaches it, or NULL for the course lecturer
+    recurrence VARCHAR(20) NOT NULL DEFAULT 'weekly' CHECK (recurrence IN ('weekly', 'odd_weeks', 'even_weeks', 'once')),
+    first_week INTEGER CHECK (first_week IS NULL OR first_week > 0),
+    last_week INTEGER CHECK (last_week IS NULL OR last_week > 0),
+    notes TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_course_sessions_course_id ON course_sessions(course_id);
+CREATE INDEX IF NOT EXISTS idx_course_sessions_day ON course_sessions(day_of_week);
+CREATE INDEX IF NOT EXISTS idx_course_sessions_room_id ON course_sessions(room_id);
+
+CREATE TRIGGER update_rooms_updated_at BEFORE UPDATE ON rooms FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_course_sessions_updated_at BEFORE UPDATE ON course_sessions FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE rooms ENABLE ROW LEVEL SECURITY;
+ALTER TABLE course_sessions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Everyone can view rooms" ON rooms FOR SELECT USING (true);
+CREATE POLICY "Admins can manage rooms" ON rooms FOR ALL USING (EXISTS (SELECT 1 FROM users WHERE id::text = auth.uid()::text AND role = 'admin'));
+CREATE POLICY "Everyone can view course sessions" ON course_sessions FOR SELECT USING (true);
+CREATE POLICY "Lecturers can manage sessions of their courses" ON course_sessions FOR ALL USING (EXISTS (SELECT 1 FROM courses WHERE courses.id = course_sessions.course_id AND courses.lecturer_id::text = auth.uid()::text));
+CREATE POLICY "Admins can manage course sessions" ON course_sessions FOR ALL USING (EXISTS (SELECT 1 FROM users WHERE id::text = auth.uid()::text AND role = 'admin'));
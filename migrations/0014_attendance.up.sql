@@ -0,0 +1,50 @@
+-- Attendance: a register for each class meeting of a course, with one mark per student
+--
+-- A register can be opened for self check-in with a short code that expires at
+-- check_in_expires_at. Marks come from staff (method manual) or from the student
+-- entering the code (method code).
+CREATE TABLE IF NOT EXISTS attendance_sessions (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    course_id UUID REFERENCES courses(id) ON DELETE CASCADE,
+    course_session_id UUID REFERENCES course_sessions(id) ON DELETE SET NULL, -- the timetabled class it records, if any
+    held_on DATE NOT NULL,
+    starts_at TIME,
+    title VARCHAR(200),
+    check_in_code VARCHAR(12),
+    check_in_expires_at TIMESTAMP WITH TIME ZONE,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS attendance_records (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    attendance_session_id UUID REFERENCES attendance_sessions(id) ON DELETE CASCADE,
+    student_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    status VARCHAR(10) NOT NULL CHECK (status IN ('present', 'absent', 'late', 'excused')),
+    method VARCHAR(10) NOT NULL DEFAULT 'manual' CHECK (method IN ('manual', 'code')),
+    note TEXT,
+    marked_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    marked_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(attendance_session_id, student_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_attendance_sessions_course_id ON attendance_sessions(course_id);
+CREATE INDEX IF NOT EXISTS idx_attendance_sessions_held_on ON attendance_sessions(held_on);
+CREATE INDEX IF NOT EXISTS idx_attendance_sessions_check_in_code ON attendance_sessions(check_in_code);
+CREATE INDEX IF NOT EXISTS idx_attendance_records_session_id ON attendance_records(attendance_session_id);
+CREATE INDEX IF NOT EXISTS idx_attendance_records_student_id ON attendance_records(student_id);
+
+CREATE TRIGGER update_attendance_sessions_updated_at BEFORE UPDATE ON attendance_sessions FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_attendance_records_updated_at BEFORE UPDATE ON attendance_records FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE attendance_sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE attendance_records ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Lecturers can manage attendance of their courses" ON attendance_sessions FOR ALL USING (EXISTS (SELECT 1 FROM courses WHERE courses.id = attendance_sessions.course_id AND courses.lecturer_id::text = auth.uid()::text));
+CREATE POLICY "Admins can manage attendance sessions" ON attendance_sessions FOR ALL USING (EXISTS (SELECT 1 FROM users WHERE id::text = auth.uid()::text AND role = 'admin'));
+CREATE POLICY "Students can view their own attendance" ON attendance_records FOR SELECT USING (student_id::text = auth.uid()::text);
+CREATE POLICY "Lecturers can manage attendance records of their courses" ON attendance_records FOR ALL USING (EXISTS (SELECT 1 FROM attendance_sessions JOIN courses ON courses.id = attendance_sessions.course_id WHERE attendance_sessions.id = attendance_records.attendance_session_id AND courses.lecturer_id::text = auth.uid()::text));
+CREATE POLICY "Admins can manage attendance records" ON attendance_records FOR ALL USING (EXISTS (SELECT 1 FROM users WHERE id::text = auth.uid()::text AND role = 'admin'));
@@ -0,0 +1,34 @@
+-- Outgoing mail queue and email notification preferences
+--
+-- Every message is rendered when queued and stored here until it is delivered. A
+-- failed delivery is retried at next_attempt_at with a growing delay; after the last
+-- attempt, or when the server rejects the message outright, it is dead-lettered
+-- (status dead) and stays in the table for an admin to inspect or retry.
+CREATE TABLE IF NOT EXISTS mail_outbox (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    template VARCHAR(50) NOT NULL,
+    to_address VARCHAR(255) NOT NULL,
+    subject VARCHAR(255) NOT NULL,
+    text_body TEXT NOT NULL,
+    html_body TEXT,
+    status VARCHAR(10) NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'sending', 'sent', 'dead')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    last_error TEXT,
+    message_id VARCHAR(255),
+    sent_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_mail_outbox_status ON mail_outbox(status);
+CREATE INDEX IF NOT EXISTS idx_mail_outbox_next_attempt_at ON mail_outbox(next_attempt_at);
+
+CREATE TRIGGER update_mail_outbox_updated_at BEFORE UPDATE ON mail_outbox FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE mail_outbox ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Admins can manage the mail outbox" ON mail_outbox FOR ALL USING (EXISTS (SELECT 1 FROM users WHERE id::text = auth.uid()::text AND role = 'admin'));
+
+-- Whether the user also gets an event by email (in_app covers the notification list)
+ALTER TABLE notification_preferences ADD COLUMN IF NOT EXISTS email BOOLEAN NOT NULL DEFAULT true;
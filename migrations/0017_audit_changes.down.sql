@@ -0,0 +1,3 @@
+DROP INDEX IF EXISTS idx_audit_logs_record;
+
+ALTER TABLE audit_logs DROP COLUMN IF EXISTS changes;
@@ -0,0 +1,8 @@
+-- Field-level changes recorded with audit entries
+--
+-- changes maps each changed column to { "from": ..., "to": ... }, with secrets such as
+-- password_hash redacted. old_values and new_values hold the redacted row before and
+-- after the change.
+ALTER TABLE audit_logs ADD COLUMN IF NOT EXISTS changes JSONB;
+
+CREATE INDEX IF NOT EXISTS idx_audit_logs_record ON audit_logs(table_name, record_id);
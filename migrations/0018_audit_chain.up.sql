@@ -0,0 +1,10 @@
+-- Hash chain over audit_logs (see config/auditChain.js)
+--
+-- seq numbers entries in the order they were written; hash is a SHA-256 over the
+-- entry's content and prev_hash, the hash of entry seq - 1. Entries written before
+-- this migration have no seq and stay outside the chain.
+ALTER TABLE audit_logs ADD COLUMN IF NOT EXISTS seq BIGINT;
+ALTER TABLE audit_logs ADD COLUMN IF NOT EXISTS prev_hash VARCHAR(64);
+ALTER TABLE audit_logs ADD COLUMN IF NOT EXISTS hash VARCHAR(64);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_audit_logs_seq ON audit_logs(seq);
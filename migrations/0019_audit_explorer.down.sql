@@ -0,0 +1,5 @@
+DROP TABLE IF EXISTS audit_saved_filters CASCADE;
+
+DROP INDEX IF EXISTS idx_audit_logs_ip_address;
+
+ALTER TABLE audit_logs DROP COLUMN IF EXISTS search_text;
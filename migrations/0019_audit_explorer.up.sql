@@ -0,0 +1,31 @@
+-- Audit log explorer: free-text search and saved filters
+--
+-- search_text holds the entry's old_values, new_values and changes as text so the
+-- explorer can search JSON values with ILIKE. It is filled when the entry is written
+-- and is not part of the entry's hash.
+ALTER TABLE audit_logs ADD COLUMN IF NOT EXISTS search_text TEXT;
+
+UPDATE audit_logs
+SET search_text = COALESCE(old_values::text, '') || ' ' || COALESCE(new_values::text, '') || ' ' || COALESCE(changes::text, '')
+WHERE search_text IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_audit_logs_ip_address ON audit_logs(ip_address);
+
+-- Explorer filters an admin saved under a name; filters holds the explorer's query parameters
+CREATE TABLE IF NOT EXISTS audit_saved_filters (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    filters JSONB NOT NULL DEFAULT '{}',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(user_id, name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_saved_filters_user_id ON audit_saved_filters(user_id);
+
+CREATE TRIGGER update_audit_saved_filters_updated_at BEFORE UPDATE ON audit_saved_filters FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE audit_saved_filters ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can manage their own saved audit filters" ON audit_saved_filters FOR ALL USING (user_id::text = auth.uid()::text);
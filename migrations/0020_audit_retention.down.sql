@@ -0,0 +1,7 @@
+DROP INDEX IF EXISTS idx_audit_logs_created_at_id;
+DROP INDEX IF EXISTS idx_audit_logs_restored_from;
+
+ALTER TABLE audit_logs DROP COLUMN IF EXISTS restored_from;
+
+DROP TABLE IF EXISTS audit_archived_entries CASCADE;
+DROP TABLE IF EXISTS audit_archives CASCADE;
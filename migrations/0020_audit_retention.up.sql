@@ -0,0 +1,43 @@
+-- Audit log retention and archival (see config/auditArchive.js)
+--
+-- Expired entries are moved to gzipped JSON Lines files; audit_archives lists those
+-- files. audit_archived_entries keeps the seq, prev_hash and hash of every archived
+-- chained entry so the chain still verifies once the rows are gone. Entries re-imported
+-- from an archive point back to it through restored_from.
+CREATE TABLE IF NOT EXISTS audit_archives (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    file_name VARCHAR(255) UNIQUE NOT NULL,
+    sha256 VARCHAR(64) NOT NULL,
+    size_bytes BIGINT NOT NULL,
+    entry_count INTEGER NOT NULL,
+    categories JSONB NOT NULL DEFAULT '{}',
+    first_created_at TIMESTAMP WITH TIME ZONE,
+    last_created_at TIMESTAMP WITH TIME ZONE,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    restored_at TIMESTAMP WITH TIME ZONE,
+    restored_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS audit_archived_entries (
+    seq BIGINT PRIMARY KEY,
+    prev_hash VARCHAR(64),
+    hash VARCHAR(64) NOT NULL,
+    archive_id UUID NOT NULL REFERENCES audit_archives(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_archived_entries_archive_id ON audit_archived_entries(archive_id);
+
+ALTER TABLE audit_logs ADD COLUMN IF NOT EXISTS restored_from UUID REFERENCES audit_archives(id);
+
+CREATE INDEX IF NOT EXISTS idx_audit_logs_restored_from ON audit_logs(restored_from);
+CREATE INDEX IF NOT EXISTS idx_audit_logs_created_at_id ON audit_logs(created_at, id);
+
+CREATE TRIGGER update_audit_archives_updated_at BEFORE UPDATE ON audit_archives FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE audit_archives ENABLE ROW LEVEL SECURITY;
+ALTER TABLE audit_archived_entries ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Admins can manage audit archives" ON audit_archives FOR ALL USING (EXISTS (SELECT 1 FROM users WHERE id::text = auth.uid()::text AND role = 'admin'));
+CREATE POLICY "Admins can read archived audit entries" ON audit_archived_entries FOR SELECT USING (EXISTS (SELECT 1 FROM users WHERE id::text = auth.uid()::text AND role = 'admin'));
@@ -317,14 +317,16 @@ AdminModule.dashboard = {
     },
     
     /**
-     * Setup auto-refresh
+     * Refresh when approvals change, polling while the event stream is down
      */
     setupAutoRefresh: function() {
-        setInterval(() => {
+        const reload = () => {
             this.loadStatistics();
             this.loadPendingApprovals();
             this.loadRecentActivity();
-        }, AdminModule.config.refreshInterval);
+        };
+        ST.live.on('pending_approvals', reload);
+        ST.live.poll(reload, AdminModule.config.refreshInterval);
     },
     
     /**
@@ -343,14 +345,18 @@ AdminModule.dashboard = {
 // ===================================
 
 AdminModule.users = {
+    // Filters and sort of the last load, reused when changing page
+    currentFilters: {},
+    
     /**
-     * Load all users
+     * Load one page of users
      */
-    loadUsers: async function(filters = {}) {
+    loadUsers: async function(filters = this.currentFilters, page = 1) {
         try {
             ST.ui.showLoading('Loading users...');
             
-            const queryParams = new URLSearchParams(filters).toString();
+            this.currentFilters = filters;
+            const queryParams = new URLSearchParams({ ...filters, page }).toString();
             const response = await ST.api.get(`/admin/users?${queryParams}`);
             
             if (response.success) {
@@ -404,6 +410,7 @@ AdminModule.users = {
                     </td>
                     <td>
                         <span class="badge bg-${AdminModule.dashboard.getRoleBadgeColor(user.role)}">${user.role.charAt(0).toUpperCase() + user.role.slice(1)}</span>
+                        ${user.role_name ? `<br><small class="text-muted">${ST.utils.sanitizeHtml(user.role_name.replace(/_/g, ' '))}</small>` : ''}
                     </td>
                     <td>
                         <span class="status-badge ${user.approval_status}">${user.approval_status.charAt(0).toUpperCase() + user.approval_status.slice(1)}</span>
@@ -432,6 +439,14 @@ AdminModule.users = {
                                         <i class="bi bi-x me-2"></i>Reject
                                     </a></li>
                                 ` : ''}
+                                <li><a class="dropdown-item" href="#" onclick="AdminModule.users.changeRole('${user.id}')">
+                                    <i class="bi bi-shield-lock me-2"></i>Change Role
+                                </a></li>
+                                ${user.two_factor_enabled ? `
+                                    <li><a class="dropdown-item" href="#" onclick="AdminModule.users.resetTwoFactor('${user.id}')">
+                                        <i class="bi bi-shield-x me-2"></i>Reset 2FA
+                                    </a></li>
+                                ` : ''}
                                 <li><hr class="dropdown-divider"></li>
                                 <li><a class="dropdown-item text-danger" href="#" onclick="AdminModule.users.deleteUser('${user.id}')">
                                     <i class="bi bi-trash me-2"></i>Delete
@@ -447,6 +462,15 @@ AdminModule.users = {
         this.updateSelectAllCheckbox();
     },
     
+    /**
+     * Update users pagination
+     */
+    updatePagination: function(pagination) {
+        ST.ui.renderPagination(document.getElementById('usersPagination'), pagination, (page) => {
+            this.loadUsers(this.currentFilters, page);
+        });
+    },
+    
     /**
      * Approve user
      */
@@ -493,6 +517,44 @@ AdminModule.users = {
         }
     },
     
+    /**
+     * Reset two-factor authentication for a user who lost their device
+     */
+    resetTwoFactor: async function(userId) {
+        try {
+            const confirmed = await ST.ui.confirm('Turn off two-factor authentication for this user? If their role requires it, they will set it up again at their next login.', 'Reset 2FA');
+            if (!confirmed) return;
+            
+            const response = await ST.api.post(`/admin/users/${userId}/two-factor/reset`);
+            if (response.success) {
+                ST.ui.showToast(response.message, 'success');
+                this.loadUsers();
+            }
+        } catch (error) {
+            console.error('Failed to reset two-factor authentication:', error);
+        }
+    },
+    
+    /**
+     * Give a user another role (see Roles & Permissions)
+     */
+    changeRole: async function(userId) {
+        try {
+            const { roles } = await ST.api.get('/admin/roles');
+            const role = prompt(`New role for this user (${roles.map(r => r.name).join(', ')}):`);
+            if (!role) return;
+            
+            const response = await ST.api.put(`/admin/users/${userId}/role`, { role: role.trim() });
+            if (response.success) {
+                ST.ui.showToast(response.message, 'success');
+                this.loadUsers();
+                AdminModule.dashboard.loadStatistics();
+            }
+        } catch (error) {
+            console.error('Failed to change user role:', error);
+        }
+    },
+    
     /**
      * View user details
      */
@@ -738,18 +800,25 @@ AdminModule.users = {
 // ===================================
 
 AdminModule.courses = {
+    // Filters and sort of the last load, reused when changing page
+    currentFilters: {},
+    
     /**
-     * Load all courses
+     * Load one page of courses
      */
-    loadCourses: async function(filters = {}) {
+    loadCourses: async function(filters = this.currentFilters, page = 1) {
         try {
             ST.ui.showLoading('Loading courses...');
             
-            const queryParams = new URLSearchParams(filters).toString();
+            this.currentFilters = filters;
+            const queryParams = new URLSearchParams({ ...filters, page }).toString();
             const response = await ST.api.get(`/admin/courses?${queryParams}`);
             
             if (response.success) {
                 this.updateCoursesTable(response.courses);
+                ST.ui.renderPagination(document.getElementById('coursesPagination'), response.pagination, (nextPage) => {
+                    this.loadCourses(this.currentFilters, nextPage);
+                });
             }
         } catch (error) {
             console.error('Failed to load courses:', error);
@@ -1000,23 +1069,29 @@ document.addEventListener('DOMContentLoaded', function() {
             }
         });
         
-        // Setup search functionality
+        // Search and filters are sent together so neither resets the other
         const searchInput = document.getElementById('userSearch');
+        const filterSelects = document.querySelectorAll('.user-filter');
+        const collectFilters = () => {
+            const filters = {};
+            if (searchInput && searchInput.value) filters.search = searchInput.value;
+            filterSelects.forEach(s => {
+                if (s.value) filters[s.name] = s.value;
+            });
+            return filters;
+        };
+        
+        // Setup search functionality
         if (searchInput) {
             searchInput.addEventListener('input', ST.utils.debounce(function() {
-                AdminModule.users.loadUsers({ search: this.value });
+                AdminModule.users.loadUsers(collectFilters());
             }, 300));
         }
         
         // Setup filter functionality
-        const filterSelects = document.querySelectorAll('.user-filter');
         filterSelects.forEach(select => {
             select.addEventListener('change', function() {
-                const filters = {};
-                filterSelects.forEach(s => {
-                    if (s.value) filters[s.name] = s.value;
-                });
-                AdminModule.users.loadUsers(filters);
+                AdminModule.users.loadUsers(collectFilters());
             });
         });
         
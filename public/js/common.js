@@ -28,7 +28,13 @@ window.StudentTracker = {
     charts: {},
     
     // Notification functions
-    notifications: {}
+    notifications: {},
+    
+    // Server-sent event stream with polling fallback
+    live: {},
+    
+    // Grading scheme definitions
+    grading: {}
 };
 
 // ===================================
@@ -137,25 +143,42 @@ StudentTracker.utils = {
     },
     
     /**
-     * Get grade color
+     * Get grade color: danger below the pass mark, otherwise by the band's rank in the scheme
+     */
+    getGradeColor: function(score, schemeId) {
+        const scheme = StudentTracker.grading.getScheme(schemeId);
+        const bands = scheme.bands;
+        const band = StudentTracker.grading.bandFor(score, scheme);
+        const rank = bands.indexOf(band) / (bands.length - 1);
+        
+        if (score < scheme.pass_percentage || band === bands[bands.length - 1]) return 'danger';
+        if (rank < 0.25) return 'success';
+        if (rank < 0.5) return 'info';
+        if (rank < 0.75) return 'warning';
+        return 'secondary';
+    },
+    
+    /**
+     * Get grade letter from the course's grading scheme (the default scheme without one)
      */
-    getGradeColor: function(score) {
-        if (score >= 90) return 'success';
-        if (score >= 80) return 'info';
-        if (score >= 70) return 'warning';
-        if (score >= 60) return 'secondary';
-        return 'danger';
+    getGradeLetter: function(score, schemeId) {
+        return StudentTracker.grading.bandFor(score, StudentTracker.grading.getScheme(schemeId)).letter;
     },
     
     /**
-     * Get grade letter
+     * Letter for a result: the grade assigned on the server, or one worked out from its course's scheme
      */
-    getGradeLetter: function(score) {
-        if (score >= 90) return 'A';
-        if (score >= 80) return 'B';
-        if (score >= 70) return 'C';
-        if (score >= 60) return 'D';
-        return 'F';
+    getResultGrade: function(result) {
+        return result.grade || this.getGradeLetter(result.score, StudentTracker.grading.schemeIdFor(result));
+    },
+    
+    /**
+     * Describe which attempt counts, e.g. "Highest of 3 attempts" (empty for a single attempt)
+     */
+    describeAttempts: function(result) {
+        if (!result.attempt_count || result.attempt_count < 2) return '';
+        const labels = { highest: 'Highest', latest: 'Latest', average: 'Average', first: 'First' };
+        return `${labels[result.scoring_rule] || 'Highest'} of ${result.attempt_count} attempts`;
     },
     
     /**
@@ -198,14 +221,19 @@ StudentTracker.api = {
             const response = await fetch(`${StudentTracker.config.apiBaseUrl}${endpoint}`, config);
             
             if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+                // Surface the server's explanation (e.g. a 409 from a policy check) when there is one
+                const body = await response.json().catch(() => ({}));
+                const error = new Error(body.message || body.error || `HTTP error! status: ${response.status}`);
+                error.status = response.status;
+                error.serverMessage = body.message || body.error || null;
+                throw error;
             }
             
             const data = await response.json();
             return data;
         } catch (error) {
             console.error('API request failed:', error);
-            StudentTracker.ui.showToast('Network error occurred', 'error');
+            StudentTracker.ui.showToast(error.serverMessage || 'Network error occurred', 'error');
             throw error;
         }
     },
@@ -272,7 +300,16 @@ StudentTracker.api = {
                         reject(new Error('Invalid JSON response'));
                     }
                 } else {
-                    reject(new Error(`Upload failed with status: ${xhr.status}`));
+                    const error = new Error(`Upload failed with status: ${xhr.status}`);
+                    error.status = xhr.status;
+                    try {
+                        const body = JSON.parse(xhr.responseText);
+                        error.serverMessage = body.message || body.error || null;
+                        error.response = body;
+                    } catch (parseError) {
+                        error.serverMessage = null;
+                    }
+                    reject(error);
                 }
             });
             
@@ -342,12 +379,7 @@ StudentTracker.ui = {
             }
             flashMessages.remove(); // Remove the script tag after displaying messages
         }
-    }
-};
-
-// Initialize flash message display on document ready
-document.addEventListener('DOMContentLoaded', () => {
-    StudentTracker.ui.displayFlashMessages();
+    },
     
     /**
      * Get toast icon based on type
@@ -524,7 +556,54 @@ document.addEventListener('DOMContentLoaded', () => {
      */
     formatNumber: function(num) {
         return num.toString().replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+    },
+    
+    /**
+     * Render pagination links for a list response
+     */
+    renderPagination: function(container, pagination, onPageChange) {
+        if (!container) return;
+        
+        if (!pagination || !pagination.totalPages || pagination.totalPages <= 1) {
+            container.innerHTML = '';
+            return;
+        }
+        
+        const { page, totalPages } = pagination;
+        const first = Math.max(1, page - 2);
+        const last = Math.min(totalPages, page + 2);
+        const pages = [];
+        for (let i = first; i <= last; i++) pages.push(i);
+        
+        container.innerHTML = `
+            <li class="page-item ${page <= 1 ? 'disabled' : ''}">
+                <a class="page-link" href="#" data-page="${page - 1}">&laquo;</a>
+            </li>
+            ${pages.map(p => `
+                <li class="page-item ${p === page ? 'active' : ''}">
+                    <a class="page-link" href="#" data-page="${p}">${p}</a>
+                </li>
+            `).join('')}
+            <li class="page-item ${page >= totalPages ? 'disabled' : ''}">
+                <a class="page-link" href="#" data-page="${page + 1}">&raquo;</a>
+            </li>
+        `;
+        
+        container.querySelectorAll('.page-link').forEach(link => {
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                const target = parseInt(link.dataset.page, 10);
+                if (target >= 1 && target <= totalPages && target !== page) {
+                    onPageChange(target);
+                }
+            });
+        });
     }
+};
+
+// Initialize flash message display on document ready
+document.addEventListener('DOMContentLoaded', () => {
+    StudentTracker.ui.displayFlashMessages();
 });
 
 // ===================================
@@ -660,6 +739,101 @@ StudentTracker.charts = {
     }
 };
 
+// ===================================
+// LIVE UPDATES
+// ===================================
+
+StudentTracker.live = {
+    source: null,
+    connected: false,
+    wasConnected: false,
+    handlers: {},
+    pollers: [],
+    minReconnectDelay: 5000,
+    maxReconnectDelay: 60000,
+    reconnectDelay: 5000,
+    reconnectTimer: null,
+    
+    /**
+     * Run handler(data) for each `event` pushed on the stream
+     */
+    on: function(event, handler) {
+        if (!this.handlers[event]) {
+            this.handlers[event] = [];
+            if (this.source) this.listen(event);
+        }
+        this.handlers[event].push(handler);
+    },
+    
+    /**
+     * Call fn every `interval` ms while the stream is down, and once when it comes
+     * back so nothing pushed in between is missed
+     */
+    poll: function(fn, interval) {
+        const poller = { fn, interval, timer: null };
+        this.pollers.push(poller);
+        if (!this.connected) this.startPoller(poller);
+    },
+    
+    startPoller: function(poller) {
+        if (!poller.timer) {
+            poller.timer = setInterval(poller.fn, poller.interval);
+        }
+    },
+    
+    stopPoller: function(poller) {
+        clearInterval(poller.timer);
+        poller.timer = null;
+    },
+    
+    listen: function(event) {
+        this.source.addEventListener(event, (message) => {
+            let data = null;
+            try {
+                data = JSON.parse(message.data);
+            } catch (error) {
+                console.error(`Bad ${event} event:`, error);
+                return;
+            }
+            this.handlers[event].forEach(handler => handler(data));
+        });
+    },
+    
+    /**
+     * Open the stream; pages without EventSource just keep polling
+     */
+    connect: function() {
+        if (!window.EventSource || this.source) return;
+        
+        this.source = new EventSource(`${StudentTracker.config.apiBaseUrl}/events`);
+        Object.keys(this.handlers).forEach(event => this.listen(event));
+        
+        this.source.addEventListener('ready', () => {
+            const reconnected = this.wasConnected;
+            this.connected = true;
+            this.wasConnected = true;
+            this.reconnectDelay = this.minReconnectDelay;
+            this.pollers.forEach(poller => {
+                this.stopPoller(poller);
+                if (reconnected) poller.fn();
+            });
+        });
+        
+        this.source.addEventListener('error', () => {
+            this.connected = false;
+            this.pollers.forEach(poller => this.startPoller(poller));
+            
+            // The browser retries by itself unless the server refused the stream
+            if (this.source.readyState === EventSource.CLOSED) {
+                this.source = null;
+                clearTimeout(this.reconnectTimer);
+                this.reconnectTimer = setTimeout(() => this.connect(), this.reconnectDelay);
+                this.reconnectDelay = Math.min(this.reconnectDelay * 2, this.maxReconnectDelay);
+            }
+        });
+    }
+};
+
 // ===================================
 // NOTIFICATION FUNCTIONS
 // ===================================
@@ -694,7 +868,7 @@ StudentTracker.notifications = {
             
             list.innerHTML = notifications.map(notification => `
                 <li>
-                    <a class="dropdown-item py-2" href="${notification.link || '#'}">
+                    <a class="dropdown-item py-2" href="${notification.link || '#'}"${notification.id ? ` data-notification-id="${notification.id}"` : ''}>
                         <div class="d-flex align-items-start">
                             <i class="bi bi-${this.getIcon(notification.type)} me-2 mt-1 text-${this.getColor(notification.type)}"></i>
                             <div class="flex-grow-1">
@@ -720,6 +894,31 @@ StudentTracker.notifications = {
         }
     },
     
+    /**
+     * Mark stored notifications read when opened, and all of them from "Mark all read"
+     */
+    bind: function() {
+        const dropdown = document.querySelector('.notification-dropdown');
+        if (!dropdown) return;
+        
+        dropdown.addEventListener('click', async (event) => {
+            if (event.target.closest('.notification-clear')) {
+                event.preventDefault();
+                event.stopPropagation();
+                this.clearAll();
+                return;
+            }
+            
+            const item = event.target.closest('[data-notification-id]');
+            if (!item) return;
+            event.preventDefault();
+            await this.markAsRead(item.dataset.notificationId);
+            if (item.getAttribute('href') !== '#') {
+                window.location.href = item.getAttribute('href');
+            }
+        });
+    },
+    
     /**
      * Get notification icon
      */
@@ -869,6 +1068,68 @@ StudentTracker.forms = {
     }
 };
 
+// ===================================
+// GRADING SCHEMES
+// ===================================
+
+StudentTracker.grading = {
+    // Used until /api/grading-schemes has loaded
+    fallback: {
+        id: null,
+        name: 'Standard A-F',
+        pass_percentage: 50,
+        bands: [
+            { letter: 'A', min: 90, points: 4 },
+            { letter: 'B', min: 80, points: 3 },
+            { letter: 'C', min: 70, points: 2 },
+            { letter: 'D', min: 60, points: 1 },
+            { letter: 'F', min: 0, points: 0 }
+        ]
+    },
+    
+    schemes: [],
+    defaultSchemeId: null,
+    
+    /**
+     * Load scheme definitions (bands ordered from the highest minimum down)
+     */
+    load: async function() {
+        try {
+            const response = await StudentTracker.api.get('/grading-schemes');
+            if (response.success) {
+                this.schemes = response.schemes;
+                this.defaultSchemeId = response.defaultSchemeId;
+            }
+        } catch (error) {
+            console.error('Failed to load grading schemes:', error);
+        }
+    },
+    
+    /**
+     * Scheme by id, falling back to the default scheme
+     */
+    getScheme: function(schemeId) {
+        return this.schemes.find(scheme => scheme.id === schemeId)
+            || this.schemes.find(scheme => scheme.id === this.defaultSchemeId)
+            || this.fallback;
+    },
+    
+    /**
+     * Scheme id of the course a result or enrollment belongs to
+     */
+    schemeIdFor: function(record) {
+        return record.grading_scheme_id || (record.course && record.course.grading_scheme_id) || null;
+    },
+    
+    /**
+     * Band a percentage falls in
+     */
+    bandFor: function(score, scheme = this.getScheme()) {
+        const value = parseFloat(score) || 0;
+        return scheme.bands.find(band => value >= band.min) || scheme.bands[scheme.bands.length - 1];
+    }
+};
+
 // ===================================
 // INITIALIZATION
 // ===================================
@@ -886,14 +1147,21 @@ document.addEventListener('DOMContentLoaded', function() {
         return new bootstrap.Popover(popoverTriggerEl);
     });
     
-    // Load notifications for authenticated users
+    // Load notifications and grading schemes for authenticated users
     if (document.querySelector('.notification-badge')) {
+        StudentTracker.grading.load();
         StudentTracker.notifications.load();
+        StudentTracker.notifications.bind();
         
-        // Refresh notifications every 5 minutes
-        setInterval(() => {
+        // New notifications and approval counts are pushed; poll every 5 minutes while
+        // the stream is down
+        StudentTracker.live.on('notification', (notification) => {
+            StudentTracker.ui.showToast(`${notification.title}: ${notification.message}`, notification.type);
             StudentTracker.notifications.load();
-        }, StudentTracker.config.refreshInterval);
+        });
+        StudentTracker.live.on('pending_approvals', () => StudentTracker.notifications.load());
+        StudentTracker.live.poll(() => StudentTracker.notifications.load(), StudentTracker.config.refreshInterval);
+        StudentTracker.live.connect();
     }
     
     // Auto-hide alerts after 5 seconds
@@ -341,14 +341,16 @@ LecturerModule.dashboard = {
     },
     
     /**
-     * Setup auto-refresh
+     * Refresh when results are published, polling while the event stream is down
      */
     setupAutoRefresh: function() {
-        setInterval(() => {
+        const reload = () => {
             this.loadOverview();
             this.loadRecentActivity();
             this.loadUpcomingDeadlines();
-        }, LecturerModule.config.refreshInterval);
+        };
+        ST.live.on('result', reload);
+        ST.live.poll(reload, LecturerModule.config.refreshInterval);
     },
     
     /**
@@ -368,18 +370,26 @@ LecturerModule.dashboard = {
 // ===================================
 
 LecturerModule.assessments = {
+    // Filters and sort of the last load, reused when changing page
+    currentFilters: {},
+    currentAssessmentId: null,
+    
     /**
-     * Load all assessments
+     * Load one page of assessments
      */
-    loadAssessments: async function(filters = {}) {
+    loadAssessments: async function(filters = this.currentFilters, page = 1) {
         try {
             ST.ui.showLoading('Loading assessments...');
             
-            const queryParams = new URLSearchParams(filters).toString();
+            this.currentFilters = filters;
+            const queryParams = new URLSearchParams({ ...filters, page }).toString();
             const response = await ST.api.get(`/lecturer/assessments?${queryParams}`);
             
             if (response.success) {
                 this.updateAssessmentsTable(response.assessments);
+                ST.ui.renderPagination(document.getElementById('assessmentsPagination'), response.pagination, (nextPage) => {
+                    this.loadAssessments(this.currentFilters, nextPage);
+                });
             }
         } catch (error) {
             console.error('Failed to load assessments:', error);
@@ -613,6 +623,13 @@ LecturerModule.assessments = {
             });
         }
         
+        const addFromBankBtn = document.getElementById('addFromBankBtn');
+        if (addFromBankBtn) {
+            addFromBankBtn.addEventListener('click', () => {
+                this.addFromBank();
+            });
+        }
+        
         // Load existing questions if editing
         const questionsData = document.getElementById('questionsData');
         if (questionsData && questionsData.textContent) {
@@ -676,6 +693,18 @@ LecturerModule.assessments = {
                                 <label class="form-label">Points *</label>
                                 <input type="number" class="form-control" name="questions[${questionIndex}][points]" min="1" max="100" value="${questionData ? questionData.points : 1}" required>
                             </div>
+                            <div class="mb-3">
+                                <label class="form-label">Difficulty</label>
+                                <select class="form-select" name="questions[${questionIndex}][difficulty]">
+                                    ${['easy', 'medium', 'hard'].map(level => `
+                                        <option value="${level}" ${(questionData && questionData.difficulty ? questionData.difficulty : 'medium') === level ? 'selected' : ''}>${level.charAt(0).toUpperCase() + level.slice(1)}</option>
+                                    `).join('')}
+                                </select>
+                            </div>
+                            <div class="mb-3">
+                                <label class="form-label">Tags</label>
+                                <input type="text" class="form-control" name="questions[${questionIndex}][tags]" placeholder="e.g. algebra, week-3" value="${questionData && questionData.tags ? ST.utils.sanitizeHtml(questionData.tags.join(', ')) : ''}">
+                            </div>
                         </div>
                     </div>
                     
@@ -699,6 +728,76 @@ LecturerModule.assessments = {
         this.updateQuestionNumbers();
     },
     
+    /**
+     * Pick questions from the selected course's question bank
+     */
+    addFromBank: async function() {
+        const courseId = document.getElementById('course').value;
+        if (!courseId) {
+            ST.ui.showToast('Select a course first', 'warning');
+            return;
+        }
+        
+        try {
+            const response = await ST.api.get(`/courses/${courseId}/questions?limit=100`);
+            if (!response.success) return;
+            
+            const inForm = new Set(this.getQuestions().map(question => question.id));
+            const available = response.questions.filter(question => !inForm.has(question.id));
+            if (available.length === 0) {
+                ST.ui.showToast('No other questions in this course\'s bank yet', 'info');
+                return;
+            }
+            
+            const modalId = ST.utils.generateId();
+            document.body.insertAdjacentHTML('beforeend', `
+                <div class="modal fade" id="modal-${modalId}" tabindex="-1">
+                    <div class="modal-dialog modal-lg modal-dialog-scrollable">
+                        <div class="modal-content">
+                            <div class="modal-header">
+                                <h5 class="modal-title">Question Bank</h5>
+                                <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
+                            </div>
+                            <div class="modal-body">
+                                ${available.map(question => `
+                                    <div class="form-check border-bottom py-2">
+                                        <input class="form-check-input" type="checkbox" value="${question.id}" id="bank-${question.id}">
+                                        <label class="form-check-label w-100" for="bank-${question.id}">
+                                            ${ST.utils.sanitizeHtml(question.text)}
+                                            <div>
+                                                <span class="badge bg-secondary">${question.type.replace('_', ' ')}</span>
+                                                <span class="badge bg-info">${question.difficulty}</span>
+                                                ${(question.tags || []).map(tag => `<span class="badge bg-light text-dark">${ST.utils.sanitizeHtml(tag)}</span>`).join(' ')}
+                                            </div>
+                                        </label>
+                                    </div>
+                                `).join('')}
+                            </div>
+                            <div class="modal-footer">
+                                <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Cancel</button>
+                                <button type="button" class="btn btn-primary add-selected-btn">Add Selected</button>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            `);
+            
+            const modalElement = document.getElementById(`modal-${modalId}`);
+            const modal = new bootstrap.Modal(modalElement);
+            
+            modalElement.querySelector('.add-selected-btn').addEventListener('click', () => {
+                modalElement.querySelectorAll('input:checked').forEach(input => {
+                    this.addQuestion(available.find(question => question.id === input.value));
+                });
+                modal.hide();
+            });
+            modalElement.addEventListener('hidden.bs.modal', () => modalElement.remove());
+            modal.show();
+        } catch (error) {
+            console.error('Failed to load question bank:', error);
+        }
+    },
+    
     /**
      * Update question options based on type
      */
@@ -926,7 +1025,10 @@ LecturerModule.assessments = {
                 id: questionItem.dataset.questionId,
                 text: questionItem.querySelector(`textarea[name="questions[${index}][text]"]`).value,
                 type: questionItem.querySelector(`select[name="questions[${index}][type]"]`).value,
-                points: parseInt(questionItem.querySelector(`input[name="questions[${index}][points]"]`).value)
+                points: parseInt(questionItem.querySelector(`input[name="questions[${index}][points]"]`).value),
+                difficulty: questionItem.querySelector(`select[name="questions[${index}][difficulty]"]`).value,
+                tags: questionItem.querySelector(`input[name="questions[${index}][tags]"]`).value
+                    .split(',').map(tag => tag.trim()).filter(Boolean)
             };
             
             // Add type-specific data
@@ -1021,20 +1123,34 @@ LecturerModule.assessments = {
 // ===================================
 
 LecturerModule.results = {
+    // Filters and sort of the last load, reused when changing page
+    currentFilters: {},
+    
     /**
-     * Load assessment results
+     * Load one page of assessment results
      */
-    loadResults: async function(assessmentId, filters = {}) {
+    loadResults: async function(assessmentId, filters = this.currentFilters, page = 1) {
         try {
             ST.ui.showLoading('Loading results...');
             
-            const queryParams = new URLSearchParams(filters).toString();
-            const response = await ST.api.get(`/lecturer/assessments/${assessmentId}/results?${queryParams}`);
+            this.currentFilters = filters;
+            this.currentAssessmentId = assessmentId;
+            const queryParams = new URLSearchParams({ ...filters, page }).toString();
+            const [response, summary] = await Promise.all([
+                ST.api.get(`/lecturer/assessments/${assessmentId}/results?${queryParams}`),
+                ST.api.get(`/assessments/${assessmentId}/results-summary`)
+            ]);
             
             if (response.success) {
                 this.updateResultsTable(response.results);
-                this.updateResultsAnalytics(response.analytics);
-                this.updateResultsChart(response.chartData);
+                ST.ui.renderPagination(document.getElementById('resultsPagination'), response.pagination, (nextPage) => {
+                    this.loadResults(assessmentId, this.currentFilters, nextPage);
+                });
+            }
+            
+            // Analytics cover every submission, not just the current page
+            if (summary.success) {
+                this.updateResultsAnalytics(summary.summary);
             }
         } catch (error) {
             console.error('Failed to load results:', error);
@@ -1077,13 +1193,15 @@ LecturerModule.results = {
                         </div>
                     </td>
                     <td>
-                        <div class="grade-display-sm bg-${ST.utils.getGradeColor(result.score)} text-white rounded px-2 py-1 d-inline-block">
+                        <div class="grade-display-sm bg-${ST.utils.getGradeColor(result.score, ST.grading.schemeIdFor(result))} text-white rounded px-2 py-1 d-inline-block">
                             ${result.score}%
                         </div>
+                        ${result.attempt_count > 1 ? `<small class="text-muted d-block">${ST.utils.describeAttempts(result)}</small>` : ''}
+                        ${parseFloat(result.late_penalty_percent) > 0 ? `<small class="text-danger d-block">Late -${parseFloat(result.late_penalty_percent)}% (raw ${result.raw_percentage}%)</small>` : ''}
                     </td>
                     <td>
-                        <span class="badge bg-${ST.utils.getGradeColor(result.score)}">
-                            ${ST.utils.getGradeLetter(result.score)}
+                        <span class="badge bg-${ST.utils.getGradeColor(result.score, ST.grading.schemeIdFor(result))}">
+                            ${ST.utils.getResultGrade(result)}
                         </span>
                     </td>
                     <td>
@@ -1108,6 +1226,11 @@ LecturerModule.results = {
                                         <i class="bi bi-pencil me-2"></i>Grade
                                     </a></li>
                                 ` : ''}
+                                ${result.is_late ? `
+                                    <li><a class="dropdown-item" href="#" onclick="LecturerModule.results.adjustPenalty('${result.id}', ${parseFloat(result.late_penalty_percent) || 0})">
+                                        <i class="bi bi-hourglass-split me-2"></i>Adjust Late Penalty
+                                    </a></li>
+                                ` : ''}
                                 <li><a class="dropdown-item" href="#" onclick="LecturerModule.results.downloadResult('${result.id}')">
                                     <i class="bi bi-download me-2"></i>Download
                                 </a></li>
@@ -1222,6 +1345,182 @@ LecturerModule.results = {
         console.log('Grade result:', resultId);
     },
     
+    /**
+     * Override or waive the late penalty on a result
+     */
+    adjustPenalty: function(resultId, currentPenalty) {
+        const modalId = ST.utils.generateId();
+        document.body.insertAdjacentHTML('beforeend', `
+            <div class="modal fade" id="modal-${modalId}" tabindex="-1">
+                <div class="modal-dialog">
+                    <form class="modal-content">
+                        <div class="modal-header">
+                            <h5 class="modal-title">Adjust Late Penalty</h5>
+                            <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
+                        </div>
+                        <div class="modal-body">
+                            <div class="mb-3">
+                                <label class="form-label">Deduction (%)</label>
+                                <input type="number" class="form-control" name="late_penalty_percent" min="0" max="100" step="0.5" value="${currentPenalty}" required>
+                                <small class="text-muted">Enter 0 to waive the penalty.</small>
+                            </div>
+                            <div class="mb-3">
+                                <label class="form-label">Reason *</label>
+                                <textarea class="form-control" name="reason" rows="2" required></textarea>
+                            </div>
+                        </div>
+                        <div class="modal-footer">
+                            <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Cancel</button>
+                            <button type="submit" class="btn btn-primary">Save</button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+        `);
+        
+        const modalElement = document.getElementById(`modal-${modalId}`);
+        const modal = new bootstrap.Modal(modalElement);
+        const form = modalElement.querySelector('form');
+        
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            try {
+                const response = await ST.api.put(`/lecturer/results/${resultId}/penalty`, ST.forms.serialize(form));
+                if (response.success) {
+                    ST.ui.showToast('Late penalty updated', 'success');
+                    modal.hide();
+                    this.loadResults(this.currentAssessmentId);
+                }
+            } catch (error) {
+                console.error('Failed to adjust late penalty:', error);
+            }
+        });
+        modalElement.addEventListener('hidden.bs.modal', () => modalElement.remove());
+        modal.show();
+    },
+    
+    /**
+     * Import marks from a CSV/XLSX gradebook: preview the changes, then confirm
+     */
+    importResults: function(assessmentId) {
+        const modalId = ST.utils.generateId();
+        document.body.insertAdjacentHTML('beforeend', `
+            <div class="modal fade" id="modal-${modalId}" tabindex="-1">
+                <div class="modal-dialog modal-lg">
+                    <div class="modal-content">
+                        <div class="modal-header">
+                            <h5 class="modal-title">Import Marks</h5>
+                            <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
+                        </div>
+                        <div class="modal-body">
+                            <div class="mb-3">
+                                <label class="form-label">Gradebook (CSV or XLSX)</label>
+                                <input type="file" class="form-control" name="file" accept=".csv,.xlsx,.xls">
+                                <small class="text-muted">Columns: student_id, score and optionally feedback. Nothing is saved until you confirm.</small>
+                            </div>
+                            <div class="import-preview"></div>
+                        </div>
+                        <div class="modal-footer">
+                            <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Cancel</button>
+                            <button type="button" class="btn btn-primary" data-action="commit" disabled>Import</button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `);
+        
+        const modalElement = document.getElementById(`modal-${modalId}`);
+        const modal = new bootstrap.Modal(modalElement);
+        const fileInput = modalElement.querySelector('input[type="file"]');
+        const preview = modalElement.querySelector('.import-preview');
+        const commitButton = modalElement.querySelector('[data-action="commit"]');
+        const endpoint = `/lecturer/assessments/${assessmentId}/results/import`;
+        
+        fileInput.addEventListener('change', async () => {
+            commitButton.disabled = true;
+            preview.innerHTML = '';
+            if (!fileInput.files[0]) return;
+            
+            try {
+                const response = await ST.api.uploadFile(endpoint, fileInput.files[0]);
+                preview.innerHTML = this.renderImportPreview(response);
+                const changes = response.summary.creates + response.summary.updates;
+                commitButton.disabled = response.summary.errors > 0 || changes === 0;
+                commitButton.textContent = `Import ${changes} result(s)`;
+            } catch (error) {
+                preview.innerHTML = `<div class="alert alert-danger mb-0">${ST.utils.sanitizeHtml(error.serverMessage || 'Could not read the file')}</div>`;
+            }
+        });
+        
+        commitButton.addEventListener('click', async () => {
+            commitButton.disabled = true;
+            try {
+                const response = await ST.api.uploadFile(`${endpoint}?commit=true`, fileInput.files[0]);
+                ST.ui.showToast(response.message, 'success');
+                modal.hide();
+                this.loadResults(assessmentId);
+            } catch (error) {
+                if (error.response && error.response.summary) {
+                    preview.innerHTML = this.renderImportPreview(error.response);
+                }
+                ST.ui.showToast(error.serverMessage || 'Import failed', 'error');
+            }
+        });
+        
+        modalElement.addEventListener('hidden.bs.modal', () => modalElement.remove());
+        modal.show();
+    },
+    
+    /**
+     * Dry-run diff: counts, then errors, updates and new results
+     */
+    renderImportPreview: function(preview) {
+        const { summary } = preview;
+        const rows = (items, render) => items.map(render).join('');
+        const score = (value) => value === null ? '-' : value;
+        
+        return `
+            <div class="d-flex gap-2 mb-3">
+                <span class="badge bg-success">${summary.creates} new</span>
+                <span class="badge bg-primary">${summary.updates} updated</span>
+                <span class="badge bg-secondary">${summary.unchanged} unchanged</span>
+                <span class="badge bg-danger">${summary.errors} error(s)</span>
+            </div>
+            <div class="table-responsive" style="max-height: 320px;">
+                <table class="table table-sm">
+                    <thead class="table-light">
+                        <tr><th>Row</th><th>Student</th><th>Change</th><th>Grade</th></tr>
+                    </thead>
+                    <tbody>
+                        ${rows(preview.errors, error => `
+                            <tr class="table-danger">
+                                <td>${error.line}</td>
+                                <td>${ST.utils.sanitizeHtml(error.student_id || '-')}</td>
+                                <td colspan="2">${ST.utils.sanitizeHtml(error.message)}</td>
+                            </tr>
+                        `)}
+                        ${rows(preview.updates, change => `
+                            <tr>
+                                <td>${change.line}</td>
+                                <td>${ST.utils.sanitizeHtml(change.student_name)} <small class="text-muted">${ST.utils.sanitizeHtml(change.student_id)}</small></td>
+                                <td>${score(change.old_score)} &rarr; <strong>${change.new_score}</strong></td>
+                                <td>${ST.utils.sanitizeHtml(change.grade)}</td>
+                            </tr>
+                        `)}
+                        ${rows(preview.creates, change => `
+                            <tr class="table-success">
+                                <td>${change.line}</td>
+                                <td>${ST.utils.sanitizeHtml(change.student_name)} <small class="text-muted">${ST.utils.sanitizeHtml(change.student_id)}</small></td>
+                                <td>New: <strong>${change.new_score}</strong></td>
+                                <td>${ST.utils.sanitizeHtml(change.grade)}</td>
+                            </tr>
+                        `)}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    },
+    
     /**
      * Download result
      */
@@ -26,7 +26,10 @@ window.StudentModule = {
     performance: {},
     
     // Course management
-    courses: {}
+    courses: {},
+    
+    // Assessment attempt player
+    player: {}
 };
 
 // ===================================
@@ -40,6 +43,7 @@ StudentModule.dashboard = {
     init: function() {
         this.loadOverview();
         this.loadRecentResults();
+        this.loadGpa();
         this.loadUpcomingAssessments();
         this.loadPerformanceChart();
         this.setupAutoRefresh();
@@ -97,6 +101,51 @@ StudentModule.dashboard = {
         }
     },
     
+    /**
+     * Load term and cumulative GPA
+     */
+    loadGpa: async function() {
+        try {
+            const response = await ST.api.get('/student/dashboard/gpa');
+            if (response.success) {
+                this.updateGpa(response.gpa);
+            }
+        } catch (error) {
+            console.error('Failed to load GPA:', error);
+        }
+    },
+    
+    /**
+     * Update GPA display (most recent term first)
+     */
+    updateGpa: function(gpa) {
+        const cumulative = document.getElementById('cumulativeGpa');
+        const container = document.getElementById('termGpa');
+        if (!cumulative || !container) return;
+        
+        cumulative.textContent = gpa.cumulative.gpa !== null ? gpa.cumulative.gpa.toFixed(2) : '-';
+        
+        if (gpa.terms.length === 0) {
+            container.innerHTML = '<p class="text-muted text-center mb-0">No course grades yet</p>';
+            return;
+        }
+        
+        container.innerHTML = gpa.terms.slice().reverse().map(term => `
+            <div class="mb-3">
+                <div class="d-flex justify-content-between">
+                    <span class="fw-semibold">${ST.utils.sanitizeHtml([term.semester, term.academicYear].filter(Boolean).join(' ') || 'Unscheduled')}</span>
+                    <span class="fw-bold">${term.gpa !== null ? term.gpa.toFixed(2) : '-'}</span>
+                </div>
+                ${term.courses.map(course => `
+                    <div class="d-flex justify-content-between small text-muted">
+                        <span>${ST.utils.sanitizeHtml(course.code || course.name)} (${course.creditHours} cr)</span>
+                        <span>${ST.utils.sanitizeHtml(course.grade)}${course.finalPercentage !== null ? ` · ${course.finalPercentage}%` : ''}</span>
+                    </div>
+                `).join('')}
+            </div>
+        `).join('') + `<small class="text-muted">${gpa.cumulative.creditHours} credit hours graded</small>`;
+    },
+    
     /**
      * Load recent results
      */
@@ -136,7 +185,7 @@ StudentModule.dashboard = {
                                 <small class="text-muted">${ST.utils.formatDate(result.completed_at)}</small>
                             </div>
                             <div class="text-end">
-                                <div class="grade-display-sm bg-${ST.utils.getGradeColor(result.score)} text-white rounded px-2 py-1">
+                                <div class="grade-display-sm bg-${ST.utils.getGradeColor(result.score, ST.grading.schemeIdFor(result))} text-white rounded px-2 py-1">
                                     ${result.score}%
                                 </div>
                                 <div class="performance-indicator ${this.getPerformanceClass(result.score)} mt-1">
@@ -146,7 +195,7 @@ StudentModule.dashboard = {
                             </div>
                         </div>
                         <div class="progress mt-2" style="height: 6px;">
-                            <div class="progress-bar bg-${ST.utils.getGradeColor(result.score)}" 
+                            <div class="progress-bar bg-${ST.utils.getGradeColor(result.score, ST.grading.schemeIdFor(result))}" 
                                  style="width: ${result.score}%"></div>
                         </div>
                     </div>
@@ -336,14 +385,19 @@ StudentModule.dashboard = {
     },
     
     /**
-     * Setup auto-refresh
+     * Refresh when results are published, polling while the event stream is down
      */
     setupAutoRefresh: function() {
-        setInterval(() => {
+        const reload = () => {
             this.loadOverview();
             this.loadRecentResults();
             this.loadUpcomingAssessments();
-        }, StudentModule.config.refreshInterval);
+        };
+        ST.live.on('result', () => {
+            reload();
+            this.loadGpa();
+        });
+        ST.live.poll(reload, StudentModule.config.refreshInterval);
     },
     
     /**
@@ -352,6 +406,7 @@ StudentModule.dashboard = {
     refresh: function() {
         this.loadOverview();
         this.loadRecentResults();
+        this.loadGpa();
         this.loadUpcomingAssessments();
         this.loadPerformanceChart();
         ST.ui.showToast('Dashboard refreshed', 'success');
@@ -363,19 +418,26 @@ StudentModule.dashboard = {
 // ===================================
 
 StudentModule.results = {
+    // Filters and sort of the last load, reused when changing page
+    currentFilters: {},
+    
     /**
-     * Load all results
+     * Load one page of results
      */
-    loadResults: async function(filters = {}) {
+    loadResults: async function(filters = this.currentFilters, page = 1) {
         try {
             ST.ui.showLoading('Loading results...');
             
-            const queryParams = new URLSearchParams(filters).toString();
+            this.currentFilters = filters;
+            const queryParams = new URLSearchParams({ ...filters, page }).toString();
             const response = await ST.api.get(`/student/results?${queryParams}`);
             
             if (response.success) {
                 this.updateResultsTable(response.results);
                 this.updateResultsChart(response.chartData);
+                ST.ui.renderPagination(document.getElementById('resultsPagination'), response.pagination, (nextPage) => {
+                    this.loadResults(this.currentFilters, nextPage);
+                });
             }
         } catch (error) {
             console.error('Failed to load results:', error);
@@ -409,13 +471,14 @@ StudentModule.results = {
                         <small class="text-muted">${ST.utils.sanitizeHtml(result.course_name)}</small>
                     </td>
                     <td>
-                        <div class="grade-display-sm bg-${ST.utils.getGradeColor(result.score)} text-white rounded px-2 py-1 d-inline-block">
+                        <div class="grade-display-sm bg-${ST.utils.getGradeColor(result.score, ST.grading.schemeIdFor(result))} text-white rounded px-2 py-1 d-inline-block">
                             ${result.score}%
                         </div>
+                        ${result.attempt_count > 1 ? `<small class="text-muted d-block">${ST.utils.describeAttempts(result)}</small>` : ''}
                     </td>
                     <td>
-                        <span class="badge bg-${ST.utils.getGradeColor(result.score)}">
-                            ${ST.utils.getGradeLetter(result.score)}
+                        <span class="badge bg-${ST.utils.getGradeColor(result.score, ST.grading.schemeIdFor(result))}">
+                            ${ST.utils.getResultGrade(result)}
                         </span>
                     </td>
                     <td>
@@ -546,7 +609,7 @@ StudentModule.results = {
             <div class="modal fade" id="resultDetailsModal" tabindex="-1">
                 <div class="modal-dialog modal-lg">
                     <div class="modal-content">
-                        <div class="modal-header bg-${ST.utils.getGradeColor(result.score)} text-white">
+                        <div class="modal-header bg-${ST.utils.getGradeColor(result.score, ST.grading.schemeIdFor(result))} text-white">
                             <h5 class="modal-title">
                                 <i class="bi bi-clipboard-data me-2"></i>
                                 Assessment Result Details
@@ -565,8 +628,8 @@ StudentModule.results = {
                                         </div>
                                         <div class="col-sm-6">
                                             <strong>Grade:</strong> 
-                                            <span class="badge bg-${ST.utils.getGradeColor(result.score)}">
-                                                ${ST.utils.getGradeLetter(result.score)}
+                                            <span class="badge bg-${ST.utils.getGradeColor(result.score, ST.grading.schemeIdFor(result))}">
+                                                ${ST.utils.getResultGrade(result)}
                                             </span>
                                         </div>
                                     </div>
@@ -607,8 +670,8 @@ StudentModule.results = {
                                 </div>
                                 
                                 <div class="col-md-4 text-center">
-                                    <div class="grade-display grade-${ST.utils.getGradeLetter(result.score).toLowerCase()} mb-3">
-                                        ${ST.utils.getGradeLetter(result.score)}
+                                    <div class="grade-display grade-${ST.utils.getResultGrade(result).toLowerCase()} mb-3">
+                                        ${ST.utils.getResultGrade(result)}
                                     </div>
                                     
                                     <div class="performance-indicator ${StudentModule.dashboard.getPerformanceClass(result.score)} mb-3">
@@ -617,7 +680,7 @@ StudentModule.results = {
                                     </div>
                                     
                                     <div class="progress mb-3" style="height: 10px;">
-                                        <div class="progress-bar bg-${ST.utils.getGradeColor(result.score)}" 
+                                        <div class="progress-bar bg-${ST.utils.getGradeColor(result.score, ST.grading.schemeIdFor(result))}" 
                                              style="width: ${result.score}%"></div>
                                     </div>
                                     
@@ -928,6 +991,18 @@ StudentModule.performance = {
 // ===================================
 
 StudentModule.courses = {
+    catalogueFilters: {},
+    
+    /**
+     * Load enrolled courses, requests and the catalogue
+     */
+    init: function() {
+        this.loadCourses();
+        this.loadAttendance();
+        this.loadRequests();
+        this.loadCatalogue(this.catalogueFilters);
+    },
+    
     /**
      * Load enrolled courses
      */
@@ -1000,6 +1075,9 @@ StudentModule.courses = {
                                 <button class="btn btn-outline-primary btn-sm" onclick="StudentModule.courses.viewAssessments('${course.id}')">
                                     <i class="bi bi-clipboard-check me-1"></i>Assessments
                                 </button>
+                                <button class="btn btn-outline-danger btn-sm" onclick="StudentModule.courses.dropCourse('${course.id}')">
+                                    <i class="bi bi-box-arrow-right me-1"></i>Drop
+                                </button>
                             </div>
                         </div>
                     </div>
@@ -1022,6 +1100,207 @@ StudentModule.courses = {
         window.location.href = `/student/courses/${courseId}/assessments`;
     },
     
+    /**
+     * Load attendance in each enrolled course
+     */
+    loadAttendance: async function() {
+        try {
+            const response = await ST.api.get('/student/attendance');
+            if (response.success) {
+                this.updateAttendanceDisplay(response.courses, response.threshold);
+            }
+        } catch (error) {
+            console.error('Failed to load attendance:', error);
+        }
+    },
+    
+    /**
+     * Update attendance display
+     */
+    updateAttendanceDisplay: function(courses, threshold) {
+        const list = document.getElementById('attendanceRates');
+        if (!list) return;
+        
+        if (courses.length === 0) {
+            list.innerHTML = '<li class="list-group-item text-muted">No courses enrolled</li>';
+            return;
+        }
+        
+        list.innerHTML = courses.map(rate => {
+            const course = rate.course || {};
+            const summary = rate.percentage === null
+                ? 'No registers taken yet'
+                : `${rate.attended} of ${rate.counted} classes${rate.excused ? `, ${rate.excused} excused` : ''}`;
+            return `
+                <li class="list-group-item d-flex justify-content-between align-items-center">
+                    <div>
+                        <span class="fw-semibold">${ST.utils.sanitizeHtml(course.code || '')}</span>
+                        ${ST.utils.sanitizeHtml(course.name || '')}
+                        <div class="small text-muted">${summary}</div>
+                    </div>
+                    <span class="badge ${rate.below_threshold ? 'bg-danger' : 'bg-success'}" title="Minimum ${threshold}%">
+                        ${rate.percentage === null ? '—' : `${rate.percentage}%`}
+                    </span>
+                </li>
+            `;
+        }).join('');
+    },
+    
+    /**
+     * Check in to a class with the code shown by the lecturer
+     */
+    checkIn: async function(code) {
+        try {
+            const response = await ST.api.post('/student/attendance/check-in', { code });
+            if (response.success) {
+                ST.ui.showToast(response.message, 'success');
+                this.loadAttendance();
+                return true;
+            }
+        } catch (error) {
+            console.error('Failed to check in:', error);
+        }
+        return false;
+    },
+    
+    /**
+     * Load pending, waitlisted and rejected requests
+     */
+    loadRequests: async function() {
+        try {
+            const response = await ST.api.get('/student/enrollments');
+            if (response.success) {
+                this.updateRequestsDisplay(response.enrollments.filter(enrollment => enrollment.status !== 'active'));
+            }
+        } catch (error) {
+            console.error('Failed to load enrollment requests:', error);
+        }
+    },
+    
+    /**
+     * Update requests display
+     */
+    updateRequestsDisplay: function(requests) {
+        const list = document.getElementById('enrollmentRequests');
+        if (!list) return;
+        
+        if (requests.length === 0) {
+            list.innerHTML = '<li class="list-group-item text-muted">No open requests</li>';
+            return;
+        }
+        
+        const badges = { pending: 'bg-warning text-dark', waitlisted: 'bg-info', rejected: 'bg-danger' };
+        list.innerHTML = requests.map(request => {
+            const course = request.course || {};
+            const status = request.status === 'waitlisted' && request.waitlist_position
+                ? `waitlisted #${request.waitlist_position}`
+                : request.status;
+            const withdraw = request.status === 'rejected' ? '' : `
+                <button class="btn btn-outline-secondary btn-sm" onclick="StudentModule.courses.dropCourse('${request.course_id}')">Withdraw</button>`;
+            return `
+                <li class="list-group-item d-flex justify-content-between align-items-center">
+                    <div>
+                        <span class="fw-semibold">${ST.utils.sanitizeHtml(course.code || '')}</span>
+                        ${ST.utils.sanitizeHtml(course.name || '')}
+                        <span class="badge ${badges[request.status]} ms-2">${status}</span>
+                        ${request.decision_note ? `<div class="small text-muted">${ST.utils.sanitizeHtml(request.decision_note)}</div>` : ''}
+                    </div>
+                    ${withdraw}
+                </li>
+            `;
+        }).join('');
+    },
+    
+    /**
+     * Load the course catalogue
+     */
+    loadCatalogue: async function(filters = {}) {
+        this.catalogueFilters = filters;
+        try {
+            const queryParams = new URLSearchParams(filters).toString();
+            const response = await ST.api.get(`/student/catalogue?${queryParams}`);
+            if (response.success) {
+                this.updateCatalogueDisplay(response.courses);
+            }
+        } catch (error) {
+            console.error('Failed to load course catalogue:', error);
+        }
+    },
+    
+    /**
+     * Update catalogue display
+     */
+    updateCatalogueDisplay: function(courses) {
+        const tbody = document.querySelector('#catalogueTable tbody');
+        if (!tbody) return;
+        
+        if (courses.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="6" class="text-center text-muted py-4">No courses found</td></tr>';
+            return;
+        }
+        
+        tbody.innerHTML = courses.map(course => {
+            const lecturer = course.lecturer ? `${course.lecturer.first_name} ${course.lecturer.last_name}` : '';
+            const seats = course.capacity ? `${course.seats_left} of ${course.capacity} left` : 'Open';
+            const prerequisites = course.prerequisites.map(prerequisite => prerequisite.code).join(', ') || 'None';
+            let action;
+            if (course.can_request) {
+                action = `
+                    <button class="btn btn-primary btn-sm" onclick="StudentModule.courses.requestEnrollment('${course.id}')">
+                        ${course.requires_approval ? 'Request' : (course.capacity && course.seats_left === 0 ? 'Join waitlist' : 'Enroll')}
+                    </button>`;
+            } else {
+                action = `<small class="text-muted">${ST.utils.sanitizeHtml(course.reason || '')}</small>`;
+            }
+            return `
+                <tr>
+                    <td>
+                        <div class="fw-semibold">${ST.utils.sanitizeHtml(course.code)}</div>
+                        <small class="text-muted">${ST.utils.sanitizeHtml(course.name)}</small>
+                    </td>
+                    <td>${ST.utils.sanitizeHtml(lecturer)}</td>
+                    <td>${ST.utils.sanitizeHtml([course.semester, course.academic_year].filter(Boolean).join(' '))}</td>
+                    <td>${seats}</td>
+                    <td>${ST.utils.sanitizeHtml(prerequisites)}</td>
+                    <td class="text-end">${action}</td>
+                </tr>
+            `;
+        }).join('');
+    },
+    
+    /**
+     * Request a place on a course
+     */
+    requestEnrollment: async function(courseId) {
+        try {
+            const response = await ST.api.post(`/student/courses/${courseId}/enroll`);
+            if (response.success) {
+                ST.ui.showToast(response.message, 'success');
+                this.init();
+            }
+        } catch (error) {
+            console.error('Failed to request enrollment:', error);
+        }
+    },
+    
+    /**
+     * Leave a course or withdraw a request
+     */
+    dropCourse: async function(courseId) {
+        const confirmed = await ST.ui.confirm('Leave this course? If it is full, your seat goes to the next student on the waitlist.', 'Drop Course');
+        if (!confirmed) return;
+        
+        try {
+            const response = await ST.api.post(`/student/courses/${courseId}/drop`);
+            if (response.success) {
+                ST.ui.showToast(response.message, 'success');
+                this.init();
+            }
+        } catch (error) {
+            console.error('Failed to drop course:', error);
+        }
+    },
+    
     /**
      * Start assessment
      */
@@ -1033,11 +1312,411 @@ StudentModule.courses = {
             );
             if (!confirmed) return;
             
-            window.location.href = `/student/assessments/${assessmentId}/start`;
+            // The server enforces the attempt policy and returns the attempt to open
+            const response = await ST.api.post(`/student/assessments/${assessmentId}/attempts`);
+            if (!response.success) {
+                ST.ui.showToast(response.message || 'You cannot start this assessment right now', 'warning');
+                return;
+            }
+            
+            window.location.href = `/student/assessments/${assessmentId}/start?attempt=${response.attempt.attempt_number}`;
         } catch (error) {
             console.error('Failed to start assessment:', error);
-            ST.ui.showToast('Failed to start assessment', 'error');
+            if (!error.serverMessage) {
+                ST.ui.showToast('Failed to start assessment', 'error');
+            }
+        }
+    }
+};
+
+// ===================================
+// ACADEMIC CALENDAR
+// ===================================
+
+StudentModule.calendar = {
+    month: null,
+    
+    /**
+     * Show the current month and the current teaching week
+     */
+    init: function() {
+        this.shiftMonth(0);
+        this.loadTermSummary();
+        this.loadFeed();
+    },
+    
+    /**
+     * Move by a number of months; 0 returns to this month
+     */
+    shiftMonth: function(offset) {
+        const now = new Date();
+        this.month = offset === 0 || !this.month
+            ? new Date(now.getFullYear(), now.getMonth(), 1)
+            : new Date(this.month.getFullYear(), this.month.getMonth() + offset, 1);
+        this.loadEntries();
+    },
+    
+    /**
+     * Load calendar entries for the shown month
+     */
+    loadEntries: async function() {
+        const toDate = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+        const from = toDate(this.month);
+        const to = toDate(new Date(this.month.getFullYear(), this.month.getMonth() + 1, 0));
+        
+        const title = document.getElementById('calendarMonthTitle');
+        if (title) title.textContent = this.month.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+        
+        try {
+            const response = await ST.api.get(`/calendar?from=${from}&to=${to}`);
+            if (response.success) {
+                this.updateEntriesDisplay(response.entries);
+            }
+        } catch (error) {
+            console.error('Failed to load calendar:', error);
+        }
+    },
+    
+    /**
+     * Update calendar entries display
+     */
+    updateEntriesDisplay: function(entries) {
+        const list = document.getElementById('calendarEntries');
+        if (!list) return;
+        
+        if (entries.length === 0) {
+            list.innerHTML = '<li class="list-group-item text-muted">Nothing scheduled this month</li>';
+            return;
+        }
+        
+        const badges = {
+            assessment: 'bg-danger',
+            exam_period: 'bg-warning text-dark',
+            holiday: 'bg-success',
+            reading_week: 'bg-info',
+            teaching: 'bg-primary',
+            term: 'bg-secondary'
+        };
+        const formatDay = (date) => ST.utils.formatDate(`${date}T00:00:00`, { hour: undefined, minute: undefined });
+        
+        list.innerHTML = entries.map(entry => {
+            const when = entry.allDay
+                ? (entry.start === entry.end ? formatDay(entry.start) : `${formatDay(entry.start)} – ${formatDay(entry.end)}`)
+                : ST.utils.formatDate(entry.start);
+            return `
+                <li class="list-group-item d-flex justify-content-between align-items-start">
+                    <div>
+                        <div class="fw-semibold">${ST.utils.sanitizeHtml(entry.title)}</div>
+                        <small class="text-muted">${when}${entry.description ? ` · ${ST.utils.sanitizeHtml(entry.description)}` : ''}</small>
+                    </div>
+                    <span class="badge ${badges[entry.kind] || 'bg-light text-dark'}">${entry.kind.replace('_', ' ')}</span>
+                </li>
+            `;
+        }).join('');
+    },
+    
+    /**
+     * Show the term and teaching week we are in
+     */
+    loadTermSummary: async function() {
+        try {
+            const response = await ST.api.get('/terms');
+            const current = response.success && response.terms.find(term => term.current_week);
+            const summary = document.getElementById('calendarTermSummary');
+            if (current && summary) {
+                summary.textContent = `${current.name} · Teaching week ${current.current_week} of ${current.teaching_weeks}`;
+            }
+        } catch (error) {
+            console.error('Failed to load terms:', error);
+        }
+    },
+    
+    /**
+     * Show whether a subscription link exists
+     */
+    loadFeed: async function() {
+        try {
+            const response = await ST.api.get('/account/calendar-feed');
+            if (response.success) {
+                this.updateFeedDisplay(response.subscribed, null);
+            }
+        } catch (error) {
+            console.error('Failed to load calendar feed:', error);
+        }
+    },
+    
+    updateFeedDisplay: function(subscribed, url) {
+        const status = document.getElementById('calendarFeedStatus');
+        if (!status) return;
+        
+        document.getElementById('calendarFeedUrlGroup').classList.toggle('d-none', !url);
+        document.getElementById('calendarFeedUrl').value = url || '';
+        document.getElementById('calendarFeedRevoke').classList.toggle('d-none', !subscribed);
+        document.getElementById('calendarFeedCreate').textContent = subscribed ? 'New link' : 'Get link';
+        status.textContent = url
+            ? 'Copy this link now; it will not be shown again.'
+            : (subscribed ? 'A subscription link is active. Getting a new link stops the old one.' : 'No subscription link yet.');
+    },
+    
+    /**
+     * Create (or replace) the subscription link
+     */
+    createFeed: async function() {
+        try {
+            const response = await ST.api.post('/account/calendar-feed');
+            if (response.success) {
+                this.updateFeedDisplay(true, response.url);
+            }
+        } catch (error) {
+            console.error('Failed to create calendar feed:', error);
+        }
+    },
+    
+    revokeFeed: async function() {
+        const confirmed = await ST.ui.confirm('Turn off the calendar link? Calendars subscribed to it will stop updating.', 'Turn Off Link');
+        if (!confirmed) return;
+        
+        try {
+            const response = await ST.api.delete('/account/calendar-feed');
+            if (response.success) {
+                ST.ui.showToast(response.message, 'success');
+                this.updateFeedDisplay(false, null);
+            }
+        } catch (error) {
+            console.error('Failed to turn off calendar feed:', error);
+        }
+    },
+    
+    copyFeedUrl: async function() {
+        const input = document.getElementById('calendarFeedUrl');
+        try {
+            await navigator.clipboard.writeText(input.value);
+            ST.ui.showToast('Link copied', 'success');
+        } catch (error) {
+            input.select();
+        }
+    }
+};
+
+// ===================================
+// ASSESSMENT PLAYER
+// ===================================
+
+StudentModule.player = {
+    assessmentId: null,
+    attemptNumber: null,
+    expiresAt: null,
+    clockOffset: 0,
+    timerInterval: null,
+    autoSaveTimeout: null,
+    submitted: false,
+    
+    /**
+     * Initialize the attempt player
+     */
+    init: async function() {
+        const container = document.getElementById('assessmentPlayer');
+        if (!container) return;
+        
+        this.assessmentId = container.dataset.assessmentId;
+        this.attemptNumber = container.dataset.attemptNumber;
+        
+        try {
+            // Opening the page directly starts (or resumes) an attempt
+            if (!this.attemptNumber) {
+                const started = await ST.api.post(`/student/assessments/${this.assessmentId}/attempts`);
+                this.attemptNumber = started.attempt.attempt_number;
+            }
+            
+            const response = await ST.api.get(this.attemptUrl());
+            if (response.success) {
+                this.render(response);
+            }
+        } catch (error) {
+            console.error('Failed to load assessment:', error);
+            this.showOutcome('bi-exclamation-triangle text-danger', 'Unable to open this assessment', error.serverMessage || '');
+        }
+    },
+    
+    attemptUrl: function(suffix = '') {
+        return `/student/assessments/${this.assessmentId}/attempts/${this.attemptNumber}${suffix}`;
+    },
+    
+    /**
+     * Render questions, saved answers and the countdown
+     */
+    render: function(data) {
+        document.getElementById('playerTitle').textContent = data.assessment.title;
+        document.getElementById('playerSubtitle').textContent = `Attempt ${data.attempt.attempt_number}`;
+        
+        if (data.attempt.status !== 'in_progress') {
+            this.showOutcome('bi-check-circle text-success', 'This attempt has been submitted', 'Your result will appear under My Results.');
+            return;
+        }
+        
+        if (data.assessment.instructions) {
+            const instructions = document.getElementById('playerInstructions');
+            instructions.textContent = data.assessment.instructions;
+            instructions.classList.remove('d-none');
+        }
+        
+        const answers = data.attempt.answers || {};
+        document.getElementById('playerQuestions').innerHTML = data.questions.map((question, index) => `
+            <div class="card border-0 shadow-sm mb-3" data-question-id="${question.id}">
+                <div class="card-header d-flex justify-content-between">
+                    <h6 class="mb-0">Question ${index + 1}</h6>
+                    <small class="text-muted">${question.points} point${question.points === 1 ? '' : 's'}</small>
+                </div>
+                <div class="card-body">
+                    <p>${ST.utils.sanitizeHtml(question.text)}</p>
+                    ${this.renderAnswerInput(question, answers[question.id])}
+                </div>
+            </div>
+        `).join('');
+        
+        document.getElementById('playerActions').classList.remove('d-none');
+        
+        const form = document.getElementById('playerForm');
+        form.addEventListener('input', () => this.scheduleAutoSave());
+        form.addEventListener('change', () => this.scheduleAutoSave());
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submit(false);
+        });
+        
+        if (data.attempt.expires_at) {
+            this.expiresAt = new Date(data.attempt.expires_at);
+            this.clockOffset = new Date(data.serverTime) - new Date();
+            this.startTimer();
+        }
+    },
+    
+    renderAnswerInput: function(question, answer) {
+        const name = `answer-${question.id}`;
+        
+        switch (question.type) {
+            case 'multiple_choice':
+                return question.options.map(option => `
+                    <div class="form-check">
+                        <input class="form-check-input" type="radio" name="${name}" id="${name}-${option.index}" value="${option.index}" ${String(answer) === String(option.index) ? 'checked' : ''}>
+                        <label class="form-check-label" for="${name}-${option.index}">${ST.utils.sanitizeHtml(option.text)}</label>
+                    </div>
+                `).join('');
+            case 'true_false':
+                return ['true', 'false'].map(value => `
+                    <div class="form-check form-check-inline">
+                        <input class="form-check-input" type="radio" name="${name}" id="${name}-${value}" value="${value}" ${answer === value ? 'checked' : ''}>
+                        <label class="form-check-label" for="${name}-${value}">${value === 'true' ? 'True' : 'False'}</label>
+                    </div>
+                `).join('');
+            case 'short_answer':
+                return `<input type="text" class="form-control" name="${name}" value="${ST.utils.sanitizeHtml(answer || '')}">`;
+            default:
+                return `<textarea class="form-control" name="${name}" rows="6">${ST.utils.sanitizeHtml(answer || '')}</textarea>`;
+        }
+    },
+    
+    /**
+     * Collect answers keyed by question id
+     */
+    collectAnswers: function() {
+        const answers = {};
+        document.querySelectorAll('#playerQuestions [data-question-id]').forEach(card => {
+            const questionId = card.dataset.questionId;
+            const checked = card.querySelector('input[type="radio"]:checked');
+            const field = card.querySelector('input[type="text"], textarea');
+            
+            if (checked) answers[questionId] = checked.value;
+            else if (field && field.value) answers[questionId] = field.value;
+        });
+        return answers;
+    },
+    
+    scheduleAutoSave: function() {
+        clearTimeout(this.autoSaveTimeout);
+        this.autoSaveTimeout = setTimeout(() => this.saveAnswers(), 2000);
+    },
+    
+    saveAnswers: async function() {
+        if (this.submitted) return;
+        
+        try {
+            await ST.api.put(this.attemptUrl('/answers'), { answers: this.collectAnswers() });
+            document.getElementById('playerSaveStatus').textContent = `Saved ${new Date().toLocaleTimeString()}`;
+        } catch (error) {
+            document.getElementById('playerSaveStatus').textContent = 'Not saved';
+        }
+    },
+    
+    /**
+     * Count down to the deadline and submit automatically when it passes
+     */
+    startTimer: function() {
+        const timer = document.getElementById('playerTimer');
+        timer.classList.remove('d-none');
+        
+        const tick = () => {
+            const remaining = Math.max(0, this.expiresAt - (new Date().getTime() + this.clockOffset));
+            const minutes = Math.floor(remaining / 60000);
+            const seconds = Math.floor((remaining % 60000) / 1000);
+            
+            timer.querySelector('span').textContent = `${minutes}:${String(seconds).padStart(2, '0')}`;
+            timer.className = `badge fs-5 bg-${remaining < 60000 ? 'danger' : remaining < 300000 ? 'warning' : 'primary'}`;
+            
+            if (remaining === 0) {
+                clearInterval(this.timerInterval);
+                this.submit(true);
+            }
+        };
+        
+        tick();
+        this.timerInterval = setInterval(tick, 1000);
+    },
+    
+    /**
+     * Submit the attempt for grading
+     */
+    submit: async function(timeUp) {
+        if (this.submitted) return;
+        
+        if (!timeUp) {
+            const confirmed = await ST.ui.confirm(
+                'Submit your answers? You cannot change them afterwards.',
+                'Submit Assessment'
+            );
+            if (!confirmed) return;
         }
+        
+        this.submitted = true;
+        clearTimeout(this.autoSaveTimeout);
+        clearInterval(this.timerInterval);
+        
+        try {
+            const response = await ST.api.post(this.attemptUrl('/submit'), { answers: this.collectAnswers() });
+            const result = response.result;
+            const detail = result.needs_grading
+                ? 'Some answers need to be marked by your lecturer. Your final score will appear under My Results.'
+                : `You scored ${result.percentage}% (${result.grade}).`;
+            
+            this.showOutcome('bi-check-circle text-success', response.timedOut ? 'Time is up - your answers were submitted' : 'Assessment submitted', detail);
+        } catch (error) {
+            console.error('Failed to submit assessment:', error);
+            this.submitted = false;
+        }
+    },
+    
+    showOutcome: function(icon, heading, detail) {
+        document.getElementById('playerForm').classList.add('d-none');
+        document.getElementById('playerTimer').classList.add('d-none');
+        
+        const outcome = document.getElementById('playerOutcome');
+        outcome.querySelector('.card-body').innerHTML = `
+            <i class="bi ${icon} fs-1"></i>
+            <h4 class="mt-3">${ST.utils.sanitizeHtml(heading)}</h4>
+            <p class="text-muted">${ST.utils.sanitizeHtml(detail)}</p>
+            <a href="/student/results" class="btn btn-primary">View My Results</a>
+        `;
+        outcome.classList.remove('d-none');
     }
 };
 
@@ -1051,33 +1730,73 @@ document.addEventListener('DOMContentLoaded', function() {
     
     if (currentPage.includes('/student/dashboard')) {
         StudentModule.dashboard.init();
+    } else if (/^\/student\/assessments\/[^/]+\/start/.test(currentPage)) {
+        StudentModule.player.init();
     } else if (currentPage.includes('/student/results')) {
         StudentModule.results.loadResults();
         
-        // Setup search functionality
+        // Search and filters are sent together so neither resets the other
         const searchInput = document.getElementById('resultSearch');
+        const filterSelects = document.querySelectorAll('.result-filter');
+        const collectFilters = () => {
+            const filters = {};
+            if (searchInput && searchInput.value) filters.search = searchInput.value;
+            filterSelects.forEach(s => {
+                if (s.value) filters[s.name] = s.value;
+            });
+            return filters;
+        };
+        
+        // Setup search functionality
         if (searchInput) {
             searchInput.addEventListener('input', ST.utils.debounce(function() {
-                StudentModule.results.loadResults({ search: this.value });
+                StudentModule.results.loadResults(collectFilters());
             }, 300));
         }
         
         // Setup filter functionality
-        const filterSelects = document.querySelectorAll('.result-filter');
         filterSelects.forEach(select => {
             select.addEventListener('change', function() {
-                const filters = {};
-                filterSelects.forEach(s => {
-                    if (s.value) filters[s.name] = s.value;
-                });
-                StudentModule.results.loadResults(filters);
+                StudentModule.results.loadResults(collectFilters());
             });
         });
         
+    } else if (currentPage.includes('/student/calendar')) {
+        StudentModule.calendar.init();
     } else if (currentPage.includes('/student/performance')) {
         StudentModule.performance.loadAnalytics();
     } else if (currentPage.includes('/student/courses')) {
-        StudentModule.courses.loadCourses();
+        StudentModule.courses.init();
+        
+        const checkInForm = document.getElementById('checkInForm');
+        if (checkInForm) {
+            checkInForm.addEventListener('submit', async function(e) {
+                e.preventDefault();
+                if (await StudentModule.courses.checkIn(this.code.value)) this.reset();
+            });
+        }
+        
+        const catalogueSearch = document.getElementById('catalogueSearch');
+        const catalogueFilters = document.querySelectorAll('.catalogue-filter');
+        const collectCatalogueFilters = () => {
+            const filters = {};
+            if (catalogueSearch && catalogueSearch.value) filters.search = catalogueSearch.value;
+            catalogueFilters.forEach(input => {
+                if (input.value) filters[input.name] = input.value;
+            });
+            return filters;
+        };
+        
+        if (catalogueSearch) {
+            catalogueSearch.addEventListener('input', ST.utils.debounce(function() {
+                StudentModule.courses.loadCatalogue(collectCatalogueFilters());
+            }, 300));
+        }
+        catalogueFilters.forEach(input => {
+            input.addEventListener('change', function() {
+                StudentModule.courses.loadCatalogue(collectCatalogueFilters());
+            });
+        });
     }
     
     console.log('Student module initialized successfully');
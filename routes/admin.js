@@ -0,0 +1,73 @@
+const express = require('express');
+const { requireAuth, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Role editor; roles and the permission registry are loaded through /api/admin/roles
+router.get('/roles', requireAuth, requirePermission('roles:manage', { global: true }), (req, res) => {
+  res.render('admin/roles', {
+    title: 'Roles & Permissions',
+    user: req.session.user,
+    currentPath: req.originalUrl,
+    currentYear: new Date().getFullYear(),
+    messages: { success: req.flash('success'), error: req.flash('error') }
+  });
+});
+
+// Academic terms and their events, edited through /api/admin/terms
+router.get('/terms', requireAuth, requirePermission('settings:manage', { global: true }), (req, res) => {
+  res.render('admin/terms', {
+    title: 'Academic Terms',
+    user: req.session.user,
+    currentPath: req.originalUrl,
+    currentYear: new Date().getFullYear(),
+    messages: { success: req.flash('success'), error: req.flash('error') }
+  });
+});
+
+// Bulk timetable editor for a term's sessions and the room list; saves through
+// /api/admin/timetable/bulk and /api/admin/rooms
+router.get('/timetable', requireAuth, requirePermission('courses:edit', { global: true }), (req, res) => {
+  res.render('admin/timetable', {
+    title: 'Timetable',
+    user: req.session.user,
+    currentPath: req.originalUrl,
+    currentYear: new Date().getFullYear(),
+    messages: { success: req.flash('success'), error: req.flash('error') }
+  });
+});
+
+// Audit log with the field-level changes behind each data change, from /api/admin/audit-logs
+router.get('/logs', requireAuth, requirePermission('settings:manage', { global: true }), (req, res) => {
+  res.render('admin/logs', {
+    title: 'Audit Log',
+    user: req.session.user,
+    currentPath: req.originalUrl,
+    currentYear: new Date().getFullYear(),
+    messages: { success: req.flash('success'), error: req.flash('error') }
+  });
+});
+
+// Audit log integrity: chain verification and signed checkpoints, from /api/admin/audit-logs/integrity
+router.get('/logs/integrity', requireAuth, requirePermission('settings:manage', { global: true }), (req, res) => {
+  res.render('admin/audit-integrity', {
+    title: 'Audit Log Integrity',
+    user: req.session.user,
+    currentPath: req.originalUrl,
+    currentYear: new Date().getFullYear(),
+    messages: { success: req.flash('success'), error: req.flash('error') }
+  });
+});
+
+// Audit retention settings and the archives written by the retention job
+router.get('/logs/archives', requireAuth, requirePermission('settings:manage', { global: true }), (req, res) => {
+  res.render('admin/audit-archives', {
+    title: 'Audit Archives',
+    user: req.session.user,
+    currentPath: req.originalUrl,
+    currentYear: new Date().getFullYear(),
+    messages: { success: req.flash('success'), error: req.flash('error') }
+  });
+});
+
+module.exports = router;
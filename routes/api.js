@@ -1,11 +1,90 @@
 const express = require('express');
+const multer = require('multer');
 const { dbHelpers } = require('../config/database');
-const { requireAuth, requireRole } = require('../middleware/auth');
+const { requireAuth, requireRole, requirePermission, validateEmail } = require('../middleware/auth');
+const { parseListQuery } = require('../config/pagination');
+const settings = require('../config/settings');
+const { getAttemptPolicy, checkAttemptAllowed, validateAttemptPolicy } = require('../config/attempts');
+const {
+  SUBMIT_GRACE_SECONDS,
+  parseTags,
+  toQuestionRow,
+  validateQuestion,
+  toStudentQuestion,
+  gradeSubmission,
+  getAttemptDeadline,
+  isPastDeadline
+} = require('../config/quiz');
+const { validateLatePolicy, assessLateness, percentageOf, withPenalty, applyLatePenalty } = require('../config/penalties');
+const grading = require('../config/grading');
+const gradebook = require('../config/gradebook');
+const { parseGradebook, planResultImport, summarizePlan } = require('../config/imports');
+const twoFactor = require('../config/twoFactor');
+const {
+  OPEN_STATUSES,
+  requestEnrollment,
+  approveRequest,
+  rejectRequest,
+  dropEnrollment,
+  promoteWaitlist,
+  getCatalogue,
+  getStudentRequests,
+  validateEnrollmentSettings
+} = require('../config/enrollment');
+const permissions = require('../config/permissions');
+const calendar = require('../config/calendar');
+const timetable = require('../config/timetable');
+const attendance = require('../config/attendance');
+const notifications = require('../config/notifications');
+const mailOutbox = require('../config/mailOutbox');
+const realtime = require('../config/realtime');
+const auditChain = require('../config/auditChain');
+const auditExplorer = require('../config/auditExplorer');
+const auditArchive = require('../config/auditArchive');
+const { auditContext, logAuditEvent, logAuditEvents, logExportEvent, getAuditLogs } = require('../middleware/audit');
+const { createRateLimiter } = require('../middleware/rateLimit');
 
 const router = express.Router();
 
+// Changes made through dbHelpers are audited with the user and IP of the request
+router.use(auditContext);
+
+// Wrong check-in codes per student; codes are short and only live for minutes
+const checkInAttempts = createRateLimiter({ windowMs: 15 * 60 * 1000, max: 10 });
+
+// Resources for requirePermission, taken from the route parameters
+const courseParam = (req) => ({ courseId: req.params.courseId });
+const assessmentParam = (req) => ({ assessmentId: req.params.assessmentId });
+
+// Single-row lookups resolve to null, rather than failing, when there is no such row
+const orNotFound = (lookup) => lookup.catch(error => {
+  if (error.code === 'PGRST116') return null;
+  throw error;
+});
+
+const findCourse = (courseId) => orNotFound(dbHelpers.getCourseById(courseId));
+const findQuestion = (questionId) => orNotFound(dbHelpers.getQuestionById(questionId));
+const findAssessment = (assessmentId) => orNotFound(dbHelpers.getAssessmentById(assessmentId));
+const findResult = (resultId) => orNotFound(dbHelpers.getResultById(resultId));
+
+// Fields safe to return in user listings
+const toSafeUser = (user) => ({
+  id: user.id,
+  first_name: user.first_name,
+  last_name: user.last_name,
+  email: user.email,
+  role: user.role,
+  role_name: user.role_name || null,
+  student_id: user.student_id,
+  approval_status: user.approval_status,
+  is_active: user.is_active,
+  two_factor_enabled: Boolean(user.two_factor_enabled),
+  last_login: user.last_login,
+  created_at: user.created_at
+});
+
 // Get user statistics (for admin dashboard)
-router.get('/stats/users', requireAuth, requireRole(['admin']), async (req, res) => {
+router.get('/stats/users', requireAuth, requirePermission('users:view', { global: true }), async (req, res) => {
   try {
     const users = await dbHelpers.getAllUsers();
     const pendingUsers = await dbHelpers.getPendingUsers();
@@ -30,17 +109,18 @@ router.get('/stats/users', requireAuth, requireRole(['admin']), async (req, res)
 });
 
 // Get course statistics
-router.get('/stats/courses', requireAuth, requireRole(['admin', 'lecturer']), async (req, res) => {
+router.get('/stats/courses', requireAuth, requirePermission('courses:view'), async (req, res) => {
   try {
     const userId = req.session.user.id;
-    const userRole = req.session.user.role;
+    const scope = await permissions.scopeOf(req.session.user, 'courses:view');
     
     let courses;
-    if (userRole === 'admin') {
+    if (scope === 'any') {
       courses = await dbHelpers.getAllCourses();
     } else {
+      const taught = await dbHelpers.getTaughtCourseIds(userId);
       courses = await dbHelpers.getAllCourses().then(allCourses => 
-        allCourses.filter(course => course.lecturer_id === userId)
+        allCourses.filter(course => taught.includes(course.id))
       );
     }
 
@@ -58,13 +138,13 @@ router.get('/stats/courses', requireAuth, requireRole(['admin', 'lecturer']), as
 });
 
 // Get assessment statistics
-router.get('/stats/assessments', requireAuth, requireRole(['admin', 'lecturer']), async (req, res) => {
+router.get('/stats/assessments', requireAuth, requirePermission('courses:view'), async (req, res) => {
   try {
     const userId = req.session.user.id;
-    const userRole = req.session.user.role;
+    const scope = await permissions.scopeOf(req.session.user, 'courses:view');
     
     let assessments;
-    if (userRole === 'admin') {
+    if (scope === 'any') {
       // For admin, we'd need a function to get all assessments
       assessments = [];
     } else {
@@ -96,10 +176,9 @@ router.get('/stats/performance/:studentId', requireAuth, async (req, res) => {
   try {
     const { studentId } = req.params;
     const currentUserId = req.session.user.id;
-    const userRole = req.session.user.role;
 
-    // Check permissions
-    if (userRole === 'student' && currentUserId !== studentId) {
+    // Students see their own performance; staff need to be able to view results
+    if (currentUserId !== studentId && !(await permissions.scopeOf(req.session.user, 'results:view'))) {
       return res.status(403).json({ success: false, error: 'Access denied' });
     }
 
@@ -163,6 +242,9 @@ router.get('/stats/performance/:studentId', requireAuth, async (req, res) => {
     // Sort timeline
     performanceData.timeline.sort((a, b) => new Date(a.date) - new Date(b.date));
 
+    // Final course grades and GPA as of the last grade computation
+    performanceData.gpa = gradebook.calculateGpa(await dbHelpers.getStudentTranscript(studentId));
+
     res.json({ success: true, data: performanceData });
   } catch (error) {
     console.error('Performance stats API error:', error);
@@ -171,20 +253,9 @@ router.get('/stats/performance/:studentId', requireAuth, async (req, res) => {
 });
 
 // Get course enrollments
-router.get('/courses/:courseId/enrollments', requireAuth, requireRole(['admin', 'lecturer']), async (req, res) => {
+router.get('/courses/:courseId/enrollments', requireAuth, requirePermission('courses:view', { resource: courseParam }), async (req, res) => {
   try {
     const { courseId } = req.params;
-    const userId = req.session.user.id;
-    const userRole = req.session.user.role;
-
-    // Check course access
-    if (userRole === 'lecturer') {
-      const course = await dbHelpers.getCourseById(courseId);
-      if (!course || course.lecturer_id !== userId) {
-        return res.status(403).json({ success: false, error: 'Access denied' });
-      }
-    }
-
     const enrollments = await dbHelpers.getCourseEnrollments(courseId);
     res.json({ success: true, enrollments });
   } catch (error) {
@@ -193,23 +264,229 @@ router.get('/courses/:courseId/enrollments', requireAuth, requireRole(['admin',
   }
 });
 
-// Get assessment results summary
-router.get('/assessments/:assessmentId/results-summary', requireAuth, requireRole(['admin', 'lecturer']), async (req, res) => {
+// Course staff: co-lecturers, teaching assistants and graders (see STAFF_ROLES)
+router.get('/courses/:courseId/staff', requireAuth, requirePermission('courses:view', { resource: courseParam }), async (req, res) => {
   try {
-    const { assessmentId } = req.params;
-    const userId = req.session.user.id;
-    const userRole = req.session.user.role;
+    const staff = await dbHelpers.getCourseStaff(req.params.courseId);
+    const staffRoles = Object.entries(permissions.STAFF_ROLES).map(([value, { label }]) => ({ value, label }));
+    res.json({ success: true, staff, staffRoles });
+  } catch (error) {
+    console.error('Course staff API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch course staff' });
+  }
+});
+
+// Add someone to the staff, or change their staff role
+router.post('/courses/:courseId/staff', requireAuth, async (req, res) => {
+  try {
+    const course = await findCourse(req.params.courseId);
+    if (!course) {
+      return res.status(404).json({ success: false, message: 'Course not found' });
+    }
+    if (!(await permissions.canManageStaff(req.session.user, course))) {
+      return res.status(403).json({ success: false, error: 'Access denied' });
+    }
+
+    const { user_id: userId, staff_role: staffRole } = req.body;
+    if (!permissions.STAFF_ROLES[staffRole]) {
+      return res.status(400).json({ success: false, message: `Staff role must be one of ${Object.keys(permissions.STAFF_ROLES).join(', ')}` });
+    }
+    const member = userId ? await dbHelpers.getUserById(userId).catch(() => null) : null;
+    if (!member || member.role === 'student' || !member.is_active) {
+      return res.status(400).json({ success: false, message: 'Course staff must be active lecturers or administrators' });
+    }
+    if (member.id === course.lecturer_id) {
+      return res.status(409).json({ success: false, message: 'The course lecturer is always an owner' });
+    }
+
+    const existing = await dbHelpers.getCourseStaffMember(course.id, member.id);
+    const staff = await dbHelpers.addCourseStaff({
+      course_id: course.id,
+      user_id: member.id,
+      staff_role: staffRole,
+      added_by: req.session.user.id
+    });
+    await logAuditEvent(
+      req.session.user.id,
+      existing ? 'COURSE_STAFF_UPDATED' : 'COURSE_STAFF_ADDED',
+      'course_staff',
+      staff.id,
+      existing ? { course_id: course.id, user_id: member.id, staff_role: existing.staff_role } : null,
+      { course_id: course.id, user_id: member.id, staff_role: staffRole },
+      req
+    );
+
+    res.status(existing ? 200 : 201).json({ success: true, staff });
+  } catch (error) {
+    console.error('Add course staff API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update course staff' });
+  }
+});
+
+router.delete('/courses/:courseId/staff/:userId', requireAuth, async (req, res) => {
+  try {
+    const { courseId, userId } = req.params;
+    const course = await findCourse(courseId);
+    if (!course) {
+      return res.status(404).json({ success: false, message: 'Course not found' });
+    }
+    if (!(await permissions.canManageStaff(req.session.user, course))) {
+      return res.status(403).json({ success: false, error: 'Access denied' });
+    }
+    if (userId === course.lecturer_id) {
+      return res.status(409).json({ success: false, message: 'The course lecturer cannot be removed from the staff' });
+    }
+
+    const existing = await dbHelpers.getCourseStaffMember(courseId, userId);
+    if (!existing) {
+      return res.status(404).json({ success: false, message: 'Staff member not found' });
+    }
+
+    await dbHelpers.removeCourseStaff(courseId, userId);
+    await logAuditEvent(req.session.user.id, 'COURSE_STAFF_REMOVED', 'course_staff', existing.id, { course_id: courseId, user_id: userId, staff_role: existing.staff_role }, null, req);
+
+    res.json({ success: true, message: 'Removed from the course staff' });
+  } catch (error) {
+    console.error('Remove course staff API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update course staff' });
+  }
+});
+
+// Enrollment requests waiting for approval or a seat, longest waiting first
+router.get('/courses/:courseId/enrollment-requests', requireAuth, requirePermission('courses:view', { resource: courseParam }), async (req, res) => {
+  try {
+    const requests = await dbHelpers.getEnrollmentRequests(req.params.courseId);
+    res.json({ success: true, requests });
+  } catch (error) {
+    console.error('Enrollment requests API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch enrollment requests' });
+  }
+});
+
+// Approve or reject a pending request, or drop a student from the course
+const ENROLLMENT_DECISIONS = {
+  approve: { from: ['pending'], action: 'ENROLLMENT_APPROVED' },
+  reject: { from: ['pending', 'waitlisted'], action: 'ENROLLMENT_REJECTED' },
+  drop: { from: ['active', 'waitlisted'], action: 'ENROLLMENT_DROPPED' }
+};
+
+router.post('/courses/:courseId/enrollments/:enrollmentId/:decision', requireAuth, requirePermission('courses:edit', { resource: courseParam }), async (req, res) => {
+  try {
+    const { courseId, enrollmentId, decision } = req.params;
+    const rule = ENROLLMENT_DECISIONS[decision];
+    if (!rule) {
+      return res.status(404).json({ success: false, message: 'Unknown enrollment decision' });
+    }
+
+    const [course, enrollment] = await Promise.all([findCourse(courseId), dbHelpers.getEnrollmentById(enrollmentId)]);
+    if (!course || !enrollment || enrollment.course_id !== courseId) {
+      return res.status(404).json({ success: false, message: 'Enrollment not found' });
+    }
+    if (!rule.from.includes(enrollment.status)) {
+      return res.status(409).json({ success: false, message: `Cannot ${decision} an enrollment that is ${enrollment.status}` });
+    }
+
+    let updated;
+    let promoted = [];
+    if (decision === 'approve') {
+      updated = await approveRequest(course, enrollment, req.session.user.id);
+    } else if (decision === 'reject') {
+      updated = await rejectRequest(enrollment, req.session.user.id, req.body.note || null);
+    } else {
+      ({ enrollment: updated, promoted } = await dropEnrollment(course, enrollment));
+    }
+
+    await logAuditEvent(req.session.user.id, rule.action, 'enrollments', enrollment.id, { status: enrollment.status }, { status: updated.status, promoted: promoted.map(entry => entry.student_id) }, req);
+
+    res.json({ success: true, enrollment: updated, promoted });
+  } catch (error) {
+    console.error('Enrollment decision API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update enrollment' });
+  }
+});
+
+// Capacity, enrollment window, approval and prerequisites of a course
+router.get('/courses/:courseId/enrollment-settings', requireAuth, requirePermission('courses:view', { resource: courseParam }), async (req, res) => {
+  try {
+    const course = await findCourse(req.params.courseId);
+    if (!course) {
+      return res.status(404).json({ success: false, message: 'Course not found' });
+    }
+
+    const prerequisites = await dbHelpers.getCoursePrerequisites([course.id]);
+    res.json({
+      success: true,
+      settings: {
+        capacity: course.capacity,
+        enrollment_opens_at: course.enrollment_opens_at,
+        enrollment_closes_at: course.enrollment_closes_at,
+        requires_approval: course.requires_approval,
+        prerequisites: prerequisites.map(link => link.prerequisite).filter(Boolean)
+      },
+      seatsTaken: await dbHelpers.countActiveEnrollments(course.id)
+    });
+  } catch (error) {
+    console.error('Enrollment settings API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch enrollment settings' });
+  }
+});
+
+router.put('/courses/:courseId/enrollment-settings', requireAuth, requirePermission('courses:edit', { resource: courseParam }), async (req, res) => {
+  try {
+    const course = await findCourse(req.params.courseId);
+    if (!course) {
+      return res.status(404).json({ success: false, message: 'Course not found' });
+    }
 
-    // Check assessment access
-    if (userRole === 'lecturer') {
-      const assessment = await dbHelpers.getAssessmentById(assessmentId);
-      if (!assessment || assessment.lecturer_id !== userId) {
-        return res.status(403).json({ success: false, error: 'Access denied' });
+    const validation = validateEnrollmentSettings(course.id, req.body);
+    if (!validation.isValid) {
+      return res.status(400).json({ success: false, message: validation.errors.join(', '), errors: validation.errors });
+    }
+    if (validation.prerequisiteIds && validation.prerequisiteIds.length > 0) {
+      const found = await dbHelpers.getCoursesByIds(validation.prerequisiteIds);
+      if (found.length !== validation.prerequisiteIds.length) {
+        return res.status(400).json({ success: false, message: 'Unknown prerequisite course', errors: ['Unknown prerequisite course'] });
       }
     }
 
+    const updated = Object.keys(validation.values).length > 0
+      ? await dbHelpers.updateCourse(course.id, validation.values)
+      : course;
+    if (validation.prerequisiteIds) {
+      await dbHelpers.setCoursePrerequisites(course.id, validation.prerequisiteIds);
+    }
+    // Extra seats go to the waitlist straight away
+    const promoted = await promoteWaitlist(updated);
+
+    await logAuditEvent(
+      req.session.user.id,
+      'COURSE_ENROLLMENT_SETTINGS_UPDATED',
+      'courses',
+      course.id,
+      {
+        capacity: course.capacity,
+        enrollment_opens_at: course.enrollment_opens_at,
+        enrollment_closes_at: course.enrollment_closes_at,
+        requires_approval: course.requires_approval
+      },
+      { ...validation.values, prerequisite_ids: validation.prerequisiteIds },
+      req
+    );
+
+    res.json({ success: true, course: updated, promoted });
+  } catch (error) {
+    console.error('Update enrollment settings API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update enrollment settings' });
+  }
+});
+
+// Get assessment results summary
+router.get('/assessments/:assessmentId/results-summary', requireAuth, requirePermission('results:view', { resource: assessmentParam }), async (req, res) => {
+  try {
+    const { assessmentId } = req.params;
     const results = await dbHelpers.getResultsByAssessment(assessmentId);
     const assessment = await dbHelpers.getAssessmentById(assessmentId);
+    const scheme = await grading.getSchemeForCourse(assessment.course_id);
 
     const summary = {
       totalSubmissions: results.length,
@@ -219,13 +496,8 @@ router.get('/assessments/:assessmentId/results-summary', requireAuth, requireRol
       lowestScore: results.length > 0 ? Math.min(...results.map(r => parseFloat(r.percentage || 0))).toFixed(2) : 0,
       passRate: results.length > 0 ? 
         ((results.filter(r => parseFloat(r.percentage || 0) >= assessment.passing_marks).length / results.length) * 100).toFixed(2) : 0,
-      gradeDistribution: {
-        A: results.filter(r => parseFloat(r.percentage || 0) >= 90).length,
-        B: results.filter(r => parseFloat(r.percentage || 0) >= 80 && parseFloat(r.percentage || 0) < 90).length,
-        C: results.filter(r => parseFloat(r.percentage || 0) >= 70 && parseFloat(r.percentage || 0) < 80).length,
-        D: results.filter(r => parseFloat(r.percentage || 0) >= 60 && parseFloat(r.percentage || 0) < 70).length,
-        F: results.filter(r => parseFloat(r.percentage || 0) < 60).length
-      }
+      gradeDistribution: grading.gradeDistribution(results.map(r => r.percentage), scheme),
+      gradingScheme: { id: scheme.id, name: scheme.name, passPercentage: scheme.pass_percentage }
     };
 
     res.json({ success: true, summary });
@@ -236,7 +508,7 @@ router.get('/assessments/:assessmentId/results-summary', requireAuth, requireRol
 });
 
 // Search users (for admin)
-router.get('/search/users', requireAuth, requireRole(['admin']), async (req, res) => {
+router.get('/search/users', requireAuth, requirePermission('users:view', { global: true }), async (req, res) => {
   try {
     const { q, role, status } = req.query;
     
@@ -244,43 +516,14 @@ router.get('/search/users', requireAuth, requireRole(['admin']), async (req, res
       return res.json({ success: true, users: [] });
     }
 
-    let users = await dbHelpers.getAllUsers();
-
-    // Apply search filter
-    const searchLower = q.toLowerCase();
-    users = users.filter(user => 
-      user.first_name.toLowerCase().includes(searchLower) ||
-      user.last_name.toLowerCase().includes(searchLower) ||
-      user.email.toLowerCase().includes(searchLower) ||
-      (user.student_id && user.student_id.toLowerCase().includes(searchLower))
-    );
-
-    // Apply additional filters
-    if (role && role !== 'all') {
-      users = users.filter(user => user.role === role);
-    }
-
-    if (status && status !== 'all') {
-      users = users.filter(user => user.approval_status === status);
-    }
-
-    // Limit results
-    users = users.slice(0, 20);
+    const { data: users } = await dbHelpers.getAllUsers({
+      search: q,
+      filters: { role, approval_status: status },
+      limit: 20
+    });
 
     // Remove sensitive data
-    const safeUsers = users.map(user => ({
-      id: user.id,
-      first_name: user.first_name,
-      last_name: user.last_name,
-      email: user.email,
-      role: user.role,
-      student_id: user.student_id,
-      approval_status: user.approval_status,
-      is_active: user.is_active,
-      created_at: user.created_at
-    }));
-
-    res.json({ success: true, users: safeUsers });
+    res.json({ success: true, users: users.map(toSafeUser) });
   } catch (error) {
     console.error('Search users API error:', error);
     res.status(500).json({ success: false, error: 'Failed to search users' });
@@ -299,7 +542,7 @@ router.get('/health', (req, res) => {
 });
 
 // Validate student ID availability
-router.post('/validate/student-id', requireAuth, requireRole(['admin']), async (req, res) => {
+router.post('/validate/student-id', requireAuth, requirePermission('users:view', { global: true }), async (req, res) => {
   try {
     const { studentId } = req.body;
     
@@ -344,18 +587,24 @@ router.post('/validate/email', async (req, res) => {
   }
 });
 
-// Get dashboard notifications
+// Event stream for the signed-in user: new notifications, pending-approval counts and
+// published results (see config/realtime.js)
+router.get('/events', requireAuth, (req, res) => {
+  realtime.subscribe(req.session.user, req, res);
+});
+
+// Get dashboard notifications: live summaries first, then unread stored notifications
 router.get('/notifications', requireAuth, async (req, res) => {
   try {
     const userId = req.session.user.id;
     const userRole = req.session.user.role;
-    const notifications = [];
+    const list = [];
 
-    if (userRole === 'admin') {
-      // Admin notifications
+    if (await permissions.can(req.session.user, 'users:approve')) {
+      // Registration approvals
       const pendingUsers = await dbHelpers.getPendingUsers();
       if (pendingUsers.length > 0) {
-        notifications.push({
+        list.push({
           type: 'info',
           title: 'Pending Approvals',
           message: `${pendingUsers.length} user(s) waiting for approval`,
@@ -369,7 +618,7 @@ router.get('/notifications', requireAuth, async (req, res) => {
       const draftAssessments = assessments.filter(a => !a.is_published);
       
       if (draftAssessments.length > 0) {
-        notifications.push({
+        list.push({
           type: 'warning',
           title: 'Draft Assessments',
           message: `${draftAssessments.length} assessment(s) not yet published`,
@@ -377,89 +626,2632 @@ router.get('/notifications', requireAuth, async (req, res) => {
           count: draftAssessments.length
         });
       }
-    } else if (userRole === 'student') {
-      // Student notifications
-      const results = await dbHelpers.getResultsByStudent(userId);
-      const recentResults = results.filter(r => {
-        const resultDate = new Date(r.created_at);
-        const weekAgo = new Date();
-        weekAgo.setDate(weekAgo.getDate() - 7);
-        return resultDate > weekAgo;
-      });
 
-      if (recentResults.length > 0) {
-        notifications.push({
-          type: 'success',
-          title: 'New Results',
-          message: `${recentResults.length} new result(s) available`,
-          link: '/student/results',
-          count: recentResults.length
-        });
-      }
+      list.push(...await attendance.thresholdNotifications(req.session.user));
+    } else if (userRole === 'student') {
+      // New marks arrive as stored result_published notifications
+      list.push(...await attendance.thresholdNotifications(req.session.user));
     }
 
-    res.json({ success: true, notifications });
+    list.push(...await notifications.unreadFor(userId));
+
+    res.json({ success: true, notifications: list });
   } catch (error) {
     console.error('Notifications API error:', error);
     res.status(500).json({ success: false, error: 'Failed to fetch notifications' });
   }
 });
 
-module.exports = router;
+router.post('/notifications/clear', requireAuth, async (req, res) => {
+  try {
+    const cleared = await dbHelpers.markAllNotificationsAsRead(req.session.user.id);
+    res.json({ success: true, message: `Marked ${cleared.length} notification(s) as read` });
+  } catch (error) {
+    console.error('Clear notifications API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to clear notifications' });
+  }
+});
+
+// Which events the signed-in user is notified about
+router.get('/notifications/preferences', requireAuth, async (req, res) => {
+  try {
+    res.json({ success: true, preferences: await notifications.preferencesFor(req.session.user) });
+  } catch (error) {
+    console.error('Notification preferences API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch notification preferences' });
+  }
+});
 
+router.put('/notifications/preferences', requireAuth, async (req, res) => {
+  try {
+    const { isValid, errors, values } = notifications.validatePreferences(req.session.user, req.body.preferences);
+    if (!isValid) {
+      return res.status(400).json({ success: false, message: errors.join(', '), errors });
+    }
+
+    await dbHelpers.saveNotificationPreferences(values);
+    res.json({ success: true, message: 'Notification preferences saved', preferences: await notifications.preferencesFor(req.session.user) });
+  } catch (error) {
+    console.error('Update notification preferences API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to save notification preferences' });
+  }
+});
+
+router.post('/notifications/:notificationId/read', requireAuth, async (req, res) => {
+  try {
+    const notification = await dbHelpers.markNotificationAsRead(req.session.user.id, req.params.notificationId).catch(error => {
+      if (error.code === 'PGRST116') return null;
+      throw error;
+    });
+    if (!notification) {
+      return res.status(404).json({ success: false, message: 'Notification not found' });
+    }
+
+    res.json({ success: true, notification });
+  } catch (error) {
+    console.error('Read notification API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to mark notification as read' });
+  }
+});
+
+// List users (admin users table) - supports filters, search, sort and paging
+router.get('/admin/users', requireAuth, requirePermission('users:view', { global: true }), async (req, res) => {
+  try {
+    const { data, pagination } = await dbHelpers.getAllUsers(parseListQuery(req.query));
+    res.json({ success: true, users: data.map(toSafeUser), pagination });
+  } catch (error) {
+    console.error('List users API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch users' });
+  }
+});
+
+// Approve or reject a pending registration; the user is told in-app and by email
+router.post('/admin/users/:userId/approve', requireAuth, requirePermission('users:approve', { global: true }), async (req, res) => {
+  try {
+    const user = await dbHelpers.getUserById(req.params.userId).catch(error => {
+      if (error.code === 'PGRST116') return null;
+      throw error;
+    });
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    if (user.approval_status === 'approved') {
+      return res.status(409).json({ success: false, message: 'This user is already approved' });
+    }
+
+    const updated = await dbHelpers.approveUser(user.id, req.session.user.id);
+    await logAuditEvent(req.session.user.id, 'USER_APPROVED', 'users', user.id, { approval_status: user.approval_status }, { approval_status: 'approved' }, req);
+    await notifications.publish('user_approved', { user: updated });
+    await realtime.pushPendingApprovals();
+
+    res.json({ success: true, message: `${user.first_name} ${user.last_name} approved`, user: toSafeUser(updated) });
+  } catch (error) {
+    console.error('Approve user API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to approve user' });
+  }
+});
+
+router.post('/admin/users/:userId/reject', requireAuth, requirePermission('users:approve', { global: true }), async (req, res) => {
+  try {
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    if (!reason) {
+      return res.status(400).json({ success: false, message: 'A reason is required to reject a registration' });
+    }
+
+    const user = await dbHelpers.getUserById(req.params.userId).catch(error => {
+      if (error.code === 'PGRST116') return null;
+      throw error;
+    });
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    if (user.approval_status !== 'pending') {
+      return res.status(409).json({ success: false, message: `This user is already ${user.approval_status}` });
+    }
+
+    const updated = await dbHelpers.rejectUser(user.id, reason, req.session.user.id);
+    await logAuditEvent(req.session.user.id, 'USER_REJECTED', 'users', user.id, { approval_status: user.approval_status }, { approval_status: 'rejected', rejection_reason: reason }, req);
+    await mailOutbox.queueMail('account_rejected', user.email, { user, reason });
+    await realtime.pushPendingApprovals();
+
+    res.json({ success: true, message: `${user.first_name} ${user.last_name} rejected`, user: toSafeUser(updated) });
+  } catch (error) {
+    console.error('Reject user API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to reject user' });
+  }
+});
+
+// List courses (admin courses table)
+router.get('/admin/courses', requireAuth, requirePermission('courses:view', { global: true }), async (req, res) => {
+  try {
+    const { data, pagination } = await dbHelpers.getAllCourses(parseListQuery(req.query));
+    res.json({ success: true, courses: data, pagination });
+  } catch (error) {
+    console.error('List courses API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch courses' });
+  }
+});
+
+// List the assessments of the courses the current user teaches
+router.get('/lecturer/assessments', requireAuth, requirePermission('courses:view'), async (req, res) => {
+  try {
+    const { data, pagination } = await dbHelpers.getAssessmentsByLecturer(req.session.user.id, parseListQuery(req.query));
+    res.json({ success: true, assessments: data, pagination });
+  } catch (error) {
+    console.error('List assessments API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch assessments' });
+  }
+});
+
+// List results for one of the lecturer's assessments
+router.get('/lecturer/assessments/:assessmentId/results', requireAuth, requirePermission('results:view', { resource: assessmentParam }), async (req, res) => {
+  try {
+    const { assessmentId } = req.params;
+    const { data, pagination } = await dbHelpers.getResultsByAssessment(assessmentId, parseListQuery(req.query));
+    res.json({ success: true, results: data, pagination });
+  } catch (error) {
+    console.error('List assessment results API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch results' });
+  }
+});
+
+// List the current student's results
+router.get('/student/results', requireAuth, requirePermission('assessments:attempt'), async (req, res) => {
+  try {
+    const { data, pagination } = await dbHelpers.getResultsByStudent(req.session.user.id, parseListQuery(req.query));
+    res.json({ success: true, results: data, pagination });
+  } catch (error) {
+    console.error('List student results API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch results' });
+  }
+});
+
+// The current student's active courses
+router.get('/student/courses', requireAuth, requirePermission('assessments:attempt'), async (req, res) => {
+  try {
+    const enrollments = await dbHelpers.getStudentEnrollments(req.session.user.id);
+    const courses = enrollments
+      .filter(enrollment => enrollment.course)
+      .map(enrollment => ({ ...enrollment.course, lecturer: enrollment.course.lecturer || null, enrollment_date: enrollment.enrollment_date }));
+    res.json({ success: true, courses });
+  } catch (error) {
+    console.error('Student courses API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch courses' });
+  }
+});
+
+// Courses open to requests, with seats left and the student's own standing in each
+router.get('/student/catalogue', requireAuth, requirePermission('assessments:attempt'), async (req, res) => {
+  try {
+    const { data, pagination } = await getCatalogue(req.session.user.id, parseListQuery(req.query));
+    res.json({ success: true, courses: data, pagination });
+  } catch (error) {
+    console.error('Course catalogue API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch the course catalogue' });
+  }
+});
 
+router.get('/student/enrollments', requireAuth, requirePermission('assessments:attempt'), async (req, res) => {
+  try {
+    const enrollments = await getStudentRequests(req.session.user.id);
+    res.json({ success: true, enrollments });
+  } catch (error) {
+    console.error('Student enrollments API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch enrollments' });
+  }
+});
 
-// Admin Settings API
-router.get("/admin/settings", requireAuth, requireRole(["admin"]), async (req, res) => {
+router.post('/student/courses/:courseId/enroll', requireAuth, requirePermission('assessments:attempt'), async (req, res) => {
   try {
-    // In a real application, you would fetch these from a database or config file
-    // For now, we'll use dummy data or environment variables
-    const settings = {
-      appName: process.env.APP_NAME || "Student Assessment Tracker",
-      registrationOpen: process.env.REGISTRATION_OPEN === "true",
-      smtpHost: process.env.SMTP_HOST || "",
-      smtpPort: process.env.SMTP_PORT || "",
-      smtpUser: process.env.SMTP_USER || "",
-      smtpPass: process.env.SMTP_PASS || "",
+    const course = await findCourse(req.params.courseId);
+    if (!course) {
+      return res.status(404).json({ success: false, message: 'Course not found' });
+    }
+
+    const outcome = await requestEnrollment(req.session.user.id, course);
+    if (!outcome.allowed) {
+      return res.status(409).json({ success: false, message: outcome.reason, missing: outcome.missing });
+    }
+
+    const messages = {
+      active: `You are enrolled in ${course.code}`,
+      pending: `Your request for ${course.code} is waiting for approval`,
+      waitlisted: `${course.code} is full; you have been added to the waitlist`
     };
-    res.json({ success: true, settings });
+    res.status(201).json({ success: true, enrollment: outcome.enrollment, message: messages[outcome.enrollment.status] });
   } catch (error) {
-    console.error("Error fetching admin settings:", error);
-    res.status(500).json({ success: false, message: "Failed to fetch settings" });
+    console.error('Enrollment request API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to request enrollment' });
   }
 });
 
-router.post("/admin/settings/general", requireAuth, requireRole(["admin"]), async (req, res) => {
+// Leave a course, or withdraw a pending or waitlisted request
+router.post('/student/courses/:courseId/drop', requireAuth, requirePermission('assessments:attempt'), async (req, res) => {
   try {
-    const { appName, registrationOpen } = req.body;
-    // In a real application, you would save these to a database or update environment variables
-    // For demonstration, we'll just log them
-    console.log("Updating general settings:", { appName, registrationOpen });
-    // Update environment variables (this is not persistent across restarts without a proper config management system)
-    process.env.APP_NAME = appName;
-    process.env.REGISTRATION_OPEN = registrationOpen ? "true" : "false";
-    res.json({ success: true, message: "General settings updated" });
+    const [course, enrollment] = await Promise.all([
+      findCourse(req.params.courseId),
+      dbHelpers.getEnrollment(req.session.user.id, req.params.courseId)
+    ]);
+    if (!course || !enrollment || !OPEN_STATUSES.includes(enrollment.status)) {
+      return res.status(404).json({ success: false, message: 'Enrollment not found' });
+    }
+
+    const dropped = await dropEnrollment(course, enrollment);
+    await logAuditEvent(req.session.user.id, 'ENROLLMENT_DROPPED', 'enrollments', enrollment.id, { status: enrollment.status }, { status: 'dropped', promoted: dropped.promoted.map(entry => entry.student_id) }, req);
+
+    res.json({ success: true, enrollment: dropped.enrollment, message: `You have left ${course.code}` });
   } catch (error) {
-    console.error("Error updating general settings:", error);
-    res.status(500).json({ success: false, message: "Failed to update general settings" });
+    console.error('Drop course API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to drop the course' });
   }
 });
 
-router.post("/admin/settings/email", requireAuth, requireRole(["admin"]), async (req, res) => {
+// Late work is only accepted when both the assessment and the allow_late_submissions setting allow it
+const withGlobalLatePolicy = async (assessment) => ({
+  ...assessment,
+  allow_late_submission: Boolean(assessment.allow_late_submission) && await settings.get('allow_late_submissions')
+});
+
+// Load an assessment a student may attempt (published, in one of their active courses)
+const getAttemptableAssessment = async (studentId, assessmentId) => {
+  const assessment = await findAssessment(assessmentId);
+  if (!assessment || !assessment.is_published) {
+    return null;
+  }
+
+  const enrollments = await dbHelpers.getStudentEnrollments(studentId);
+  return enrollments.some(enrollment => enrollment.course_id === assessment.course_id)
+    ? withGlobalLatePolicy(assessment)
+    : null;
+};
+
+// Attempt history and whether another attempt can be started
+router.get('/student/assessments/:assessmentId/attempts', requireAuth, requirePermission('assessments:attempt'), async (req, res) => {
   try {
-    const { smtpHost, smtpPort, smtpUser, smtpPass } = req.body;
-    // In a real application, you would save these to a database or update environment variables
-    console.log("Updating email settings:", { smtpHost, smtpPort, smtpUser: smtpUser ? "*****" : "", smtpPass: smtpPass ? "*****" : "" });
-    // Update environment variables
-    process.env.SMTP_HOST = smtpHost;
-    process.env.SMTP_PORT = smtpPort;
-    process.env.SMTP_USER = smtpUser;
-    process.env.SMTP_PASS = smtpPass;
-    res.json({ success: true, message: "Email settings updated" });
+    const studentId = req.session.user.id;
+    const assessment = await getAttemptableAssessment(studentId, req.params.assessmentId);
+    if (!assessment) {
+      return res.status(404).json({ success: false, error: 'Assessment not found' });
+    }
+
+    const attempts = await dbHelpers.getAttempts(studentId, assessment.id);
+    const { allowed, reason, availableAt, policy } = checkAttemptAllowed(assessment, attempts);
+
+    res.json({ success: true, attempts, policy, canStart: allowed, reason, availableAt });
+  } catch (error) {
+    console.error('List attempts API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch attempts' });
+  }
+});
+
+// Start an attempt (or resume the one in progress) under the assessment's attempt policy
+router.post('/student/assessments/:assessmentId/attempts', requireAuth, requirePermission('assessments:attempt'), async (req, res) => {
+  try {
+    const studentId = req.session.user.id;
+    const assessment = await getAttemptableAssessment(studentId, req.params.assessmentId);
+    if (!assessment) {
+      return res.status(404).json({ success: false, error: 'Assessment not found' });
+    }
+
+    let attempts = await dbHelpers.getAttempts(studentId, assessment.id);
+    let decision = checkAttemptAllowed(assessment, attempts);
+
+    // An attempt left open past its deadline is graded before deciding on a new one
+    if (decision.resume && isPastDeadline(decision.resume, new Date(), SUBMIT_GRACE_SECONDS)) {
+      await finalizeAttempt(assessment, decision.resume, decision.resume.answers || {});
+      attempts = await dbHelpers.getAttempts(studentId, assessment.id);
+      decision = checkAttemptAllowed(assessment, attempts);
+    }
+
+    if (decision.resume) {
+      return res.json({ success: true, attempt: decision.resume, resumed: true });
+    }
+
+    const lateness = assessLateness(assessment);
+    if (lateness.isLate && !lateness.allowed) {
+      return res.status(409).json({ success: false, message: 'The due date has passed and late submissions are not accepted' });
+    }
+
+    if (!decision.allowed) {
+      return res.status(409).json({ success: false, message: decision.reason, availableAt: decision.availableAt });
+    }
+
+    const startedAt = new Date();
+    const deadline = getAttemptDeadline(assessment, startedAt);
+    const attempt = await dbHelpers.createAttempt({
+      assessment_id: assessment.id,
+      student_id: studentId,
+      attempt_number: decision.attemptNumber,
+      started_at: startedAt.toISOString(),
+      expires_at: deadline ? deadline.toISOString() : null
+    });
+
+    res.status(201).json({ success: true, attempt, attemptsRemaining: decision.attemptsRemaining });
   } catch (error) {
-    console.error("Error updating email settings:", error);
-    res.status(500).json({ success: false, message: "Failed to update email settings" });
+    // Two concurrent starts race for the same attempt number
+    if (error.code === '23505') {
+      return res.status(409).json({ success: false, message: 'An attempt was already started, please try again' });
+    }
+    console.error('Start attempt API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to start assessment' });
+  }
+});
+
+// ===================================
+// QUESTION BANK
+// ===================================
+
+router.get('/courses/:courseId/questions', requireAuth, requirePermission('questions:manage', { resource: courseParam }), async (req, res) => {
+  try {
+    const { courseId } = req.params;
+
+    const { tags, ...query } = req.query;
+    const { data, pagination } = await dbHelpers.getCourseQuestions(courseId, parseListQuery(query), { tags: parseTags(tags) });
+    res.json({ success: true, questions: data, pagination });
+  } catch (error) {
+    console.error('List questions API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch questions' });
   }
 });
 
+router.post('/courses/:courseId/questions', requireAuth, requirePermission('questions:manage', { resource: courseParam }), async (req, res) => {
+  try {
+    const { courseId } = req.params;
+
+    const row = toQuestionRow(req.body);
+    const { isValid, errors } = validateQuestion(row);
+    if (!isValid) {
+      return res.status(400).json({ success: false, message: errors.join(', '), errors });
+    }
 
+    const question = await dbHelpers.createQuestion({ ...row, course_id: courseId, created_by: req.session.user.id });
+    res.status(201).json({ success: true, question });
+  } catch (error) {
+    console.error('Create question API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to create question' });
+  }
+});
+
+router.put('/questions/:questionId', requireAuth, requirePermission('questions:manage'), async (req, res) => {
+  try {
+    const existing = await findQuestion(req.params.questionId);
+    if (!existing) {
+      return res.status(404).json({ success: false, message: 'Question not found' });
+    }
+    if (!(await permissions.can(req.session.user, 'questions:manage', { courseId: existing.course_id }))) {
+      return res.status(403).json({ success: false, error: 'Access denied' });
+    }
+
+    const row = toQuestionRow({ ...existing, ...req.body });
+    const { isValid, errors } = validateQuestion(row);
+    if (!isValid) {
+      return res.status(400).json({ success: false, message: errors.join(', '), errors });
+    }
+
+    const question = await dbHelpers.updateQuestion(existing.id, row);
+    res.json({ success: true, question });
+  } catch (error) {
+    console.error('Update question API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update question' });
+  }
+});
+
+// Questions are retired rather than deleted so past attempts can still be reviewed
+router.delete('/questions/:questionId', requireAuth, requirePermission('questions:manage'), async (req, res) => {
+  try {
+    const existing = await findQuestion(req.params.questionId);
+    if (!existing) {
+      return res.status(404).json({ success: false, message: 'Question not found' });
+    }
+    if (!(await permissions.can(req.session.user, 'questions:manage', { courseId: existing.course_id }))) {
+      return res.status(403).json({ success: false, error: 'Access denied' });
+    }
+
+    await dbHelpers.updateQuestion(existing.id, { is_active: false });
+    res.json({ success: true, message: 'Question removed from the bank' });
+  } catch (error) {
+    console.error('Delete question API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete question' });
+  }
+});
+
+// ===================================
+// ASSESSMENT AUTHORING
+// ===================================
+
+const ASSESSMENT_TYPES = ['CA', 'assignment', 'exam', 'project', 'presentation', 'quiz', 'homework'];
+
+// Map the lecturer assessment form onto assessments columns
+const toAssessmentRow = (body) => ({
+  title: typeof body.title === 'string' ? body.title.trim() : body.title,
+  description: body.description || null,
+  course_id: body.course_id,
+  type: body.type,
+  due_date: body.due_date ? new Date(body.due_date).toISOString() : null,
+  duration_minutes: parseInt(body.duration, 10) || null,
+  is_published: body.status === 'published',
+  passing_marks: body.passing_score !== undefined && body.passing_score !== '' ? parseInt(body.passing_score, 10) : 40,
+  max_attempts: parseInt(body.max_attempts, 10) || 1,
+  attempt_cooldown_minutes: parseInt(body.attempt_cooldown_minutes, 10) || 0,
+  scoring_rule: body.scoring_rule || 'highest',
+  allow_late_submission: body.allow_late_submission === true || body.allow_late_submission === 'on' || body.allow_late_submission === 'true',
+  late_penalty_scheme: body.late_penalty_scheme || 'flat',
+  late_penalty_percent: parseFloat(body.late_penalty_percent) || 0,
+  late_penalty_cap_percent: body.late_penalty_cap_percent !== undefined && body.late_penalty_cap_percent !== ''
+    ? parseFloat(body.late_penalty_cap_percent)
+    : null,
+  late_grace_minutes: parseInt(body.late_grace_minutes, 10) || 0
+});
+
+const validateAssessmentForm = (row, questions) => {
+  const errors = [];
+
+  if (!row.title) errors.push('Title is required');
+  if (!row.course_id) errors.push('Course is required');
+  if (!ASSESSMENT_TYPES.includes(row.type)) errors.push('Select a valid assessment type');
+  errors.push(...validateAttemptPolicy(row).errors);
+  errors.push(...validateLatePolicy(row).errors);
+
+  questions.forEach((question, index) => {
+    validateQuestion(question).errors.forEach(error => errors.push(`Question ${index + 1}: ${error}`));
+  });
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+};
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Save the form's questions into the course bank and attach them to the assessment.
+// Questions whose id is already in the course bank are updated, the rest are created.
+const saveAssessmentQuestions = async (assessment, questions, userId) => {
+  const links = [];
+
+  for (const input of questions) {
+    const row = toQuestionRow(input);
+    const existingId = input.question_id || input.id;
+    let question = null;
+
+    if (existingId && UUID_PATTERN.test(existingId)) {
+      const existing = await dbHelpers.getQuestionById(existingId).catch(() => null);
+      if (existing && existing.course_id === assessment.course_id) {
+        question = await dbHelpers.updateQuestion(existing.id, row);
+      }
+    }
+
+    if (!question) {
+      question = await dbHelpers.createQuestion({ ...row, course_id: assessment.course_id, created_by: userId });
+    }
+
+    links.push({ question_id: question.id, points: row.points });
+  }
+
+  await dbHelpers.setAssessmentQuestions(assessment.id, links);
+};
+
+router.post('/lecturer/assessments', requireAuth, requirePermission('assessments:edit'), async (req, res) => {
+  try {
+    const row = toAssessmentRow(req.body);
+    const questions = (req.body.questions || []).map(toQuestionRow);
+    const { isValid, errors } = validateAssessmentForm(row, questions);
+    if (!isValid) {
+      return res.status(400).json({ success: false, message: errors.join(', '), errors });
+    }
+
+    if (!(await permissions.can(req.session.user, 'assessments:edit', { courseId: row.course_id }))) {
+      return res.status(403).json({ success: false, error: 'Access denied' });
+    }
+
+    const assessment = await dbHelpers.createAssessment({ ...row, lecturer_id: req.session.user.id });
+    await saveAssessmentQuestions(assessment, req.body.questions || [], req.session.user.id);
+
+    res.status(201).json({ success: true, assessment });
+  } catch (error) {
+    console.error('Create assessment API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to create assessment' });
+  }
+});
+
+router.put('/lecturer/assessments/:assessmentId', requireAuth, requirePermission('assessments:edit'), async (req, res) => {
+  try {
+    const existing = await findAssessment(req.params.assessmentId);
+    if (!existing) {
+      return res.status(404).json({ success: false, message: 'Assessment not found' });
+    }
+    if (!(await permissions.can(req.session.user, 'assessments:edit', { assessment: existing }))) {
+      return res.status(403).json({ success: false, error: 'Access denied' });
+    }
+
+    const row = toAssessmentRow(req.body);
+    const questions = (req.body.questions || []).map(toQuestionRow);
+    const { isValid, errors } = validateAssessmentForm(row, questions);
+    if (!isValid) {
+      return res.status(400).json({ success: false, message: errors.join(', '), errors });
+    }
+
+    if (row.course_id !== existing.course_id && !(await permissions.can(req.session.user, 'assessments:edit', { courseId: row.course_id }))) {
+      return res.status(403).json({ success: false, error: 'Access denied' });
+    }
+
+    const assessment = await dbHelpers.updateAssessment(existing.id, row);
+    if (req.body.questions) {
+      await saveAssessmentQuestions(assessment, req.body.questions, req.session.user.id);
+    }
+
+    res.json({ success: true, assessment });
+  } catch (error) {
+    console.error('Update assessment API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update assessment' });
+  }
+});
+
+// ===================================
+// QUIZ DELIVERY
+// ===================================
+
+// Grade an attempt and record it as a result (also marks the attempt submitted)
+const finalizeAttempt = async (assessment, attempt, answers) => {
+  const questions = await dbHelpers.getAssessmentQuestions(assessment.id);
+  const scheme = await grading.getSchemeForCourse(assessment.course_id);
+  const graded = gradeSubmission(questions, answers, assessment.total_marks, scheme);
+
+  // A timed-out attempt counts as handed in when its time ran out
+  const now = new Date();
+  const submittedAt = attempt.expires_at && now > new Date(attempt.expires_at) ? new Date(attempt.expires_at) : now;
+  const scored = applyLatePenalty(assessment, graded, submittedAt, scheme);
+
+  await dbHelpers.updateAttempt(attempt.id, { answers });
+
+  return dbHelpers.createResult({
+    student_id: attempt.student_id,
+    assessment_id: assessment.id,
+    course_id: assessment.course_id,
+    attempt_number: attempt.attempt_number,
+    ...scored,
+    grade: graded.needsGrading ? null : scored.grade,
+    answers: graded.breakdown,
+    needs_grading: graded.needsGrading,
+    submitted_at: submittedAt.toISOString(),
+    graded_at: graded.needsGrading ? null : now.toISOString()
+  });
+};
+
+// Load one of the current student's attempts, finalizing it first if its time ran out
+const loadAttempt = async (req) => {
+  const studentId = req.session.user.id;
+  const assessment = await getAttemptableAssessment(studentId, req.params.assessmentId);
+  if (!assessment) return {};
+
+  const attempts = await dbHelpers.getAttempts(studentId, assessment.id);
+  let attempt = attempts.find(item => item.attempt_number === parseInt(req.params.attemptNumber, 10));
+  if (!attempt) return { assessment };
+
+  let timedOutResult = null;
+  if (attempt.status === 'in_progress' && isPastDeadline(attempt, new Date(), SUBMIT_GRACE_SECONDS)) {
+    timedOutResult = await finalizeAttempt(assessment, attempt, attempt.answers || {});
+    attempt = await dbHelpers.getAttemptById(attempt.id);
+  }
+
+  return { assessment, attempt, timedOutResult };
+};
+
+// Questions (without answers) and saved progress for the attempt player
+router.get('/student/assessments/:assessmentId/attempts/:attemptNumber', requireAuth, requirePermission('assessments:attempt'), async (req, res) => {
+  try {
+    const { assessment, attempt } = await loadAttempt(req);
+    if (!attempt) {
+      return res.status(404).json({ success: false, error: 'Attempt not found' });
+    }
+
+    const questions = attempt.status === 'in_progress'
+      ? (await dbHelpers.getAssessmentQuestions(assessment.id)).map(toStudentQuestion)
+      : [];
+
+    res.json({
+      success: true,
+      assessment: {
+        id: assessment.id,
+        title: assessment.title,
+        instructions: assessment.instructions,
+        duration_minutes: assessment.duration_minutes,
+        total_marks: assessment.total_marks
+      },
+      attempt: {
+        attempt_number: attempt.attempt_number,
+        status: attempt.status,
+        started_at: attempt.started_at,
+        expires_at: attempt.expires_at,
+        answers: attempt.answers || {}
+      },
+      questions,
+      serverTime: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Load attempt API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load assessment' });
+  }
+});
+
+// Autosave answers while the attempt is open
+router.put('/student/assessments/:assessmentId/attempts/:attemptNumber/answers', requireAuth, requirePermission('assessments:attempt'), async (req, res) => {
+  try {
+    const { attempt } = await loadAttempt(req);
+    if (!attempt) {
+      return res.status(404).json({ success: false, error: 'Attempt not found' });
+    }
+    if (attempt.status !== 'in_progress') {
+      return res.status(409).json({ success: false, message: 'This attempt has already been submitted' });
+    }
+
+    await dbHelpers.updateAttempt(attempt.id, { answers: req.body.answers || {} });
+    res.json({ success: true, savedAt: new Date().toISOString() });
+  } catch (error) {
+    console.error('Save answers API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to save answers' });
+  }
+});
+
+router.post('/student/assessments/:assessmentId/attempts/:attemptNumber/submit', requireAuth, requirePermission('assessments:attempt'), async (req, res) => {
+  try {
+    const { assessment, attempt, timedOutResult } = await loadAttempt(req);
+    if (!attempt) {
+      return res.status(404).json({ success: false, error: 'Attempt not found' });
+    }
+    if (attempt.status !== 'in_progress' && !timedOutResult) {
+      return res.status(409).json({ success: false, message: 'This attempt has already been submitted' });
+    }
+
+    // Past the deadline the last autosaved answers were graded instead of these
+    const result = timedOutResult || await finalizeAttempt(assessment, attempt, req.body.answers || attempt.answers || {});
+
+    res.json({
+      success: true,
+      timedOut: Boolean(timedOutResult),
+      result: {
+        attempt_number: result.attempt_number,
+        needs_grading: result.needs_grading,
+        score: result.score,
+        percentage: result.percentage,
+        grade: result.grade
+      }
+    });
+  } catch (error) {
+    console.error('Submit attempt API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to submit assessment' });
+  }
+});
+
+// ===================================
+// RESULT ENTRY AND LATE PENALTIES
+// ===================================
+
+// Load a result together with its assessment when the user may grade it
+// Load a result together with its assessment; result is null when there is no such result
+const getOwnedResult = async (user, resultId) => {
+  const result = await findResult(resultId);
+  if (!result) {
+    return { result: null };
+  }
+  const assessment = await dbHelpers.getAssessmentById(result.assessment_id);
+  return { result, assessment, allowed: await permissions.can(user, 'results:grade', { assessment }) };
+};
+
+const parseScore = (value, totalMarks) => {
+  const score = parseFloat(value);
+  return Number.isFinite(score) && score >= 0 && score <= totalMarks ? score : null;
+};
+
+// Record a mark for work handed in outside the quiz player
+router.post('/lecturer/assessments/:assessmentId/results', requireAuth, requirePermission('results:grade'), async (req, res) => {
+  try {
+    const assessment = await findAssessment(req.params.assessmentId);
+    if (!assessment) {
+      return res.status(404).json({ success: false, message: 'Assessment not found' });
+    }
+    if (!(await permissions.can(req.session.user, 'results:grade', { assessment }))) {
+      return res.status(403).json({ success: false, error: 'Access denied' });
+    }
+
+    const { student_id: studentId, feedback } = req.body;
+    const totalMarks = assessment.total_marks || 100;
+    const score = parseScore(req.body.score, totalMarks);
+    if (!studentId || score === null) {
+      return res.status(400).json({ success: false, message: `Student and a score between 0 and ${totalMarks} are required` });
+    }
+
+    const enrollment = await dbHelpers.getEnrollment(studentId, assessment.course_id);
+    if (!enrollment || enrollment.status !== 'active') {
+      return res.status(400).json({ success: false, message: 'The student is not enrolled in this course' });
+    }
+
+    const submittedAt = req.body.submitted_at ? new Date(req.body.submitted_at) : new Date();
+    if (Number.isNaN(submittedAt.getTime())) {
+      return res.status(400).json({ success: false, message: 'Invalid submission date' });
+    }
+
+    const policy = await withGlobalLatePolicy(assessment);
+    const lateness = assessLateness(policy, submittedAt);
+    if (lateness.isLate && !lateness.allowed) {
+      return res.status(409).json({ success: false, message: 'This assessment does not accept late submissions' });
+    }
+
+    // Each mark entered here is a new attempt; corrections go through PUT /lecturer/results/:resultId
+    const previous = await dbHelpers.getResultAttempts(studentId, assessment.id);
+    const { maxAttempts } = getAttemptPolicy(assessment);
+    if (previous.length >= maxAttempts) {
+      return res.status(409).json({ success: false, message: `The student has used all ${maxAttempts} attempt(s); change their existing result instead` });
+    }
+
+    const scheme = await grading.getSchemeForCourse(assessment.course_id);
+    const scored = applyLatePenalty(policy, { score, percentage: percentageOf(score, totalMarks) }, submittedAt, scheme);
+
+    const result = await dbHelpers.createResult({
+      student_id: studentId,
+      assessment_id: assessment.id,
+      course_id: assessment.course_id,
+      attempt_number: previous.length + 1,
+      ...scored,
+      feedback: feedback || null,
+      submitted_at: submittedAt.toISOString(),
+      graded_at: new Date().toISOString(),
+      graded_by: req.session.user.id
+    });
+    await notifications.publish('result_published', { result, assessment });
+
+    res.status(201).json({ success: true, result });
+  } catch (error) {
+    console.error('Create result API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to record result' });
+  }
+});
+
+// Gradebook uploads are parsed in memory and never written to disk
+const gradebookUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 5 * 1024 * 1024 } }).single('file');
+
+const receiveGradebook = (req, res) => new Promise((resolve, reject) => {
+  gradebookUpload(req, res, error => (error ? reject(error) : resolve(req.file)));
+});
+
+// Import marks from a CSV/XLSX gradebook. By default this is a dry run returning the
+// creates, updates and errors it would make; ?commit=true writes every change in one
+// statement (nothing is written if any row has an error) and audits each changed result.
+router.post('/lecturer/assessments/:assessmentId/results/import', requireAuth, requirePermission('results:import'), async (req, res) => {
+  try {
+    const assessment = await findAssessment(req.params.assessmentId);
+    if (!assessment) {
+      return res.status(404).json({ success: false, message: 'Assessment not found' });
+    }
+    if (!(await permissions.can(req.session.user, 'results:import', { assessment }))) {
+      return res.status(403).json({ success: false, error: 'Access denied' });
+    }
+
+    let entries;
+    try {
+      const file = await receiveGradebook(req, res);
+      if (!file) {
+        return res.status(400).json({ success: false, message: 'Choose a CSV or XLSX file to import' });
+      }
+      entries = parseGradebook(file.buffer, file.originalname);
+    } catch (error) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+
+    const [enrollments, latestResults, scheme] = await Promise.all([
+      dbHelpers.getCourseEnrollments(assessment.course_id),
+      dbHelpers.getLatestAssessmentResults(assessment.id),
+      grading.getSchemeForCourse(assessment.course_id)
+    ]);
+    const plan = planResultImport({ entries, assessment, enrollments, latestResults, scheme, gradedBy: req.session.user.id });
+    const preview = summarizePlan(plan);
+
+    if (req.query.commit !== 'true') {
+      return res.json({ success: true, dryRun: true, ...preview });
+    }
+    if (plan.errors.length > 0) {
+      return res.status(400).json({ success: false, message: `Fix the ${plan.errors.length} row error(s) before importing`, ...preview });
+    }
+
+    const changes = [...plan.creates, ...plan.updates];
+    await dbHelpers.saveResults(changes.map(change => change.row));
+
+    await logAuditEvents(req.session.user.id, changes.map(change => ({
+      action: change.previous ? 'RESULT_IMPORT_UPDATED' : 'RESULT_IMPORT_CREATED',
+      tableName: 'results',
+      recordId: change.row.id,
+      oldValues: change.previous ? { score: change.previous.score, percentage: change.previous.percentage, grade: change.previous.grade, feedback: change.previous.feedback } : null,
+      newValues: { score: change.row.score, percentage: change.row.percentage, grade: change.row.grade, feedback: change.row.feedback, line: change.line }
+    })), req);
+    await notifications.publish('result_published', plan.creates.map(change => ({ result: change.row, assessment })));
+    await notifications.publish('grade_changed', plan.updates.map(change => ({ result: change.row, assessment, previous: change.previous })));
+
+    res.json({ success: true, dryRun: false, message: `Imported ${changes.length} result(s)`, ...preview });
+  } catch (error) {
+    console.error('Import results API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to import results' });
+  }
+});
+
+// Mark a result (e.g. essay answers); the result's current late deduction is kept
+router.put('/lecturer/results/:resultId', requireAuth, requirePermission('results:grade'), async (req, res) => {
+  try {
+    const { result, assessment, allowed } = await getOwnedResult(req.session.user, req.params.resultId);
+    if (!result) {
+      return res.status(404).json({ success: false, message: 'Result not found' });
+    }
+    if (!allowed) {
+      return res.status(403).json({ success: false, error: 'Access denied' });
+    }
+
+    const totalMarks = assessment.total_marks || 100;
+    const rawScore = parseScore(req.body.score, totalMarks);
+    if (rawScore === null) {
+      return res.status(400).json({ success: false, message: `Score must be between 0 and ${totalMarks}` });
+    }
+
+    const scheme = await grading.getSchemeForCourse(assessment.course_id);
+    const updated = await dbHelpers.updateResult(result.id, {
+      ...withPenalty({ rawScore, rawPercentage: percentageOf(rawScore, totalMarks) }, parseFloat(result.late_penalty_percent) || 0, scheme),
+      feedback: req.body.feedback !== undefined ? req.body.feedback : result.feedback,
+      needs_grading: false,
+      graded_at: new Date().toISOString(),
+      graded_by: req.session.user.id
+    });
+    // Essay answers waiting for marking were not shown to the student as a mark yet
+    if (result.needs_grading) {
+      await notifications.publish('result_published', { result: updated, assessment });
+    } else {
+      await notifications.publish('grade_changed', { result: updated, assessment, previous: result });
+    }
+
+    res.json({ success: true, result: updated });
+  } catch (error) {
+    console.error('Update result API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update result' });
+  }
+});
+
+// Override (or waive with 0) the late deduction applied to a result
+router.put('/lecturer/results/:resultId/penalty', requireAuth, requirePermission('results:grade'), async (req, res) => {
+  try {
+    const { result, assessment, allowed } = await getOwnedResult(req.session.user, req.params.resultId);
+    if (!result) {
+      return res.status(404).json({ success: false, message: 'Result not found' });
+    }
+    if (!allowed) {
+      return res.status(403).json({ success: false, error: 'Access denied' });
+    }
+
+    const penaltyPercent = parseFloat(req.body.late_penalty_percent);
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    if (!Number.isFinite(penaltyPercent) || penaltyPercent < 0 || penaltyPercent > 100) {
+      return res.status(400).json({ success: false, message: 'Penalty must be between 0 and 100 percent' });
+    }
+    if (!reason) {
+      return res.status(400).json({ success: false, message: 'A reason is required to override a late penalty' });
+    }
+
+    const raw = {
+      rawScore: parseFloat(result.raw_score ?? result.score) || 0,
+      rawPercentage: parseFloat(result.raw_percentage ?? result.percentage) || 0
+    };
+    const adjusted = withPenalty(raw, penaltyPercent, await grading.getSchemeForCourse(assessment.course_id));
+
+    const updated = await dbHelpers.updateResult(result.id, {
+      ...adjusted,
+      grade: result.needs_grading ? result.grade : adjusted.grade,
+      penalty_overridden_by: req.session.user.id,
+      penalty_override_reason: reason
+    });
+
+    await logAuditEvent(
+      req.session.user.id,
+      'LATE_PENALTY_OVERRIDDEN',
+      'results',
+      result.id,
+      { late_penalty_percent: result.late_penalty_percent, score: result.score, percentage: result.percentage },
+      { late_penalty_percent: penaltyPercent, score: updated.score, percentage: updated.percentage, reason },
+      req
+    );
+    if (!result.needs_grading) {
+      await notifications.publish('grade_changed', { result: updated, assessment, previous: result });
+    }
+
+    res.json({ success: true, result: updated });
+  } catch (error) {
+    console.error('Override penalty API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to override late penalty' });
+  }
+});
+
+// ===================================
+// GRADING SCHEMES
+// ===================================
+
+// Scheme definitions for grade letters and colours in the browser
+router.get('/grading-schemes', requireAuth, async (req, res) => {
+  try {
+    const [schemes, defaultScheme] = await Promise.all([grading.getSchemes(), grading.getDefaultScheme()]);
+    res.json({ success: true, schemes, defaultSchemeId: defaultScheme.id });
+  } catch (error) {
+    console.error('Grading schemes API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch grading schemes' });
+  }
+});
+
+const toSchemeRow = (body, bands) => ({
+  name: String(body.name).trim(),
+  description: body.description || null,
+  bands,
+  pass_percentage: parseFloat(body.pass_percentage)
+});
+
+router.post('/admin/grading-schemes', requireAuth, requirePermission('settings:manage', { global: true }), async (req, res) => {
+  try {
+    const { isValid, errors, bands } = grading.validateScheme(req.body);
+    if (!isValid) {
+      return res.status(400).json({ success: false, message: errors.join(', '), errors });
+    }
+
+    let scheme = await dbHelpers.createGradingScheme(toSchemeRow(req.body, bands));
+    if (req.body.is_default === true || req.body.is_default === 'true') {
+      scheme = await dbHelpers.setDefaultGradingScheme(scheme.id);
+    }
+    grading.invalidate();
+
+    await logAuditEvent(req.session.user.id, 'GRADING_SCHEME_CREATED', 'grading_schemes', scheme.id, null, scheme, req);
+    res.status(201).json({ success: true, scheme });
+  } catch (error) {
+    console.error('Create grading scheme API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to create grading scheme' });
+  }
+});
+
+router.put('/admin/grading-schemes/:schemeId', requireAuth, requirePermission('settings:manage', { global: true }), async (req, res) => {
+  try {
+    const existing = await dbHelpers.getGradingSchemeById(req.params.schemeId);
+    const { isValid, errors, bands } = grading.validateScheme({ ...existing, ...req.body });
+    if (!isValid) {
+      return res.status(400).json({ success: false, message: errors.join(', '), errors });
+    }
+
+    let scheme = await dbHelpers.updateGradingScheme(existing.id, toSchemeRow({ ...existing, ...req.body }, bands));
+    if (req.body.is_default === true || req.body.is_default === 'true') {
+      scheme = await dbHelpers.setDefaultGradingScheme(scheme.id);
+    }
+    grading.invalidate();
+
+    // Grades already awarded keep their letters until the work is re-marked
+    await logAuditEvent(req.session.user.id, 'GRADING_SCHEME_UPDATED', 'grading_schemes', scheme.id, existing, scheme, req);
+    res.json({ success: true, scheme });
+  } catch (error) {
+    console.error('Update grading scheme API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update grading scheme' });
+  }
+});
+
+router.delete('/admin/grading-schemes/:schemeId', requireAuth, requirePermission('settings:manage', { global: true }), async (req, res) => {
+  try {
+    const scheme = await dbHelpers.getGradingSchemeById(req.params.schemeId);
+    if (scheme.is_default) {
+      return res.status(409).json({ success: false, message: 'Choose another default scheme before deleting this one' });
+    }
+    if (await dbHelpers.countCoursesUsingScheme(scheme.id) > 0) {
+      return res.status(409).json({ success: false, message: 'This scheme is still assigned to courses' });
+    }
+
+    await dbHelpers.deleteGradingScheme(scheme.id);
+    grading.invalidate();
+
+    await logAuditEvent(req.session.user.id, 'GRADING_SCHEME_DELETED', 'grading_schemes', scheme.id, scheme, null, req);
+    res.json({ success: true, message: 'Grading scheme deleted' });
+  } catch (error) {
+    console.error('Delete grading scheme API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete grading scheme' });
+  }
+});
+
+// Grade a course with a specific scheme (null returns it to the default)
+router.put('/courses/:courseId/grading-scheme', requireAuth, requirePermission('courses:edit', { resource: courseParam }), async (req, res) => {
+  try {
+    const { courseId } = req.params;
+
+    const schemeId = req.body.grading_scheme_id || null;
+    if (schemeId && !(await grading.getSchemes()).some(scheme => scheme.id === schemeId)) {
+      return res.status(400).json({ success: false, message: 'Unknown grading scheme' });
+    }
+
+    const course = await dbHelpers.updateCourse(courseId, { grading_scheme_id: schemeId });
+    res.json({ success: true, course });
+  } catch (error) {
+    console.error('Course grading scheme API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update course grading scheme' });
+  }
+});
+
+// ===================================
+// COURSE GRADES AND GPA
+// ===================================
+
+router.get('/courses/:courseId/grade-weighting', requireAuth, requirePermission('courses:edit', { resource: courseParam }), async (req, res) => {
+  try {
+    const { courseId } = req.params;
+
+    const course = await dbHelpers.getCourseById(courseId);
+    res.json({ success: true, weighting: gradebook.getWeighting(course), isDefault: !course.grade_weighting });
+  } catch (error) {
+    console.error('Grade weighting API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch grade weighting' });
+  }
+});
+
+// Replace a course's components (an empty list returns it to equal weighting)
+router.put('/courses/:courseId/grade-weighting', requireAuth, requirePermission('courses:edit', { resource: courseParam }), async (req, res) => {
+  try {
+    const { courseId } = req.params;
+
+    const components = req.body.components || [];
+    let weighting = null;
+    if (components.length > 0) {
+      const { isValid, errors, components: normalized } = gradebook.validateWeighting(components);
+      if (!isValid) {
+        return res.status(400).json({ success: false, message: errors.join(', '), errors });
+      }
+      weighting = normalized;
+    }
+
+    const course = await dbHelpers.updateCourse(courseId, { grade_weighting: weighting });
+    res.json({ success: true, weighting: gradebook.getWeighting(course) });
+  } catch (error) {
+    console.error('Update grade weighting API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update grade weighting' });
+  }
+});
+
+// Recompute final grades for a course now instead of waiting for the scheduled job
+router.post('/courses/:courseId/grades/compute', requireAuth, requirePermission('grades:compute', { resource: courseParam }), async (req, res) => {
+  try {
+    const { courseId } = req.params;
+
+    const enrollments = await gradebook.computeCourseGrades(courseId);
+    res.json({ success: true, message: `Graded ${enrollments.length} enrollment(s)`, enrollments });
+  } catch (error) {
+    console.error('Compute course grades API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to compute course grades' });
+  }
+});
+
+router.post('/admin/grades/compute', requireAuth, requirePermission('grades:compute', { global: true }), async (req, res) => {
+  try {
+    const summary = await gradebook.computeAllCourseGrades();
+    res.json({ success: true, message: `Graded ${summary.enrollments} enrollment(s) across ${summary.courses} course(s)`, summary });
+  } catch (error) {
+    console.error('Compute all grades API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to compute grades' });
+  }
+});
+
+// Current student's term and cumulative GPA for the dashboard
+router.get('/student/dashboard/gpa', requireAuth, requirePermission('assessments:attempt'), async (req, res) => {
+  try {
+    const gpa = gradebook.calculateGpa(await dbHelpers.getStudentTranscript(req.session.user.id));
+    res.json({ success: true, gpa });
+  } catch (error) {
+    console.error('Student GPA API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch GPA' });
+  }
+});
+
+// Academic terms, with the current teaching week of each
+router.get('/terms', requireAuth, async (req, res) => {
+  try {
+    const now = new Date();
+    const terms = (await dbHelpers.getTerms()).map(term => ({
+      ...calendar.withDates(term),
+      teaching_ends_on: calendar.teachingEndsOn(term),
+      current_week: calendar.teachingWeekOf(term, now)
+    }));
+    res.json({ success: true, terms });
+  } catch (error) {
+    console.error('Terms API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch terms' });
+  }
+});
+
+router.get('/terms/:termId', requireAuth, async (req, res) => {
+  try {
+    const term = await dbHelpers.getTermById(req.params.termId);
+    if (!term) {
+      return res.status(404).json({ success: false, message: 'Term not found' });
+    }
+
+    const events = await dbHelpers.getTermEvents([term.id]);
+    res.json({
+      success: true,
+      term: { ...calendar.withDates(term), teaching_ends_on: calendar.teachingEndsOn(term) },
+      events: events.map(calendar.withDates),
+      eventKinds: calendar.EVENT_KINDS
+    });
+  } catch (error) {
+    console.error('Term API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch term' });
+  }
+});
+
+router.post('/admin/terms', requireAuth, requirePermission('settings:manage', { global: true }), async (req, res) => {
+  try {
+    const { isValid, errors, values } = calendar.validateTerm(req.body);
+    if (!isValid) {
+      return res.status(400).json({ success: false, message: errors.join(', '), errors });
+    }
+    if (await dbHelpers.getTermByCode(values.code)) {
+      return res.status(409).json({ success: false, message: 'A term with that code already exists' });
+    }
+
+    const term = calendar.withDates(await dbHelpers.createTerm(values));
+    await logAuditEvent(req.session.user.id, 'TERM_CREATED', 'academic_terms', term.id, null, term, req);
+
+    res.status(201).json({ success: true, term });
+  } catch (error) {
+    console.error('Create term API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to create term' });
+  }
+});
+
+router.put('/admin/terms/:termId', requireAuth, requirePermission('settings:manage', { global: true }), async (req, res) => {
+  try {
+    const existing = await dbHelpers.getTermById(req.params.termId);
+    if (!existing) {
+      return res.status(404).json({ success: false, message: 'Term not found' });
+    }
+
+    const { isValid, errors, values } = calendar.validateTerm(req.body);
+    if (!isValid) {
+      return res.status(400).json({ success: false, message: errors.join(', '), errors });
+    }
+    const sameCode = await dbHelpers.getTermByCode(values.code);
+    if (sameCode && sameCode.id !== existing.id) {
+      return res.status(409).json({ success: false, message: 'A term with that code already exists' });
+    }
+    const outside = (await dbHelpers.getTermEvents([existing.id]))
+      .filter(event => calendar.dateOnly(event.starts_on) < values.starts_on || calendar.dateOnly(event.ends_on) > values.ends_on);
+    if (outside.length > 0) {
+      return res.status(409).json({ success: false, message: `Move or delete events outside the new dates first: ${outside.map(event => event.title).join(', ')}` });
+    }
+
+    const term = calendar.withDates(await dbHelpers.updateTerm(existing.id, values));
+    if (term.semester !== existing.semester || term.academic_year !== existing.academic_year) {
+      await dbHelpers.relabelTermCourses(term.id, term);
+    }
+    await logAuditEvent(req.session.user.id, 'TERM_UPDATED', 'academic_terms', term.id, calendar.withDates(existing), term, req);
+
+    res.json({ success: true, term });
+  } catch (error) {
+    console.error('Update term API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update term' });
+  }
+});
+
+router.delete('/admin/terms/:termId', requireAuth, requirePermission('settings:manage', { global: true }), async (req, res) => {
+  try {
+    const existing = await dbHelpers.getTermById(req.params.termId);
+    if (!existing) {
+      return res.status(404).json({ success: false, message: 'Term not found' });
+    }
+    if (await dbHelpers.countCoursesInTerm(existing.id) > 0) {
+      return res.status(409).json({ success: false, message: 'Courses are still assigned to this term' });
+    }
+
+    await dbHelpers.deleteTerm(existing.id);
+    await logAuditEvent(req.session.user.id, 'TERM_DELETED', 'academic_terms', existing.id, calendar.withDates(existing), null, req);
+
+    res.json({ success: true, message: 'Term deleted' });
+  } catch (error) {
+    console.error('Delete term API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete term' });
+  }
+});
+
+// Holidays, reading weeks and other dates within a term
+router.post('/admin/terms/:termId/events', requireAuth, requirePermission('settings:manage', { global: true }), async (req, res) => {
+  try {
+    const term = await dbHelpers.getTermById(req.params.termId);
+    if (!term) {
+      return res.status(404).json({ success: false, message: 'Term not found' });
+    }
+
+    const { isValid, errors, values } = calendar.validateTermEvent(term, req.body);
+    if (!isValid) {
+      return res.status(400).json({ success: false, message: errors.join(', '), errors });
+    }
+
+    const event = calendar.withDates(await dbHelpers.createTermEvent({ ...values, term_id: term.id }));
+    await logAuditEvent(req.session.user.id, 'TERM_EVENT_CREATED', 'term_events', event.id, null, event, req);
+
+    res.status(201).json({ success: true, event });
+  } catch (error) {
+    console.error('Create term event API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to create term event' });
+  }
+});
+
+router.put('/admin/terms/:termId/events/:eventId', requireAuth, requirePermission('settings:manage', { global: true }), async (req, res) => {
+  try {
+    const [term, existing] = await Promise.all([
+      dbHelpers.getTermById(req.params.termId),
+      dbHelpers.getTermEventById(req.params.eventId)
+    ]);
+    if (!term || !existing || existing.term_id !== term.id) {
+      return res.status(404).json({ success: false, message: 'Term event not found' });
+    }
+
+    const { isValid, errors, values } = calendar.validateTermEvent(term, req.body);
+    if (!isValid) {
+      return res.status(400).json({ success: false, message: errors.join(', '), errors });
+    }
+
+    const event = calendar.withDates(await dbHelpers.updateTermEvent(existing.id, values));
+    await logAuditEvent(req.session.user.id, 'TERM_EVENT_UPDATED', 'term_events', event.id, calendar.withDates(existing), event, req);
+
+    res.json({ success: true, event });
+  } catch (error) {
+    console.error('Update term event API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update term event' });
+  }
+});
+
+router.delete('/admin/terms/:termId/events/:eventId', requireAuth, requirePermission('settings:manage', { global: true }), async (req, res) => {
+  try {
+    const existing = await dbHelpers.getTermEventById(req.params.eventId);
+    if (!existing || existing.term_id !== req.params.termId) {
+      return res.status(404).json({ success: false, message: 'Term event not found' });
+    }
+
+    await dbHelpers.deleteTermEvent(existing.id);
+    await logAuditEvent(req.session.user.id, 'TERM_EVENT_DELETED', 'term_events', existing.id, calendar.withDates(existing), null, req);
+
+    res.json({ success: true, message: 'Term event deleted' });
+  } catch (error) {
+    console.error('Delete term event API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete term event' });
+  }
+});
+
+// Place a course in a term; its semester and academic year follow the term
+router.put('/courses/:courseId/term', requireAuth, requirePermission('courses:edit', { resource: courseParam }), async (req, res) => {
+  try {
+    const termId = req.body.term_id || null;
+    const term = termId ? await dbHelpers.getTermById(termId) : null;
+    if (termId && !term) {
+      return res.status(400).json({ success: false, message: 'Unknown term', errors: ['Unknown term'] });
+    }
+
+    const course = await findCourse(req.params.courseId);
+    if (!course) {
+      return res.status(404).json({ success: false, message: 'Course not found' });
+    }
+
+    const updates = term
+      ? { term_id: term.id, semester: term.semester, academic_year: term.academic_year }
+      : { term_id: null };
+    const updated = await dbHelpers.updateCourse(course.id, updates);
+    await logAuditEvent(req.session.user.id, 'COURSE_TERM_CHANGED', 'courses', course.id, { term_id: course.term_id || null }, updates, req);
+
+    res.json({ success: true, course: updated });
+  } catch (error) {
+    console.error('Course term API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update course term' });
+  }
+});
+
+// Teaching rooms
+router.get('/rooms', requireAuth, async (req, res) => {
+  try {
+    const rooms = await dbHelpers.getRooms({ activeOnly: req.query.include_inactive !== 'true' });
+    res.json({ success: true, rooms });
+  } catch (error) {
+    console.error('Rooms API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch rooms' });
+  }
+});
+
+router.post('/admin/rooms', requireAuth, requirePermission('settings:manage', { global: true }), async (req, res) => {
+  try {
+    const { isValid, errors, values } = timetable.validateRoom(req.body);
+    if (!isValid) {
+      return res.status(400).json({ success: false, message: errors.join(', '), errors });
+    }
+    if (await dbHelpers.getRoomByCode(values.code)) {
+      return res.status(409).json({ success: false, message: 'A room with that code already exists' });
+    }
+
+    const room = await dbHelpers.createRoom(values);
+    await logAuditEvent(req.session.user.id, 'ROOM_CREATED', 'rooms', room.id, null, room, req);
+
+    res.status(201).json({ success: true, room });
+  } catch (error) {
+    console.error('Create room API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to create room' });
+  }
+});
+
+router.put('/admin/rooms/:roomId', requireAuth, requirePermission('settings:manage', { global: true }), async (req, res) => {
+  try {
+    const existing = await dbHelpers.getRoomById(req.params.roomId);
+    if (!existing) {
+      return res.status(404).json({ success: false, message: 'Room not found' });
+    }
+
+    const { isValid, errors, values } = timetable.validateRoom(req.body);
+    if (!isValid) {
+      return res.status(400).json({ success: false, message: errors.join(', '), errors });
+    }
+    const sameCode = await dbHelpers.getRoomByCode(values.code);
+    if (sameCode && sameCode.id !== existing.id) {
+      return res.status(409).json({ success: false, message: 'A room with that code already exists' });
+    }
+
+    const room = await dbHelpers.updateRoom(existing.id, values);
+    await logAuditEvent(req.session.user.id, 'ROOM_UPDATED', 'rooms', room.id, existing, room, req);
+
+    res.json({ success: true, room });
+  } catch (error) {
+    console.error('Update room API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update room' });
+  }
+});
+
+router.delete('/admin/rooms/:roomId', requireAuth, requirePermission('settings:manage', { global: true }), async (req, res) => {
+  try {
+    const existing = await dbHelpers.getRoomById(req.params.roomId);
+    if (!existing) {
+      return res.status(404).json({ success: false, message: 'Room not found' });
+    }
+    if (await dbHelpers.countSessionsInRoom(existing.id) > 0) {
+      return res.status(409).json({ success: false, message: 'Sessions are still booked in this room, mark it as not in use instead' });
+    }
+
+    await dbHelpers.deleteRoom(existing.id);
+    await logAuditEvent(req.session.user.id, 'ROOM_DELETED', 'rooms', existing.id, existing, null, req);
+
+    res.json({ success: true, message: 'Room deleted' });
+  } catch (error) {
+    console.error('Delete room API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete room' });
+  }
+});
+
+// Weekly sessions of a course. Room and lecturer clashes are refused with 409;
+// students with another class at the same time, or a room too small, come back as warnings.
+router.get('/courses/:courseId/sessions', requireAuth, requirePermission('courses:view', { resource: courseParam }), async (req, res) => {
+  try {
+    const sessions = await dbHelpers.getSessionsForCourses([req.params.courseId]);
+    res.json({
+      success: true,
+      sessions: sessions.map(timetable.toTimetableEntry),
+      sessionTypes: timetable.SESSION_TYPES,
+      recurrences: timetable.RECURRENCES
+    });
+  } catch (error) {
+    console.error('Course sessions API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch course sessions' });
+  }
+});
+
+const sessionAuditValues = (session) => ({
+  session_type: session.session_type,
+  day_of_week: session.day_of_week,
+  starts_at: session.starts_at,
+  ends_at: session.ends_at,
+  room_id: session.room_id,
+  lecturer_id: session.lecturer_id,
+  recurrence: session.recurrence,
+  first_week: session.first_week,
+  last_week: session.last_week
+});
+
+// Validation and clash check shared by session create and update; sends the error response itself
+const checkSessionChange = async (req, res, course, sessionId = null) => {
+  const { isValid, errors, values } = timetable.validateSession(req.body);
+  if (!isValid) {
+    res.status(400).json({ success: false, message: errors.join(', '), errors });
+    return null;
+  }
+
+  const check = await timetable.checkSession(course, values, sessionId);
+  if (check.errors.length > 0) {
+    res.status(400).json({ success: false, message: check.errors.join(', '), errors: check.errors });
+    return null;
+  }
+  if (check.blocking.length > 0) {
+    res.status(409).json({ success: false, message: check.blocking.map(clash => clash.message).join(', '), clashes: check.blocking, warnings: check.warnings });
+    return null;
+  }
+  return { values, warnings: check.warnings };
+};
+
+router.post('/courses/:courseId/sessions', requireAuth, requirePermission('courses:edit', { resource: courseParam }), async (req, res) => {
+  try {
+    const course = await findCourse(req.params.courseId);
+    if (!course) {
+      return res.status(404).json({ success: false, message: 'Course not found' });
+    }
+
+    const change = await checkSessionChange(req, res, course);
+    if (!change) return;
+
+    const session = await dbHelpers.createSession({ ...change.values, course_id: course.id });
+    await logAuditEvent(req.session.user.id, 'SESSION_CREATED', 'course_sessions', session.id, null, sessionAuditValues(session), req);
+
+    res.status(201).json({ success: true, session, warnings: change.warnings });
+  } catch (error) {
+    console.error('Create session API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to create session' });
+  }
+});
+
+router.put('/courses/:courseId/sessions/:sessionId', requireAuth, requirePermission('courses:edit', { resource: courseParam }), async (req, res) => {
+  try {
+    const existing = await dbHelpers.getSessionById(req.params.sessionId);
+    if (!existing || existing.course_id !== req.params.courseId) {
+      return res.status(404).json({ success: false, message: 'Session not found' });
+    }
+
+    const change = await checkSessionChange(req, res, existing.course, existing.id);
+    if (!change) return;
+
+    const session = await dbHelpers.updateSession(existing.id, change.values);
+    await logAuditEvent(req.session.user.id, 'SESSION_UPDATED', 'course_sessions', session.id, sessionAuditValues(existing), sessionAuditValues(session), req);
+
+    res.json({ success: true, session, warnings: change.warnings });
+  } catch (error) {
+    console.error('Update session API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update session' });
+  }
+});
+
+router.delete('/courses/:courseId/sessions/:sessionId', requireAuth, requirePermission('courses:edit', { resource: courseParam }), async (req, res) => {
+  try {
+    const existing = await dbHelpers.getSessionById(req.params.sessionId);
+    if (!existing || existing.course_id !== req.params.courseId) {
+      return res.status(404).json({ success: false, message: 'Session not found' });
+    }
+
+    await dbHelpers.deleteSession(existing.id);
+    await logAuditEvent(req.session.user.id, 'SESSION_DELETED', 'course_sessions', existing.id, sessionAuditValues(existing), null, req);
+
+    res.json({ success: true, message: 'Session deleted' });
+  } catch (error) {
+    console.error('Delete session API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete session' });
+  }
+});
+
+// The signed-in user's weekly timetable: classes they attend, or teach
+router.get('/timetable', requireAuth, async (req, res) => {
+  try {
+    const sessions = await timetable.buildTimetable(req.session.user, { termId: req.query.term_id || null });
+    res.json({ success: true, days: timetable.DAYS, sessions });
+  } catch (error) {
+    console.error('Timetable API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch timetable' });
+  }
+});
+
+router.get('/timetable/export.ics', requireAuth, async (req, res) => {
+  try {
+    const entries = await timetable.buildTimetableEntries(req.session.user);
+    const name = `${await settings.get('app_name')} timetable`;
+    res.attachment('timetable.ics');
+    res.type('text/calendar; charset=utf-8').send(calendar.toICalendar(entries, { name }));
+  } catch (error) {
+    console.error('Timetable export API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to export timetable' });
+  }
+});
+
+// Bulk timetable editor: every session of a term's courses
+router.get('/admin/timetable', requireAuth, requirePermission('courses:edit', { global: true }), async (req, res) => {
+  try {
+    if (!req.query.term_id) {
+      return res.status(400).json({ success: false, message: 'Choose a term' });
+    }
+    const term = await dbHelpers.getTermById(req.query.term_id);
+    if (!term) {
+      return res.status(404).json({ success: false, message: 'Term not found' });
+    }
+
+    const [sessions, courseIds, rooms] = await Promise.all([
+      timetable.buildTermTimetable(term.id),
+      dbHelpers.getCourseIdsInTerm(term.id),
+      dbHelpers.getRooms()
+    ]);
+    res.json({
+      success: true,
+      term: calendar.withDates(term),
+      sessions,
+      courses: courseIds.length > 0 ? await dbHelpers.getCoursesByIds(courseIds) : [],
+      rooms,
+      sessionTypes: timetable.SESSION_TYPES,
+      recurrences: timetable.RECURRENCES
+    });
+  } catch (error) {
+    console.error('Admin timetable API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch timetable' });
+  }
+});
+
+// Save many sessions at once. Without ?commit=true this is a dry run reporting the
+// changes, row errors and clashes; committing needs no errors and no room or lecturer clashes.
+router.post('/admin/timetable/bulk', requireAuth, requirePermission('courses:edit', { global: true }), async (req, res) => {
+  try {
+    if (!Array.isArray(req.body.rows) || req.body.rows.length === 0) {
+      return res.status(400).json({ success: false, message: 'Send the sessions to save as rows' });
+    }
+
+    const rows = req.body.rows.map((row, index) => ({ ...row, line: row.line || index + 1 }));
+    const plan = await timetable.planTimetable(rows);
+    const preview = timetable.summarizePlan(plan);
+
+    if (req.query.commit !== 'true') {
+      return res.json({ success: true, dryRun: true, ...preview });
+    }
+    if (plan.errors.length > 0) {
+      return res.status(400).json({ success: false, message: `Fix the ${plan.errors.length} row error(s) before saving`, ...preview });
+    }
+    if (preview.summary.blocking > 0) {
+      return res.status(409).json({ success: false, message: `Resolve the room and lecturer clashes on ${preview.summary.blocking} row(s) before saving`, ...preview });
+    }
+
+    const events = [];
+    for (const change of plan.deletes) {
+      await dbHelpers.deleteSession(change.id);
+      events.push({ action: 'SESSION_DELETED', tableName: 'course_sessions', recordId: change.id, oldValues: sessionAuditValues(change.previous), newValues: null });
+    }
+    for (const change of plan.updates) {
+      const session = await dbHelpers.updateSession(change.id, change.values);
+      events.push({ action: 'SESSION_UPDATED', tableName: 'course_sessions', recordId: session.id, oldValues: sessionAuditValues(change.previous), newValues: sessionAuditValues(session) });
+    }
+    for (const change of plan.creates) {
+      const session = await dbHelpers.createSession({ ...change.values, course_id: change.course.id });
+      events.push({ action: 'SESSION_CREATED', tableName: 'course_sessions', recordId: session.id, oldValues: null, newValues: sessionAuditValues(session) });
+    }
+    await logAuditEvents(req.session.user.id, events, req);
+
+    res.json({ success: true, dryRun: false, message: `Saved ${events.length} session change(s)`, ...preview });
+  } catch (error) {
+    console.error('Bulk timetable API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to save timetable' });
+  }
+});
+
+// Attendance registers. Staff who may view results see registers and rates;
+// staff who may grade create registers, mark them and open self check-in.
+// The register, if it belongs to the course in the URL
+const findAttendanceSession = async (req) => {
+  const register = await dbHelpers.getAttendanceSessionById(req.params.attendanceId);
+  return register && register.course_id === req.params.courseId ? register : null;
+};
+
+// Courses the signed-in staff member can take attendance for
+router.get('/lecturer/attendance', requireAuth, requirePermission('results:view'), async (req, res) => {
+  try {
+    const courseIds = await dbHelpers.getTaughtCourseIds(req.session.user.id);
+    res.json({
+      success: true,
+      courses: courseIds.length > 0 ? await dbHelpers.getCoursesByIds(courseIds) : [],
+      statuses: attendance.STATUSES,
+      threshold: await settings.get('attendance_threshold')
+    });
+  } catch (error) {
+    console.error('Lecturer attendance API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch attendance courses' });
+  }
+});
+
+// A course's registers and every enrolled student's attendance rate
+router.get('/courses/:courseId/attendance', requireAuth, requirePermission('results:view', { resource: courseParam }), async (req, res) => {
+  try {
+    const [registers, enrollments, rates] = await Promise.all([
+      dbHelpers.getAttendanceSessions(req.params.courseId),
+      dbHelpers.getCourseEnrollments(req.params.courseId),
+      attendance.attendanceRates([req.params.courseId])
+    ]);
+    const { threshold, alerts } = await attendance.belowThreshold(rates);
+    const flagged = new Set(alerts.map(alert => alert.student_id));
+    const records = await dbHelpers.getAttendanceRecords(registers.map(register => register.id));
+    const studentsById = new Map(enrollments.map(enrollment => [enrollment.student_id, enrollment.student]));
+
+    res.json({
+      success: true,
+      threshold,
+      sessions: registers.map(register => ({
+        ...attendance.formatSession(register),
+        check_in_open: attendance.isCheckInOpen(register),
+        marked: records.filter(record => record.attendance_session_id === register.id).length
+      })),
+      students: rates.map(rate => ({
+        ...rate,
+        student: studentsById.get(rate.student_id) || null,
+        below_threshold: flagged.has(rate.student_id)
+      }))
+    });
+  } catch (error) {
+    console.error('Course attendance API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch attendance' });
+  }
+});
+
+router.post('/courses/:courseId/attendance', requireAuth, requirePermission('results:grade', { resource: courseParam }), async (req, res) => {
+  try {
+    const course = await findCourse(req.params.courseId);
+    if (!course) {
+      return res.status(404).json({ success: false, message: 'Course not found' });
+    }
+
+    const { isValid, errors, values } = await attendance.validateAttendanceSession(course.id, req.body);
+    if (!isValid) {
+      return res.status(400).json({ success: false, message: errors.join(', '), errors });
+    }
+
+    const register = await dbHelpers.createAttendanceSession({ ...values, course_id: course.id, created_by: req.session.user.id });
+    await logAuditEvent(req.session.user.id, 'ATTENDANCE_SESSION_CREATED', 'attendance_sessions', register.id, null, values, req);
+
+    res.status(201).json({ success: true, session: attendance.formatSession(register) });
+  } catch (error) {
+    console.error('Create attendance session API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to create attendance session' });
+  }
+});
+
+// A register with its roster of enrolled students and their marks
+router.get('/courses/:courseId/attendance/:attendanceId', requireAuth, requirePermission('results:view', { resource: courseParam }), async (req, res) => {
+  try {
+    const register = await findAttendanceSession(req);
+    if (!register) {
+      return res.status(404).json({ success: false, message: 'Attendance session not found' });
+    }
+
+    res.json({
+      success: true,
+      session: { ...attendance.formatSession(register), check_in_open: attendance.isCheckInOpen(register) },
+      roster: await attendance.buildRoster(register),
+      statuses: attendance.STATUSES
+    });
+  } catch (error) {
+    console.error('Attendance session API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch attendance session' });
+  }
+});
+
+router.put('/courses/:courseId/attendance/:attendanceId', requireAuth, requirePermission('results:grade', { resource: courseParam }), async (req, res) => {
+  try {
+    const existing = await findAttendanceSession(req);
+    if (!existing) {
+      return res.status(404).json({ success: false, message: 'Attendance session not found' });
+    }
+
+    const { isValid, errors, values } = await attendance.validateAttendanceSession(existing.course_id, req.body);
+    if (!isValid) {
+      return res.status(400).json({ success: false, message: errors.join(', '), errors });
+    }
+
+    const register = await dbHelpers.updateAttendanceSession(existing.id, values);
+    const previous = attendance.formatSession(existing);
+    await logAuditEvent(req.session.user.id, 'ATTENDANCE_SESSION_UPDATED', 'attendance_sessions', register.id, { held_on: previous.held_on, starts_at: previous.starts_at, title: previous.title, course_session_id: previous.course_session_id }, values, req);
+
+    res.json({ success: true, session: attendance.formatSession(register) });
+  } catch (error) {
+    console.error('Update attendance session API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update attendance session' });
+  }
+});
+
+router.delete('/courses/:courseId/attendance/:attendanceId', requireAuth, requirePermission('results:grade', { resource: courseParam }), async (req, res) => {
+  try {
+    const existing = await findAttendanceSession(req);
+    if (!existing) {
+      return res.status(404).json({ success: false, message: 'Attendance session not found' });
+    }
+
+    await dbHelpers.deleteAttendanceSession(existing.id);
+    const previous = attendance.formatSession(existing);
+    await logAuditEvent(req.session.user.id, 'ATTENDANCE_SESSION_DELETED', 'attendance_sessions', existing.id, { held_on: previous.held_on, title: previous.title }, null, req);
+
+    res.json({ success: true, message: 'Attendance session deleted' });
+  } catch (error) {
+    console.error('Delete attendance session API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete attendance session' });
+  }
+});
+
+// Mark students on a register; students left out keep their current mark
+router.put('/courses/:courseId/attendance/:attendanceId/marks', requireAuth, requirePermission('results:grade', { resource: courseParam }), async (req, res) => {
+  try {
+    const register = await findAttendanceSession(req);
+    if (!register) {
+      return res.status(404).json({ success: false, message: 'Attendance session not found' });
+    }
+
+    const roster = await attendance.buildRoster(register);
+    const { isValid, errors, values } = attendance.validateMarks(req.body.marks, roster);
+    if (!isValid) {
+      return res.status(400).json({ success: false, message: errors.join(', '), errors });
+    }
+
+    await attendance.saveMarks(register, values, req.session.user.id);
+    const before = new Map(roster.map(entry => [entry.student_id, entry.status]));
+    const changed = values.filter(mark => before.get(mark.student_id) !== mark.status);
+    if (changed.length > 0) {
+      await logAuditEvent(req.session.user.id, 'ATTENDANCE_MARKED', 'attendance_sessions', register.id,
+        Object.fromEntries(changed.map(mark => [mark.student_id, before.get(mark.student_id)])),
+        Object.fromEntries(changed.map(mark => [mark.student_id, mark.status])), req);
+    }
+
+    res.json({ success: true, message: `Saved ${values.length} mark(s)`, roster: await attendance.buildRoster(register) });
+  } catch (error) {
+    console.error('Attendance marks API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to save attendance marks' });
+  }
+});
+
+// Open self check-in with a new code for { minutes }, or close it
+router.post('/courses/:courseId/attendance/:attendanceId/check-in', requireAuth, requirePermission('results:grade', { resource: courseParam }), async (req, res) => {
+  try {
+    const register = await findAttendanceSession(req);
+    if (!register) {
+      return res.status(404).json({ success: false, message: 'Attendance session not found' });
+    }
+
+    const minutes = attendance.parseCheckInMinutes(req.body.minutes);
+    if (minutes.error) {
+      return res.status(400).json({ success: false, message: minutes.error, errors: [minutes.error] });
+    }
+
+    const opened = await attendance.openCheckIn(register, minutes.value);
+    await logAuditEvent(req.session.user.id, 'ATTENDANCE_CHECK_IN_OPENED', 'attendance_sessions', register.id, null, { expires_at: opened.check_in_expires_at }, req);
+
+    res.json({ success: true, code: opened.check_in_code, expires_at: opened.check_in_expires_at });
+  } catch (error) {
+    console.error('Open check-in API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to open check-in' });
+  }
+});
+
+router.delete('/courses/:courseId/attendance/:attendanceId/check-in', requireAuth, requirePermission('results:grade', { resource: courseParam }), async (req, res) => {
+  try {
+    const register = await findAttendanceSession(req);
+    if (!register) {
+      return res.status(404).json({ success: false, message: 'Attendance session not found' });
+    }
+
+    await attendance.closeCheckIn(register);
+    await logAuditEvent(req.session.user.id, 'ATTENDANCE_CHECK_IN_CLOSED', 'attendance_sessions', register.id, null, null, req);
+
+    res.json({ success: true, message: 'Check-in closed' });
+  } catch (error) {
+    console.error('Close check-in API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to close check-in' });
+  }
+});
+
+// Students check in with the code shown in class
+router.post('/student/attendance/check-in', requireAuth, requirePermission('assessments:attempt'), async (req, res) => {
+  try {
+    if (!checkInAttempts.hit(req.session.user.id).allowed) {
+      return res.status(429).json({ success: false, message: 'Too many check-in attempts. Please try again later.' });
+    }
+
+    const code = String(req.body.code || '').trim().toUpperCase();
+    const register = code ? await dbHelpers.getOpenAttendanceSessionByCode(code) : null;
+    if (!register) {
+      return res.status(404).json({ success: false, message: 'That check-in code is not valid or has expired' });
+    }
+
+    const outcome = await attendance.checkIn(req.session.user.id, register);
+    if (!outcome.allowed) {
+      return res.status(409).json({ success: false, message: outcome.reason });
+    }
+
+    checkInAttempts.reset(req.session.user.id);
+    res.status(201).json({
+      success: true,
+      record: outcome.record,
+      message: `Checked in to ${register.course ? register.course.code : 'class'} as ${outcome.record.status}`
+    });
+  } catch (error) {
+    console.error('Check-in API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to check in' });
+  }
+});
+
+// The signed-in student's attendance in each of their courses
+router.get('/student/attendance', requireAuth, requirePermission('assessments:attempt'), async (req, res) => {
+  try {
+    const enrollments = await dbHelpers.getStudentEnrollments(req.session.user.id);
+    const rates = await attendance.attendanceRates(enrollments.map(enrollment => enrollment.course_id), { studentId: req.session.user.id });
+    const { threshold, alerts } = await attendance.belowThreshold(rates);
+    const flagged = new Set(alerts.map(alert => alert.course_id));
+    const coursesById = new Map(enrollments.map(enrollment => [enrollment.course_id, enrollment.course]));
+
+    res.json({
+      success: true,
+      threshold,
+      courses: rates.map(rate => ({ ...rate, course: coursesById.get(rate.course_id) || null, below_threshold: flagged.has(rate.course_id) }))
+    });
+  } catch (error) {
+    console.error('Student attendance API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch attendance' });
+  }
+});
+
+// The signed-in user's calendar: term dates and the deadlines of their courses
+router.get('/calendar', requireAuth, async (req, res) => {
+  try {
+    const range = calendar.parseRange(req.query);
+    if (!range.isValid) {
+      return res.status(400).json({ success: false, message: range.errors.join(', '), errors: range.errors });
+    }
+
+    const entries = await calendar.buildCalendar(req.session.user, range);
+    res.json({ success: true, from: range.from, to: range.to, entries });
+  } catch (error) {
+    console.error('Calendar API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch calendar' });
+  }
+});
+
+// Calendar subscription (.ics) link; the URL is only shown when it is created
+router.get('/account/calendar-feed', requireAuth, async (req, res) => {
+  try {
+    const user = await dbHelpers.getUserById(req.session.user.id);
+    res.json({ success: true, subscribed: Boolean(user.calendar_token_hash) });
+  } catch (error) {
+    console.error('Calendar feed API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch calendar feed' });
+  }
+});
+
+router.post('/account/calendar-feed', requireAuth, async (req, res) => {
+  try {
+    const token = await calendar.issueFeedToken(req.session.user.id);
+    await logAuditEvent(req.session.user.id, 'CALENDAR_FEED_CREATED', 'users', req.session.user.id, null, null, req);
+
+    res.status(201).json({ success: true, url: `${req.protocol}://${req.get('host')}/api/calendar/feed/${token}.ics` });
+  } catch (error) {
+    console.error('Create calendar feed API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to create calendar feed' });
+  }
+});
+
+router.delete('/account/calendar-feed', requireAuth, async (req, res) => {
+  try {
+    await calendar.revokeFeedToken(req.session.user.id);
+    await logAuditEvent(req.session.user.id, 'CALENDAR_FEED_REVOKED', 'users', req.session.user.id, null, null, req);
+
+    res.json({ success: true, message: 'Calendar feed turned off' });
+  } catch (error) {
+    console.error('Revoke calendar feed API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to turn off calendar feed' });
+  }
+});
+
+// Read by calendar apps, which cannot sign in: the token in the URL identifies the user
+router.get('/calendar/feed/:token.ics', async (req, res) => {
+  try {
+    const user = await calendar.findFeedUser(req.params.token);
+    if (!user) {
+      return res.status(404).type('text/plain').send('Calendar not found');
+    }
+
+    const entries = await calendar.buildCalendar(user, calendar.feedRange());
+    res.type('text/calendar; charset=utf-8').send(calendar.toICalendar(entries, { name: await settings.get('app_name') }));
+  } catch (error) {
+    console.error('Calendar feed API error:', error);
+    res.status(500).type('text/plain').send('Failed to build calendar');
+  }
+});
+
+// Two-factor authentication for the signed-in admin or lecturer (the login step lives in routes/auth.js)
+router.get('/account/two-factor', requireAuth, requireRole(twoFactor.TWO_FACTOR_ROLES), async (req, res) => {
+  try {
+    const user = await dbHelpers.getUserById(req.session.user.id);
+    res.json({ success: true, twoFactor: await twoFactor.getStatus(user) });
+  } catch (error) {
+    console.error('Two-factor status API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch two-factor status' });
+  }
+});
+
+// Start enrolment: the secret waits in the session until a code confirms it
+router.post('/account/two-factor/setup', requireAuth, requireRole(twoFactor.TWO_FACTOR_ROLES), async (req, res) => {
+  try {
+    const user = await dbHelpers.getUserById(req.session.user.id);
+    if (user.two_factor_enabled) {
+      return res.status(409).json({ success: false, message: 'Two-factor authentication is already on' });
+    }
+
+    const setup = await twoFactor.createSetup(user);
+    req.session.twoFactorSetup = { secret: setup.secret, startedAt: Date.now() };
+    res.json({ success: true, setup });
+  } catch (error) {
+    console.error('Two-factor setup API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to start two-factor setup' });
+  }
+});
+
+router.post('/account/two-factor/enable', requireAuth, requireRole(twoFactor.TWO_FACTOR_ROLES), async (req, res) => {
+  try {
+    const pending = req.session.twoFactorSetup;
+    if (!pending) {
+      return res.status(400).json({ success: false, message: 'Start two-factor setup first' });
+    }
+
+    const userId = req.session.user.id;
+    const recoveryCodes = await twoFactor.enable(userId, pending.secret, req.body.code);
+    if (!recoveryCodes) {
+      return res.status(400).json({ success: false, message: 'That code is not valid. Check your authenticator app and try again.' });
+    }
+
+    delete req.session.twoFactorSetup;
+    req.session.user.two_factor_enabled = true;
+    await logAuditEvent(userId, 'TWO_FACTOR_ENABLED', 'users', userId, { two_factor_enabled: false }, { two_factor_enabled: true }, req);
+
+    res.json({ success: true, message: 'Two-factor authentication is on', recoveryCodes });
+  } catch (error) {
+    console.error('Two-factor enable API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to turn on two-factor authentication' });
+  }
+});
+
+// Replace the recovery codes; needs a current authenticator code
+router.post('/account/two-factor/recovery-codes', requireAuth, requireRole(twoFactor.TWO_FACTOR_ROLES), async (req, res) => {
+  try {
+    const user = await dbHelpers.getUserById(req.session.user.id);
+    if (!user.two_factor_enabled) {
+      return res.status(409).json({ success: false, message: 'Two-factor authentication is off' });
+    }
+    if (!(await twoFactor.verifyTotp(user, req.body.code))) {
+      return res.status(400).json({ success: false, message: 'That code is not valid' });
+    }
+
+    const recoveryCodes = await twoFactor.issueRecoveryCodes(user.id);
+    await logAuditEvent(user.id, 'TWO_FACTOR_RECOVERY_CODES_REGENERATED', 'users', user.id, null, { recovery_codes: recoveryCodes.length }, req);
+
+    res.json({ success: true, message: 'New recovery codes generated', recoveryCodes });
+  } catch (error) {
+    console.error('Recovery codes API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to generate recovery codes' });
+  }
+});
+
+// Turn 2FA off; needs an authenticator or recovery code, and is refused while the role requires 2FA
+router.post('/account/two-factor/disable', requireAuth, requireRole(twoFactor.TWO_FACTOR_ROLES), async (req, res) => {
+  try {
+    const user = await dbHelpers.getUserById(req.session.user.id);
+    if (!user.two_factor_enabled) {
+      return res.status(409).json({ success: false, message: 'Two-factor authentication is already off' });
+    }
+    if (await twoFactor.isRequiredFor(user.role)) {
+      return res.status(409).json({ success: false, message: 'Two-factor authentication is required for your role' });
+    }
+    if (!(await twoFactor.verifyLoginCode(user, req.body.code))) {
+      return res.status(400).json({ success: false, message: 'That code is not valid' });
+    }
+
+    await twoFactor.disable(user.id);
+    req.session.user.two_factor_enabled = false;
+    await logAuditEvent(user.id, 'TWO_FACTOR_DISABLED', 'users', user.id, { two_factor_enabled: true }, { two_factor_enabled: false }, req);
+
+    res.json({ success: true, message: 'Two-factor authentication is off' });
+  } catch (error) {
+    console.error('Two-factor disable API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to turn off two-factor authentication' });
+  }
+});
+
+// Admin reset for a user who lost their device; they enrol again at next login if their role requires it
+router.post('/admin/users/:userId/two-factor/reset', requireAuth, requirePermission('users:manage', { global: true }), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const user = await dbHelpers.getUserById(userId).catch(error => {
+      if (error.code === 'PGRST116') return null;
+      throw error;
+    });
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    if (!user.two_factor_enabled) {
+      return res.status(409).json({ success: false, message: 'This user does not have two-factor authentication on' });
+    }
+
+    await twoFactor.disable(userId);
+    await logAuditEvent(req.session.user.id, 'TWO_FACTOR_RESET', 'users', userId, { two_factor_enabled: true }, { two_factor_enabled: false }, req);
+
+    res.json({ success: true, message: `Two-factor authentication reset for ${user.first_name} ${user.last_name}` });
+  } catch (error) {
+    console.error('Two-factor reset API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to reset two-factor authentication' });
+  }
+});
+
+// ===================================
+// ROLES AND PERMISSIONS
+// ===================================
+
+// What the signed-in user may do, so pages can hide actions they would be refused
+router.get('/account/permissions', requireAuth, async (req, res) => {
+  try {
+    const role = await permissions.getRole(permissions.roleNameOf(req.session.user));
+    res.json({ success: true, role: role ? role.name : null, permissions: role ? role.permissions : [] });
+  } catch (error) {
+    console.error('Account permissions API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch permissions' });
+  }
+});
+
+router.get('/admin/roles', requireAuth, requirePermission('roles:manage', { global: true }), async (req, res) => {
+  try {
+    res.json({ success: true, roles: await permissions.getRoles(), permissions: permissions.listPermissions() });
+  } catch (error) {
+    console.error('List roles API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch roles' });
+  }
+});
+
+router.post('/admin/roles', requireAuth, requirePermission('roles:manage', { global: true }), async (req, res) => {
+  try {
+    const { isValid, errors, permissions: grants } = permissions.validateRole(req.body);
+    if (!isValid) {
+      return res.status(400).json({ success: false, message: errors.join(', '), errors });
+    }
+    if (await dbHelpers.getRoleByName(req.body.name)) {
+      return res.status(409).json({ success: false, message: 'A role with that name already exists' });
+    }
+
+    const role = await dbHelpers.createRole({
+      name: req.body.name,
+      label: String(req.body.label).trim(),
+      description: req.body.description || null,
+      base_role: req.body.base_role,
+      permissions: grants,
+      is_system: false
+    });
+    permissions.invalidate();
+    await logAuditEvent(req.session.user.id, 'ROLE_CREATED', 'roles', null, null, role, req);
+
+    res.status(201).json({ success: true, role });
+  } catch (error) {
+    console.error('Create role API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to create role' });
+  }
+});
+
+// Change a role's label, description or grants; its base role is fixed once created
+router.put('/admin/roles/:name', requireAuth, requirePermission('roles:manage', { global: true }), async (req, res) => {
+  try {
+    const existing = await dbHelpers.getRoleByName(req.params.name);
+    if (!existing) {
+      return res.status(404).json({ success: false, message: 'Role not found' });
+    }
+
+    const { isValid, errors, permissions: grants } = permissions.validateRole(req.body, { isNew: false });
+    if (!isValid) {
+      return res.status(400).json({ success: false, message: errors.join(', '), errors });
+    }
+    // Nobody may lock themselves out of this page
+    if (existing.name === permissions.roleNameOf(req.session.user) && !grants.includes('roles:manage')) {
+      return res.status(409).json({ success: false, message: 'You cannot remove role management from your own role' });
+    }
+
+    const role = await dbHelpers.updateRole(existing.name, {
+      label: String(req.body.label).trim(),
+      description: req.body.description || null,
+      permissions: grants
+    });
+    permissions.invalidate();
+    await logAuditEvent(
+      req.session.user.id,
+      'ROLE_UPDATED',
+      'roles',
+      null,
+      { name: existing.name, label: existing.label, permissions: existing.permissions },
+      { name: role.name, label: role.label, permissions: role.permissions },
+      req
+    );
+
+    res.json({ success: true, role });
+  } catch (error) {
+    console.error('Update role API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update role' });
+  }
+});
+
+router.delete('/admin/roles/:name', requireAuth, requirePermission('roles:manage', { global: true }), async (req, res) => {
+  try {
+    const existing = await dbHelpers.getRoleByName(req.params.name);
+    if (!existing) {
+      return res.status(404).json({ success: false, message: 'Role not found' });
+    }
+    if (existing.is_system) {
+      return res.status(409).json({ success: false, message: 'Built-in roles cannot be deleted' });
+    }
+    const users = await dbHelpers.countUsersWithRole(existing.name);
+    if (users > 0) {
+      return res.status(409).json({ success: false, message: `${users} user(s) still have this role` });
+    }
+
+    await dbHelpers.deleteRole(existing.name);
+    permissions.invalidate();
+    await logAuditEvent(req.session.user.id, 'ROLE_DELETED', 'roles', null, existing, null, req);
+
+    res.json({ success: true, message: 'Role deleted' });
+  } catch (error) {
+    console.error('Delete role API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete role' });
+  }
+});
+
+// Give a user another role. users.role follows the role's base so they land in the
+// matching portal; their sessions end so the next sign-in picks up the new grants.
+router.put('/admin/users/:userId/role', requireAuth, requirePermission('users:manage', { global: true }), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (userId === req.session.user.id) {
+      return res.status(409).json({ success: false, message: 'You cannot change your own role' });
+    }
+
+    const role = await permissions.getRole(req.body.role);
+    if (!role) {
+      return res.status(400).json({ success: false, message: 'Unknown role' });
+    }
+
+    const user = await dbHelpers.getUserById(userId).catch(error => {
+      if (error.code === 'PGRST116') return null;
+      throw error;
+    });
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const updated = await dbHelpers.updateUser(userId, {
+      role: role.base_role,
+      role_name: role.is_system ? null : role.name,
+      session_version: (user.session_version || 0) + 1
+    });
+    await logAuditEvent(
+      req.session.user.id,
+      'USER_ROLE_CHANGED',
+      'users',
+      userId,
+      { role: user.role, role_name: user.role_name || null },
+      { role: updated.role, role_name: updated.role_name || null },
+      req
+    );
+
+    res.json({ success: true, message: `${user.first_name} ${user.last_name} is now ${role.label}`, user: toSafeUser(updated) });
+  } catch (error) {
+    console.error('Change user role API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to change user role' });
+  }
+});
+
+// Admin settings, persisted through the settings service
+const toSettingsResponse = (values) => ({
+  appName: values.app_name,
+  registrationOpen: values.registration_open,
+  attendanceThreshold: values.attendance_threshold,
+  checkInMinutes: values.check_in_minutes,
+  require2faAdmin: values.require_2fa_admin,
+  require2faLecturer: values.require_2fa_lecturer,
+  smtpHost: values.smtp_host,
+  smtpPort: values.smtp_port,
+  smtpUser: values.smtp_user,
+  smtpPassSet: values.smtp_pass_set,
+  auditRetentionAuthDays: values.audit_retention_auth_days,
+  auditRetentionExportDays: values.audit_retention_export_days,
+  auditRetentionChangeDays: values.audit_retention_change_days,
+  auditRetentionActivityDays: values.audit_retention_activity_days
+});
+
+const saveSettings = async (req, res, changes, label) => {
+  const { isValid, errors } = settings.validate(changes);
+  if (!isValid) {
+    return res.status(400).json({ success: false, message: errors.join(', '), errors });
+  }
+
+  const changed = await settings.update(changes, { userId: req.session.user.id, req });
+  res.json({ success: true, message: `${label} settings updated`, changed });
+};
+
+router.get('/admin/settings', requireAuth, requirePermission('settings:manage', { global: true }), async (req, res) => {
+  try {
+    res.json({ success: true, settings: toSettingsResponse(await settings.getPublic()) });
+  } catch (error) {
+    console.error('Error fetching admin settings:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch settings' });
+  }
+});
+
+router.post('/admin/settings/general', requireAuth, requirePermission('settings:manage', { global: true }), async (req, res) => {
+  try {
+    const { appName, registrationOpen } = req.body;
+    await saveSettings(req, res, {
+      app_name: appName,
+      registration_open: Boolean(registrationOpen) && registrationOpen !== 'false'
+    }, 'General');
+  } catch (error) {
+    console.error('Error updating general settings:', error);
+    res.status(500).json({ success: false, message: 'Failed to update general settings' });
+  }
+});
+
+router.post('/admin/settings/email', requireAuth, requirePermission('settings:manage', { global: true }), async (req, res) => {
+  try {
+    const { smtpHost, smtpPort, smtpUser, smtpPass } = req.body;
+    const changes = {
+      smtp_host: smtpHost,
+      smtp_port: smtpPort,
+      smtp_user: smtpUser
+    };
+
+    // A blank password field keeps the stored password
+    if (smtpPass) {
+      changes.smtp_pass = smtpPass;
+    }
+
+    await saveSettings(req, res, changes, 'Email');
+  } catch (error) {
+    console.error('Error updating email settings:', error);
+    res.status(500).json({ success: false, message: 'Failed to update email settings' });
+  }
+});
+
+// Send a test message through the current mail settings and report how it went
+router.post('/admin/settings/email/test', requireAuth, requirePermission('settings:manage', { global: true }), async (req, res) => {
+  try {
+    const to = typeof req.body.to === 'string' ? req.body.to.trim() : '';
+    if (!validateEmail(to)) {
+      return res.status(400).json({ success: false, message: 'Enter a valid email address' });
+    }
+
+    const { first_name: firstName, last_name: lastName } = req.session.user;
+    const message = await mailOutbox.queueMail('test', to, { sentBy: `${firstName} ${lastName}` }, { immediate: true });
+    await logAuditEvent(req.session.user.id, 'MAIL_TEST_SENT', 'mail_outbox', message.id, null, { to, status: message.status }, req);
+
+    if (message.status !== 'sent') {
+      return res.status(502).json({ success: false, message: `Could not send the test email: ${message.last_error}` });
+    }
+    res.json({ success: true, message: `Test email sent to ${to}` });
+  } catch (error) {
+    console.error('Test email API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to send test email' });
+  }
+});
+
+// Queued, sent and dead-lettered mail
+router.get('/admin/mail/outbox', requireAuth, requirePermission('settings:manage', { global: true }), async (req, res) => {
+  try {
+    const [{ data, pagination }, counts] = await Promise.all([
+      dbHelpers.getMailMessages(parseListQuery(req.query)),
+      mailOutbox.outboxCounts()
+    ]);
+    res.json({
+      success: true,
+      counts,
+      messages: data.map(({ text_body: textBody, html_body: htmlBody, ...message }) => message),
+      pagination
+    });
+  } catch (error) {
+    console.error('Mail outbox API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch mail outbox' });
+  }
+});
+
+router.post('/admin/mail/outbox/:messageId/retry', requireAuth, requirePermission('settings:manage', { global: true }), async (req, res) => {
+  try {
+    const existing = await dbHelpers.getMailMessageById(req.params.messageId);
+    if (!existing) {
+      return res.status(404).json({ success: false, message: 'Message not found' });
+    }
+
+    const message = await mailOutbox.retryMail(existing.id);
+    if (!message) {
+      return res.status(409).json({ success: false, message: 'Only dead-lettered messages can be retried' });
+    }
+
+    await logAuditEvent(req.session.user.id, 'MAIL_RETRIED', 'mail_outbox', message.id, { status: existing.status, attempts: existing.attempts }, { status: message.status }, req);
+    res.json({ success: true, message: `Message to ${message.to_address} queued again` });
+  } catch (error) {
+    console.error('Retry mail API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to retry message' });
+  }
+});
+
+// Audit log entries, newest first; data changes carry a field-level diff in `changes`.
+// Filters: user (email or id), action, table, record, ip, from, to, q (see config/auditExplorer.js)
+router.get('/admin/audit-logs', requireAuth, requirePermission('settings:manage', { global: true }), async (req, res) => {
+  try {
+    const { isValid, errors, values } = await auditExplorer.parseAuditFilters(req.query);
+    if (!isValid) {
+      return res.status(400).json({ success: false, message: errors.join(', '), errors });
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 100);
+    const { data, pagination } = await getAuditLogs(page, limit, values);
+    res.json({ success: true, logs: data, pagination });
+  } catch (error) {
+    console.error('Audit logs API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch audit logs' });
+  }
+});
+
+// Download the entries matching the explorer's filters as CSV or JSON Lines
+router.get('/admin/audit-logs/export', requireAuth, requirePermission('settings:manage', { global: true }), async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+    if (!auditExplorer.EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ success: false, message: `Format must be one of ${auditExplorer.EXPORT_FORMATS.join(', ')}` });
+    }
+    const { isValid, errors, params, values } = await auditExplorer.parseAuditFilters(req.query);
+    if (!isValid) {
+      return res.status(400).json({ success: false, message: errors.join(', '), errors });
+    }
+
+    const entries = await auditExplorer.collectForExport(values);
+    await logExportEvent(req.session.user.id, 'audit_logs', { ...params, format, rows: entries.length }, req);
+
+    res.attachment(`audit-log-${new Date().toISOString().slice(0, 10)}.${format}`);
+    if (format === 'csv') {
+      res.type('text/csv; charset=utf-8').send(auditExplorer.toCsv(entries));
+    } else {
+      res.type('application/x-ndjson; charset=utf-8').send(auditExplorer.toJsonl(entries));
+    }
+  } catch (error) {
+    console.error('Audit log export API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to export audit logs' });
+  }
+});
+
+// Every entry about one record, newest first
+router.get('/admin/audit-logs/history/:tableName/:recordId', requireAuth, requirePermission('settings:manage', { global: true }), async (req, res) => {
+  try {
+    if (!UUID_PATTERN.test(req.params.recordId)) {
+      return res.status(400).json({ success: false, message: 'Record must be an id' });
+    }
+
+    const { data, pagination } = await getAuditLogs(1, 500, { tableName: req.params.tableName, recordId: req.params.recordId });
+    res.json({ success: true, history: data, total: pagination.total });
+  } catch (error) {
+    console.error('Audit history API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch record history' });
+  }
+});
+
+// The signed-in admin's saved explorer filters
+router.get('/admin/audit-logs/saved-filters', requireAuth, requirePermission('settings:manage', { global: true }), async (req, res) => {
+  try {
+    res.json({ success: true, filters: await dbHelpers.getSavedAuditFilters(req.session.user.id) });
+  } catch (error) {
+    console.error('Saved audit filters API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch saved filters' });
+  }
+});
+
+// Save the current filters under a name; saving an existing name replaces it
+router.post('/admin/audit-logs/saved-filters', requireAuth, requirePermission('settings:manage', { global: true }), async (req, res) => {
+  try {
+    const { isValid, errors, values } = auditExplorer.validateSavedFilter(req.body);
+    if (!isValid) {
+      return res.status(400).json({ success: false, message: errors.join(', '), errors });
+    }
+
+    const existing = await dbHelpers.getSavedAuditFilters(req.session.user.id);
+    if (!existing.some(saved => saved.name === values.name) && existing.length >= auditExplorer.MAX_SAVED_FILTERS) {
+      return res.status(409).json({ success: false, message: `You can keep up to ${auditExplorer.MAX_SAVED_FILTERS} saved filters` });
+    }
+
+    const saved = await dbHelpers.saveAuditFilter({ user_id: req.session.user.id, ...values });
+    res.json({ success: true, message: `Saved "${saved.name}"`, filter: saved });
+  } catch (error) {
+    console.error('Save audit filter API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to save filter' });
+  }
+});
+
+router.delete('/admin/audit-logs/saved-filters/:filterId', requireAuth, requirePermission('settings:manage', { global: true }), async (req, res) => {
+  try {
+    if (!UUID_PATTERN.test(req.params.filterId)) {
+      return res.status(404).json({ success: false, message: 'Saved filter not found' });
+    }
+    const removed = await dbHelpers.deleteSavedAuditFilter(req.session.user.id, req.params.filterId);
+    if (!removed) {
+      return res.status(404).json({ success: false, message: 'Saved filter not found' });
+    }
+
+    res.json({ success: true, message: `Deleted "${removed.name}"` });
+  } catch (error) {
+    console.error('Delete audit filter API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete filter' });
+  }
+});
+
+// Check the audit log hash chain and the signed checkpoints (see config/auditChain.js)
+router.get('/admin/audit-logs/integrity', requireAuth, requirePermission('settings:manage', { global: true }), async (req, res) => {
+  try {
+    const result = await auditChain.verifyChain();
+    const checkpoints = auditChain.readCheckpoints();
+    res.json({ success: true, ...result, recentCheckpoints: checkpoints.slice(-20).reverse() });
+  } catch (error) {
+    console.error('Audit integrity API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to verify the audit log' });
+  }
+});
+
+router.post('/admin/audit-logs/checkpoints', requireAuth, requirePermission('settings:manage', { global: true }), async (req, res) => {
+  try {
+    await logAuditEvent(req.session.user.id, 'AUDIT_CHECKPOINT_WRITTEN', 'audit_logs', null, null, null, req);
+    const checkpoint = await auditChain.writeCheckpoint();
+    res.json({ success: true, message: checkpoint ? `Checkpoint written at entry ${checkpoint.seq}` : 'No new entries since the last checkpoint', checkpoint });
+  } catch (error) {
+    console.error('Audit checkpoint API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to write audit checkpoint' });
+  }
+});
+
+// Audit archives written by the retention job (config/auditArchive.js), newest first
+router.get('/admin/audit-logs/archives', requireAuth, requirePermission('settings:manage', { global: true }), async (req, res) => {
+  try {
+    const archives = await auditArchive.listArchives();
+    const categories = Object.fromEntries(Object.entries(auditArchive.CATEGORIES).map(([key, { label }]) => [key, label]));
+    res.json({ success: true, archives, categories });
+  } catch (error) {
+    console.error('Audit archives API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch audit archives' });
+  }
+});
+
+// Run the retention job now rather than waiting for scripts/archive-audit-log.js
+router.post('/admin/audit-logs/archives', requireAuth, requirePermission('settings:manage', { global: true }), async (req, res) => {
+  try {
+    const archive = await auditArchive.archiveExpiredEntries({ userId: req.session.user.id });
+    res.json({
+      success: true,
+      message: archive ? `Archived ${archive.entry_count} entries to ${archive.file_name}` : 'No audit entries have expired',
+      archive
+    });
+  } catch (error) {
+    console.error('Archive audit log API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to archive audit entries' });
+  }
+});
+
+const findArchive = (archiveId) => (UUID_PATTERN.test(archiveId) ? auditArchive.getArchive(archiveId) : null);
+
+router.get('/admin/audit-logs/archives/:archiveId/entries', requireAuth, requirePermission('settings:manage', { global: true }), async (req, res) => {
+  try {
+    const archive = await findArchive(req.params.archiveId);
+    if (!archive) {
+      return res.status(404).json({ success: false, message: 'Archive not found' });
+    }
+    const entries = auditArchive.readArchive(archive);
+    if (!entries) {
+      return res.status(409).json({ success: false, message: `${archive.file_name} is missing or does not match its recorded checksum` });
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 100);
+    res.json({
+      success: true,
+      entries: entries.slice((page - 1) * limit, page * limit),
+      pagination: { page, limit, total: entries.length, totalPages: Math.ceil(entries.length / limit) }
+    });
+  } catch (error) {
+    console.error('Audit archive entries API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to read audit archive' });
+  }
+});
+
+router.post('/admin/audit-logs/archives/:archiveId/verify', requireAuth, requirePermission('settings:manage', { global: true }), async (req, res) => {
+  try {
+    const archive = await findArchive(req.params.archiveId);
+    if (!archive) {
+      return res.status(404).json({ success: false, message: 'Archive not found' });
+    }
+
+    res.json({ success: true, ...(await auditArchive.checkArchive(archive)) });
+  } catch (error) {
+    console.error('Verify audit archive API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to verify audit archive' });
+  }
+});
+
+// Re-import an archive's entries into the audit log, e.g. for an investigation
+router.post('/admin/audit-logs/archives/:archiveId/restore', requireAuth, requirePermission('settings:manage', { global: true }), async (req, res) => {
+  try {
+    const archive = await findArchive(req.params.archiveId);
+    if (!archive) {
+      return res.status(404).json({ success: false, message: 'Archive not found' });
+    }
+    if (archive.restored_at) {
+      return res.status(409).json({ success: false, message: 'This archive is already restored' });
+    }
+    const check = await auditArchive.checkArchive(archive);
+    if (!check.ok) {
+      return res.status(409).json({ success: false, message: check.problems.join(', '), errors: check.problems });
+    }
+
+    await auditArchive.restoreArchive(archive, req.session.user.id);
+    await logAuditEvent(req.session.user.id, 'AUDIT_ARCHIVE_RESTORED', 'audit_archives', archive.id, null, { file: archive.file_name, entries: archive.entry_count }, req);
+    res.json({ success: true, message: `Restored ${archive.entry_count} entries from ${archive.file_name}` });
+  } catch (error) {
+    console.error('Restore audit archive API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to restore audit archive' });
+  }
+});
+
+// Take restored entries out of the audit log again; the archive file keeps them
+router.delete('/admin/audit-logs/archives/:archiveId/restore', requireAuth, requirePermission('settings:manage', { global: true }), async (req, res) => {
+  try {
+    const archive = await findArchive(req.params.archiveId);
+    if (!archive) {
+      return res.status(404).json({ success: false, message: 'Archive not found' });
+    }
+
+    const updated = await auditArchive.removeRestored(archive);
+    if (!updated) {
+      return res.status(409).json({ success: false, message: 'This archive is not restored' });
+    }
+
+    await logAuditEvent(req.session.user.id, 'AUDIT_RESTORE_REMOVED', 'audit_archives', archive.id, null, { file: archive.file_name }, req);
+    res.json({ success: true, message: `Removed the restored entries of ${archive.file_name}` });
+  } catch (error) {
+    console.error('Remove restored audit entries API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to remove restored entries' });
+  }
+});
+
+router.post('/admin/settings/audit-retention', requireAuth, requirePermission('settings:manage', { global: true }), async (req, res) => {
+  try {
+    const { auditRetentionAuthDays, auditRetentionExportDays, auditRetentionChangeDays, auditRetentionActivityDays } = req.body;
+    await saveSettings(req, res, {
+      audit_retention_auth_days: auditRetentionAuthDays,
+      audit_retention_export_days: auditRetentionExportDays,
+      audit_retention_change_days: auditRetentionChangeDays,
+      audit_retention_activity_days: auditRetentionActivityDays
+    }, 'Audit retention');
+  } catch (error) {
+    console.error('Error updating audit retention settings:', error);
+    res.status(500).json({ success: false, message: 'Failed to update audit retention settings' });
+  }
+});
+
+router.post('/admin/settings/attendance', requireAuth, requirePermission('settings:manage', { global: true }), async (req, res) => {
+  try {
+    const { attendanceThreshold, checkInMinutes } = req.body;
+    await saveSettings(req, res, {
+      attendance_threshold: attendanceThreshold,
+      check_in_minutes: checkInMinutes
+    }, 'Attendance');
+  } catch (error) {
+    console.error('Error updating attendance settings:', error);
+    res.status(500).json({ success: false, message: 'Failed to update attendance settings' });
+  }
+});
+
+router.post('/admin/settings/security', requireAuth, requirePermission('settings:manage', { global: true }), async (req, res) => {
+  try {
+    const { require2faAdmin, require2faLecturer } = req.body;
+    await saveSettings(req, res, {
+      require_2fa_admin: Boolean(require2faAdmin) && require2faAdmin !== 'false',
+      require_2fa_lecturer: Boolean(require2faLecturer) && require2faLecturer !== 'false'
+    }, 'Security');
+  } catch (error) {
+    console.error('Error updating security settings:', error);
+    res.status(500).json({ success: false, message: 'Failed to update security settings' });
+  }
+});
+
+module.exports = router;
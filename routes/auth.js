@@ -0,0 +1,344 @@
+const express = require('express');
+const { dbHelpers } = require('../config/database');
+const {
+  requireGuest,
+  validatePassword,
+  comparePassword,
+  checkAccountLockout,
+  handleFailedLogin,
+  handleSuccessfulLogin,
+  sanitizeUserForSession
+} = require('../middleware/auth');
+const { auditContext, logAuthEvent, logAuditEvent } = require('../middleware/audit');
+const { createRateLimiter } = require('../middleware/rateLimit');
+const passwordReset = require('../config/passwordReset');
+const twoFactor = require('../config/twoFactor');
+
+const router = express.Router();
+
+// Password resets and 2FA changes update users; their audited diffs need the request
+router.use(auditContext);
+
+const DASHBOARDS = {
+  admin: '/admin/dashboard',
+  lecturer: '/lecturer/dashboard',
+  student: '/student/dashboard'
+};
+
+// How long a password-verified login may wait for its second step, and how many codes it may try
+const PENDING_LOGIN_TTL_MS = 5 * 60 * 1000;
+const MAX_TWO_FACTOR_ATTEMPTS = 5;
+
+// Reset requests: a few per address per hour, and a cap per client across addresses
+const resetRequestsByEmail = createRateLimiter({ windowMs: 60 * 60 * 1000, max: 3 });
+const resetRequestsByIp = createRateLimiter({ windowMs: 15 * 60 * 1000, max: 10 });
+// New-password submissions, which would otherwise allow unlimited token guessing
+const resetAttemptsByIp = createRateLimiter({ windowMs: 15 * 60 * 1000, max: 10 });
+
+const RESET_REQUESTED_MESSAGE = 'If an account exists for that email, we have sent a link to reset its password.';
+const RATE_LIMITED_MESSAGE = 'Too many password reset attempts. Please try again later.';
+
+// Links in emails use APP_URL when set; the Host header is client-controlled
+const baseUrlFor = (req) => process.env.APP_URL || `${req.protocol}://${req.get('host')}`;
+
+const flashMessages = (req) => ({
+  error: req.flash('error'),
+  success: req.flash('success')
+});
+
+// Where a signed-in user lands
+const homeFor = (user) => {
+  if (user.role !== 'admin' && user.approval_status !== 'approved') {
+    return '/auth/pending-approval';
+  }
+  return DASHBOARDS[user.role] || '/';
+};
+
+// Start the session proper; a fresh session id keeps a pre-login id from being reused
+const completeLogin = (req, user) => {
+  return new Promise((resolve, reject) => {
+    req.session.regenerate(error => {
+      if (error) return reject(error);
+      req.session.user = sanitizeUserForSession(user);
+      resolve();
+    });
+  }).then(async () => {
+    await handleSuccessfulLogin(user.id);
+    await logAuthEvent(user.email, 'LOGIN', true, req);
+  });
+};
+
+// A login that passed the password check and waits for its second step ('verify' or 'setup')
+const getPendingLogin = async (req) => {
+  const pending = req.session.pendingLogin;
+  if (!pending || Date.now() - pending.startedAt > PENDING_LOGIN_TTL_MS) {
+    delete req.session.pendingLogin;
+    return null;
+  }
+
+  // Wrong codes count towards the account lockout like wrong passwords do
+  const user = await dbHelpers.getUserById(pending.userId);
+  if (!user || !user.is_active || (user.locked_until && new Date(user.locked_until) > new Date())) {
+    delete req.session.pendingLogin;
+    return null;
+  }
+  return { ...pending, user };
+};
+
+// Second-step page; during enrolment the secret lives in the pending login until a code confirms it
+const renderTwoFactor = async (req, res, pending) => {
+  let setup = null;
+  if (pending.step === 'setup') {
+    setup = await twoFactor.createSetup(pending.user, req.session.pendingLogin.secret);
+    req.session.pendingLogin.secret = setup.secret;
+  }
+
+  res.render('two-factor', {
+    title: 'Two-Factor Authentication',
+    step: pending.step,
+    setup,
+    recoveryCodes: null,
+    messages: flashMessages(req)
+  });
+};
+
+// A wrong second-step code counts as a failed login; too many end the pending login
+const failTwoFactor = async (req, res, pending, reason) => {
+  await handleFailedLogin(pending.user.id);
+  await logAuthEvent(pending.user.email, 'TWO_FACTOR', false, req, reason);
+
+  req.session.pendingLogin.attempts += 1;
+  if (req.session.pendingLogin.attempts >= MAX_TWO_FACTOR_ATTEMPTS) {
+    delete req.session.pendingLogin;
+    req.flash('error', 'Too many invalid codes. Please log in again.');
+    return res.redirect('/auth/login');
+  }
+
+  req.flash('error', 'That code is not valid. Please try again.');
+  res.redirect('/auth/login/two-factor');
+};
+
+router.get('/login', requireGuest, (req, res) => {
+  res.render('login', {
+    title: 'Login',
+    user: null,
+    currentPath: req.originalUrl,
+    currentYear: new Date().getFullYear(),
+    messages: flashMessages(req)
+  });
+});
+
+router.post('/login', requireGuest, checkAccountLockout, async (req, res) => {
+  const email = String(req.body.email || '').trim();
+  const user = req.user;
+
+  try {
+    if (!user || !(await comparePassword(String(req.body.password || ''), user.password_hash))) {
+      if (user) await handleFailedLogin(user.id);
+      await logAuthEvent(email, 'LOGIN', false, req, user ? 'Invalid password' : 'Unknown email');
+      req.flash('error', 'Invalid email or password');
+      return res.redirect('/auth/login');
+    }
+
+    if (!user.is_active) {
+      await logAuthEvent(email, 'LOGIN', false, req, 'Account deactivated');
+      req.flash('error', 'Your account has been deactivated. Please contact an administrator.');
+      return res.redirect('/auth/login');
+    }
+
+    // The session only gets the user once every required factor has been checked
+    const step = user.two_factor_enabled ? 'verify' : (await twoFactor.isRequiredFor(user.role) ? 'setup' : null);
+    if (step) {
+      req.session.pendingLogin = { userId: user.id, step, startedAt: Date.now(), attempts: 0 };
+      return res.redirect('/auth/login/two-factor');
+    }
+
+    await completeLogin(req, user);
+    res.redirect(homeFor(user));
+  } catch (error) {
+    console.error('Login error:', error);
+    req.flash('error', 'Unable to log in right now. Please try again later.');
+    res.redirect('/auth/login');
+  }
+});
+
+router.get('/login/two-factor', requireGuest, async (req, res) => {
+  try {
+    const pending = await getPendingLogin(req);
+    if (!pending) {
+      req.flash('error', 'Please log in again');
+      return res.redirect('/auth/login');
+    }
+
+    await renderTwoFactor(req, res, pending);
+  } catch (error) {
+    console.error('Two-factor page error:', error);
+    req.flash('error', 'Unable to log in right now. Please try again later.');
+    res.redirect('/auth/login');
+  }
+});
+
+router.post('/login/two-factor', requireGuest, async (req, res) => {
+  try {
+    const pending = await getPendingLogin(req);
+    if (!pending) {
+      req.flash('error', 'Please log in again');
+      return res.redirect('/auth/login');
+    }
+
+    const { user } = pending;
+    const code = String(req.body.code || '').trim();
+
+    if (pending.step === 'setup') {
+      const recoveryCodes = await twoFactor.enable(user.id, req.session.pendingLogin.secret, code);
+      if (!recoveryCodes) {
+        return failTwoFactor(req, res, pending, 'Invalid enrolment code');
+      }
+
+      await logAuditEvent(user.id, 'TWO_FACTOR_ENABLED', 'users', user.id, { two_factor_enabled: false }, { two_factor_enabled: true }, req);
+      await completeLogin(req, await dbHelpers.getUserById(user.id));
+      // Shown once; the user continues to their dashboard from there
+      return res.render('two-factor', {
+        title: 'Two-Factor Authentication',
+        step: 'recovery',
+        setup: null,
+        recoveryCodes,
+        continueUrl: homeFor(user),
+        messages: flashMessages(req)
+      });
+    }
+
+    const method = await twoFactor.verifyLoginCode(user, code);
+    if (!method) {
+      return failTwoFactor(req, res, pending, 'Invalid code');
+    }
+
+    await logAuthEvent(user.email, 'TWO_FACTOR', true, req, method);
+    await completeLogin(req, user);
+
+    if (method === 'recovery_code') {
+      const remaining = await dbHelpers.countUnusedRecoveryCodes(user.id);
+      await logAuditEvent(user.id, 'TWO_FACTOR_RECOVERY_CODE_USED', 'users', user.id, null, { recovery_codes_remaining: remaining }, req);
+      req.flash('warning', `You signed in with a recovery code. ${remaining} recovery code(s) left.`);
+    }
+    res.redirect(homeFor(user));
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    req.flash('error', 'Unable to log in right now. Please try again later.');
+    res.redirect('/auth/login');
+  }
+});
+
+router.post('/logout', async (req, res) => {
+  const user = req.session.user;
+  if (user) {
+    await logAuthEvent(user.email, 'LOGOUT', true, req);
+  }
+
+  req.session.destroy(() => {
+    res.redirect('/auth/login');
+  });
+});
+
+router.get('/forgot-password', requireGuest, (req, res) => {
+  res.render('forgot-password', {
+    title: 'Forgot Password',
+    messages: flashMessages(req)
+  });
+});
+
+router.post('/forgot-password', requireGuest, async (req, res) => {
+  const email = String(req.body.email || '').trim();
+
+  if (!email) {
+    req.flash('error', 'Please enter your email address');
+    return res.redirect('/auth/forgot-password');
+  }
+
+  const byIp = resetRequestsByIp.hit(req.ip);
+  const byEmail = resetRequestsByEmail.hit(email.toLowerCase());
+  if (!byIp.allowed || !byEmail.allowed) {
+    await logAuthEvent(email, 'PASSWORD_RESET_REQUEST', false, req, 'Rate limited');
+    req.flash('error', RATE_LIMITED_MESSAGE);
+    return res.redirect('/auth/forgot-password');
+  }
+
+  // Answer before the lookup and mail finish so response time does not reveal whether the account exists
+  req.flash('success', RESET_REQUESTED_MESSAGE);
+  res.redirect('/auth/forgot-password');
+
+  try {
+    const sent = await passwordReset.requestPasswordReset({
+      email,
+      ip: req.ip,
+      baseUrl: baseUrlFor(req)
+    });
+    await logAuthEvent(email, 'PASSWORD_RESET_REQUEST', sent, req, sent ? null : 'No active account');
+  } catch (error) {
+    console.error('Password reset request error:', error);
+    await logAuthEvent(email, 'PASSWORD_RESET_REQUEST', false, req, error.message);
+  }
+});
+
+router.get('/reset-password/:token', async (req, res) => {
+  try {
+    const record = await passwordReset.findValidToken(req.params.token);
+    if (!record) {
+      req.flash('error', 'This password reset link is invalid or has expired. Please request a new one.');
+      return res.redirect('/auth/forgot-password');
+    }
+
+    res.render('reset-password', {
+      title: 'Reset Password',
+      token: req.params.token,
+      messages: flashMessages(req)
+    });
+  } catch (error) {
+    console.error('Password reset page error:', error);
+    req.flash('error', 'Unable to reset your password right now. Please try again later.');
+    res.redirect('/auth/forgot-password');
+  }
+});
+
+router.post('/reset-password/:token', async (req, res) => {
+  const { token } = req.params;
+  const { password = '', confirmPassword = '' } = req.body;
+  const backToForm = `/auth/reset-password/${encodeURIComponent(token)}`;
+
+  if (!resetAttemptsByIp.hit(req.ip).allowed) {
+    await logAuthEvent(null, 'PASSWORD_RESET', false, req, 'Rate limited');
+    req.flash('error', RATE_LIMITED_MESSAGE);
+    return res.redirect('/auth/forgot-password');
+  }
+
+  const validation = validatePassword(password);
+  if (password !== confirmPassword) {
+    validation.errors.unshift('Passwords do not match');
+  }
+  if (validation.errors.length > 0) {
+    req.flash('error', validation.errors.join(', '));
+    return res.redirect(backToForm);
+  }
+
+  try {
+    const user = await passwordReset.resetPassword(token, password);
+    if (!user) {
+      await logAuthEvent(null, 'PASSWORD_RESET', false, req, 'Invalid or expired token');
+      req.flash('error', 'This password reset link is invalid or has expired. Please request a new one.');
+      return res.redirect('/auth/forgot-password');
+    }
+
+    await logAuthEvent(user.email, 'PASSWORD_RESET', true, req);
+
+    // Any session in this browser belonged to the old password too
+    delete req.session.user;
+    req.flash('success', 'Your password has been reset. Please log in with your new password.');
+    res.redirect('/auth/login');
+  } catch (error) {
+    console.error('Password reset error:', error);
+    req.flash('error', 'Unable to reset your password right now. Please try again later.');
+    res.redirect(backToForm);
+  }
+});
+
+module.exports = router;
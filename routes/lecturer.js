@@ -0,0 +1,34 @@
+const express = require('express');
+const { requireAuth, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Weekly teaching timetable from /api/timetable
+router.get('/timetable', requireAuth, requirePermission('courses:view'), (req, res) => {
+  res.render('lecturer/timetable', {
+    title: 'Teaching Timetable',
+    user: req.session.user,
+    currentPath: req.originalUrl,
+    currentYear: new Date().getFullYear(),
+    messages: {
+      success: req.flash('success'),
+      error: req.flash('error')
+    }
+  });
+});
+
+// Attendance registers, check-in codes and rates; data comes from /api/courses/:courseId/attendance
+router.get('/attendance', requireAuth, requirePermission('results:view'), (req, res) => {
+  res.render('lecturer/attendance', {
+    title: 'Attendance',
+    user: req.session.user,
+    currentPath: req.originalUrl,
+    currentYear: new Date().getFullYear(),
+    messages: {
+      success: req.flash('success'),
+      error: req.flash('error')
+    }
+  });
+});
+
+module.exports = router;
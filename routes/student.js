@@ -0,0 +1,60 @@
+const express = require('express');
+const { requireAuth, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Assessment attempt player; questions, timer and answers are loaded through
+// /api/student/assessments/:assessmentId/attempts/:attemptNumber
+router.get('/assessments/:assessmentId/start', requireAuth, requirePermission('assessments:attempt'), (req, res) => {
+  res.render('student/assessment-player', {
+    title: 'Assessment',
+    user: req.session.user,
+    currentPath: req.originalUrl,
+    assessmentId: req.params.assessmentId,
+    attemptNumber: parseInt(req.query.attempt, 10) || null
+  });
+});
+
+// Enrolled courses, enrollment requests and the course catalogue
+router.get('/courses', requireAuth, requirePermission('assessments:attempt'), (req, res) => {
+  res.render('student/courses', {
+    title: 'My Courses',
+    user: req.session.user,
+    currentPath: req.originalUrl,
+    currentYear: new Date().getFullYear(),
+    messages: {
+      success: req.flash('success'),
+      error: req.flash('error')
+    }
+  });
+});
+
+// Term dates and deadlines come from /api/calendar; the .ics link from /api/account/calendar-feed
+router.get('/calendar', requireAuth, requirePermission('assessments:attempt'), (req, res) => {
+  res.render('student/calendar', {
+    title: 'Academic Calendar',
+    user: req.session.user,
+    currentPath: req.originalUrl,
+    currentYear: new Date().getFullYear(),
+    messages: {
+      success: req.flash('success'),
+      error: req.flash('error')
+    }
+  });
+});
+
+// Weekly class timetable from /api/timetable
+router.get('/schedule', requireAuth, requirePermission('assessments:attempt'), (req, res) => {
+  res.render('student/schedule', {
+    title: 'Class Schedule',
+    user: req.session.user,
+    currentPath: req.originalUrl,
+    currentYear: new Date().getFullYear(),
+    messages: {
+      success: req.flash('success'),
+      error: req.flash('error')
+    }
+  });
+});
+
+module.exports = router;
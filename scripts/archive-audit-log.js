@@ -0,0 +1,29 @@
+#!/usr/bin/env node
+// Audit log retention job
+//
+//   node scripts/archive-audit-log.js
+//
+// Moves audit entries older than their category's retention setting into a gzipped JSON
+// Lines file in AUDIT_ARCHIVE_DIR, with a manifest beside it, then deletes them from the
+// database (see config/auditArchive.js). Run it nightly from cron, after
+// scripts/audit-checkpoint.js, and back the archive directory up with the checkpoints.
+require('dotenv').config();
+const { archiveExpiredEntries, ARCHIVE_DIR, MAX_ARCHIVE_ENTRIES } = require('../config/auditArchive');
+
+const main = async () => {
+  const archive = await archiveExpiredEntries();
+  if (!archive) {
+    console.log('No audit entries have expired');
+    return;
+  }
+
+  console.log(`Archived ${archive.entry_count} entr${archive.entry_count === 1 ? 'y' : 'ies'} to ${ARCHIVE_DIR}/${archive.file_name}`);
+  if (archive.entry_count >= MAX_ARCHIVE_ENTRIES) {
+    console.log('More entries may have expired; run the job again');
+  }
+};
+
+main().then(() => process.exit(0)).catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
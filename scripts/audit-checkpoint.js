@@ -0,0 +1,23 @@
+#!/usr/bin/env node
+// Audit checkpoint job
+//
+//   node scripts/audit-checkpoint.js
+//
+// Appends the latest audit log seq and hash, signed with AUDIT_CHECKPOINT_SECRET (or
+// SESSION_SECRET), to AUDIT_CHECKPOINT_FILE (see config/auditChain.js). Run it hourly
+// from cron, and keep copies of the file somewhere the database credentials cannot
+// reach: it is what shows that the chain was not rewritten wholesale.
+require('dotenv').config();
+const { writeCheckpoint, CHECKPOINT_FILE } = require('../config/auditChain');
+
+const main = async () => {
+  const checkpoint = await writeCheckpoint();
+  console.log(checkpoint
+    ? `Checkpoint at entry ${checkpoint.seq} written to ${CHECKPOINT_FILE}`
+    : 'No new audit entries since the last checkpoint');
+};
+
+main().then(() => process.exit(0)).catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
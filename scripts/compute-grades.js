@@ -0,0 +1,30 @@
+#!/usr/bin/env node
+// Final course grade job
+//
+//   node scripts/compute-grades.js              recompute grades for every active course
+//   node scripts/compute-grades.js <courseId>   recompute one course
+//
+// Writes final_percentage, grade and gpa to each active or completed enrollment
+// (see config/gradebook.js). Safe to run repeatedly, e.g. nightly from cron.
+require('dotenv').config();
+const { computeCourseGrades, computeAllCourseGrades } = require('../config/gradebook');
+
+const log = (message) => console.log(message);
+
+const main = async () => {
+  const [courseId] = process.argv.slice(2);
+
+  if (courseId) {
+    const updated = await computeCourseGrades(courseId);
+    log(`Graded ${updated.length} enrollment(s)`);
+    return;
+  }
+
+  const { courses, enrollments } = await computeAllCourseGrades({ log });
+  log(`Graded ${enrollments} enrollment(s) across ${courses} course(s)`);
+};
+
+main().then(() => process.exit(0)).catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
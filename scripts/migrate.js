@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+// Schema migration CLI
+//
+//   node scripts/migrate.js up [version]     apply pending migrations (optionally up to a version)
+//   node scripts/migrate.js down [steps]     roll back the last migration(s)
+//   node scripts/migrate.js status           list applied / pending migrations
+//   node scripts/migrate.js baseline [ver]   mark migrations as applied on an existing database
+//   node scripts/migrate.js create <name>    add an empty up/down migration pair
+//
+// Connects to DATABASE_URL. Set DB_ADAPTER=postgres for a plain Postgres server
+// (Supabase-only statements such as RLS policies are skipped there).
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { createPool } = require('../config/adapters/sql');
+const { MIGRATIONS_DIR, loadMigrations, migrate, rollback, baseline, status } = require('../config/migrations');
+
+const dialect = process.env.DB_ADAPTER === 'postgres' ? 'postgres' : 'supabase';
+const log = (message) => console.log(message);
+
+const createMigration = (name) => {
+  if (!name || !/^[\w-]+$/.test(name)) {
+    throw new Error('Usage: node scripts/migrate.js create <name> (letters, digits, _ and - only)');
+  }
+
+  const migrations = loadMigrations();
+  const last = migrations.length > 0 ? parseInt(migrations[migrations.length - 1].version, 10) : 0;
+  const version = String(last + 1).padStart(4, '0');
+
+  ['up', 'down'].forEach(direction => {
+    const file = path.join(MIGRATIONS_DIR, `${version}_${name}.${direction}.sql`);
+    fs.writeFileSync(file, `-- ${version}_${name} (${direction})\n`);
+    log(`Created ${path.relative(process.cwd(), file)}`);
+  });
+};
+
+const main = async () => {
+  const [command = 'status', arg] = process.argv.slice(2);
+
+  if (command === 'create') {
+    createMigration(arg);
+    return;
+  }
+
+  if (!process.env.DATABASE_URL) {
+    throw new Error('DATABASE_URL must be set to run migrations');
+  }
+
+  const pool = createPool({ connectionString: process.env.DATABASE_URL });
+
+  try {
+    switch (command) {
+      case 'up': {
+        const applied = await migrate(pool, { dialect, to: arg, log });
+        log(applied.length > 0 ? `Applied ${applied.length} migration(s)` : 'Database is up to date');
+        break;
+      }
+      case 'down': {
+        const reverted = await rollback(pool, { dialect, steps: parseInt(arg, 10) || 1, log });
+        log(reverted.length > 0 ? `Rolled back ${reverted.length} migration(s)` : 'Nothing to roll back');
+        break;
+      }
+      case 'baseline': {
+        const marked = await baseline(pool, { to: arg });
+        marked.forEach(name => log(`Marked ${name} as applied`));
+        break;
+      }
+      case 'status': {
+        const rows = await status(pool);
+        rows.forEach(row => {
+          const appliedAt = row.appliedAt ? new Date(row.appliedAt).toISOString() : '';
+          log(`${row.state.padEnd(8)} ${row.version}_${row.name} ${appliedAt}`.trim());
+        });
+        if (rows.some(row => row.state === 'modified' || row.state === 'missing')) {
+          process.exitCode = 1;
+        }
+        break;
+      }
+      default:
+        throw new Error(`Unknown command "${command}" (expected up, down, status, baseline or create)`);
+    }
+  } finally {
+    await pool.end();
+  }
+};
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
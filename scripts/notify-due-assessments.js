@@ -0,0 +1,22 @@
+#!/usr/bin/env node
+// Due-soon reminder job
+//
+//   node scripts/notify-due-assessments.js           remind about assessments due within 24 hours
+//   node scripts/notify-due-assessments.js <hours>   use a different window
+//
+// Notifies each enrolled student who has not handed the assessment in yet (see
+// config/notifications.js). Students are reminded once per assessment, so it is safe
+// to run often, e.g. hourly from cron.
+require('dotenv').config();
+const { notifyDueAssessments, DUE_SOON_HOURS } = require('../config/notifications');
+
+const main = async () => {
+  const hours = parseInt(process.argv[2], 10) || DUE_SOON_HOURS;
+  const stored = await notifyDueAssessments({ hours });
+  console.log(`Sent ${stored} due-soon reminder(s) for the next ${hours} hour(s)`);
+};
+
+main().then(() => process.exit(0)).catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
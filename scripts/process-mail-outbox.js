@@ -0,0 +1,21 @@
+#!/usr/bin/env node
+// Mail outbox job
+//
+//   node scripts/process-mail-outbox.js
+//
+// Sends queued mail that is due, including retries of earlier failures (see
+// config/mailOutbox.js). Messages go out as soon as they are queued when the app can
+// reach the mail server, so this mainly picks up retries; run it every minute or so
+// from cron.
+require('dotenv').config();
+const { processOutbox } = require('../config/mailOutbox');
+
+const main = async () => {
+  const { sent, retrying, dead } = await processOutbox();
+  console.log(`Sent ${sent} message(s), ${retrying} to retry, ${dead} dead-lettered`);
+};
+
+main().then(() => process.exit(0)).catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,31 @@
+#!/usr/bin/env node
+// Audit log verification
+//
+//   node scripts/verify-audit-log.js
+//
+// Walks the audit log hash chain and checks it against the signed checkpoints in
+// AUDIT_CHECKPOINT_FILE (see config/auditChain.js). Prints every gap, edited entry or
+// checkpoint that no longer matches, and exits with status 1 if it finds any.
+require('dotenv').config();
+const { verifyChain } = require('../config/auditChain');
+
+const main = async () => {
+  const result = await verifyChain();
+
+  console.log(`Checked ${result.checked} chained entr${result.checked === 1 ? 'y' : 'ies'} against ${result.checkpoints.verified} of ${result.checkpoints.total} checkpoint(s)`);
+  if (result.archived > 0) {
+    console.log(`${result.archived} of them archived; only their links were checked`);
+  }
+  if (result.unchained > 0) {
+    console.log(`${result.unchained} entr${result.unchained === 1 ? 'y has' : 'ies have'} no place in the chain`);
+  }
+  result.problems.forEach(problem => console.log(`  [${problem.type}] ${problem.message}`));
+  console.log(result.ok ? 'The audit log is intact' : 'The audit log has been tampered with');
+
+  return result.ok;
+};
+
+main().then(ok => process.exit(ok ? 0 : 1)).catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,40 @@
+// Self check-in: a register's code works only while check-in is open, once per student
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, createUser } = require('./helpers');
+const { dbHelpers } = require('../config/database');
+const attendance = require('../config/attendance');
+
+const MINUTE_MS = 60 * 1000;
+
+test('students check in with the code until it expires', async (t) => {
+  const app = await startApp();
+  t.after(() => app.close());
+
+  const lecturer = await createUser('lecturer');
+  const course = await dbHelpers.createCourse({ name: 'Statistics', code: 'MA201', lecturer_id: lecturer.id });
+  const early = await createUser('student');
+  const late = await createUser('student');
+  for (const student of [early, late]) {
+    await dbHelpers.enrollStudent({ student_id: student.id, course_id: course.id, status: 'active' });
+  }
+  const register = await dbHelpers.createAttendanceSession({ course_id: course.id, held_on: new Date().toISOString().slice(0, 10), created_by: lecturer.id });
+
+  const opened = await attendance.openCheckIn(register, 5);
+  assert.equal(attendance.isCheckInOpen(opened), true);
+  assert.equal(attendance.isCheckInOpen(opened, new Date(Date.now() + 5 * MINUTE_MS)), false);
+
+  app.signIn(early);
+  const checkedIn = await app.request('POST', '/api/student/attendance/check-in', { code: opened.check_in_code.toLowerCase() });
+  assert.equal(checkedIn.status, 201);
+  assert.equal(checkedIn.body.record.status, 'present');
+  assert.equal((await app.request('POST', '/api/student/attendance/check-in', { code: opened.check_in_code })).status, 409);
+
+  // A code opened for one minute, two minutes ago
+  const expired = await attendance.openCheckIn(register, 1, new Date(Date.now() - 2 * MINUTE_MS));
+  app.signIn(late);
+  const refused = await app.request('POST', '/api/student/attendance/check-in', { code: expired.check_in_code });
+  assert.equal(refused.status, 404);
+  assert.equal(refused.body.message, 'That check-in code is not valid or has expired');
+  assert.equal(await dbHelpers.getAttendanceRecord(register.id, late.id), null);
+});
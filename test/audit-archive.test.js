@@ -0,0 +1,54 @@
+// Audit retention: expired entries move to an archive file and can be restored,
+// and the hash chain verifies at every step
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+require('./helpers');
+const { storage } = require('../config/database');
+const auditChain = require('../config/auditChain');
+const auditArchive = require('../config/auditArchive');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const entry = (action) => ({ user_id: null, action, table_name: 'users', record_id: null, old_values: null, new_values: { action } });
+
+const liveActions = async () => (await storage.select('audit_logs', { order: { column: 'seq', ascending: true } })).map(row => row.action);
+
+test('archived entries keep the chain intact and come back on restore', async () => {
+  await auditChain.appendEntries([entry('AUTH_LOGIN'), entry('RECORD_UPDATE'), entry('PAGE_VIEW'), entry('AUTH_LOGOUT')]);
+
+  // Past the auth (365 days) and activity (180 days) retention, within the change retention
+  const archive = await auditArchive.archiveExpiredEntries({ now: new Date(Date.now() + 400 * DAY_MS) });
+  assert.equal(archive.entry_count, 3);
+  assert.deepEqual(archive.categories, { auth: 2, activity: 1 });
+  assert.deepEqual(await liveActions(), ['RECORD_UPDATE', 'AUDIT_ARCHIVED']);
+
+  const archived = await auditChain.verifyChain();
+  assert.equal(archived.ok, true);
+  assert.equal(archived.checked, 5);
+  assert.equal(archived.archived, 3);
+  assert.deepEqual(await auditArchive.checkArchive(archive), { ok: true, problems: [] });
+
+  const restored = await auditArchive.restoreArchive(archive, null);
+  assert.ok(restored.restored_at);
+  assert.deepEqual(await liveActions(), ['AUTH_LOGIN', 'RECORD_UPDATE', 'PAGE_VIEW', 'AUTH_LOGOUT', 'AUDIT_ARCHIVED']);
+  const withRestored = await auditChain.verifyChain();
+  assert.equal(withRestored.ok, true);
+  assert.equal(withRestored.archived, 0);
+
+  assert.equal((await auditArchive.removeRestored(restored)).restored_at, null);
+  assert.deepEqual(await liveActions(), ['RECORD_UPDATE', 'AUDIT_ARCHIVED']);
+  assert.equal((await auditChain.verifyChain()).ok, true);
+});
+
+test('checkArchive notices a changed archive file', async () => {
+  const [archive] = await auditArchive.listArchives();
+  const filePath = path.join(auditArchive.ARCHIVE_DIR, archive.file_name);
+  const original = fs.readFileSync(filePath);
+
+  fs.appendFileSync(filePath, Buffer.from([0]));
+  assert.equal((await auditArchive.checkArchive(archive)).ok, false);
+  fs.writeFileSync(filePath, original);
+  assert.equal((await auditArchive.checkArchive(archive)).ok, true);
+});
@@ -0,0 +1,91 @@
+// The audit hash chain: verifyChain reports edited, deleted and reordered rows and
+// forged checkpoints; concurrent writers never share a seq
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+require('./helpers');
+const { storage } = require('../config/database');
+const auditChain = require('../config/auditChain');
+
+const entry = (action, newValues = null) => ({ user_id: null, action, table_name: 'courses', record_id: null, old_values: null, new_values: newValues });
+
+const rowAt = (seq) => storage.select('audit_logs', { filters: { seq }, single: true });
+
+const problemTypes = async () => (await auditChain.verifyChain()).problems.map(problem => problem.type);
+
+test('verifyChain finds tampering in the audit log', async (t) => {
+  await auditChain.appendEntries([entry('CREATE', { name: 'Algorithms' }), entry('UPDATE', { name: 'Algorithms II' }), entry('DELETE')]);
+  await auditChain.appendEntries([entry('CREATE', { name: 'Graphics' })]);
+  await auditChain.writeCheckpoint();
+
+  const clean = await auditChain.verifyChain();
+  assert.equal(clean.ok, true);
+  assert.equal(clean.checked, 4);
+  assert.equal(clean.checkpoints.verified, 1);
+
+  await t.test('an edited row', async () => {
+    const row = await rowAt(2);
+    await storage.update('audit_logs', { id: row.id }, { new_values: { name: 'Something else' } });
+    assert.deepEqual(await problemTypes(), ['edited']);
+    await storage.update('audit_logs', { id: row.id }, { new_values: row.new_values });
+    assert.equal((await auditChain.verifyChain()).ok, true);
+  });
+
+  await t.test('a deleted row', async () => {
+    const row = await rowAt(3);
+    await storage.remove('audit_logs', { id: row.id });
+    assert.deepEqual(await problemTypes(), ['gap']);
+    await storage.insert('audit_logs', row);
+    assert.equal((await auditChain.verifyChain()).ok, true);
+  });
+
+  await t.test('reordered rows', async () => {
+    const [second, third] = [await rowAt(2), await rowAt(3)];
+    const swap = async (a, b) => {
+      await storage.update('audit_logs', { id: a.id }, { seq: -1 });
+      await storage.update('audit_logs', { id: b.id }, { seq: a.seq });
+      await storage.update('audit_logs', { id: a.id }, { seq: b.seq });
+    };
+
+    await swap(second, third);
+    assert.ok((await problemTypes()).includes('broken_link'));
+    await swap({ ...second, seq: third.seq }, { ...third, seq: second.seq });
+    assert.equal((await auditChain.verifyChain()).ok, true);
+  });
+
+  await t.test('a forged checkpoint', async () => {
+    const original = fs.readFileSync(auditChain.CHECKPOINT_FILE, 'utf8');
+    const head = await rowAt(4);
+    const forged = { seq: 4, hash: head.hash, created_at: new Date().toISOString(), signature: 'f'.repeat(64) };
+    fs.appendFileSync(auditChain.CHECKPOINT_FILE, `${JSON.stringify(forged)}\n`);
+
+    assert.deepEqual(await problemTypes(), ['checkpoint_signature']);
+    fs.writeFileSync(auditChain.CHECKPOINT_FILE, original);
+    assert.equal((await auditChain.verifyChain()).ok, true);
+  });
+});
+
+test('an append that loses the race for a seq retries after the new head', async (t) => {
+  const insertMany = storage.insertMany;
+  t.after(() => { storage.insertMany = insertMany; });
+
+  // Another process writes its entry between this append reading the head and inserting
+  let raced = false;
+  storage.insertMany = async (table, rows) => {
+    if (table === 'audit_logs' && !raced) {
+      raced = true;
+      const other = { ...rows[0], action: 'OTHER_PROCESS' };
+      other.hash = auditChain.hashEntry(other);
+      await insertMany.call(storage, table, [other]);
+    }
+    return insertMany.call(storage, table, rows);
+  };
+
+  const [written] = await auditChain.appendEntries([entry('CREATE', { name: 'Compilers' })]);
+  assert.equal(raced, true);
+
+  const other = await storage.select('audit_logs', { filters: { action: 'OTHER_PROCESS' }, single: true });
+  assert.equal(Number(written.seq), Number(other.seq) + 1);
+  assert.equal(written.prev_hash, other.hash);
+  assert.equal((await auditChain.verifyChain()).ok, true);
+});
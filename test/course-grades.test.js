@@ -0,0 +1,39 @@
+// Course grades are worked out from the result that counts under each scoring rule
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createUser } = require('./helpers');
+const { dbHelpers } = require('../config/database');
+const gradebook = require('../config/gradebook');
+
+test('a course grade uses the latest attempt when the assessment counts the latest', async () => {
+  const lecturer = await createUser('lecturer');
+  const student = await createUser('student');
+  const course = await dbHelpers.createCourse({ name: 'Networks', code: 'CS330', lecturer_id: lecturer.id });
+  await dbHelpers.enrollStudent({ student_id: student.id, course_id: course.id });
+  const assessment = await dbHelpers.createAssessment({
+    title: 'Final exam',
+    course_id: course.id,
+    lecturer_id: lecturer.id,
+    type: 'exam',
+    is_published: true,
+    max_attempts: 2,
+    scoring_rule: 'latest'
+  });
+
+  for (const [attemptNumber, percentage, grade] of [[1, 80, 'B'], [2, 50, 'F']]) {
+    await dbHelpers.createResult({
+      student_id: student.id,
+      assessment_id: assessment.id,
+      course_id: course.id,
+      score: percentage,
+      percentage,
+      grade,
+      attempt_number: attemptNumber
+    });
+  }
+
+  const [enrollment] = await gradebook.computeCourseGrades(course.id);
+  assert.equal(parseFloat(enrollment.final_percentage), 50);
+  assert.equal(enrollment.grade, 'F');
+  assert.equal(parseFloat(enrollment.gpa), 0);
+});
@@ -0,0 +1,34 @@
+// Self-service enrollment seats students up to a course's capacity and promotes
+// the waitlist in the order students asked
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createUser } = require('./helpers');
+const { dbHelpers } = require('../config/database');
+const enrollment = require('../config/enrollment');
+
+test('a full course waitlists requests and a dropped seat goes to the longest waiting', async () => {
+  const lecturer = await createUser('lecturer');
+  const course = await dbHelpers.createCourse({ name: 'Operating Systems', code: 'CS310', lecturer_id: lecturer.id, capacity: 2 });
+  const students = [];
+  for (let i = 0; i < 4; i++) students.push(await createUser('student'));
+
+  const start = Date.now();
+  const requests = [];
+  for (const [index, student] of students.entries()) {
+    const request = await enrollment.requestEnrollment(student.id, course, new Date(start + index * 1000));
+    assert.equal(request.allowed, true);
+    requests.push(request.enrollment);
+  }
+  assert.deepEqual(requests.map(request => request.status), ['active', 'active', 'waitlisted', 'waitlisted']);
+
+  const again = await enrollment.requestEnrollment(students[3].id, course);
+  assert.deepEqual(again, { allowed: false, reason: 'You are already on the waitlist for this course' });
+
+  const { promoted } = await enrollment.dropEnrollment(course, requests[0]);
+  assert.deepEqual(promoted.map(entry => entry.id), [requests[2].id]);
+  assert.equal((await dbHelpers.getEnrollment(students[2].id, course.id)).status, 'active');
+
+  const [waiting] = await enrollment.getStudentRequests(students[3].id);
+  assert.equal(waiting.status, 'waitlisted');
+  assert.equal(waiting.waitlist_position, 1);
+});
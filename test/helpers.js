@@ -0,0 +1,105 @@
+// Shared test setup on the in-process pg-mem database (DB_ADAPTER=memory): startApp()
+// serves the API and page routers with a signed-in user set by the test in place of the
+// session store; startSite() serves the whole app.js with real sessions.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const scratch = fs.mkdtempSync(path.join(os.tmpdir(), 'student-tracker-test-'));
+process.env.DB_ADAPTER = 'memory';
+process.env.SESSION_SECRET = process.env.SESSION_SECRET || 'test-session-secret';
+process.env.SETTINGS_SECRET_KEY = process.env.SETTINGS_SECRET_KEY || 'test-settings-secret';
+process.env.MAIL_OUTBOX_DIR = path.join(scratch, 'outbox');
+process.env.AUDIT_CHECKPOINT_FILE = path.join(scratch, 'audit-checkpoints.jsonl');
+process.env.AUDIT_ARCHIVE_DIR = path.join(scratch, 'audit-archives');
+process.on('exit', () => fs.rmSync(scratch, { recursive: true, force: true }));
+
+const express = require('express');
+const { dbHelpers } = require('../config/database');
+
+const startApp = async () => {
+  let signedIn = null;
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.session = { user: signedIn };
+    req.flash = () => [];
+    next();
+  });
+  app.use(require('../middleware/settings').settingsLocals);
+  app.set('view engine', 'ejs');
+  app.set('views', path.join(__dirname, '..', 'views'));
+  app.use('/api', require('../routes/api'));
+  app.use('/admin', require('../routes/admin'));
+
+  const server = app.listen(0);
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    signIn(user) {
+      signedIn = user;
+    },
+    async request(method, url, body) {
+      const response = await fetch(base + url, {
+        method,
+        headers: { accept: 'application/json', 'content-type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body)
+      });
+      return { status: response.status, body: await response.json() };
+    },
+    close() {
+      server.close();
+    }
+  };
+};
+
+// The whole site from app.js, with real sessions: a cookie jar carries the session
+// between requests, and redirects come back as they are rather than being followed
+const startSite = async () => {
+  const server = require('../app').listen(0);
+  const base = `http://127.0.0.1:${server.address().port}`;
+  let cookie = null;
+
+  return {
+    async request(method, url, form) {
+      const response = await fetch(base + url, {
+        method,
+        redirect: 'manual',
+        headers: {
+          ...(cookie ? { cookie } : {}),
+          ...(form ? { 'content-type': 'application/x-www-form-urlencoded' } : {})
+        },
+        body: form ? new URLSearchParams(form).toString() : undefined
+      });
+      const setCookie = response.headers.get('set-cookie');
+      if (setCookie) cookie = setCookie.split(';')[0];
+      return { status: response.status, location: response.headers.get('location'), text: await response.text() };
+    },
+    close() {
+      server.close();
+    }
+  };
+};
+
+let userCount = 0;
+
+const createUser = (role, fields = {}) => {
+  userCount += 1;
+  return dbHelpers.createUser({
+    email: `${role}${userCount}@example.test`,
+    password_hash: 'not-a-real-hash',
+    first_name: role[0].toUpperCase() + role.slice(1),
+    last_name: `Number${userCount}`,
+    role,
+    role_name: role,
+    approval_status: 'approved',
+    ...(role === 'student' ? { student_id: `S${1000 + userCount}` } : {}),
+    ...fields
+  });
+};
+
+module.exports = {
+  startApp,
+  startSite,
+  createUser
+};
@@ -0,0 +1,48 @@
+// The migration runner applies each migration once, even when processes start together
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createPool } = require('../config/adapters/sql');
+const { migrate } = require('../config/migrations');
+
+// pg-mem has no advisory locks: stand in for pg_advisory_lock / pg_advisory_unlock
+const withAdvisoryLocks = (pool) => {
+  let held = false;
+  const waiting = [];
+  const calls = [];
+
+  const query = async (text, params) => {
+    if (/pg_advisory_lock/.test(text)) {
+      calls.push('lock');
+      while (held) await new Promise(resolve => waiting.push(resolve));
+      held = true;
+      return { rows: [] };
+    }
+    if (/pg_advisory_unlock/.test(text)) {
+      calls.push('unlock');
+      held = false;
+      if (waiting.length > 0) waiting.shift()();
+      return { rows: [] };
+    }
+    return pool.query(text, params);
+  };
+
+  return { calls, query, connect: async () => ({ query, release: () => {} }) };
+};
+
+test('concurrent runs apply each migration once', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'student-tracker-migrations-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(dir, '0001_create_notes.up.sql'), 'CREATE TABLE notes (id INTEGER PRIMARY KEY, body TEXT);');
+  fs.writeFileSync(path.join(dir, '0002_seed_notes.up.sql'), "INSERT INTO notes (id, body) VALUES (1, 'first');");
+
+  const pool = withAdvisoryLocks(createPool({ inMemory: true }));
+  const runs = await Promise.all([migrate(pool, { dir }), migrate(pool, { dir })]);
+
+  assert.deepEqual(runs.map(applied => applied.length).sort(), [0, 2]);
+  assert.deepEqual(pool.calls, ['lock', 'lock', 'unlock', 'unlock']);
+  const { rows } = await pool.query('SELECT COUNT(*)::int AS count FROM notes');
+  assert.equal(rows[0].count, 1);
+});
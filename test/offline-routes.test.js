@@ -0,0 +1,114 @@
+// The routes run without Supabase: DB_ADAPTER=memory migrates a pg-mem database on start
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, createUser } = require('./helpers');
+const { dbHelpers } = require('../config/database');
+
+// A well-formed id that no row has
+const MISSING_ID = '00000000-0000-4000-8000-000000000000';
+
+test('routes serve data from the in-memory database', async (t) => {
+  const app = await startApp();
+  t.after(() => app.close());
+
+  const admin = await createUser('admin');
+  const lecturer = await createUser('lecturer', { first_name: 'Grace', last_name: 'Hopper' });
+  const student = await createUser('student');
+  const course = await dbHelpers.createCourse({ name: 'Compilers', code: 'CS301', lecturer_id: lecturer.id });
+  await dbHelpers.enrollStudent({ student_id: student.id, course_id: course.id });
+
+  await t.test('lists users a page at a page', async () => {
+    app.signIn(admin);
+    const { status, body } = await app.request('GET', '/api/admin/users?limit=2&sort=email');
+    assert.equal(status, 200);
+    assert.equal(body.users.length, 2);
+    assert.equal(body.pagination.total, (await dbHelpers.getAllUsers()).length);
+    assert.ok(body.users.every(user => user.password_hash === undefined));
+  });
+
+  await t.test("shows a student's courses with their lecturer", async () => {
+    app.signIn(student);
+    const { status, body } = await app.request('GET', '/api/student/courses');
+    assert.equal(status, 200);
+    assert.equal(body.courses.length, 1);
+    assert.equal(body.courses[0].code, 'CS301');
+    assert.deepEqual(
+      { first_name: body.courses[0].lecturer.first_name, last_name: body.courses[0].lecturer.last_name },
+      { first_name: 'Grace', last_name: 'Hopper' }
+    );
+  });
+
+  await t.test('keeps students out of admin routes', async () => {
+    app.signIn(student);
+    const { status } = await app.request('GET', '/api/admin/users');
+    assert.equal(status, 403);
+  });
+
+  await t.test('answers 404 for a question that does not exist', async () => {
+    app.signIn(lecturer);
+    assert.equal((await app.request('PUT', `/api/questions/${MISSING_ID}`, { prompt: 'What is a parser?' })).status, 404);
+    assert.equal((await app.request('DELETE', `/api/questions/${MISSING_ID}`)).status, 404);
+  });
+
+  await t.test('answers 404 when editing an assessment that does not exist', async () => {
+    app.signIn(lecturer);
+    const { status } = await app.request('PUT', `/api/lecturer/assessments/${MISSING_ID}`, { title: 'Quiz', course_id: course.id, type: 'quiz' });
+    assert.equal(status, 404);
+  });
+
+  await t.test('answers 404 for an assessment that does not exist', async () => {
+    app.signIn(student);
+    const { status, body } = await app.request('GET', `/api/student/assessments/${MISSING_ID}/attempts`);
+    assert.equal(status, 404);
+    assert.equal(body.error, 'Assessment not found');
+  });
+
+  await t.test('records marks only for enrolled students, rounded like every other mark', async () => {
+    const assessment = await dbHelpers.createAssessment({
+      title: 'Lab report',
+      course_id: course.id,
+      lecturer_id: lecturer.id,
+      type: 'assignment',
+      total_marks: 3
+    });
+    const outsider = await createUser('student');
+    const url = `/api/lecturer/assessments/${assessment.id}/results`;
+    app.signIn(lecturer);
+
+    assert.equal((await app.request('POST', url, { student_id: outsider.id, score: 2 })).status, 400);
+
+    const { status, body } = await app.request('POST', url, { student_id: student.id, score: 1 });
+    assert.equal(status, 201);
+    assert.equal(parseFloat(body.result.raw_percentage), 33.33);
+  });
+
+  await t.test('keeps entered marks within the attempt policy; corrections change the result', async () => {
+    const assessment = await dbHelpers.createAssessment({
+      title: 'Essay',
+      course_id: course.id,
+      lecturer_id: lecturer.id,
+      type: 'assignment',
+      max_attempts: 1
+    });
+    const url = `/api/lecturer/assessments/${assessment.id}/results`;
+    app.signIn(lecturer);
+
+    const first = await app.request('POST', url, { student_id: student.id, score: 90 });
+    assert.equal(first.status, 201);
+    assert.equal((await app.request('POST', url, { student_id: student.id, score: 60 })).status, 409);
+
+    const corrected = await app.request('PUT', `/api/lecturer/results/${first.body.result.id}`, { score: 60 });
+    assert.equal(corrected.status, 200);
+    const [counted] = await dbHelpers.getResultsByAssessment(assessment.id);
+    assert.equal(parseFloat(counted.percentage), 60);
+    assert.equal(counted.attempt_count, 1);
+  });
+
+  await t.test('answers 404 for marks on an unknown assessment or result', async () => {
+    app.signIn(lecturer);
+    assert.equal((await app.request('POST', `/api/lecturer/assessments/${MISSING_ID}/results`, { student_id: student.id, score: 1 })).status, 404);
+    assert.equal((await app.request('PUT', `/api/lecturer/results/${MISSING_ID}`, { score: 1 })).status, 404);
+    assert.equal((await app.request('PUT', `/api/lecturer/results/${MISSING_ID}/penalty`, { late_penalty_percent: 0, reason: 'Extension' })).status, 404);
+    assert.equal((await app.request('POST', `/api/lecturer/assessments/${MISSING_ID}/results/import`)).status, 404);
+  });
+});
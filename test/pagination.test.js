@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createUser } = require('./helpers');
+const { dbHelpers } = require('../config/database');
+
+// Follow nextCursor until the last page
+const walk = async (sort) => {
+  const rows = [];
+  let cursor;
+  do {
+    const { data, pagination } = await dbHelpers.getAllUsers({ sort, limit: 2, cursor });
+    rows.push(...data);
+    cursor = pagination.nextCursor;
+  } while (cursor);
+  return rows;
+};
+
+test('cursor pages reach rows whose sort value is null', async () => {
+  const loggedIn = [
+    await createUser('student', { last_login: '2026-01-03T00:00:00Z' }),
+    await createUser('student', { last_login: '2026-01-01T00:00:00Z' }),
+    await createUser('student', { last_login: '2026-01-02T00:00:00Z' })
+  ];
+  await createUser('student');
+  await createUser('student');
+  const total = (await dbHelpers.getAllUsers()).length;
+
+  for (const sort of ['last_login', '-last_login']) {
+    const rows = await walk(sort);
+    assert.equal(rows.length, total, `${sort} returns every user`);
+    assert.equal(new Set(rows.map(row => row.id)).size, total, `${sort} returns each user once`);
+
+    const logins = rows.map(row => row.last_login);
+    const firstNull = logins.indexOf(null);
+    assert.ok(logins.slice(firstNull).every(login => login === null), `${sort} sorts nulls last`);
+    assert.equal(firstNull, loggedIn.length);
+  }
+});
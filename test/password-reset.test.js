@@ -0,0 +1,92 @@
+// Password reset tokens: issued by mail, stored hashed, expiring, single use and rate limited
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcryptjs');
+const { startSite, createUser } = require('./helpers');
+const { storage, dbHelpers } = require('../config/database');
+const passwordReset = require('../config/passwordReset');
+const { createRateLimiter } = require('../middleware/rateLimit');
+
+const NEW_PASSWORD = 'Another-Passw0rd!';
+
+// The token from the newest reset link mailed to an address
+const mailedToken = async (email) => {
+  const messages = await storage.select('mail_outbox', {
+    filters: { to_address: email },
+    order: { column: 'created_at', ascending: false }
+  });
+  const match = messages[0] && messages[0].text_body.match(/\/auth\/reset-password\/([\w-]+)/);
+  return match ? match[1] : null;
+};
+
+const issueToken = async (user) => {
+  assert.equal(await passwordReset.requestPasswordReset({ email: user.email, baseUrl: 'http://localhost' }), true);
+  return mailedToken(user.email);
+};
+
+test('reset tokens are mailed once and stored only as a hash', async () => {
+  const user = await createUser('student');
+  const token = await issueToken(user);
+
+  assert.ok(token);
+  const [stored] = await storage.select('password_reset_tokens', { filters: { user_id: user.id } });
+  assert.equal(stored.token_hash, passwordReset.hashToken(token));
+  assert.notEqual(stored.token_hash, token);
+  assert.ok(await passwordReset.findValidToken(token));
+
+  assert.equal(await passwordReset.requestPasswordReset({ email: 'nobody@example.test', baseUrl: 'http://localhost' }), false);
+});
+
+test('a newer request retires the older link', async () => {
+  const user = await createUser('student');
+  const first = await issueToken(user);
+  const second = await issueToken(user);
+
+  assert.equal(await passwordReset.findValidToken(first), null);
+  assert.ok(await passwordReset.findValidToken(second));
+});
+
+test('expired tokens no longer work', async () => {
+  const user = await createUser('student');
+  const token = await issueToken(user);
+
+  await storage.update('password_reset_tokens', { user_id: user.id }, { expires_at: new Date(Date.now() - 1000).toISOString() });
+  assert.equal(await passwordReset.findValidToken(token), null);
+  assert.equal(await passwordReset.resetPassword(token, NEW_PASSWORD), null);
+});
+
+test('a token resets the password once and signs out existing sessions', async () => {
+  const user = await createUser('student');
+  const token = await issueToken(user);
+
+  const updated = await passwordReset.resetPassword(token, NEW_PASSWORD);
+  assert.ok(updated);
+  assert.ok(await bcrypt.compare(NEW_PASSWORD, updated.password_hash));
+  assert.equal(updated.session_version, (user.session_version || 0) + 1);
+
+  assert.equal(await passwordReset.resetPassword(token, 'Yet-Another-Passw0rd!'), null);
+  assert.ok(await bcrypt.compare(NEW_PASSWORD, (await dbHelpers.getUserById(user.id)).password_hash));
+});
+
+test('rate limits count hits per key within a window', () => {
+  const limiter = createRateLimiter({ windowMs: 1000, max: 2 });
+
+  assert.equal(limiter.hit('a', 0).allowed, true);
+  assert.equal(limiter.hit('a', 10).allowed, true);
+  assert.equal(limiter.hit('a', 20).allowed, false);
+  assert.equal(limiter.hit('b', 20).allowed, true);
+  assert.equal(limiter.hit('a', 1000).allowed, true);
+});
+
+test('the forgot-password form refuses a fourth request for one address in an hour', async (t) => {
+  const site = await startSite();
+  t.after(() => site.close());
+  const user = await createUser('student');
+
+  for (let request = 1; request <= 4; request++) {
+    const response = await site.request('POST', '/auth/forgot-password', { email: user.email });
+    assert.equal(response.location, '/auth/forgot-password');
+    const page = await site.request('GET', '/auth/forgot-password');
+    assert.equal(page.text.includes('Too many password reset attempts'), request === 4, `request ${request}`);
+  }
+});
@@ -0,0 +1,83 @@
+// Roles bundle permission grants; requirePermission and permissions.can check them
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, createUser } = require('./helpers');
+const { dbHelpers } = require('../config/database');
+const permissions = require('../config/permissions');
+
+test('role grants decide what each user may do', async (t) => {
+  const app = await startApp();
+  t.after(() => app.close());
+
+  const admin = await createUser('admin');
+  const lecturer = await createUser('lecturer');
+  const otherLecturer = await createUser('lecturer');
+  const course = await dbHelpers.createCourse({ name: 'Algorithms', code: 'CS220', lecturer_id: lecturer.id });
+  const otherCourse = await dbHelpers.createCourse({ name: 'Graphics', code: 'CS340', lecturer_id: otherLecturer.id });
+
+  await t.test('admins author assessments and import marks in any course', async () => {
+    app.signIn(admin);
+    const created = await app.request('POST', '/api/lecturer/assessments', { title: 'Midterm', course_id: course.id, type: 'exam' });
+    assert.equal(created.status, 201);
+
+    const imported = await app.request('POST', `/api/lecturer/assessments/${created.body.assessment.id}/results/import`);
+    assert.equal(imported.status, 400);
+    assert.equal(imported.body.message, 'Choose a CSV or XLSX file to import');
+  });
+
+  await t.test('limits ":own" grants to the courses a user teaches', async () => {
+    assert.equal(await permissions.scopeOf(lecturer, 'assessments:edit'), 'own');
+    assert.equal(await permissions.can(lecturer, 'assessments:edit', { courseId: course.id }), true);
+    assert.equal(await permissions.can(lecturer, 'assessments:edit', { courseId: otherCourse.id }), false);
+    assert.equal(await permissions.can(lecturer, 'assessments:edit'), false);
+
+    app.signIn(lecturer);
+    assert.equal((await app.request('POST', '/api/lecturer/assessments', { title: 'Quiz', course_id: course.id, type: 'quiz' })).status, 201);
+    assert.equal((await app.request('POST', '/api/lecturer/assessments', { title: 'Quiz', course_id: otherCourse.id, type: 'quiz' })).status, 403);
+  });
+
+  await t.test('gives a custom role exactly its grants', async () => {
+    app.signIn(admin);
+    const created = await app.request('POST', '/api/admin/roles', {
+      name: 'moderator_plus',
+      label: 'Senior Moderator',
+      base_role: 'lecturer',
+      permissions: ['results:view', 'results:grade']
+    });
+    assert.equal(created.status, 201);
+
+    const assigned = await app.request('PUT', `/api/admin/users/${otherLecturer.id}/role`, { role: 'moderator_plus' });
+    assert.equal(assigned.status, 200);
+    assert.equal(assigned.body.user.role, 'lecturer');
+
+    const moderator = await dbHelpers.getUserById(otherLecturer.id);
+    assert.equal(moderator.role_name, 'moderator_plus');
+    assert.equal(await permissions.can(moderator, 'results:grade', { courseId: course.id }), true);
+    assert.equal(await permissions.can(moderator, 'assessments:edit', { courseId: otherCourse.id }), false);
+
+    app.signIn(moderator);
+    assert.equal((await app.request('POST', '/api/lecturer/assessments', { title: 'Quiz', course_id: otherCourse.id, type: 'quiz' })).status, 403);
+  });
+
+  await t.test('keeps an admin from removing role management from their own role', async () => {
+    app.signIn(admin);
+    const role = await permissions.getRole('admin');
+    const { status } = await app.request('PUT', '/api/admin/roles/admin', {
+      label: role.label,
+      permissions: role.permissions.filter(grant => grant !== 'roles:manage')
+    });
+    assert.equal(status, 409);
+    assert.ok((await dbHelpers.getRoleByName('admin')).permissions.includes('roles:manage'));
+  });
+
+  await t.test('refuses to delete a role that users still hold', async () => {
+    app.signIn(admin);
+    const held = await app.request('DELETE', '/api/admin/roles/moderator_plus');
+    assert.equal(held.status, 409);
+    assert.equal(held.body.message, '1 user(s) still have this role');
+
+    assert.equal((await app.request('PUT', `/api/admin/users/${otherLecturer.id}/role`, { role: 'lecturer' })).status, 200);
+    assert.equal((await app.request('DELETE', '/api/admin/roles/moderator_plus')).status, 200);
+    assert.equal(await dbHelpers.getRoleByName('moderator_plus'), null);
+  });
+});
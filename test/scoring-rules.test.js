@@ -0,0 +1,36 @@
+// Results with several attempts count under their assessment's scoring rule
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createUser } = require('./helpers');
+const { dbHelpers } = require('../config/database');
+
+test('an averaged result is graded with the course scheme', async () => {
+  const lecturer = await createUser('lecturer');
+  const student = await createUser('student');
+  const course = await dbHelpers.createCourse({ name: 'Databases', code: 'CS210', lecturer_id: lecturer.id });
+  const assessment = await dbHelpers.createAssessment({
+    title: 'Quiz 1',
+    course_id: course.id,
+    lecturer_id: lecturer.id,
+    type: 'quiz',
+    max_attempts: 2,
+    scoring_rule: 'average'
+  });
+
+  for (const [attemptNumber, percentage, grade] of [[1, 80, 'B'], [2, 60, 'D']]) {
+    await dbHelpers.createResult({
+      student_id: student.id,
+      assessment_id: assessment.id,
+      course_id: course.id,
+      score: percentage,
+      percentage,
+      grade,
+      attempt_number: attemptNumber
+    });
+  }
+
+  const [result] = await dbHelpers.getResultsByStudent(student.id);
+  assert.equal(result.attempt_count, 2);
+  assert.equal(parseFloat(result.percentage), 70);
+  assert.equal(result.grade, 'C');
+});
@@ -0,0 +1,39 @@
+// app.js mounts every router behind sessions and flash messages
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcryptjs');
+const { startSite, createUser } = require('./helpers');
+
+test('the site serves sign-in, password reset and portal pages', async (t) => {
+  const site = await startSite();
+  t.after(() => site.close());
+
+  const student = await createUser('student', { password_hash: await bcrypt.hash('correct horse 9', 4) });
+
+  await t.test('serves the sign-in and password reset pages', async () => {
+    assert.equal((await site.request('GET', '/')).status, 200);
+    assert.match((await site.request('GET', '/auth/login')).text, /action="\/auth\/login"/);
+    assert.match((await site.request('GET', '/auth/forgot-password')).text, /action="\/auth\/forgot-password"/);
+    const unknownToken = await site.request('GET', '/auth/reset-password/not-a-token');
+    assert.equal(unknownToken.status, 302);
+    assert.equal(unknownToken.location, '/auth/forgot-password');
+  });
+
+  await t.test('sends visitors to sign in, and signed-in students to their pages', async () => {
+    const anonymous = await site.request('GET', '/student/courses');
+    assert.equal(anonymous.status, 302);
+    assert.equal(anonymous.location, '/auth/login');
+
+    const login = await site.request('POST', '/auth/login', { email: student.email, password: 'correct horse 9' });
+    assert.equal(login.status, 302);
+    assert.equal(login.location, '/student/dashboard');
+
+    assert.equal((await site.request('GET', '/student/courses')).status, 200);
+    assert.equal((await site.request('GET', '/admin/roles')).status, 302);
+  });
+
+  await t.test('answers unknown paths with 404', async () => {
+    assert.equal((await site.request('GET', '/no-such-page')).status, 404);
+    assert.equal((await site.request('GET', '/api/no-such-endpoint')).status, 404);
+  });
+});
@@ -0,0 +1,30 @@
+// Timetable clash detection: a room or lecturer can only be in one session at a time,
+// in any week the sessions share
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createUser } = require('./helpers');
+const { dbHelpers } = require('../config/database');
+const timetable = require('../config/timetable');
+
+const session = (fields) => timetable.validateSession({ session_type: 'lecture', day_of_week: 1, starts_at: '09:00', ends_at: '11:00', ...fields }).values;
+
+const blockingTypes = async (course, fields) => (await timetable.checkSession(course, session(fields))).blocking.map(clash => clash.type);
+
+test('a session clashes with another that shares its room or lecturer', async () => {
+  const lecturer = await createUser('lecturer');
+  const otherLecturer = await createUser('lecturer');
+  const booked = await dbHelpers.createCourse({ name: 'Compilers', code: 'CS410', lecturer_id: lecturer.id });
+  const course = await dbHelpers.createCourse({ name: 'Databases', code: 'CS210', lecturer_id: otherLecturer.id });
+  const hall = await dbHelpers.createRoom({ code: 'LT1', name: 'Lecture Theatre 1', capacity: 120 });
+  const lab = await dbHelpers.createRoom({ code: 'LAB2', name: 'Lab 2', capacity: 30 });
+
+  await dbHelpers.createSession({ course_id: booked.id, ...session({ room_id: hall.id, recurrence: 'odd_weeks' }) });
+
+  assert.deepEqual(await blockingTypes(course, { room_id: hall.id, starts_at: '10:00', ends_at: '12:00' }), ['room']);
+  assert.deepEqual(await blockingTypes(course, { room_id: lab.id, lecturer_id: lecturer.id }), ['lecturer']);
+
+  // Back to back, on another day or in the other weeks does not clash
+  assert.deepEqual(await blockingTypes(course, { room_id: hall.id, starts_at: '11:00', ends_at: '12:00' }), []);
+  assert.deepEqual(await blockingTypes(course, { room_id: hall.id, day_of_week: 2 }), []);
+  assert.deepEqual(await blockingTypes(course, { room_id: hall.id, recurrence: 'even_weeks' }), []);
+});
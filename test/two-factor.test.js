@@ -0,0 +1,78 @@
+// Two-factor authentication: TOTP codes within the drift window, each accepted once,
+// single-use recovery codes and the per-role enrolment policy
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcryptjs');
+const { startSite, createUser } = require('./helpers');
+const { dbHelpers } = require('../config/database');
+const settings = require('../config/settings');
+const twoFactor = require('../config/twoFactor');
+
+const STEP_MS = 30 * 1000;
+
+// An enrolled user, reloaded so it carries the stored secret
+const enrol = async (role) => {
+  const user = await createUser(role);
+  const secret = twoFactor.generateSecret();
+  const recoveryCodes = await twoFactor.enable(user.id, secret, twoFactor.currentCode(secret));
+  assert.ok(recoveryCodes);
+  return { user: await dbHelpers.getUserById(user.id), secret, recoveryCodes };
+};
+
+test('accepts codes up to one time step either side of now', () => {
+  const secret = twoFactor.generateSecret();
+  const now = Date.now();
+
+  for (const drift of [-1, 0, 1]) {
+    assert.notEqual(twoFactor.matchTotp(secret, twoFactor.currentCode(secret, now + drift * STEP_MS), { now }), null, `drift ${drift}`);
+  }
+  for (const drift of [-3, 3]) {
+    assert.equal(twoFactor.matchTotp(secret, twoFactor.currentCode(secret, now + drift * STEP_MS), { now }), null, `drift ${drift}`);
+  }
+  assert.equal(twoFactor.matchTotp(secret, 'abcdef', { now }), null);
+});
+
+test('accepts each authenticator code once', async () => {
+  const { user, secret } = await enrol('lecturer');
+
+  // The code that confirmed enrolment is already spent
+  assert.equal(await twoFactor.verifyTotp(user, twoFactor.currentCode(secret)), false);
+
+  const nextCode = twoFactor.currentCode(secret, Date.now() + STEP_MS);
+  assert.equal(await twoFactor.verifyTotp(user, nextCode), true);
+  assert.equal(await twoFactor.verifyTotp(user, nextCode), false);
+});
+
+test('accepts each recovery code once', async () => {
+  const { user, recoveryCodes } = await enrol('admin');
+  assert.equal(recoveryCodes.length, twoFactor.RECOVERY_CODE_COUNT);
+
+  assert.equal(await twoFactor.verifyLoginCode(user, recoveryCodes[0].toUpperCase()), 'recovery_code');
+  assert.equal(await twoFactor.verifyLoginCode(user, recoveryCodes[0]), null);
+  assert.equal(await dbHelpers.countUnusedRecoveryCodes(user.id), twoFactor.RECOVERY_CODE_COUNT - 1);
+});
+
+test('requires enrolment only for the roles the admin chose', async (t) => {
+  const site = await startSite();
+  t.after(async () => {
+    await settings.update({ require_2fa_lecturer: false });
+    site.close();
+  });
+
+  assert.equal(await twoFactor.isRequiredFor('lecturer'), false);
+  await settings.update({ require_2fa_lecturer: true });
+  assert.equal(await twoFactor.isRequiredFor('lecturer'), true);
+  assert.equal(await twoFactor.isRequiredFor('admin'), false);
+  assert.equal(await twoFactor.isRequiredFor('student'), false);
+
+  const password = 'correct horse 9';
+  const passwordHash = await bcrypt.hash(password, 4);
+  const admin = await createUser('admin', { password_hash: passwordHash });
+  const lecturer = await createUser('lecturer', { password_hash: passwordHash });
+
+  assert.equal((await site.request('POST', '/auth/login', { email: admin.email, password })).location, '/admin/dashboard');
+  await site.request('POST', '/auth/logout');
+
+  assert.equal((await site.request('POST', '/auth/login', { email: lecturer.email, password })).location, '/auth/login/two-factor');
+  assert.match((await site.request('GET', '/auth/login/two-factor')).text, /alt="Authenticator QR code"/);
+});